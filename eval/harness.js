@@ -0,0 +1,223 @@
+// eval/harness.js — Run canned storm scenarios through the recommendation prompt and score
+// each verdict against the scenario's expectations, so prompt changes can be judged on
+// something better than "looks fine on tonight's weather".
+//
+// A scenario (eval/scenarios/*.json) is { name, description, payload, expect }:
+//   payload   the trip payload exactly as App / assessTrip would send it
+//   expect    { verdicts: [...allowed], quotes: [...], mentions: [...], forbidden: [...] }
+//
+// Every scenario is also held to the prompt's standing rules, derived from its payload:
+// no banned transport modes, no subway lines outside travel_data.relevantLines, and no
+// transit talk at all on walkable trips.
+
+import fs from "fs";
+import path from "path";
+import { Response } from "node-fetch";
+import { parseRecommendationResponse } from "../src/api/claudeEngine.js";
+import { lineForToken, lineTokenPattern } from "../src/api/routeRegistry.js";
+import { compareVerdicts, getRuleBasedRecommendation } from "../src/api/rulesEngine.js";
+import { buildRecommendationRequest, DEFAULT_MODEL } from "../server/prompt.js";
+import { callAnthropic } from "../server/upstreams.js";
+
+// Transport modes the prompt forbids in any output
+export const FORBIDDEN_MODES = ["bus", "ferry", "boat", "water taxi"];
+
+// Subway and SIR line names from the route registry, longest first ("6X" before "6")
+const LINE = `(?:${lineTokenPattern()})`;
+const LINE_GROUP = `(${LINE}(?:\\/${LINE})*)`;
+
+// Ways a response names a subway line: MTA-style "[A]", "A/C train", "the 4"
+const LINE_PATTERNS = [
+  /\[([A-Z0-9]{1,3})\]/g,
+  new RegExp(`\\b${LINE_GROUP}\\s+(?:trains?|lines?|service)\\b`, "g"),
+  new RegExp(`\\b[Tt]he\\s+${LINE_GROUP}(?![\\w'/-])(?!\\s*(?:hours?|hrs?|min|mph|miles?|km|m\\/s|°|%))`, "g"),
+];
+
+const TRANSIT_PATTERNS = [/\bPATH\b/, /\b(?:subway|MTA|trains?|transit)\b/i];
+
+// Marks the trip payload inside the user message buildRecommendationRequest writes
+const PAYLOAD_MARKER = "FULL TRAVEL CONTEXT:\n";
+
+/**
+ * Load every scenario in a directory, sorted by file name
+ * @param {string} dir - Directory of *.json scenarios
+ * @returns {Array<Object>} Scenarios, each with its `file` name added
+ */
+export function loadScenarios(dir) {
+  return fs
+    .readdirSync(dir)
+    .filter((name) => name.endsWith(".json"))
+    .sort()
+    .map((name) => ({ file: name, ...JSON.parse(fs.readFileSync(path.join(dir, name), "utf8")) }));
+}
+
+/**
+ * Subway lines a piece of text names
+ * @param {string} text
+ * @returns {Array<string>} Distinct route registry keys, e.g. ["A", "C"] — "the S" is "GS"
+ */
+export function mentionedLines(text) {
+  const lines = new Set();
+  for (const pattern of LINE_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      for (const line of match[1].split("/")) lines.add(lineForToken(line) ?? line);
+    }
+  }
+  return [...lines];
+}
+
+// Whole-word, case-insensitive, plurals included ("bus" matches "buses", "ferry" "ferries")
+function wordPattern(word) {
+  const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+");
+  const plural = escaped.endsWith("y") ? `${escaped.slice(0, -1)}(?:y|ies)` : `${escaped}(?:e?s)?`;
+  return new RegExp(`\\b${plural}\\b`, "i");
+}
+
+function check(name, passed, detail) {
+  return { check: name, passed, detail };
+}
+
+/**
+ * Score one recommendation against a scenario
+ * @param {Object} scenario - { payload, expect }
+ * @param {Object} recommendation - Normalized recommendation
+ * @returns {Array<{ check: string, passed: boolean, detail: string }>}
+ */
+export function scoreRecommendation(scenario, recommendation) {
+  const { payload, expect = {} } = scenario;
+  const text = [...recommendation.reasons, recommendation.best_route_advice ?? "", recommendation.summary].join("\n");
+  const lower = text.toLowerCase();
+  const checks = [];
+
+  if (expect.verdicts) {
+    checks.push(
+      check(
+        "verdict",
+        expect.verdicts.includes(recommendation.verdict),
+        `"${recommendation.verdict}" (allowed: ${expect.verdicts.join(", ")})`
+      )
+    );
+  }
+
+  for (const quote of expect.quotes ?? []) {
+    checks.push(check("quote", lower.includes(quote.toLowerCase()), `"${quote}"`));
+  }
+
+  for (const mention of expect.mentions ?? []) {
+    checks.push(check("mention", wordPattern(mention).test(text), `"${mention}"`));
+  }
+
+  const used = [...FORBIDDEN_MODES, ...(expect.forbidden ?? [])].filter((word) => wordPattern(word).test(text));
+  checks.push(check("forbidden_modes", used.length === 0, used.length ? `mentions ${used.join(", ")}` : "none mentioned"));
+
+  const allowed = payload.is_walkable ? [] : payload.travel_data?.relevantLines ?? [];
+  const stray = mentionedLines(text).filter((line) => !allowed.includes(line));
+  checks.push(
+    check(
+      "relevant_lines",
+      stray.length === 0,
+      stray.length ? `names ${stray.join(", ")} (route: ${allowed.join(", ") || "none"})` : "only route lines named"
+    )
+  );
+
+  if (payload.is_walkable) {
+    const transit = TRANSIT_PATTERNS.map((pattern) => text.match(pattern)?.[0]).filter(Boolean);
+    checks.push(
+      check("walkable_no_transit", transit.length === 0, transit.length ? `mentions ${transit.join(", ")}` : "no transit mentioned")
+    );
+  }
+
+  return checks;
+}
+
+/**
+ * Stand-in for the Anthropic API: answers every Messages request with the rules engine's
+ * verdict for the payload embedded in the prompt, so the harness runs offline and in CI
+ * @returns {Function} fetch-compatible (url, init) => Promise<Response>
+ */
+export function createStubModel() {
+  return async function stubModel(url, init = {}) {
+    if (!url.startsWith("https://api.anthropic.com/")) {
+      throw new Error(`The stub model only answers Anthropic requests, not ${url}`);
+    }
+    const content = JSON.parse(init.body).messages[0].content;
+    const payload = JSON.parse(content.slice(content.indexOf(PAYLOAD_MARKER) + PAYLOAD_MARKER.length));
+    const body = { content: [{ type: "text", text: JSON.stringify(getRuleBasedRecommendation(payload)) }] };
+
+    return new Response(JSON.stringify(body), {
+      status: 200,
+      headers: { "content-type": "application/json" },
+    });
+  };
+}
+
+/**
+ * Run one scenario through the prompt and score the result. Uses whatever transport
+ * setFetchImplementation installed — the stub, recorded fixtures or the live API.
+ * @param {Object} scenario
+ * @param {Object} options - { model }
+ * @returns {Promise<Object>} { name, file, passed, recommendation, rulesVerdict, steps, checks, error }
+ */
+export async function runScenario(scenario, { model = DEFAULT_MODEL } = {}) {
+  const result = { name: scenario.name, file: scenario.file };
+  const rules = getRuleBasedRecommendation(scenario.payload);
+  result.rulesVerdict = rules.verdict;
+
+  let recommendation;
+  try {
+    const data = await callAnthropic(buildRecommendationRequest(scenario.payload, model));
+    recommendation = parseRecommendationResponse(data);
+  } catch (err) {
+    return { ...result, passed: false, error: err.message, checks: [] };
+  }
+
+  const checks = scoreRecommendation(scenario, recommendation);
+  return {
+    ...result,
+    passed: checks.every((c) => c.passed),
+    recommendation,
+    steps: compareVerdicts(recommendation, rules).steps,
+    checks,
+  };
+}
+
+/**
+ * Run scenarios one after another (the live API is rate limited) and total the results
+ * @param {Array<Object>} scenarios
+ * @param {Object} options - { model }
+ * @returns {Promise<{ results: Array<Object>, passed: number, failed: number, checks: { passed: number, total: number } }>}
+ */
+export async function runEvaluation(scenarios, options = {}) {
+  const results = [];
+  for (const scenario of scenarios) {
+    results.push(await runScenario(scenario, options));
+  }
+
+  const allChecks = results.flatMap((r) => r.checks);
+  return {
+    results,
+    passed: results.filter((r) => r.passed).length,
+    failed: results.filter((r) => !r.passed).length,
+    checks: { passed: allChecks.filter((c) => c.passed).length, total: allChecks.length },
+  };
+}
+
+/**
+ * Plain-text report of an evaluation, one block per scenario
+ * @param {Object} evaluation - runEvaluation() result
+ * @returns {string}
+ */
+export function formatReport({ results, passed, failed, checks }) {
+  const blocks = results.map((r) => {
+    const head = `${r.passed ? "PASS" : "FAIL"}  ${r.name} (${r.file})`;
+    if (r.error) return `${head}\n      error: ${r.error}`;
+
+    const apart = r.steps > 0 ? ` (${r.steps} step${r.steps === 1 ? "" : "s"} apart)` : "";
+    const verdict = `      verdict: ${r.recommendation.verdict} — rules engine: ${r.rulesVerdict}${apart}`;
+    const lines = r.checks.map((c) => `      ${c.passed ? "ok  " : "FAIL"} ${c.check}: ${c.detail}`);
+    return [head, verdict, ...lines].join("\n");
+  });
+
+  const summary = `${passed}/${results.length} scenarios passed, ${failed} failed — ${checks.passed}/${checks.total} checks`;
+  return `${blocks.join("\n\n")}\n\n${summary}`;
+}
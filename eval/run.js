@@ -0,0 +1,79 @@
+// eval/run.js — Command-line entry for the prompt evaluation harness (see eval/harness.js)
+//
+//   npm run eval                              rules-engine stub, offline
+//   npm run eval -- --source recorded         replay recorded Claude responses (eval/recorded)
+//   npm run eval -- --source live             call Claude for real (ANTHROPIC_API_KEY)
+//   npm run eval -- --source live --record    ...and save the responses for --source recorded
+//
+// Other flags: --only <text> (scenarios whose name or file contains text), --json, --model <id>
+// Exits 1 when any scenario fails, so it can gate a prompt change.
+
+import dotenv from "dotenv";
+import fetch from "node-fetch";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { setFetchImplementation } from "../src/api/http.js";
+import { setLogger } from "../src/api/log.js";
+import { createFixtureFetch, applyReplayKeyPlaceholders } from "../server/fixtures.js";
+import { logger } from "../server/logger.js";
+import { ALLOWED_MODELS, DEFAULT_MODEL } from "../server/prompt.js";
+import { createStubModel, formatReport, loadScenarios, runEvaluation } from "./harness.js";
+
+const SOURCES = ["stub", "recorded", "live"];
+
+const evalDir = path.dirname(fileURLToPath(import.meta.url));
+
+function fail(message) {
+  process.stderr.write(`${message}\n`);
+  process.exit(2);
+}
+
+/**
+ * Transport for the chosen model source
+ */
+function transportFor(source, { record, dir }) {
+  if (source === "stub") return createStubModel();
+  if (source === "recorded") {
+    applyReplayKeyPlaceholders();
+    return createFixtureFetch(fetch, { mode: "replay", dir });
+  }
+  if (!process.env.ANTHROPIC_API_KEY) fail("--source live needs ANTHROPIC_API_KEY");
+  return record ? createFixtureFetch(fetch, { mode: "record", dir }) : fetch;
+}
+
+dotenv.config();
+
+const { values } = parseArgs({
+  options: {
+    source: { type: "string", default: "stub" },
+    record: { type: "boolean", default: false },
+    only: { type: "string" },
+    model: { type: "string", default: DEFAULT_MODEL },
+    scenarios: { type: "string", default: path.join(evalDir, "scenarios") },
+    recorded: { type: "string", default: path.join(evalDir, "recorded") },
+    json: { type: "boolean", default: false },
+  },
+});
+
+if (!SOURCES.includes(values.source)) fail(`--source must be one of: ${SOURCES.join(", ")}`);
+if (values.record && values.source !== "live") fail("--record only applies to --source live");
+if (!ALLOWED_MODELS.includes(values.model)) fail(`--model must be one of: ${ALLOWED_MODELS.join(", ")}`);
+
+const only = values.only?.toLowerCase();
+const scenarios = loadScenarios(path.resolve(values.scenarios)).filter(
+  (s) => !only || s.name.toLowerCase().includes(only) || s.file.includes(only)
+);
+if (scenarios.length === 0) fail("No scenarios matched");
+
+setLogger(logger);
+setFetchImplementation(transportFor(values.source, { record: values.record, dir: path.resolve(values.recorded) }));
+
+const evaluation = await runEvaluation(scenarios, { model: values.model });
+
+process.stdout.write(
+  values.json
+    ? `${JSON.stringify({ source: values.source, model: values.model, ...evaluation }, null, 2)}\n`
+    : `Source: ${values.source} (${values.model})\n\n${formatReport(evaluation)}\n`
+);
+process.exit(evaluation.failed > 0 ? 1 : 0);
@@ -7,16 +7,115 @@ import fetch from "node-fetch";
 import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
+import { setFetchImplementation } from "./src/api/http.js";
+import { setClock } from "./src/api/clock.js";
+import { setLogger } from "./src/api/log.js";
+import {
+  applyReplayKeyPlaceholders,
+  createFixtureFetch,
+  fixtureConfigFromEnv,
+  replayTime,
+  sourceForUrl,
+} from "./server/fixtures.js";
+import { logger, requestLogging, withUpstreamLogging } from "./server/logger.js";
+import { UpstreamError } from "./server/upstreams.js";
+import { configuredWeatherProviders } from "./server/weatherProviders.js";
+import { getMtaAlerts, getPathStatus, setCacheHeaders } from "./server/feeds.js";
+import {
+  coordsFromQuery,
+  getRouteWeather,
+  getWeather,
+  labelRoutePoints,
+  pointsFromQuery,
+  validateRouteWeatherQuery,
+  validateWeatherQuery,
+} from "./server/weather.js";
+import { getGroundConditions } from "./server/weatherHistory.js";
+import { getArrivals, linesFromQuery, validateArrivalsQuery } from "./server/arrivals.js";
+import { assessTrip, planForTrip, validateAssessRequest } from "./server/assess.js";
+import { validateReturnAfterHours } from "./server/planner.js";
+import { validateClaudeRequest } from "./server/prompt.js";
+import { requestRecommendation } from "./server/recommendation.js";
+import {
+  createRateLimiter,
+  envInt,
+  identifyClient,
+  parseApiKeys,
+  rateLimit,
+} from "./server/rateLimit.js";
 
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// The shared src/api modules log through the server's JSON logger (with request IDs)
+setLogger(logger);
+
+/**
+ * Upstream transport — node-fetch, optionally wrapped for fixture record/replay
+ * (STORMSAFE_FIXTURES=record|replay, see server/fixtures.js), and always wrapped
+ * so every upstream call is logged and carries the request's X-Request-ID
+ */
+const fixtures = fixtureConfigFromEnv(__dirname);
+if (fixtures?.mode === "replay") {
+  applyReplayKeyPlaceholders();
+  // Replay runs at the time the night was recorded, not today
+  const recordedAt = replayTime(fixtures.dir);
+  if (recordedAt != null) setClock(() => recordedAt);
+  else logger.warn("Replaying fixtures on the wall clock — no clock.json and no STORMSAFE_FIXTURES_NOW", { dir: fixtures.dir });
+}
+setFetchImplementation(
+  withUpstreamLogging(fixtures ? createFixtureFetch(fetch, fixtures) : fetch, sourceForUrl)
+);
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-app.use(express.json({ limit: "10mb" }));
+// Request ID + completion log for every request (LOG_LEVEL, see server/logger.js)
+app.use(requestLogging());
+
+// Trip payloads are a few KB; anything bigger is not a StormSafe client
+app.use(express.json({ limit: "100kb" }));
+
+// Behind Vercel / a single reverse proxy — take the client IP from X-Forwarded-For
+app.set("trust proxy", 1);
+
+/**
+ * Rate limits — configurable via env, per window of RATE_LIMIT_WINDOW_SECONDS.
+ * "claude" covers everything that spends Anthropic tokens; "proxy" covers the feed proxies.
+ * Clients sending a key listed in STORMSAFE_API_KEYS (x-stormsafe-key header) get the per-key limits.
+ */
+const apiKeys = parseApiKeys(process.env.STORMSAFE_API_KEYS);
+const rateWindowMs = envInt("RATE_LIMIT_WINDOW_SECONDS", 60) * 1000;
+const limiters = [
+  createRateLimiter({
+    name: "claude",
+    windowMs: rateWindowMs,
+    maxPerIp: envInt("RATE_LIMIT_CLAUDE_PER_IP", 10),
+    maxPerKey: envInt("RATE_LIMIT_CLAUDE_PER_KEY", 60),
+  }),
+  createRateLimiter({
+    name: "proxy",
+    windowMs: rateWindowMs,
+    maxPerIp: envInt("RATE_LIMIT_PROXY_PER_IP", 60),
+    maxPerKey: envInt("RATE_LIMIT_PROXY_PER_KEY", 600),
+  }),
+];
+const [claudeLimiter, proxyLimiter] = limiters;
+const limitClaude = rateLimit(claudeLimiter, apiKeys);
+const limitProxy = rateLimit(proxyLimiter, apiKeys);
+
+/**
+ * 500 for routes that can't answer without weather, when WEATHER_PROVIDERS leaves none usable
+ */
+function requireWeatherProvider(_req, res, next) {
+  if (configuredWeatherProviders().length > 0) return next();
+  return res.status(500).json({
+    error: "No weather provider configured on server",
+    hint: "WEATHER_PROVIDERS leaves only providers that need a key. Add OPENWEATHER_API_KEY to .env, or add nws or open-meteo to WEATHER_PROVIDERS, and restart the server.",
+  });
+}
 
 /**
  * Health check
@@ -26,130 +125,286 @@ app.get("/health", (_req, res) => {
 });
 
 /**
- * GET /api/mta-alerts
- * Public MTA GTFS-RT alerts feed mirror (JSON, no auth required)
+ * GET /api/usage
+ * The caller's current quota for each limiter (does not count against any of them)
  */
-app.get("/api/mta-alerts", async (_req, res) => {
-  const url =
-    "https://collector-otp-prod.camsys-apps.com/realtime/gtfsrt/ALL/alerts?type=json&apikey=qeqy84JE7hUKfaI0Lxm2Ttcm6ZA0bYrP";
+app.get("/api/usage", (req, res) => {
+  const client = identifyClient(req, apiKeys);
+  if (client.error) {
+    return res.status(401).json({ error: client.error });
+  }
 
-  try {
-    const response = await fetch(url, {
-      method: "GET",
-      headers: {
-        Accept: "application/json",
-        "User-Agent": "StormSafe/1.0",
-      },
+  return res.json({
+    client: client.type,
+    limits: limiters.map((limiter) => limiter.peek(client)),
+  });
+});
+
+/**
+ * Send an UpstreamError (or any other failure) back to the client
+ */
+function sendUpstreamFailure(res, err, fallbackMessage) {
+  if (err instanceof UpstreamError) {
+    return res.status(err.status).json({
+      error: err.message,
+      status: err.status,
+      statusText: err.statusText ?? undefined,
+      details: err.details ?? undefined,
     });
+  }
+  return res.status(500).json({
+    error: fallbackMessage,
+    message: err?.message || String(err),
+  });
+}
 
-    if (!response.ok) {
-      const text = await response.text();
-      console.error(
-        `MTA mirror error: ${response.status} ${response.statusText}`,
-        text.slice(0, 300)
-      );
-      return res.status(response.status).json({
-        error: "MTA mirror error",
-        status: response.status,
-        statusText: response.statusText,
-        preview: text.slice(0, 300),
-      });
-    }
+/**
+ * GET /api/mta-alerts
+ * MTA GTFS-RT alerts decoded from the official protobuf feeds (Mercury extensions included),
+ * as GTFS-RT JSON: { header, entity, source: "gtfs-rt" | "mirror" }
+ * Cached server-side — X-Cache reports FRESH / STALE / MISS / STALE-IF-ERROR
+ */
+app.get("/api/mta-alerts", limitProxy, async (_req, res) => {
+  try {
+    const result = await getMtaAlerts();
+    setCacheHeaders(res, result);
+    return res.json(result.data);
+  } catch (err) {
+    if (!(err instanceof UpstreamError)) logger.error("MTA fetch failed", { error: err });
+    return sendUpstreamFailure(res, err, "Failed to reach MTA alerts feed");
+  }
+});
 
-    const data = await response.json();
-    console.log('MTA raw entity count:', data?.entity?.length);
-    console.log('MTA first entity sample:', JSON.stringify(data?.entity?.[0], null, 2));
-    return res.json(data);
+/**
+ * GET /api/path/status
+ * Port Authority (PATH) real-time status, normalized per station and per line
+ * Returns: { summary: { status, message }, stations: { JSQ: { name, to_ny, to_nj } }, lines: { "JSQ-33": { ... } } }
+ * Cached server-side, same X-Cache semantics as /api/mta-alerts
+ */
+app.get("/api/path/status", limitProxy, async (_req, res) => {
+  try {
+    const result = await getPathStatus();
+    setCacheHeaders(res, result);
+    return res.json(result.data);
   } catch (err) {
-    console.error("MTA fetch failed:", err);
-    return res.status(500).json({
-      error: "Failed to reach MTA alerts feed",
-      message: err?.message || String(err),
-    });
+    if (!(err instanceof UpstreamError)) logger.error("PATH status error", { error: err });
+    return sendUpstreamFailure(res, err, "Failed to reach PATH API");
   }
 });
 
 /**
- * GET /api/path/*
- * Proxy to Port Authority (PATH) real-time API — avoids browser CORS restrictions
+ * GET /api/weather?lat=40.75&lng=-73.99[&at=2025-01-22T02:30:00Z]
+ * Current conditions + 3-hour trend from the weather providers, normalized — or, with `at` (departure
+ * time) more than 45 min out, the 3-hour forecast slot covering it
+ * Returns: { precipitation, wind, visibility, feelsLike, alerts, thunderstorm, heatIndex, airQuality,
+ *            forecast3hr, period, sources } — sources names the provider behind each field
+ * Cached per coordinate rounded to ~1 km, same X-Cache semantics as /api/mta-alerts
+ *
+ * Requires: nothing by default (nws and open-meteo need no key); OPENWEATHER_API_KEY in .env when
+ *   WEATHER_PROVIDERS names openweather alone
  */
-app.get("/api/path/*", async (req, res) => {
-  const suffix = req.params[0]; // e.g. "bin/portauthority/ridepath.json"
-  const url = `https://www.panynj.gov/${suffix}`;
+app.get("/api/weather", limitProxy, requireWeatherProvider, async (req, res) => {
+  const problems = validateWeatherQuery(req.query);
+  if (problems.length > 0) {
+    return res.status(400).json({
+      error: "Invalid weather request",
+      details: problems,
+    });
+  }
 
   try {
-    const response = await fetch(url, {
-      headers: { "User-Agent": "StormSafe/1.0" },
+    const { lat, lng } = coordsFromQuery(req.query);
+    const result = await getWeather(lat, lng, req.query.at ?? null);
+    setCacheHeaders(res, result);
+    return res.json(result.data);
+  } catch (err) {
+    if (!(err instanceof UpstreamError)) logger.error("Weather fetch failed", { error: err });
+    return sendUpstreamFailure(res, err, "Failed to reach any weather provider");
+  }
+});
+
+/**
+ * GET /api/weather/route?points=40.75,-73.99;40.72,-73.95;40.58,-73.82[&at=...]
+ * Worst conditions along a route, sampled at each point (origin first, destination last)
+ * Returns: the /api/weather shape holding the worst of each condition, plus
+ *   route: { sampled, worst: { precipitation, wind, visibility, feelsLike, alerts, thunderstorm, heatIndex, airQuality } }
+ *   where each worst entry is { where: "origin"|"en route"|"destination", lat, lng } or null
+ * X-Cache / Age describe the stalest point
+ *
+ * Requires: nothing by default (nws and open-meteo need no key); OPENWEATHER_API_KEY in .env when
+ *   WEATHER_PROVIDERS names openweather alone
+ */
+app.get("/api/weather/route", limitProxy, requireWeatherProvider, async (req, res) => {
+  const problems = validateRouteWeatherQuery(req.query);
+  if (problems.length > 0) {
+    return res.status(400).json({
+      error: "Invalid route weather request",
+      details: problems,
     });
+  }
 
-    if (!response.ok) {
-      return res.status(response.status).json({
-        error: "PATH API error",
-        status: response.status,
-      });
-    }
+  try {
+    const result = await getRouteWeather(labelRoutePoints(pointsFromQuery(req.query)), req.query.at ?? null);
+    setCacheHeaders(res, result);
+    return res.json(result.data);
+  } catch (err) {
+    if (!(err instanceof UpstreamError)) logger.error("Route weather fetch failed", { error: err });
+    return sendUpstreamFailure(res, err, "Failed to reach any weather provider");
+  }
+});
+
+/**
+ * GET /api/ground?points=40.75,-73.99;40.72,-73.95
+ * What the last 48 hours of snow, rain and cold left on the sidewalks along a route — the most
+ * hazardous estimate among the areas the points fall in (points as for /api/weather/route)
+ * Returns: { condition: "unknown"|"clear"|"slushy"|"snow_covered"|"icy", snowDepthCm, snowfallCm,
+ *   iceCause: "freezing_rain"|"refreeze"|null, hours, where }
+ *
+ * No key needed: the history is backfilled from Open-Meteo and topped up by OpenWeather observations.
+ */
+app.get("/api/ground", limitProxy, async (req, res) => {
+  const problems = validateRouteWeatherQuery(req.query);
+  if (problems.length > 0) {
+    return res.status(400).json({
+      error: "Invalid ground conditions request",
+      details: problems,
+    });
+  }
 
-    const data = await response.json();
-    return res.json(data);
+  try {
+    return res.json(await getGroundConditions(labelRoutePoints(pointsFromQuery(req.query))));
   } catch (err) {
-    console.error("PATH proxy error:", err);
-    return res.status(500).json({
-      error: "Failed to reach PATH API",
-      message: err?.message || String(err),
+    if (!(err instanceof UpstreamError)) logger.error("Ground conditions failed", { error: err });
+    return sendUpstreamFailure(res, err, "Failed to estimate ground conditions");
+  }
+});
+
+/**
+ * GET /api/arrivals?lat=40.75&lng=-73.99[&lines=A,C,E]
+ * The next trains on the trip's subway or SIR lines at the station nearest the origin (within
+ * about 1.2 km), from the MTA's GTFS-RT trip-update feeds; without lines, every line the nearest
+ * station serves. LIRR and Metro-North lines are ignored; lines outside the route registry are a 400.
+ * Returns: { station: { id, name, lat, lng, lines, north, south, distanceMeters } | null, lines,
+ *   arrivals: [{ line, direction: "northbound"|"southbound", toward, at, minutes }], live }
+ *
+ * No key needed: the trip-update feeds and the station list are public.
+ */
+app.get("/api/arrivals", limitProxy, async (req, res) => {
+  const problems = validateArrivalsQuery(req.query);
+  if (problems.length > 0) {
+    return res.status(400).json({
+      error: "Invalid arrivals request",
+      details: problems,
     });
   }
+
+  try {
+    return res.json(await getArrivals(coordsFromQuery(req.query), linesFromQuery(req.query)));
+  } catch (err) {
+    if (!(err instanceof UpstreamError)) logger.error("Arrivals lookup failed", { error: err });
+    return sendUpstreamFailure(res, err, "Failed to reach MTA arrivals feeds");
+  }
 });
 
 /**
  * POST /api/claude
- * Secure server-side proxy to Anthropic
+ * Trip recommendation from Claude. The server owns the prompt, model allowlist
+ * and token ceiling — clients send only the structured trip payload.
+ *
+ * Body: { payload: { origin, destination, weather, transit_status, travel_data, ... }, model?: string }
+ * Returns: { recommendation: { verdict, reasons, return_risk, best_route_advice, summary } }
  *
  * Requires: ANTHROPIC_API_KEY in .env
  */
-app.post("/api/claude", async (req, res) => {
-  const anthropicKey = process.env.ANTHROPIC_API_KEY;
-
-  if (!anthropicKey) {
+app.post("/api/claude", limitClaude, async (req, res) => {
+  if (!process.env.ANTHROPIC_API_KEY) {
     return res.status(500).json({
       error: "ANTHROPIC_API_KEY not configured on server",
       hint: "Add ANTHROPIC_API_KEY to .env and restart the server.",
     });
   }
 
-  try {
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "content-type": "application/json",
-        "x-api-key": anthropicKey,
-        "anthropic-version": "2023-06-01",
-      },
-      body: JSON.stringify(req.body),
+  const problems = validateClaudeRequest(req.body);
+  if (problems.length > 0) {
+    return res.status(400).json({
+      error: "Invalid recommendation request",
+      details: problems,
     });
+  }
 
-    if (!response.ok) {
-      const errorBody = await response.text();
-      console.error(
-        `Anthropic API error: ${response.status} ${response.statusText}`,
-        errorBody
-      );
-      return res.status(response.status).json({
-        error: `Anthropic API error: ${response.statusText}`,
-        details: errorBody,
+  try {
+    const recommendation = await requestRecommendation(req.body.payload, req.body.model);
+    return res.json({ recommendation });
+  } catch (err) {
+    if (err instanceof UpstreamError) {
+      return sendUpstreamFailure(res, err, "Failed to reach Anthropic API");
+    }
+    if (err instanceof SyntaxError) {
+      return res.status(502).json({
+        error: "Claude returned an unparseable recommendation",
       });
     }
+    logger.error("Claude proxy error", { error: err });
+    return sendUpstreamFailure(res, err, "Failed to reach Anthropic API");
+  }
+});
 
-    const data = await response.json();
-    return res.json(data);
+/**
+ * POST /api/assess
+ * Full trip assessment — weather, travel ban, transit, route and Claude's verdict in one call
+ *
+ * Body: { origin: { lat, lng, name?, address? }, destination: { ... }, departure?: "now" | "soon" | "later" }
+ */
+app.post("/api/assess", limitClaude, async (req, res) => {
+  const problems = validateAssessRequest(req.body);
+  if (problems.length > 0) {
+    return res.status(400).json({
+      error: "Invalid trip request",
+      details: problems,
+    });
+  }
+
+  try {
+    const result = await assessTrip(req.body);
+    return res.json(result);
   } catch (err) {
-    console.error("Claude proxy error:", err);
+    logger.error("Assess error", { error: err });
     return res.status(500).json({
-      error: "Failed to reach Anthropic API",
+      error: "Failed to assess trip",
       message: err?.message || String(err),
     });
   }
 });
 
+/**
+ * POST /api/plan
+ * Best time to leave over the next 12 hours — each 3-hour forecast slot scored for the trip
+ * out and the trip home returnAfterHours later (default 3)
+ *
+ * Body: { origin: { lat, lng, name?, address? }, destination: { ... }, returnAfterHours?: 1–8 }
+ * Returns: { returnAfterHours, best: { at, window: { from, to }, leaveNow, outbound, return, total },
+ *            timeline: [{ at, outbound, return, total, best }] }
+ *
+ * Requires: nothing by default (nws and open-meteo need no key); OPENWEATHER_API_KEY in .env when
+ *   WEATHER_PROVIDERS names openweather alone
+ */
+app.post("/api/plan", limitProxy, requireWeatherProvider, async (req, res) => {
+  const problems = [...validateAssessRequest(req.body), ...validateReturnAfterHours(req.body)];
+  if (problems.length > 0) {
+    return res.status(400).json({
+      error: "Invalid trip request",
+      details: problems,
+    });
+  }
+
+  try {
+    return res.json(await planForTrip(req.body));
+  } catch (err) {
+    if (!(err instanceof UpstreamError)) logger.error("Departure planning failed", { error: err });
+    return sendUpstreamFailure(res, err, "Failed to reach any weather provider");
+  }
+});
+
 /**
  * Static files from the built React app (dist/)
  * Used for non-Vercel deployments (Railway, Render, local production preview)
@@ -163,14 +418,28 @@ app.get("*", (_req, res) => {
   res.sendFile(path.join(__dirname, "dist", "index.html"));
 });
 
-// Listen only in local dev — Vercel manages the port in production
-if (!process.env.VERCEL) {
+// Listen only when run directly in local dev — Vercel manages the port in production,
+// and tests import the app without starting a listener
+const isMainModule = Boolean(process.argv[1]) && path.resolve(process.argv[1]) === __filename;
+if (!process.env.VERCEL && isMainModule) {
   app.listen(PORT, () => {
-    console.log(`\n✓ StormSafe server running on http://localhost:${PORT}`);
-    console.log("✓ GET  /health");
-    console.log("✓ GET  /api/mta-alerts (public)");
-    console.log("✓ GET  /api/path/* (PATH proxy)");
-    console.log("✓ POST /api/claude\n");
+    logger.info("StormSafe server listening", {
+      url: `http://localhost:${PORT}`,
+      fixtures: fixtures ? `${fixtures.mode} (${fixtures.dir})` : "off",
+      routes: [
+        "GET /health",
+        "GET /api/usage",
+        "GET /api/mta-alerts",
+        "GET /api/path/status",
+        "GET /api/weather",
+        "GET /api/weather/route",
+        "GET /api/ground",
+        "GET /api/arrivals",
+        "POST /api/claude",
+        "POST /api/assess",
+        "POST /api/plan",
+      ],
+    });
   });
 }
 
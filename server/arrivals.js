@@ -0,0 +1,129 @@
+// server/arrivals.js — Next trains at the station nearest a trip's origin, behind GET /api/arrivals
+// and /api/assess (see src/api/arrivals.js for picking the station and the trains)
+// Stations come from the MTA Subway Stations dataset and barely change; trip updates are the
+// subway's GTFS-RT feeds, one per group of lines, and are only worth anything for a few seconds.
+
+import { createSwrCache } from "./cache.js";
+import { fetchMtaFeedBytes, fetchMtaStations, tripUpdateFeedsFor } from "./upstreams.js";
+import { decodeTripUpdateFeed } from "./gtfsrt.js";
+import { coordsFromQuery } from "./weather.js";
+import { logger } from "./logger.js";
+import { currentTime } from "../src/api/clock.js";
+import { isInNYCArea, isValidCoords } from "../src/api/geo.js";
+import { getRoute } from "../src/api/routeRegistry.js";
+import {
+  liveLines,
+  nearestStation,
+  stationsFromDataset,
+  upcomingArrivals,
+} from "../src/api/arrivals.js";
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+// Lines one request can ask about — a trip never takes more
+export const MAX_ARRIVAL_LINES = 10;
+
+/**
+ * Per-source cache policies (see server/cache.js for the semantics)
+ * The station list is close to static; trip updates are refreshed every 30 seconds upstream, and
+ * a two-minute-old arrival is still better than none.
+ */
+export const ARRIVALS_CACHE_POLICIES = {
+  stations: {
+    ttlMs: 24 * HOUR,
+    staleWhileRevalidateMs: 24 * HOUR,
+    staleIfErrorMs: 7 * 24 * HOUR,
+  },
+  tripUpdates: {
+    ttlMs: 15 * SECOND,
+    staleWhileRevalidateMs: 30 * SECOND,
+    staleIfErrorMs: 2 * MINUTE,
+  },
+};
+
+// Stations and decoded trip-update feeds, kept apart from the alert feeds
+export const arrivalsCache = createSwrCache({ maxEntries: 20 });
+
+/**
+ * Split a lines query parameter ("A,C,E") into route registry keys
+ * @param {Object} query - req.query
+ * @returns {Array<string>}
+ */
+export function linesFromQuery(query) {
+  if (typeof query?.lines !== "string") return [];
+  return query.lines.split(",").map((line) => line.trim()).filter(Boolean);
+}
+
+/**
+ * Validate a GET /api/arrivals query — an NYC-area origin and, optionally, route registry lines
+ * A trip's LIRR or Metro-North lines are fine to send; getArrivals leaves them out.
+ * @param {Object} query - req.query
+ * @returns {Array<string>} Validation problems (empty when the query is valid)
+ */
+export function validateArrivalsQuery(query) {
+  const coords = coordsFromQuery(query);
+  if (!isValidCoords(coords)) return ["lat and lng query parameters must be numbers"];
+  if (!isInNYCArea(coords)) return ["lat/lng must be a New York or New Jersey location"];
+
+  const lines = linesFromQuery(query);
+  if (lines.length > MAX_ARRIVAL_LINES) return [`at most ${MAX_ARRIVAL_LINES} lines per request`];
+  const unknown = lines.filter((line) => !getRoute(line));
+  return unknown.length > 0 ? [`lines must be route registry keys; unknown: ${unknown.join(", ")}`] : [];
+}
+
+async function getStations() {
+  const result = await arrivalsCache.get(
+    "stations",
+    async () => stationsFromDataset(await fetchMtaStations()),
+    ARRIVALS_CACHE_POLICIES.stations
+  );
+  return result.data;
+}
+
+// One decoded trip-update feed, or null when it can't be had — the other lines still get arrivals
+async function getTripUpdates(url) {
+  try {
+    const result = await arrivalsCache.get(
+      `trips:${url}`,
+      async () => decodeTripUpdateFeed(await fetchMtaFeedBytes(url)),
+      ARRIVALS_CACHE_POLICIES.tripUpdates
+    );
+    return result.data;
+  } catch (err) {
+    logger.warn("MTA trip-update feed failed — leaving its lines out", { url, error: err });
+    return null;
+  }
+}
+
+/**
+ * The next trains at the station nearest the origin
+ * @param {{ lat: number, lng: number }} origin
+ * @param {Array<string>} lines - Route registry keys; lines without live arrivals (LIRR, Metro-North)
+ *   are ignored, and none at all means whatever the nearest station serves
+ * @returns {Promise<Object>} { station: { id, name, lat, lng, lines, north, south, distanceMeters } | null,
+ *   lines: the lines arrivals were read for, arrivals: upcomingArrivals() result, live: whether any feed answered }
+ * @throws {UpstreamError} When the station list can't be fetched
+ */
+export async function getArrivals(origin, lines = []) {
+  const wanted = liveLines(lines);
+  if (lines.length > 0 && wanted.length === 0) return { station: null, lines: [], arrivals: [], live: false };
+
+  const station = nearestStation(await getStations(), origin, wanted);
+  if (!station) return { station: null, lines: [], arrivals: [], live: false };
+
+  const stationLines = liveLines(wanted.length > 0 ? station.lines.filter((line) => wanted.includes(line)) : station.lines);
+  const feeds = await Promise.all(
+    tripUpdateFeedsFor(stationLines).map(async (url) => ({ url, feed: await getTripUpdates(url) }))
+  );
+  const answered = feeds.filter(({ feed }) => feed);
+  const covered = stationLines.filter((line) => answered.some(({ url }) => tripUpdateFeedsFor([line])[0] === url));
+
+  return {
+    station,
+    lines: covered,
+    arrivals: upcomingArrivals(answered.map(({ feed }) => feed), station, covered, Math.floor(currentTime() / 1000)),
+    live: answered.length > 0,
+  };
+}
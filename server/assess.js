@@ -0,0 +1,306 @@
+// server/assess.js — Full trip assessment pipeline behind POST /api/assess
+// Runs the same steps as App.handleSubmit so scripts and non-browser clients
+// get the exact verdict payload the React app renders.
+
+import { emptyWeather, routeWeatherPoints } from "../src/api/weather.js";
+import { unknownGround } from "../src/api/ground.js";
+import { emptyArrivals } from "../src/api/arrivals.js";
+import { classifyWeatherSeverity } from "../src/api/severity.js";
+import { UNIT_SYSTEMS, resolveUnitSystem, weatherReadings } from "../src/api/units.js";
+import { fetchTravelBan } from "../src/api/travelBan.js";
+import {
+  buildTransitStatus,
+  getDefaultTransitStatus,
+  isPathRelevant,
+  transitForPrompt,
+  transitForTrip,
+} from "../src/api/transitStatus.js";
+import { applyStormMultiplier, fetchTravelData, isWalkableTrip } from "../src/api/travelData.js";
+import { DEPARTURE_OPTIONS, resolveDeparture } from "../src/api/departure.js";
+import { getRuleBasedRecommendation } from "../src/api/rulesEngine.js";
+import { isInNYCArea, isValidCoords } from "../src/api/geo.js";
+import { getMtaAlerts, getPathStatus } from "./feeds.js";
+import { getRouteWeather, labelRoutePoints } from "./weather.js";
+import { getGroundConditions } from "./weatherHistory.js";
+import { getArrivals } from "./arrivals.js";
+import { planTrip } from "./planner.js";
+import { configuredWeatherProviders } from "./weatherProviders.js";
+import { requestRecommendation } from "./recommendation.js";
+import { validateClaudeRequest } from "./prompt.js";
+import { logger } from "./logger.js";
+
+export { DEPARTURE_OPTIONS };
+
+/**
+ * Validate a POST /api/assess body
+ * Expected shape:
+ *   {
+ *     origin:      { lat, lng, name?, address? },
+ *     destination: { lat, lng, name?, address? },
+ *     departure:   "now" | "soon" | "later"   (optional, defaults to "now")
+ *     units:       "imperial" | "metric"      (optional, defaults to "imperial")
+ *   }
+ * @param {Object} body - Parsed request body
+ * @returns {Array<string>} Validation problems (empty when the body is valid)
+ */
+export function validateAssessRequest(body) {
+  const problems = [];
+
+  for (const field of ["origin", "destination"]) {
+    const place = body?.[field];
+    if (!isValidCoords(place)) {
+      problems.push(`${field} must be an object with numeric lat and lng`);
+    } else if (!isInNYCArea(place)) {
+      problems.push(`${field} must be a New York or New Jersey location`);
+    }
+  }
+
+  if (body?.departure != null && !DEPARTURE_OPTIONS.includes(body.departure)) {
+    problems.push(`departure must be one of: ${DEPARTURE_OPTIONS.join(", ")}`);
+  }
+
+  if (body?.units != null && !UNIT_SYSTEMS.includes(body.units)) {
+    problems.push(`units must be one of: ${UNIT_SYSTEMS.join(", ")}`);
+  }
+
+  return problems;
+}
+
+/**
+ * Fetch MTA + PATH through the shared feed cache (no round-trip through our own proxies)
+ * Failures degrade the same way the browser's fetchTransitStatus does.
+ * @returns {Promise<{ mtaJson: Object|null, pathStatus: Object|null }>}
+ */
+async function fetchTransitFeeds(originAddress, destinationAddress) {
+  const pathNeeded = isPathRelevant(originAddress, destinationAddress);
+
+  const [mtaJson, pathStatus] = await Promise.all([
+    getMtaAlerts()
+      .then((result) => result.data)
+      .catch((err) => {
+        logger.warn("Assess: MTA alerts fetch failed", { error: err });
+        return null;
+      }),
+    pathNeeded
+      ? getPathStatus()
+          .then((result) => result.data.summary)
+          .catch((err) => {
+            logger.warn("Assess: PATH fetch failed", { error: err });
+            return { status: "normal", message: null };
+          })
+      : Promise.resolve(null),
+  ]);
+
+  return { mtaJson, pathStatus };
+}
+
+/**
+ * Transit status at the departure time from the fetched feeds, with what starts before the trip home
+ */
+function transitAt(feeds, departure) {
+  try {
+    return buildTransitStatus(feeds.mtaJson, feeds.pathStatus, [], departure.at, departure.returnAt);
+  } catch (err) {
+    logger.error("Assess: transit status error", { error: err });
+    return getDefaultTransitStatus();
+  }
+}
+
+/**
+ * Worst weather along the trip through the shared weather cache
+ * Degrades to an all-unknown weather object, like the browser's fetchRouteWeather.
+ */
+async function fetchTripWeather(origin, destination, travelData, at) {
+  if (configuredWeatherProviders().length === 0) {
+    logger.warn("Assess: no weather provider configured — continuing without weather");
+    return emptyWeather();
+  }
+
+  try {
+    return (await getRouteWeather(routeWeatherPoints(origin, destination, travelData), at)).data;
+  } catch (err) {
+    logger.error("Assess: weather fetch failed", { error: err });
+    return emptyWeather();
+  }
+}
+
+/**
+ * What the last 48 hours left on the sidewalks along the trip
+ * Degrades to unknown ground, like the browser's fetchGroundConditions.
+ */
+async function fetchTripGround(origin, destination, travelData) {
+  try {
+    return await getGroundConditions(labelRoutePoints(routeWeatherPoints(origin, destination, travelData)));
+  } catch (err) {
+    logger.error("Assess: ground conditions failed", { error: err });
+    return unknownGround();
+  }
+}
+
+/**
+ * Next trains at the station nearest the origin — only worth knowing when leaving now by train
+ * Degrades to no arrivals, like the browser's fetchArrivals.
+ */
+async function fetchTripArrivals(origin, travelData, departure, isWalkable) {
+  if (departure.choice !== "now" || isWalkable || !travelData) return emptyArrivals();
+
+  try {
+    return await getArrivals(origin, travelData.relevantLines ?? []);
+  } catch (err) {
+    logger.warn("Assess: arrivals lookup failed", { error: err });
+    return emptyArrivals();
+  }
+}
+
+/**
+ * "Best time to leave" over the next few hours, or null when there's no weather to plan with
+ */
+async function fetchPlan({ origin, destination, travelData, ground, feeds, travelBan, isWalkable, units, returnAfterHours }) {
+  if (configuredWeatherProviders().length === 0) return null;
+
+  try {
+    return await planTrip({
+      origin,
+      destination,
+      travelData,
+      ground,
+      mtaJson: feeds.mtaJson,
+      pathStatus: feeds.pathStatus,
+      travelBan,
+      isWalkable,
+      units,
+      returnAfterHours,
+    });
+  } catch (err) {
+    logger.error("Assess: departure planning failed", { error: err });
+    return null;
+  }
+}
+
+/**
+ * Ask Claude for the verdict, falling back to the rules engine on any failure
+ * The payload gets the same checks as a browser's POST /api/claude, size included.
+ * @returns {Promise<{ recommendation: Object, source: "claude" | "rules" }>}
+ */
+async function recommend(payload) {
+  if (!process.env.ANTHROPIC_API_KEY) {
+    logger.warn("Assess: ANTHROPIC_API_KEY not configured — using the rules engine");
+    return { recommendation: getRuleBasedRecommendation(payload), source: "rules" };
+  }
+
+  const problems = validateClaudeRequest({ payload });
+  if (problems.length > 0) {
+    logger.warn("Assess: payload not fit to send — using the rules engine", { problems });
+    return { recommendation: getRuleBasedRecommendation(payload), source: "rules" };
+  }
+
+  try {
+    return { recommendation: await requestRecommendation(payload), source: "claude" };
+  } catch (err) {
+    logger.error("Assess: recommendation failed — using the rules engine", { error: err });
+    return { recommendation: getRuleBasedRecommendation(payload), source: "rules" };
+  }
+}
+
+/**
+ * Run the full StormSafe pipeline for one trip
+ * @param {Object} trip - A body that passed validateAssessRequest
+ * @returns {Promise<Object>} { recommendation, recommendationSource, departure, plan, transit, nextTrains, travelData, weather, ground, severity, readings, travelBan, isWalkable }
+ */
+export async function assessTrip(trip) {
+  const origin = { lat: trip.origin.lat, lng: trip.origin.lng };
+  const destination = { lat: trip.destination.lat, lng: trip.destination.lng };
+  const originName = trip.origin.name ?? null;
+  const destinationName = trip.destination.name ?? null;
+  const departure = resolveDeparture(trip.departure ?? "now");
+  const units = resolveUnitSystem(trip.units);
+
+  const [travelBanData, feeds, routeData] = await Promise.all([
+    fetchTravelBan(),
+    fetchTransitFeeds(trip.origin.address ?? originName, trip.destination.address ?? destinationName),
+    fetchTravelData(origin, destinationName, "none", destination),
+  ]);
+  const transitData = transitForTrip(transitAt(feeds, departure), routeData?.relevantLines);
+
+  // Needs the route geometry from travelData to know where to sample, and its lines for the next trains
+  const [weatherData, ground, nextTrains] = await Promise.all([
+    fetchTripWeather(origin, destination, routeData, departure.at),
+    fetchTripGround(origin, destination, routeData),
+    fetchTripArrivals(origin, routeData, departure, isWalkableTrip(routeData)),
+  ]);
+  const severity = classifyWeatherSeverity(weatherData, units);
+  const travelData = applyStormMultiplier(routeData, severity.level, ground.condition);
+  const readings = weatherReadings(weatherData, units, travelData, ground);
+
+  const isWalkable = isWalkableTrip(travelData);
+
+  const payload = {
+    origin,
+    origin_name: originName,
+    destination,
+    destination_name: destinationName,
+    departure_time: departure,
+    weather: weatherData,
+    weather_severity: severity,
+    ground_conditions: ground,
+    readings,
+    travel_ban: travelBanData,
+    transit_status: transitForPrompt(transitData),
+    next_trains: nextTrains,
+    travel_data: travelData,
+    is_walkable: isWalkable,
+  };
+
+  const [{ recommendation, source }, plan] = await Promise.all([
+    recommend(payload),
+    fetchPlan({ origin, destination, travelData: routeData, ground, feeds, travelBan: travelBanData, isWalkable, units }),
+  ]);
+
+  return {
+    recommendation,
+    recommendationSource: source,
+    departure,
+    plan,
+    transit: transitData,
+    nextTrains,
+    travelData,
+    weather: weatherData,
+    ground,
+    severity,
+    readings,
+    travelBan: travelBanData,
+    isWalkable,
+  };
+}
+
+/**
+ * Plan the best time to leave for one trip (POST /api/plan)
+ * Same inputs as assessTrip, minus the recommendation.
+ * @param {Object} trip - A body that passed validateAssessRequest and validateReturnAfterHours
+ * @returns {Promise<Object>} planDeparture() result
+ * @throws {UpstreamError} When weather can't be fetched for the route
+ */
+export async function planForTrip(trip) {
+  const origin = { lat: trip.origin.lat, lng: trip.origin.lng };
+  const destination = { lat: trip.destination.lat, lng: trip.destination.lng };
+  const destinationName = trip.destination.name ?? null;
+
+  const [travelBan, feeds, travelData] = await Promise.all([
+    fetchTravelBan(),
+    fetchTransitFeeds(trip.origin.address ?? trip.origin.name ?? null, trip.destination.address ?? destinationName),
+    fetchTravelData(origin, destinationName, "none", destination),
+  ]);
+
+  return planTrip({
+    origin,
+    destination,
+    travelData,
+    ground: await fetchTripGround(origin, destination, travelData),
+    mtaJson: feeds.mtaJson,
+    pathStatus: feeds.pathStatus,
+    travelBan,
+    isWalkable: isWalkableTrip(travelData),
+    units: resolveUnitSystem(trip.units),
+    returnAfterHours: trip.returnAfterHours,
+  });
+}
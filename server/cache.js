@@ -0,0 +1,106 @@
+// server/cache.js — In-memory upstream response cache with stale-while-revalidate
+// and stale-if-error, so a flaky feed during a storm spike still serves the last good copy.
+//
+// Lifetime of an entry (age = now - fetchedAt):
+//   age < ttlMs                          → "fresh": served as-is
+//   age < ttlMs + staleWhileRevalidateMs → "stale": served immediately, refreshed in the background
+//   older                                → "miss": refetched; if that fails and
+//                                          age < ttlMs + staleIfErrorMs → "stale-if-error"
+
+import { logger } from "./logger.js";
+import { currentTime } from "../src/api/clock.js";
+
+/**
+ * @typedef {Object} CachePolicy
+ * @property {number} ttlMs - How long a response is fresh
+ * @property {number} staleWhileRevalidateMs - Extra window where stale data is served while refreshing
+ * @property {number} staleIfErrorMs - Extra window where stale data is served if the upstream fails
+ */
+
+/**
+ * @typedef {Object} CacheResult
+ * @property {*} data - The cached or freshly fetched value
+ * @property {"fresh"|"stale"|"miss"|"stale-if-error"} status - How the value was obtained
+ * @property {number} fetchedAt - Epoch ms when the value was fetched from upstream
+ */
+
+/**
+ * Create a cache instance
+ * @param {Object} options - { maxEntries, now } — now defaults to the replayable clock (src/api/clock.js)
+ * @returns {Object} { get, clear, size }
+ */
+export function createSwrCache({ maxEntries = 100, now = currentTime } = {}) {
+  // key → { data, fetchedAt }
+  const entries = new Map();
+  // key → Promise<entry> for fetches currently in flight (dedupes concurrent misses)
+  const inFlight = new Map();
+
+  function store(key, data) {
+    const entry = { data, fetchedAt: now() };
+    entries.delete(key);
+    entries.set(key, entry);
+
+    // Evict the oldest insertion once over capacity
+    if (entries.size > maxEntries) {
+      const oldestKey = entries.keys().next().value;
+      entries.delete(oldestKey);
+    }
+    return entry;
+  }
+
+  function refresh(key, fetcher) {
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const promise = Promise.resolve()
+      .then(fetcher)
+      .then((data) => store(key, data))
+      .finally(() => inFlight.delete(key));
+
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Get a value, fetching or revalidating per the policy
+   * @param {string} key - Cache key, e.g. "mta:alerts"
+   * @param {Function} fetcher - async () => data; throws on upstream failure
+   * @param {CachePolicy} policy
+   * @returns {Promise<CacheResult>}
+   * @throws The fetcher's error when there is nothing usable cached
+   */
+  async function get(key, fetcher, policy) {
+    const entry = entries.get(key);
+    const age = entry ? now() - entry.fetchedAt : Infinity;
+
+    if (age < policy.ttlMs) {
+      return { data: entry.data, status: "fresh", fetchedAt: entry.fetchedAt };
+    }
+
+    if (age < policy.ttlMs + policy.staleWhileRevalidateMs) {
+      refresh(key, fetcher).catch((err) => {
+        logger.warn("Cache revalidation failed", { key, error: err });
+      });
+      return { data: entry.data, status: "stale", fetchedAt: entry.fetchedAt };
+    }
+
+    try {
+      const fresh = await refresh(key, fetcher);
+      return { data: fresh.data, status: "miss", fetchedAt: fresh.fetchedAt };
+    } catch (err) {
+      if (entry && age < policy.ttlMs + policy.staleIfErrorMs) {
+        logger.warn("Serving stale entry after upstream error", { key, error: err });
+        return { data: entry.data, status: "stale-if-error", fetchedAt: entry.fetchedAt };
+      }
+      throw err;
+    }
+  }
+
+  return {
+    get,
+    clear: () => {
+      entries.clear();
+      inFlight.clear();
+    },
+    size: () => entries.size,
+  };
+}
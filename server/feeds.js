@@ -0,0 +1,111 @@
+// server/feeds.js — Cached access to the transit feeds
+// Routes and /api/assess go through here instead of hitting upstreams directly.
+
+import { createSwrCache } from "./cache.js";
+import {
+  MTA_ALERT_FEEDS,
+  fetchMtaFeedBytes,
+  fetchMtaAlertsMirror,
+  fetchRidePath,
+  mtaMirrorKey,
+} from "./upstreams.js";
+import { decodeAlertFeed } from "./gtfsrt.js";
+import { normalizeRidePath } from "./path.js";
+import { logger } from "./logger.js";
+import { currentTime } from "../src/api/clock.js";
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+/**
+ * Per-source cache policies (see server/cache.js for the semantics)
+ * MTA alerts change slowly and the mirror payload is large; PATH arrivals go stale fast.
+ */
+export const CACHE_POLICIES = {
+  mta: {
+    ttlMs: 60 * SECOND,
+    staleWhileRevalidateMs: 5 * MINUTE,
+    staleIfErrorMs: 2 * 60 * MINUTE,
+  },
+  path: {
+    ttlMs: 30 * SECOND,
+    staleWhileRevalidateMs: 2 * MINUTE,
+    staleIfErrorMs: 30 * MINUTE,
+  },
+};
+
+export const feedCache = createSwrCache();
+
+/**
+ * Decode every official MTA alert feed and merge them into one GTFS-RT JSON document
+ * The subway feed is required; LIRR and Metro-North are best effort, so a commuter rail outage
+ * never costs the subway alerts.
+ * @returns {Promise<Object>} { header, entity, source: "gtfs-rt" }
+ */
+async function fetchOfficialMtaAlerts() {
+  const fetchFeed = async (url) => decodeAlertFeed(await fetchMtaFeedBytes(url));
+  const { subway, ...rail } = MTA_ALERT_FEEDS;
+
+  const [subwayFeed, ...railFeeds] = await Promise.all([
+    fetchFeed(subway),
+    ...Object.entries(rail).map(([mode, url]) =>
+      fetchFeed(url).catch((err) => {
+        logger.warn("MTA alert feed failed — leaving it out", { mode, error: err });
+        return null;
+      })
+    ),
+  ]);
+
+  const feeds = [subwayFeed, ...railFeeds.filter(Boolean)];
+  return {
+    header: subwayFeed.header,
+    entity: feeds.flatMap((feed) => feed.entity),
+    source: "gtfs-rt",
+  };
+}
+
+/**
+ * MTA alerts from the official protobuf feeds, falling back to the JSON mirror
+ * (when MTA_MIRROR_API_KEY is set) if they can't be fetched or decoded
+ * @returns {Promise<Object>} GTFS-RT JSON plus source: "gtfs-rt" | "mirror"
+ */
+export async function fetchMtaAlerts() {
+  try {
+    return await fetchOfficialMtaAlerts();
+  } catch (err) {
+    if (!mtaMirrorKey()) throw err;
+    logger.warn("MTA GTFS-RT feed failed — falling back to the JSON mirror", { error: err });
+    return { ...(await fetchMtaAlertsMirror()), source: "mirror" };
+  }
+}
+
+/**
+ * MTA alerts JSON, cached
+ * @returns {Promise<import("./cache.js").CacheResult>}
+ */
+export function getMtaAlerts() {
+  return feedCache.get("mta:alerts", fetchMtaAlerts, CACHE_POLICIES.mta);
+}
+
+/**
+ * Normalized PATH status (see normalizeRidePath), cached
+ * A malformed feed counts as an upstream failure, so stale-if-error covers it too.
+ * @returns {Promise<import("./cache.js").CacheResult>}
+ */
+export function getPathStatus() {
+  return feedCache.get(
+    "path:status",
+    async () => normalizeRidePath(await fetchRidePath()),
+    CACHE_POLICIES.path
+  );
+}
+
+/**
+ * Describe a cache result in response headers so clients can tell stale data apart
+ * @param {Object} res - Express response
+ * @param {import("./cache.js").CacheResult} result
+ */
+export function setCacheHeaders(res, result) {
+  res.set("X-Cache", result.status.toUpperCase());
+  res.set("Age", String(Math.max(0, Math.round((currentTime() - result.fetchedAt) / 1000))));
+}
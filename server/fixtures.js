@@ -0,0 +1,225 @@
+// server/fixtures.js — Record / replay every upstream response
+//
+//   STORMSAFE_FIXTURES=record  → call upstreams for real and write each response to disk
+//   STORMSAFE_FIXTURES=replay  → never touch the network; serve responses from disk
+//   (unset)                    → normal operation
+//
+// Fixtures live in STORMSAFE_FIXTURES_DIR (default fixtures/recorded), one JSON file per
+// distinct request, grouped by source: mta/, path/, openweather/, nws/, open-meteo/, mapbox/, anthropic/, ...
+// API keys are stripped from URLs before they are hashed or written, so a recorded
+// storm night can be shared and replayed without anyone's credentials.
+//
+// Replay also pins the clock (src/api/clock.js) to when the recording started — kept in
+// <dir>/clock.json, or STORMSAFE_FIXTURES_NOW (ISO 8601) — so alert windows and forecast slots
+// read as they did that night. Timestamps in request bodies are left out of the fixture hash.
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { Response } from "node-fetch";
+
+export const FIXTURE_MODES = ["record", "replay"];
+
+// Query parameters that carry credentials
+const SECRET_PARAMS = ["apikey", "api_key", "appid", "access_token", "key", "token"];
+
+const SOURCE_BY_HOST = {
+  "api-endpoint.mta.info": "mta",
+  "collector-otp-prod.camsys-apps.com": "mta",
+  "data.ny.gov": "mta",
+  "www.panynj.gov": "path",
+  "api.openweathermap.org": "openweather",
+  "api.weather.gov": "nws",
+  "api.open-meteo.com": "open-meteo",
+  "air-quality-api.open-meteo.com": "open-meteo",
+  "api.mapbox.com": "mapbox",
+  "api.anthropic.com": "anthropic",
+};
+
+/**
+ * Error thrown in replay mode when no fixture matches a request
+ */
+export class MissingFixtureError extends Error {
+  constructor(method, url, file) {
+    super(`No recorded fixture for ${method} ${url} (expected ${file})`);
+    this.name = "MissingFixtureError";
+    this.file = file;
+  }
+}
+
+/**
+ * Remove credential query params from a URL
+ * @param {string} url
+ * @returns {string}
+ */
+export function redactUrl(url) {
+  const parsed = new URL(url);
+  for (const param of SECRET_PARAMS) {
+    parsed.searchParams.delete(param);
+  }
+  return parsed.toString();
+}
+
+/**
+ * Short name for the upstream a URL belongs to, used as the fixture sub-directory
+ */
+export function sourceForUrl(url) {
+  const host = new URL(url).host;
+  return SOURCE_BY_HOST[host] ?? host.replace(/[^a-z0-9.-]/gi, "_");
+}
+
+// ISO 8601 date-times, as departure times, alert windows and forecast periods are written
+const TIMESTAMP_PATTERN = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?/g;
+
+/**
+ * A request body as it is hashed: timestamps replaced with a placeholder, so a request built at
+ * a different moment from the same data (a Claude prompt carrying the departure time) still matches
+ * @param {string|null} body
+ * @returns {string}
+ */
+export function normalizeRequestBody(body) {
+  return (body ?? "").replace(TIMESTAMP_PATTERN, "<time>");
+}
+
+/**
+ * Stable fixture path for a request: <dir>/<source>/<hash of method + redacted URL + normalized body>.json
+ */
+export function fixturePath(dir, method, url, body) {
+  const redacted = redactUrl(url);
+  const hash = crypto
+    .createHash("sha1")
+    .update(`${method} ${redacted}\n${normalizeRequestBody(body)}`)
+    .digest("hex")
+    .slice(0, 16);
+  return path.join(dir, sourceForUrl(url), `${hash}.json`);
+}
+
+function isTextContentType(contentType) {
+  return /json|text|xml|javascript/i.test(contentType || "");
+}
+
+/**
+ * Build a Response from a fixture file's contents
+ */
+function responseFromFixture(fixture) {
+  const body =
+    fixture.bodyEncoding === "base64"
+      ? Buffer.from(fixture.body, "base64")
+      : fixture.body;
+
+  return new Response(body, {
+    status: fixture.status,
+    statusText: fixture.statusText,
+    headers: fixture.contentType ? { "content-type": fixture.contentType } : {},
+  });
+}
+
+/**
+ * Wrap a fetch implementation with record or replay behaviour
+ * @param {Function} baseFetch - The real fetch, e.g. node-fetch
+ * @param {Object} options - { mode: "record"|"replay", dir }
+ * @returns {Function} fetch-compatible (url, init) => Promise<Response>
+ */
+export function createFixtureFetch(baseFetch, { mode, dir }) {
+  let clockSaved = false;
+
+  return async function fixtureFetch(url, init = {}) {
+    const method = (init.method || "GET").toUpperCase();
+    const body = typeof init.body === "string" ? init.body : null;
+    const file = fixturePath(dir, method, url, body);
+
+    if (mode === "replay") {
+      if (!fs.existsSync(file)) {
+        throw new MissingFixtureError(method, redactUrl(url), file);
+      }
+      const fixture = JSON.parse(await fs.promises.readFile(file, "utf8"));
+      return responseFromFixture(fixture);
+    }
+
+    const response = await baseFetch(url, init);
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const contentType = response.headers.get("content-type");
+    const text = isTextContentType(contentType);
+
+    const fixture = {
+      source: sourceForUrl(url),
+      method,
+      url: redactUrl(url),
+      requestBody: body,
+      recordedAt: new Date().toISOString(),
+      status: response.status,
+      statusText: response.statusText,
+      contentType,
+      bodyEncoding: text ? "utf8" : "base64",
+      body: text ? buffer.toString("utf8") : buffer.toString("base64"),
+    };
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, JSON.stringify(fixture, null, 2));
+
+    // The first request of a recording session sets the time replay runs at
+    if (!clockSaved) {
+      clockSaved = true;
+      await fs.promises.writeFile(clockFile(dir), JSON.stringify({ recordedAt: fixture.recordedAt }, null, 2));
+    }
+
+    return responseFromFixture(fixture);
+  };
+}
+
+function clockFile(dir) {
+  return path.join(dir, "clock.json");
+}
+
+/**
+ * The time a replay runs at: STORMSAFE_FIXTURES_NOW, else when the recording started
+ * @param {string} dir - Fixture directory
+ * @returns {number|null} Epoch ms, or null when neither is known
+ * @throws {Error} On a STORMSAFE_FIXTURES_NOW that is not a date
+ */
+export function replayTime(dir) {
+  const pinned = process.env.STORMSAFE_FIXTURES_NOW;
+  if (pinned) {
+    const ms = Date.parse(pinned);
+    if (Number.isNaN(ms)) throw new Error(`STORMSAFE_FIXTURES_NOW must be an ISO 8601 time (got "${pinned}")`);
+    return ms;
+  }
+
+  try {
+    return Date.parse(JSON.parse(fs.readFileSync(clockFile(dir), "utf8")).recordedAt) || null;
+  } catch {
+    return null;
+  }
+}
+
+// Credentials the pipeline checks for before calling an upstream
+const KEY_VARS = ["ANTHROPIC_API_KEY", "OPENWEATHER_API_KEY", "VITE_MAPBOX_TOKEN"];
+
+/**
+ * In replay mode no real credentials are needed — keys are stripped from fixture
+ * names — so fill any missing ones with a placeholder to get past the "not configured" checks.
+ */
+export function applyReplayKeyPlaceholders() {
+  for (const name of KEY_VARS) {
+    if (!process.env[name]) process.env[name] = "replay";
+  }
+}
+
+/**
+ * Read fixture settings from the environment
+ * @returns {{ mode: string, dir: string }|null} null when fixtures are off
+ * @throws {Error} On an unknown STORMSAFE_FIXTURES value
+ */
+export function fixtureConfigFromEnv(rootDir) {
+  const mode = process.env.STORMSAFE_FIXTURES;
+  if (!mode) return null;
+
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new Error(
+      `STORMSAFE_FIXTURES must be one of: ${FIXTURE_MODES.join(", ")} (got "${mode}")`
+    );
+  }
+
+  const dir = path.resolve(rootDir, process.env.STORMSAFE_FIXTURES_DIR || "fixtures/recorded");
+  return { mode, dir };
+}
@@ -0,0 +1,237 @@
+// server/gtfsrt.js — Decode MTA GTFS-realtime alert and trip-update feeds (protobuf) into the JSON shape
+// the rest of StormSafe already reads (snake_case keys, string enums — the same as the MTA's
+// own JSON feeds and the camsys mirror).
+//
+// Standard GTFS-RT fields are decoded with gtfs-realtime-bindings. The bindings drop
+// extension fields, so the MTA's Mercury extensions (field 1001 on FeedHeader, Alert and
+// EntitySelector) are read from the raw bytes here and attached under the same keys the
+// MTA JSON uses:
+//   header["transit_realtime.mercury_feed_header"]           { mercury_version }
+//   alert["transit_realtime.mercury_alert"]                  { created_at, updated_at, alert_type, ... }
+//   informed_entity[i]["transit_realtime.mercury_entity_selector"]  { sort_order }
+
+import GtfsRealtimeBindings from "gtfs-realtime-bindings";
+import protobuf from "protobufjs/minimal.js";
+import { UpstreamError } from "./upstreams.js";
+
+const { transit_realtime: rt } = GtfsRealtimeBindings;
+
+const MERCURY_EXTENSION_FIELD = 1001;
+
+export const MERCURY_KEYS = {
+  feedHeader: "transit_realtime.mercury_feed_header",
+  alert: "transit_realtime.mercury_alert",
+  entitySelector: "transit_realtime.mercury_entity_selector",
+};
+
+const WIRE_LENGTH_DELIMITED = 2;
+
+/**
+ * Call visit(field, wireType, reader) for each top-level field of an encoded message.
+ * visit must consume the field's value; returning false skips it instead.
+ */
+function forEachField(bytes, visit) {
+  const reader = protobuf.Reader.create(bytes);
+  while (reader.pos < reader.len) {
+    const tag = reader.uint32();
+    const field = tag >>> 3;
+    const wireType = tag & 7;
+    if (visit(field, wireType, reader) === false) reader.skipType(wireType);
+  }
+}
+
+/**
+ * All length-delimited values of one field, as byte arrays
+ */
+function embedded(bytes, fieldNumber) {
+  const found = [];
+  forEachField(bytes, (field, wireType, reader) => {
+    if (field !== fieldNumber || wireType !== WIRE_LENGTH_DELIMITED) return false;
+    found.push(reader.bytes());
+    return true;
+  });
+  return found;
+}
+
+function toNumber(value) {
+  return typeof value === "object" && value !== null ? value.toNumber() : value;
+}
+
+const snakeCase = (key) => key.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`);
+
+/**
+ * Deep-convert protobufjs toObject() output (camelCase) to GTFS-RT JSON field names
+ */
+function snakeKeys(value) {
+  if (Array.isArray(value)) return value.map(snakeKeys);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [snakeCase(k), snakeKeys(v)])
+    );
+  }
+  return value;
+}
+
+function messageToJson(type, message) {
+  return snakeKeys(type.toObject(message, { enums: String, longs: Number }));
+}
+
+function decodeTranslatedString(bytes) {
+  return messageToJson(rt.TranslatedString, rt.TranslatedString.decode(bytes));
+}
+
+function decodeEntitySelector(bytes) {
+  return messageToJson(rt.EntitySelector, rt.EntitySelector.decode(bytes));
+}
+
+/**
+ * MercuryFeedHeader { 1: mercury_version }
+ */
+function decodeMercuryFeedHeader(bytes) {
+  const out = {};
+  forEachField(bytes, (field, _wireType, reader) => {
+    if (field !== 1) return false;
+    out.mercury_version = reader.string();
+    return true;
+  });
+  return out;
+}
+
+/**
+ * MercuryEntitySelector { 1: sort_order } — e.g. "MTASBWY:A:20"
+ */
+function decodeMercuryEntitySelector(bytes) {
+  const out = {};
+  forEachField(bytes, (field, _wireType, reader) => {
+    if (field !== 1) return false;
+    out.sort_order = reader.string();
+    return true;
+  });
+  return out;
+}
+
+/**
+ * MercuryStationAlternative { 1: affected_entity, 2: notes }
+ */
+function decodeStationAlternative(bytes) {
+  const out = {};
+  forEachField(bytes, (field, _wireType, reader) => {
+    if (field === 1) out.affected_entity = decodeEntitySelector(reader.bytes());
+    else if (field === 2) out.notes = decodeTranslatedString(reader.bytes());
+    else return false;
+    return true;
+  });
+  return out;
+}
+
+/**
+ * MercuryAlert — the MTA's alert metadata (alert type, timestamps, planned-work numbers, ...)
+ */
+function decodeMercuryAlert(bytes) {
+  const out = {};
+  const push = (key, value) => {
+    (out[key] ??= []).push(value);
+  };
+
+  forEachField(bytes, (field, _wireType, reader) => {
+    switch (field) {
+      case 1: out.created_at = toNumber(reader.uint64()); break;
+      case 2: out.updated_at = toNumber(reader.uint64()); break;
+      case 3: out.alert_type = reader.string(); break;
+      case 4: push("station_alternative", decodeStationAlternative(reader.bytes())); break;
+      case 5: push("service_plan_number", reader.string()); break;
+      case 6: push("general_order_number", reader.string()); break;
+      case 7: out.display_before_active = toNumber(reader.uint64()); break;
+      case 8: out.human_readable_active_period = decodeTranslatedString(reader.bytes()); break;
+      case 9: push("directionality", reader.string()); break;
+      case 10: push("affected_stations", decodeEntitySelector(reader.bytes())); break;
+      case 11: out.screens_summary = decodeTranslatedString(reader.bytes()); break;
+      case 12: out.no_affected_stations = reader.bool(); break;
+      case 13: out.clone_id = reader.string(); break;
+      default: return false;
+    }
+    return true;
+  });
+  return out;
+}
+
+/**
+ * The Mercury extension on one encoded message, decoded, or null
+ */
+function mercuryExtension(bytes, decode) {
+  const [ext] = embedded(bytes, MERCURY_EXTENSION_FIELD);
+  return ext ? decode(ext) : null;
+}
+
+// Field numbers of the standard messages we walk to reach the extensions
+const FEED_HEADER = 1;
+const FEED_ENTITY = 2;
+const ENTITY_ALERT = 5;
+const ALERT_INFORMED_ENTITY = 5;
+
+/**
+ * Attach Mercury extensions from the raw feed bytes to the decoded JSON, in place
+ */
+function attachMercuryExtensions(bytes, json) {
+  const [headerBytes] = embedded(bytes, FEED_HEADER);
+  const feedHeaderExt = headerBytes ? mercuryExtension(headerBytes, decodeMercuryFeedHeader) : null;
+  if (feedHeaderExt && json.header) json.header[MERCURY_KEYS.feedHeader] = feedHeaderExt;
+
+  embedded(bytes, FEED_ENTITY).forEach((entityBytes, i) => {
+    const alert = json.entity?.[i]?.alert;
+    const [alertBytes] = embedded(entityBytes, ENTITY_ALERT);
+    if (!alert || !alertBytes) return;
+
+    const alertExt = mercuryExtension(alertBytes, decodeMercuryAlert);
+    if (alertExt) alert[MERCURY_KEYS.alert] = alertExt;
+
+    embedded(alertBytes, ALERT_INFORMED_ENTITY).forEach((selectorBytes, j) => {
+      const selectorExt = mercuryExtension(selectorBytes, decodeMercuryEntitySelector);
+      if (selectorExt && alert.informed_entity?.[j]) {
+        alert.informed_entity[j][MERCURY_KEYS.entitySelector] = selectorExt;
+      }
+    });
+  });
+}
+
+/**
+ * Decode a GTFS-RT protobuf alert feed, Mercury extensions included
+ * @param {Uint8Array} bytes - Raw feed body
+ * @returns {Object} { header, entity: [...] } in GTFS-RT JSON form
+ * @throws {UpstreamError} 502 when the body is not a GTFS-RT FeedMessage
+ */
+export function decodeAlertFeed(bytes) {
+  let json;
+  try {
+    json = messageToJson(rt.FeedMessage, rt.FeedMessage.decode(bytes));
+    json.entity ??= [];
+    attachMercuryExtensions(bytes, json);
+  } catch (err) {
+    throw new UpstreamError("MTA GTFS-RT feed could not be decoded", {
+      status: 502,
+      details: err.message,
+    });
+  }
+  return json;
+}
+
+/**
+ * Decode a GTFS-RT protobuf trip-update feed (the subway's real-time train positions)
+ * The NYCT extensions (track assignments, scheduled tracks) are left out — arrival times are
+ * all StormSafe reads.
+ * @param {Uint8Array} bytes - Raw feed body
+ * @returns {Object} { header, entity: [...] } in GTFS-RT JSON form
+ * @throws {UpstreamError} 502 when the body is not a GTFS-RT FeedMessage
+ */
+export function decodeTripUpdateFeed(bytes) {
+  try {
+    const json = messageToJson(rt.FeedMessage, rt.FeedMessage.decode(bytes));
+    json.entity ??= [];
+    return json;
+  } catch (err) {
+    throw new UpstreamError("MTA GTFS-RT trip updates could not be decoded", {
+      status: 502,
+      details: err.message,
+    });
+  }
+}
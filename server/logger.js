@@ -0,0 +1,175 @@
+// server/logger.js — Leveled JSON logger with per-request correlation IDs
+//
+// Every line is one JSON object: { time, level, msg, requestId?, ...fields }.
+// The request ID lives in AsyncLocalStorage, so anything logged while handling a
+// request — route code, upstream calls, the shared src/api modules — carries it
+// without threading it through every function signature.
+// Secrets are redacted from field names that look like credentials and from URLs.
+
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
+
+// "silent" is a threshold only (used by the test run) — nothing logs at it
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+
+const requestContext = new AsyncLocalStorage();
+
+// Whole field names only — "max_tokens" and "tokens_used" are not credentials
+const SECRET_KEY_PATTERN = /^(?:x[-_])?(?:api[-_]?key|appid|(?:access|auth|refresh)[-_]?token|token|(?:client[-_]?)?secret|password|authorization)$/i;
+const SECRET_PARAM_PATTERN = /([?&](?:apikey|api_key|appid|access_token|key|token)=)[^&\s"']+/gi;
+const SECRET_PREFIXES = /\b(sk-ant-[\w-]+|pk\.[\w.-]+|sk\.[\w.-]+)/g;
+
+/**
+ * Redact credentials from a string (query params and well-known key formats)
+ * @param {string} text
+ * @returns {string}
+ */
+export function redactString(text) {
+  return text
+    .replace(SECRET_PARAM_PATTERN, "$1[REDACTED]")
+    .replace(SECRET_PREFIXES, "[REDACTED]");
+}
+
+/**
+ * Deep-copy a value with secrets redacted and Errors made serializable
+ * @param {*} value
+ * @param {number} depth - Recursion guard
+ */
+export function redact(value, depth = 0) {
+  if (depth > 6) return "[Truncated]";
+  if (typeof value === "string") return redactString(value);
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message),
+      ...(value.status ? { status: value.status } : {}),
+      ...(value.stack ? { stack: redactString(value.stack) } : {}),
+    };
+  }
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      out[k] = SECRET_KEY_PATTERN.test(k) ? "[REDACTED]" : redact(v, depth + 1);
+    }
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Current request ID, if we are inside a request
+ * @returns {string|undefined}
+ */
+export function currentRequestId() {
+  return requestContext.getStore()?.requestId;
+}
+
+/**
+ * Create a logger
+ * @param {Object} options
+ * @param {string} options.level - Minimum level: debug | info | warn | error | silent
+ * @param {Object} options.fields - Fields added to every line
+ * @param {Function} options.write - (level, line) => void; defaults to stdout/stderr
+ * @returns {Object} { debug, info, warn, error, child }
+ */
+export function createLogger({ level = "info", fields = {}, write = defaultWrite } = {}) {
+  const threshold = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+
+  function log(lineLevel, msg, extra = {}) {
+    if (LOG_LEVELS[lineLevel] < threshold) return;
+
+    const requestId = currentRequestId();
+    const entry = {
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg: redactString(String(msg)),
+      ...(requestId ? { requestId } : {}),
+      ...redact(fields),
+      ...redact(extra),
+    };
+    write(lineLevel, JSON.stringify(entry));
+  }
+
+  return {
+    debug: (msg, extra) => log("debug", msg, extra),
+    info: (msg, extra) => log("info", msg, extra),
+    warn: (msg, extra) => log("warn", msg, extra),
+    error: (msg, extra) => log("error", msg, extra),
+    child: (childFields) =>
+      createLogger({ level, fields: { ...fields, ...childFields }, write }),
+  };
+}
+
+function defaultWrite(level, line) {
+  if (level === "error" || level === "warn") {
+    process.stderr.write(`${line}\n`);
+  } else {
+    process.stdout.write(`${line}\n`);
+  }
+}
+
+export const logger = createLogger({ level: process.env.LOG_LEVEL || "info" });
+
+/**
+ * Express middleware: assign a request ID (honouring an incoming X-Request-ID),
+ * echo it back, run the rest of the request inside its context and log completion
+ */
+export function requestLogging(log = logger) {
+  return (req, res, next) => {
+    const incoming = req.get("x-request-id");
+    const requestId = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+    req.id = requestId;
+    res.set("X-Request-ID", requestId);
+
+    const started = Date.now();
+    res.on("finish", () => {
+      requestContext.run({ requestId }, () => {
+        log.info("request completed", {
+          method: req.method,
+          path: req.path,
+          status: res.statusCode,
+          durationMs: Date.now() - started,
+        });
+      });
+    });
+
+    requestContext.run({ requestId }, next);
+  };
+}
+
+/**
+ * Wrap a fetch implementation so every upstream call is logged with the
+ * request ID and forwards it as X-Request-ID
+ * @param {Function} fetchImpl - (url, init) => Promise<Response>
+ * @param {Function} sourceForUrl - url => short upstream name
+ * @param {Object} log - Logger
+ */
+export function withUpstreamLogging(fetchImpl, sourceForUrl, log = logger) {
+  return async function loggedFetch(url, init = {}) {
+    const requestId = currentRequestId();
+    const headers = requestId ? { ...(init.headers || {}), "X-Request-ID": requestId } : init.headers;
+    const source = sourceForUrl(url);
+    const started = Date.now();
+
+    try {
+      const response = await fetchImpl(url, { ...init, headers });
+      log.info("upstream response", {
+        source,
+        method: (init.method || "GET").toUpperCase(),
+        url,
+        status: response.status,
+        durationMs: Date.now() - started,
+      });
+      return response;
+    } catch (err) {
+      log.error("upstream request failed", {
+        source,
+        url,
+        durationMs: Date.now() - started,
+        error: err,
+      });
+      throw err;
+    }
+  };
+}
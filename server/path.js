@@ -0,0 +1,154 @@
+// server/path.js — Validate and normalize the Port Authority ridepath.json feed
+//
+// Raw shape (abridged):
+//   { results: [ { consideredStation: "JSQ", destinations: [
+//       { label: "ToNY", messages: [
+//           { target: "33S", secondsToArrival: "360", arrivalTimeMessage: "6 min",
+//             lineColor: "FF9900", headSign: "33rd Street", lastUpdated: "2024-01-01T22:05:31-05:00" } ] } ] } ] }
+
+import { UpstreamError } from "./upstreams.js";
+
+export const PATH_STATIONS = {
+  NWK: "Newark",
+  HAR: "Harrison",
+  JSQ: "Journal Square",
+  GRV: "Grove Street",
+  NEW: "Newport",
+  EXP: "Exchange Place",
+  HOB: "Hoboken",
+  WTC: "World Trade Center",
+  CHR: "Christopher Street",
+  "09S": "9th Street",
+  "14S": "14th Street",
+  "23S": "23rd Street",
+  "33S": "33rd Street",
+};
+
+// ridepath.json identifies lines only by their map color
+export const PATH_LINES = {
+  "NWK-WTC": { name: "Newark – World Trade Center", color: "D93A30" },
+  "HOB-WTC": { name: "Hoboken – World Trade Center", color: "65C100" },
+  "JSQ-33": { name: "Journal Square – 33rd Street", color: "FF9900" },
+  "HOB-33": { name: "Hoboken – 33rd Street", color: "4D92FB" },
+  "JSQ-33-HOB": { name: "Journal Square – 33rd Street (via Hoboken)", color: "FF9900,4D92FB" },
+};
+
+const LINE_BY_COLOR = Object.fromEntries(
+  Object.entries(PATH_LINES).map(([id, line]) => [line.color, id])
+);
+
+// A train more than 20 minutes out counts as a delay
+const DELAY_THRESHOLD_SECONDS = 1200;
+
+const DIRECTIONS = { ToNY: "to_ny", ToNJ: "to_nj" };
+
+/**
+ * Throw a 502 UpstreamError for a ridepath.json that doesn't look like ridepath.json
+ */
+function invalidShape(reason) {
+  return new UpstreamError("PATH feed has an unexpected shape", {
+    status: 502,
+    details: reason,
+  });
+}
+
+function lineIdForColor(lineColor) {
+  const key = String(lineColor || "").toUpperCase().replace(/\s+/g, "");
+  return LINE_BY_COLOR[key] ?? null;
+}
+
+/**
+ * Normalize one arrival message
+ */
+function normalizeArrival(msg) {
+  const seconds = Number.parseInt(msg.secondsToArrival, 10);
+  const secondsToArrival = Number.isFinite(seconds) ? seconds : null;
+  const message = typeof msg.arrivalTimeMessage === "string" ? msg.arrivalTimeMessage : null;
+  const delayed =
+    Boolean(message && message.includes("Delayed")) ||
+    (secondsToArrival != null && secondsToArrival > DELAY_THRESHOLD_SECONDS);
+
+  return {
+    line: lineIdForColor(msg.lineColor),
+    headsign: msg.headSign ?? null,
+    target: msg.target ?? null,
+    minutes: secondsToArrival != null ? Math.round(secondsToArrival / 60) : null,
+    message,
+    delayed,
+    updatedAt: msg.lastUpdated ?? null,
+  };
+}
+
+/**
+ * Build the overall PATH status from all arrivals
+ * Keeps the message wording the prompt and UI already expect.
+ */
+function summarize(arrivals) {
+  for (const arrival of arrivals) {
+    if (arrival.message && arrival.message.includes("Delayed")) {
+      return { status: "delays", message: "Delays on PATH — next train delayed" };
+    }
+    if (arrival.delayed && arrival.minutes != null) {
+      return { status: "delays", message: `Delays on PATH — next train ${arrival.minutes} min` };
+    }
+  }
+  return { status: "normal", message: null };
+}
+
+/**
+ * Validate ridepath.json and reshape it per station and per line
+ * @param {Object} raw - Parsed ridepath.json
+ * @returns {Object} {
+ *   summary:  { status, message },
+ *   stations: { [code]: { name, to_ny: Arrival[], to_nj: Arrival[] } },
+ *   lines:    { [lineId]: { name, color, status, message } }
+ * }
+ * @throws {UpstreamError} 502 when the document is not ridepath-shaped
+ */
+export function normalizeRidePath(raw) {
+  if (!raw || !Array.isArray(raw.results)) {
+    throw invalidShape("missing results array");
+  }
+
+  const stations = {};
+  const allArrivals = [];
+
+  for (const result of raw.results) {
+    const code = result?.consideredStation;
+    if (typeof code !== "string" || !Array.isArray(result.destinations)) {
+      throw invalidShape("result without consideredStation/destinations");
+    }
+
+    const station = { name: PATH_STATIONS[code] ?? code, to_ny: [], to_nj: [] };
+
+    for (const destination of result.destinations) {
+      const direction = DIRECTIONS[destination?.label];
+      if (!direction || !Array.isArray(destination.messages)) continue;
+
+      for (const msg of destination.messages) {
+        const arrival = normalizeArrival(msg);
+        station[direction].push(arrival);
+        allArrivals.push(arrival);
+      }
+    }
+
+    stations[code] = station;
+  }
+
+  const lines = {};
+  for (const [id, line] of Object.entries(PATH_LINES)) {
+    const delayed = allArrivals.find((a) => a.line === id && a.delayed);
+    lines[id] = {
+      name: line.name,
+      color: `#${line.color.split(",")[0]}`,
+      status: delayed ? "delays" : "normal",
+      message: delayed
+        ? delayed.message?.includes("Delayed")
+          ? "Next train delayed"
+          : `Next train ${delayed.minutes} min`
+        : null,
+    };
+  }
+
+  return { summary: summarize(allArrivals), stations, lines };
+}
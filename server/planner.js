@@ -0,0 +1,96 @@
+// server/planner.js — Build the per-slot trip payloads for the "best time to leave" planner
+// (src/api/planner.js scores them). Every slot reads the same cached weather provider responses
+// and the same MTA feed, so planning costs no upstream calls beyond the assessment itself.
+
+import { applyStormMultiplier } from "../src/api/travelData.js";
+import { buildTransitStatus } from "../src/api/transitStatus.js";
+import { currentTime } from "../src/api/clock.js";
+import { routeWeatherPoints } from "../src/api/weather.js";
+import { classifyWeatherSeverity } from "../src/api/severity.js";
+import { DEFAULT_UNIT_SYSTEM, weatherReadings } from "../src/api/units.js";
+import {
+  DEFAULT_RETURN_AFTER_HOURS,
+  departureCandidates,
+  planDeparture,
+  scoreLeg,
+} from "../src/api/planner.js";
+import { getRouteWeather } from "./weather.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Longest evening out the planner will assume
+export const MAX_RETURN_AFTER_HOURS = 8;
+
+/**
+ * Validate the planner's optional returnAfterHours
+ * @param {Object} body - Parsed request body
+ * @returns {Array<string>} Validation problems (empty when absent or valid)
+ */
+export function validateReturnAfterHours(body) {
+  const value = body?.returnAfterHours;
+  if (value === undefined) return [];
+  if (!Number.isFinite(value) || value < 1 || value > MAX_RETURN_AFTER_HOURS) {
+    return [`returnAfterHours must be a number from 1 to ${MAX_RETURN_AFTER_HOURS}`];
+  }
+  return [];
+}
+
+/**
+ * Plan the best departure over the next PLANNER_HORIZON_HOURS
+ * @param {Object} trip
+ * @param {Object} trip.origin - { lat, lng }
+ * @param {Object} trip.destination - { lat, lng }
+ * @param {Object|null} trip.travelData - fetchTravelData() result
+ * @param {Object|null} trip.ground - Ground conditions now (src/api/ground.js), assumed to hold across
+ *   the horizon: snow and ice on the sidewalks outlast a few hours
+ * @param {Object|null} trip.mtaJson - MTA alerts feed (GTFS-RT JSON)
+ * @param {Object|null} trip.pathStatus - PATH { status, message }, or null when irrelevant
+ * @param {Object|null} trip.travelBan - Current travel ban, assumed to hold across the horizon
+ * @param {boolean} trip.isWalkable
+ * @param {string} trip.units - Unit system for the headlines (see src/api/units.js)
+ * @param {number} trip.returnAfterHours - Time out before the trip home
+ * @param {number} trip.now - Epoch ms
+ * @returns {Promise<Object>} planDeparture() result
+ * @throws {UpstreamError} When weather can't be fetched for the route at all
+ */
+export async function planTrip({
+  origin,
+  destination,
+  travelData,
+  ground = null,
+  mtaJson,
+  pathStatus,
+  travelBan = null,
+  isWalkable,
+  units = DEFAULT_UNIT_SYSTEM,
+  returnAfterHours = DEFAULT_RETURN_AFTER_HOURS,
+  now = currentTime(),
+}) {
+  const points = routeWeatherPoints(origin, destination, travelData);
+
+  async function legAt(at) {
+    const weather = (await getRouteWeather(points, at)).data;
+    const severity = classifyWeatherSeverity(weather, units);
+    const legTravelData = applyStormMultiplier(travelData, severity.level, ground?.condition);
+    return scoreLeg(at, {
+      weather,
+      weather_severity: severity,
+      ground_conditions: ground,
+      readings: weatherReadings(weather, units, legTravelData, ground),
+      travel_ban: travelBan,
+      transit_status: buildTransitStatus(mtaJson, pathStatus, [], at),
+      travel_data: legTravelData,
+      is_walkable: isWalkable,
+    });
+  }
+
+  const slots = await Promise.all(
+    departureCandidates(now).map(async (at) => {
+      const returnAt = new Date(Date.parse(at) + returnAfterHours * HOUR_MS).toISOString();
+      const [outbound, back] = await Promise.all([legAt(at), legAt(returnAt)]);
+      return { outbound, return: back };
+    })
+  );
+
+  return planDeparture(slots, returnAfterHours);
+}
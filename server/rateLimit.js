@@ -0,0 +1,161 @@
+// server/rateLimit.js — Per-client rate limiting and quota accounting
+// Clients are identified by API key (x-stormsafe-key header) when they send a known one,
+// otherwise by IP. Each limiter uses a fixed window and keeps running totals per client.
+
+/**
+ * Parse STORMSAFE_API_KEYS ("key1,key2") into a Set
+ * @param {string|undefined} raw
+ * @returns {Set<string>}
+ */
+export function parseApiKeys(raw) {
+  return new Set(
+    (raw || "")
+      .split(",")
+      .map((k) => k.trim())
+      .filter(Boolean)
+  );
+}
+
+/**
+ * Read a positive integer from the environment, falling back to a default
+ */
+export function envInt(name, fallback) {
+  const value = Number.parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Work out who is calling
+ * @param {Object} req - Express request
+ * @param {Set<string>} apiKeys - Known API keys
+ * @returns {{ id: string, type: "key"|"ip" }|{ error: string }}
+ */
+export function identifyClient(req, apiKeys) {
+  const key = req.get("x-stormsafe-key");
+  if (key) {
+    if (!apiKeys.has(key)) return { error: "Unknown API key" };
+    return { id: `key:${key}`, type: "key" };
+  }
+  return { id: `ip:${req.ip}`, type: "ip" };
+}
+
+/**
+ * Create a fixed-window rate limiter
+ * @param {Object} options
+ * @param {string} options.name - Limiter name, used in usage reports (e.g. "claude")
+ * @param {number} options.windowMs - Window length
+ * @param {number} options.maxPerIp - Requests per window for anonymous clients
+ * @param {number} options.maxPerKey - Requests per window for API-key clients
+ * @param {Function} options.now - Clock, injectable for tests
+ * @returns {Object} { name, consume, peek }
+ */
+export function createRateLimiter({ name, windowMs, maxPerIp, maxPerKey, now = Date.now }) {
+  // clientId → { windowStart, count, allowed, rejected }
+  const clients = new Map();
+
+  function limitFor(type) {
+    return type === "key" ? maxPerKey : maxPerIp;
+  }
+
+  function current(clientId) {
+    const t = now();
+    let entry = clients.get(clientId);
+    if (!entry) {
+      entry = { windowStart: t, count: 0, allowed: 0, rejected: 0 };
+      clients.set(clientId, entry);
+    } else if (t - entry.windowStart >= windowMs) {
+      entry.windowStart = t;
+      entry.count = 0;
+    }
+    return entry;
+  }
+
+  // Drop clients whose window has long expired so the map does not grow forever
+  function sweep() {
+    const t = now();
+    for (const [id, entry] of clients) {
+      if (t - entry.windowStart >= windowMs * 10) clients.delete(id);
+    }
+  }
+
+  function describe(entry, type) {
+    const limit = limitFor(type);
+    const resetMs = Math.max(0, entry.windowStart + windowMs - now());
+    return {
+      limiter: name,
+      limit,
+      remaining: Math.max(0, limit - entry.count),
+      resetSeconds: Math.ceil(resetMs / 1000),
+      windowSeconds: Math.round(windowMs / 1000),
+      totals: { allowed: entry.allowed, rejected: entry.rejected },
+    };
+  }
+
+  /**
+   * Count one request against the client's quota
+   * @returns {Object} Usage snapshot plus { ok: boolean }
+   */
+  function consume(client) {
+    if (clients.size > 10000) sweep();
+
+    const entry = current(client.id);
+    const limit = limitFor(client.type);
+
+    if (entry.count >= limit) {
+      entry.rejected += 1;
+      return { ok: false, ...describe(entry, client.type) };
+    }
+
+    entry.count += 1;
+    entry.allowed += 1;
+    return { ok: true, ...describe(entry, client.type) };
+  }
+
+  /**
+   * Report the client's usage without counting a request
+   */
+  function peek(client) {
+    return describe(current(client.id), client.type);
+  }
+
+  return { name, consume, peek };
+}
+
+/**
+ * Set the standard RateLimit-* headers for a usage snapshot
+ */
+function setRateLimitHeaders(res, usage) {
+  res.set("RateLimit-Limit", String(usage.limit));
+  res.set("RateLimit-Remaining", String(usage.remaining));
+  res.set("RateLimit-Reset", String(usage.resetSeconds));
+}
+
+/**
+ * Express middleware enforcing a limiter
+ * Responds 401 for unknown API keys and 429 (with Retry-After) when over quota.
+ * @param {Object} limiter - From createRateLimiter
+ * @param {Set<string>} apiKeys - Known API keys
+ */
+export function rateLimit(limiter, apiKeys) {
+  return (req, res, next) => {
+    const client = identifyClient(req, apiKeys);
+    if (client.error) {
+      return res.status(401).json({ error: client.error });
+    }
+
+    const usage = limiter.consume(client);
+    setRateLimitHeaders(res, usage);
+
+    if (!usage.ok) {
+      res.set("Retry-After", String(usage.resetSeconds));
+      return res.status(429).json({
+        error: "Too many requests",
+        code: "rate_limited",
+        limiter: limiter.name,
+        retryAfter: usage.resetSeconds,
+      });
+    }
+
+    return next();
+  };
+}
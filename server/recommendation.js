@@ -0,0 +1,49 @@
+// server/recommendation.js — Ask Claude for a trip verdict using the server-owned prompt,
+// and cross-check it against the deterministic rules engine
+
+import { parseRecommendationResponse } from "../src/api/claudeEngine.js";
+import { compareVerdicts, getRuleBasedRecommendation } from "../src/api/rulesEngine.js";
+import { buildRecommendationRequest, DEFAULT_MODEL } from "./prompt.js";
+import { callAnthropic } from "./upstreams.js";
+import { logger } from "./logger.js";
+
+/**
+ * Log Claude's verdict next to the rules engine's, at warn level when they are
+ * DISAGREEMENT_STEPS or more apart so prompt regressions show up in the logs
+ * @param {Object} payload - Trip payload
+ * @param {Object} recommendation - Claude's normalized recommendation
+ * @returns {{ rules: Object, steps: number, disagree: boolean }}
+ */
+export function crossCheckRecommendation(payload, recommendation) {
+  const rules = getRuleBasedRecommendation(payload);
+  const { steps, disagree } = compareVerdicts(recommendation, rules);
+  const fields = {
+    claudeVerdict: recommendation.verdict,
+    rulesVerdict: rules.verdict,
+    claudeReturnRisk: recommendation.return_risk,
+    rulesReturnRisk: rules.return_risk,
+    steps,
+  };
+
+  if (disagree) {
+    logger.warn("Claude and the rules engine disagree", { ...fields, rulesReasons: rules.reasons });
+  } else {
+    logger.info("Verdict cross-check", fields);
+  }
+  return { rules, steps, disagree };
+}
+
+/**
+ * Build the prompt for a trip payload, call Anthropic and normalize the verdict
+ * @param {Object} payload - Trip payload (see TRIP_PAYLOAD_FIELDS in prompt.js)
+ * @param {string} model - One of ALLOWED_MODELS
+ * @returns {Promise<Object>} Normalized recommendation
+ * @throws {UpstreamError} When Anthropic returns a non-2xx status
+ * @throws {Error} When the model output cannot be parsed
+ */
+export async function requestRecommendation(payload, model = DEFAULT_MODEL) {
+  const data = await callAnthropic(buildRecommendationRequest(payload, model));
+  const recommendation = parseRecommendationResponse(data);
+  crossCheckRecommendation(payload, recommendation);
+  return recommendation;
+}
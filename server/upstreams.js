@@ -0,0 +1,422 @@
+// server/upstreams.js — Raw fetchers for the third-party feeds StormSafe depends on
+// Shared by the proxy routes and the /api/assess pipeline so both hit upstreams the same way.
+// All calls go through httpFetch so fixture record/replay (server/fixtures.js) sees them.
+
+import fs from "fs";
+import { httpFetch } from "../src/api/http.js";
+import { isPointInGeometry } from "../src/api/geo.js";
+import { logger } from "./logger.js";
+
+// Official MTA GTFS-RT alert feeds (protobuf, no key required), by mode — the subway feed also
+// carries the Staten Island Railway
+export const MTA_ALERT_FEEDS = {
+  subway: "https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/camsys%2Fsubway-alerts",
+  lirr: "https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/camsys%2Flirr-alerts",
+  mnr: "https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/camsys%2Fmnr-alerts",
+};
+
+// Official MTA GTFS-RT subway trip-update feeds (protobuf, no key required), one per group of lines
+const MTA_TRIP_UPDATES_URL = "https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs";
+export const MTA_TRIP_UPDATE_FEEDS = {
+  numbered: MTA_TRIP_UPDATES_URL,
+  ace: `${MTA_TRIP_UPDATES_URL}-ace`,
+  bdfm: `${MTA_TRIP_UPDATES_URL}-bdfm`,
+  g: `${MTA_TRIP_UPDATES_URL}-g`,
+  jz: `${MTA_TRIP_UPDATES_URL}-jz`,
+  nqrw: `${MTA_TRIP_UPDATES_URL}-nqrw`,
+  l: `${MTA_TRIP_UPDATES_URL}-l`,
+  si: `${MTA_TRIP_UPDATES_URL}-si`,
+};
+
+// The feed each line's trains are in; the numbered lines and the 42 St Shuttle are in "numbered"
+const TRIP_UPDATE_FEED_FOR_LINE = {
+  A: "ace", C: "ace", E: "ace", H: "ace", FS: "ace",
+  B: "bdfm", D: "bdfm", F: "bdfm", FX: "bdfm", M: "bdfm",
+  G: "g",
+  J: "jz", Z: "jz",
+  N: "nqrw", Q: "nqrw", R: "nqrw", W: "nqrw",
+  L: "l",
+  SI: "si",
+};
+
+/**
+ * Trip-update feeds carrying a set of subway or SIR lines, each once
+ * @param {Array<string>} lines - Route registry keys
+ * @returns {Array<string>} Feed URLs
+ */
+export function tripUpdateFeedsFor(lines) {
+  return [...new Set(lines.map((line) => MTA_TRIP_UPDATE_FEEDS[TRIP_UPDATE_FEED_FOR_LINE[line] ?? "numbered"]))];
+}
+
+// MTA Subway Stations on the state's open data portal (no key): one row per station, SIR included
+const MTA_STATIONS_URL = "https://data.ny.gov/resource/39hk-dx4f.json?$limit=2000";
+
+// Third-party JSON mirror of the same alerts — fallback only, needs MTA_MIRROR_API_KEY
+const MTA_MIRROR_URL = "https://collector-otp-prod.camsys-apps.com/realtime/gtfsrt/ALL/alerts?type=json";
+
+const PATH_RIDEPATH_URL = "https://www.panynj.gov/bin/portauthority/ridepath.json";
+
+const ANTHROPIC_URL = "https://api.anthropic.com/v1/messages";
+
+const OPENWEATHER_URL = "https://api.openweathermap.org/data/2.5";
+
+// National Weather Service active alerts (CAP as GeoJSON, no key — a User-Agent is required)
+const NWS_ALERTS_URL = "https://api.weather.gov/alerts/active";
+
+// NWS point metadata, which names the gridpoint forecast covering a coordinate
+const NWS_POINTS_URL = "https://api.weather.gov/points";
+
+// Open-Meteo forecast and air quality (no key)
+const OPEN_METEO_URL = "https://api.open-meteo.com/v1/forecast";
+const OPEN_METEO_AIR_URL = "https://air-quality-api.open-meteo.com/v1/air-quality";
+
+// Hourly series buildOpenMeteoWeather reads
+const OPEN_METEO_HOURLY = [
+  "temperature_2m",
+  "relative_humidity_2m",
+  "apparent_temperature",
+  "precipitation",
+  "weather_code",
+  "visibility",
+  "wind_speed_10m",
+  "wind_gusts_10m",
+];
+
+/**
+ * Error thrown when an upstream responds with a non-2xx status.
+ * Carries the upstream status so routes can pass it through to the client.
+ */
+export class UpstreamError extends Error {
+  /**
+   * @param {string} message - Human-readable error, e.g. "MTA mirror error"
+   * @param {Object} info - { status, statusText, details }
+   */
+  constructor(message, { status, statusText = null, details = null } = {}) {
+    super(message);
+    this.name = "UpstreamError";
+    this.status = status;
+    this.statusText = statusText;
+    this.details = details;
+  }
+}
+
+/**
+ * Fetch one official MTA GTFS-RT feed
+ * @param {string} url - One of MTA_ALERT_FEEDS or MTA_TRIP_UPDATE_FEEDS
+ * @returns {Promise<Buffer>} Raw protobuf body
+ * @throws {UpstreamError} On a non-2xx response
+ */
+export async function fetchMtaFeedBytes(url) {
+  const response = await httpFetch(url, {
+    headers: {
+      Accept: "application/x-protobuf",
+      "User-Agent": "StormSafe/1.0",
+    },
+  });
+
+  if (!response.ok) {
+    throw new UpstreamError("MTA GTFS-RT feed error", {
+      status: response.status,
+      statusText: response.statusText,
+    });
+  }
+
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Fetch the MTA subway station list (location, lines served, direction labels per station)
+ * Fixed URL, like the other feeds.
+ * @returns {Promise<Array<Object>>} Raw dataset rows
+ * @throws {UpstreamError} On a non-2xx response
+ */
+export async function fetchMtaStations() {
+  const response = await httpFetch(MTA_STATIONS_URL, {
+    headers: { Accept: "application/json", "User-Agent": "StormSafe/1.0" },
+  });
+
+  if (!response.ok) {
+    throw new UpstreamError("MTA stations error", {
+      status: response.status,
+      statusText: response.statusText,
+    });
+  }
+
+  return response.json();
+}
+
+/**
+ * The key for the MTA alerts JSON mirror, if one is configured
+ * @returns {string|null}
+ */
+export function mtaMirrorKey() {
+  return process.env.MTA_MIRROR_API_KEY || null;
+}
+
+/**
+ * Fetch the third-party MTA GTFS-RT alerts mirror (JSON)
+ * @returns {Promise<Object>} Raw alerts JSON ({ entity: [...] })
+ * @throws {UpstreamError} On a non-2xx response
+ */
+export async function fetchMtaAlertsMirror() {
+  const response = await httpFetch(`${MTA_MIRROR_URL}&apikey=${mtaMirrorKey()}`, {
+    method: "GET",
+    headers: {
+      Accept: "application/json",
+      "User-Agent": "StormSafe/1.0",
+    },
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    logger.error("MTA mirror error", {
+      status: response.status,
+      statusText: response.statusText,
+      body: text.slice(0, 300),
+    });
+    throw new UpstreamError("MTA mirror error", {
+      status: response.status,
+      statusText: response.statusText,
+      details: text.slice(0, 300),
+    });
+  }
+
+  const data = await response.json();
+  logger.debug("MTA alerts mirror fetched", { entities: data?.entity?.length ?? 0 });
+  return data;
+}
+
+/**
+ * Fetch the Port Authority (PATH) real-time arrivals feed
+ * Fixed URL — the server never fetches arbitrary panynj.gov paths for clients.
+ * @returns {Promise<Object>} Raw ridepath.json
+ * @throws {UpstreamError} On a non-2xx response
+ */
+export async function fetchRidePath() {
+  const response = await httpFetch(PATH_RIDEPATH_URL, {
+    headers: { "User-Agent": "StormSafe/1.0" },
+  });
+
+  if (!response.ok) {
+    throw new UpstreamError("PATH API error", { status: response.status });
+  }
+
+  return response.json();
+}
+
+/**
+ * The server's OpenWeather key
+ * VITE_OPENWEATHER_KEY is still accepted so existing .env files keep working,
+ * but nothing in the browser bundle reads it any more.
+ * @returns {string|null}
+ */
+export function openWeatherKey() {
+  return process.env.OPENWEATHER_API_KEY || process.env.VITE_OPENWEATHER_KEY || null;
+}
+
+/**
+ * Fetch one OpenWeather 2.5 endpoint for a coordinate, in metric units
+ * @param {"weather"|"forecast"|"air_pollution/forecast"} endpoint - Current conditions, the 5-day / 3-hour
+ *   forecast or the hourly air pollution forecast
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {Promise<Object>} Raw OpenWeather JSON
+ * @throws {UpstreamError} On a non-2xx response
+ */
+export async function fetchOpenWeather(endpoint, lat, lng) {
+  const response = await httpFetch(
+    `${OPENWEATHER_URL}/${endpoint}?lat=${lat}&lon=${lng}&appid=${openWeatherKey()}&units=metric`
+  );
+
+  if (!response.ok) {
+    const text = await response.text();
+    throw new UpstreamError("OpenWeather error", {
+      status: response.status,
+      statusText: response.statusText,
+      details: text.slice(0, 300),
+    });
+  }
+
+  return response.json();
+}
+
+/**
+ * Local GeoJSON file standing in for the NWS alerts API, if one is configured
+ * @returns {string|null}
+ */
+export function nwsAlertsFile() {
+  return process.env.NWS_ALERTS_FILE || null;
+}
+
+/**
+ * Read NWS alerts for a point from a local file in the api.weather.gov/alerts/active format
+ * The API filters by point itself; here alerts with a polygon are kept only when it contains
+ * the point, and zone-based alerts (no geometry) are kept as-is since zones can't be resolved offline.
+ * @param {string} file - Path to a FeatureCollection, e.g. tests/fixtures/nws-alerts.json
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {Promise<Object>} FeatureCollection with only the alerts that cover the point
+ */
+export async function readNwsAlertsFile(file, lat, lng) {
+  const collection = JSON.parse(await fs.promises.readFile(file, "utf8"));
+  return {
+    ...collection,
+    features: (collection.features ?? []).filter(
+      (feature) => !feature.geometry || isPointInGeometry({ lat, lng }, feature.geometry)
+    ),
+  };
+}
+
+/**
+ * Fetch the National Weather Service alerts active at a point
+ * Reads NWS_ALERTS_FILE instead when it is set.
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {Promise<Object>} GeoJSON FeatureCollection of CAP alerts
+ * @throws {UpstreamError} On a non-2xx response
+ */
+export async function fetchNwsAlerts(lat, lng) {
+  const file = nwsAlertsFile();
+  if (file) return readNwsAlertsFile(file, lat, lng);
+
+  return fetchNwsJson(`${NWS_ALERTS_URL}?point=${lat},${lng}`, "NWS alerts error");
+}
+
+/**
+ * GET a JSON document from api.weather.gov, which requires a User-Agent
+ * @param {string} url
+ * @param {string} errorMessage - UpstreamError message on a non-2xx response
+ */
+async function fetchNwsJson(url, errorMessage) {
+  const response = await httpFetch(url, {
+    headers: {
+      Accept: "application/geo+json",
+      "User-Agent": "StormSafe/1.0",
+    },
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    throw new UpstreamError(errorMessage, {
+      status: response.status,
+      statusText: response.statusText,
+      details: text.slice(0, 300),
+    });
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetch the NWS gridpoint forecast (raw hourly layers, SI units) covering a coordinate
+ * Two calls: /points resolves the coordinate to its forecast office grid, which is then fetched.
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {Promise<Object>} /gridpoints/{office}/{x},{y} response
+ * @throws {UpstreamError} On a non-2xx response, or when NWS has no grid for the point
+ */
+export async function fetchNwsGridpoint(lat, lng) {
+  const point = await fetchNwsJson(`${NWS_POINTS_URL}/${lat},${lng}`, "NWS points error");
+  const gridUrl = point?.properties?.forecastGridData;
+  if (!gridUrl) {
+    throw new UpstreamError("NWS points error", { status: 502, details: "No forecastGridData for this point" });
+  }
+  return fetchNwsJson(gridUrl, "NWS gridpoint error");
+}
+
+/**
+ * GET a JSON document from Open-Meteo
+ */
+async function fetchOpenMeteoJson(url, errorMessage) {
+  const response = await httpFetch(url);
+
+  if (!response.ok) {
+    const text = await response.text();
+    throw new UpstreamError(errorMessage, {
+      status: response.status,
+      statusText: response.statusText,
+      details: text.slice(0, 300),
+    });
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetch Open-Meteo's hourly forecast for a coordinate, wind in m/s and times in epoch seconds
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {Promise<Object>} /v1/forecast response
+ * @throws {UpstreamError} On a non-2xx response
+ */
+export async function fetchOpenMeteo(lat, lng) {
+  return fetchOpenMeteoJson(
+    `${OPEN_METEO_URL}?latitude=${lat}&longitude=${lng}&hourly=${OPEN_METEO_HOURLY.join(",")}` +
+      "&wind_speed_unit=ms&timeformat=unixtime&forecast_days=6",
+    "Open-Meteo error"
+  );
+}
+
+/**
+ * Fetch the last two days of hourly temperature, rain and snowfall for a coordinate from Open-Meteo
+ * (its model's recent past — see openMeteoHistoryRecords), snowfall in cm and times in epoch seconds
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {Promise<Object>} /v1/forecast response, from two days ago through today
+ * @throws {UpstreamError} On a non-2xx response
+ */
+export async function fetchOpenMeteoHistory(lat, lng) {
+  return fetchOpenMeteoJson(
+    `${OPEN_METEO_URL}?latitude=${lat}&longitude=${lng}&hourly=temperature_2m,rain,snowfall,weather_code` +
+      "&timeformat=unixtime&past_days=2&forecast_days=1",
+    "Open-Meteo history error"
+  );
+}
+
+/**
+ * Fetch Open-Meteo's hourly PM2.5 forecast for a coordinate
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {Promise<Object>} /v1/air-quality response
+ * @throws {UpstreamError} On a non-2xx response
+ */
+export async function fetchOpenMeteoAirQuality(lat, lng) {
+  return fetchOpenMeteoJson(
+    `${OPEN_METEO_AIR_URL}?latitude=${lat}&longitude=${lng}&hourly=pm2_5&timeformat=unixtime&forecast_days=5`,
+    "Open-Meteo air quality error"
+  );
+}
+
+/**
+ * Send a Messages API request to Anthropic with the server's key
+ * @param {Object} body - Request body for POST /v1/messages
+ * @returns {Promise<Object>} Anthropic response JSON
+ * @throws {UpstreamError} On a non-2xx response
+ */
+export async function callAnthropic(body) {
+  const response = await httpFetch(ANTHROPIC_URL, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      "x-api-key": process.env.ANTHROPIC_API_KEY,
+      "anthropic-version": "2023-06-01",
+    },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const errorBody = await response.text();
+    logger.error("Anthropic API error", {
+      status: response.status,
+      statusText: response.statusText,
+      body: errorBody.slice(0, 1000),
+    });
+    throw new UpstreamError(`Anthropic API error: ${response.statusText}`, {
+      status: response.status,
+      statusText: response.statusText,
+      details: errorBody,
+    });
+  }
+
+  return response.json();
+}
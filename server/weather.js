@@ -0,0 +1,262 @@
+// server/weather.js — Cached weather (OpenWeather, NWS gridpoint or Open-Meteo, see
+// server/weatherProviders.js) and NWS alerts behind GET /api/weather, GET /api/weather/route and /api/assess
+// Coordinates are rounded before fetching, so nearby trips share one cache entry
+// and one set of upstream calls.
+
+import { createSwrCache } from "./cache.js";
+import { UpstreamError, fetchNwsAlerts } from "./upstreams.js";
+import { logger } from "./logger.js";
+import { configuredWeatherProviders } from "./weatherProviders.js";
+import { weatherHistory } from "./weatherHistory.js";
+import { combineRouteWeather, mergeProviderWeather } from "../src/api/weather.js";
+import { currentTime } from "../src/api/clock.js";
+import { isInNYCArea, isValidCoords } from "../src/api/geo.js";
+
+const MINUTE = 60 * 1000;
+
+// Two decimal places ≈ 1 km — well inside the resolution of OpenWeather's grid
+export const COORD_PRECISION = 2;
+
+/**
+ * Conditions move slower than transit, and a stale forecast beats none mid-storm
+ * (see server/cache.js for the semantics)
+ */
+export const WEATHER_CACHE_POLICY = {
+  ttlMs: 5 * MINUTE,
+  staleWhileRevalidateMs: 10 * MINUTE,
+  staleIfErrorMs: 60 * MINUTE,
+};
+
+// One entry per rounded coordinate, kept apart from the feed cache so
+// many distinct locations can't evict the MTA / PATH entries
+export const weatherCache = createSwrCache({ maxEntries: 500 });
+
+/**
+ * Read { lat, lng } from a GET /api/weather query string
+ * @param {Object} query - req.query
+ * @returns {{ lat: number, lng: number }}
+ */
+export function coordsFromQuery(query) {
+  const parse = (value) => (typeof value === "string" && value.trim() !== "" ? Number(value) : NaN);
+  return { lat: parse(query?.lat), lng: parse(query?.lng) };
+}
+
+/**
+ * Validate a GET /api/weather query — only NYC-area lookups, so the
+ * endpoint can't be used as a general-purpose proxy for our key
+ * @param {Object} query - req.query
+ * @returns {Array<string>} Validation problems (empty when the query is valid)
+ */
+export function validateWeatherQuery(query) {
+  const coords = coordsFromQuery(query);
+  if (!isValidCoords(coords)) return ["lat and lng query parameters must be numbers"];
+  if (!isInNYCArea(coords)) return ["lat/lng must be a New York or New Jersey location"];
+  return validateDepartureAt(query);
+}
+
+/**
+ * Round a coordinate to COORD_PRECISION decimal places
+ * @param {number} value
+ * @returns {number}
+ */
+export function roundCoord(value) {
+  return Number(value.toFixed(COORD_PRECISION));
+}
+
+// Least-fresh first — a combined result is only as fresh as its stalest part
+const STATUS_ORDER = ["stale-if-error", "stale", "miss", "fresh"];
+
+/**
+ * Cache status of a result built from several cache results
+ * @param {Array<import("./cache.js").CacheResult>} results
+ * @returns {string}
+ */
+function stalestStatus(results) {
+  return STATUS_ORDER.find((status) => results.some((r) => r.status === status));
+}
+
+/**
+ * NWS alerts active at a rounded coordinate, cached like the weather
+ * Alerts are an extra — when NWS can't be reached the weather is still served, without them.
+ * @returns {Promise<Object|null>} Raw GeoJSON, or null when unavailable
+ */
+async function getNwsAlerts(roundedLat, roundedLng) {
+  try {
+    const result = await weatherCache.get(
+      `alerts:${roundedLat},${roundedLng}`,
+      () => fetchNwsAlerts(roundedLat, roundedLng),
+      WEATHER_CACHE_POLICY
+    );
+    return result.data;
+  } catch (err) {
+    logger.warn("NWS alerts failed — continuing without alerts", { error: err });
+    return null;
+  }
+}
+
+/**
+ * Normalized weather for a location, from the configured providers in priority order
+ * Each provider's raw responses are cached per rounded coordinate, so one entry answers every
+ * departure time. A provider that fails is skipped for the next one; once one has answered, later
+ * providers are only asked for fields nobody has supplied yet (say, air quality when OpenWeather's
+ * air pollution call failed). weather.sources names the provider behind each field. A failed NWS
+ * alerts call falls back to whatever alerts the providers carry. Every fresh observation also goes
+ * into the weather history behind the ground conditions (server/weatherHistory.js).
+ * @param {number} lat
+ * @param {number} lng
+ * @param {string|null} at - Departure time, ISO 8601; null for now (see buildWeather)
+ * @returns {Promise<import("./cache.js").CacheResult>} data: mergeProviderWeather() result;
+ *   status and fetchedAt describe the stalest provider used
+ * @throws {UpstreamError} The highest-priority provider's error when none can answer
+ */
+export async function getWeather(lat, lng, at = null) {
+  const roundedLat = roundCoord(lat);
+  const roundedLng = roundCoord(lng);
+
+  const alertsRequest = getNwsAlerts(roundedLat, roundedLng);
+  const answered = [];
+  let firstError = null;
+
+  for (const provider of configuredWeatherProviders()) {
+    if (answered.length > 0) {
+      const alerts = await alertsRequest;
+      const missing = (field) =>
+        !(field === "alerts" && alerts) && answered.every(({ weather }) => weather[field] === undefined);
+      if (!provider.fields.some(missing)) continue;
+    }
+
+    const fetchRaw = async () => {
+      const raw = await provider.fetch(roundedLat, roundedLng);
+      const observation = provider.observe?.(raw);
+      if (observation) await weatherHistory.record(roundedLat, roundedLng, [observation]);
+      return raw;
+    };
+
+    try {
+      const result = await weatherCache.get(
+        `weather:${provider.name}:${roundedLat},${roundedLng}`,
+        fetchRaw,
+        WEATHER_CACHE_POLICY
+      );
+      answered.push({ source: provider.name, weather: provider.build(result.data, at), result });
+    } catch (err) {
+      logger.warn("Weather provider failed — trying the next one", { provider: provider.name, error: err });
+      firstError ??= err;
+    }
+  }
+
+  if (answered.length === 0) {
+    throw firstError ?? new UpstreamError("No weather provider configured", { status: 500 });
+  }
+
+  const results = answered.map(({ result }) => result);
+  return {
+    data: mergeProviderWeather(answered, at, await alertsRequest),
+    status: stalestStatus(results),
+    fetchedAt: Math.min(...results.map((r) => r.fetchedAt)),
+  };
+}
+
+// How far ahead a departure may be — the end of OpenWeather's 5-day forecast
+const MAX_DEPARTURE_AHEAD_MS = 5 * 24 * 60 * MINUTE;
+
+/**
+ * Validate the optional `at` (departure time) of a weather query
+ * @param {Object} query - req.query
+ * @returns {Array<string>} Validation problems (empty when absent or valid)
+ */
+export function validateDepartureAt(query) {
+  if (query?.at === undefined) return [];
+  const at = Date.parse(query.at);
+  if (typeof query.at !== "string" || Number.isNaN(at)) return ["at must be an ISO 8601 timestamp"];
+  if (at < currentTime() - 60 * MINUTE || at > currentTime() + MAX_DEPARTURE_AHEAD_MS) {
+    return ["at must be between an hour ago and five days from now"];
+  }
+  return [];
+}
+
+// Origin + destination + the points travelData samples along the route, with room to spare
+export const MAX_ROUTE_POINTS = 10;
+
+/**
+ * Read the points of a GET /api/weather/route query: points=lat,lng;lat,lng;...
+ * @param {Object} query - req.query
+ * @returns {Array<{ lat: number, lng: number }>} NaN for anything that isn't a number
+ */
+export function pointsFromQuery(query) {
+  if (typeof query?.points !== "string" || query.points.trim() === "") return [];
+  return query.points.split(";").map((pair) => {
+    const [lat, lng] = pair.split(",");
+    return coordsFromQuery({ lat, lng });
+  });
+}
+
+/**
+ * Validate a GET /api/weather/route query — 1 to MAX_ROUTE_POINTS NYC-area points
+ * @param {Object} query - req.query
+ * @returns {Array<string>} Validation problems (empty when the query is valid)
+ */
+export function validateRouteWeatherQuery(query) {
+  const points = pointsFromQuery(query);
+  if (points.length === 0) return ["points query parameter must be lat,lng pairs separated by ;"];
+  if (points.length > MAX_ROUTE_POINTS) return [`at most ${MAX_ROUTE_POINTS} points per route`];
+
+  const problems = [];
+  points.forEach((point, i) => {
+    if (!isValidCoords(point)) problems.push(`point ${i + 1} must be numeric lat,lng`);
+    else if (!isInNYCArea(point)) problems.push(`point ${i + 1} must be a New York or New Jersey location`);
+  });
+  return [...problems, ...validateDepartureAt(query)];
+}
+
+/**
+ * Label route points by position: the first is the origin, the last the destination
+ * @param {Array<{ lat: number, lng: number }>} points
+ * @returns {Array<{ lat: number, lng: number, where: string }>}
+ */
+export function labelRoutePoints(points) {
+  return points.map((point, i) => ({
+    lat: point.lat,
+    lng: point.lng,
+    where: i === 0 ? "origin" : i === points.length - 1 ? "destination" : "en route",
+  }));
+}
+
+/**
+ * Worst weather along a route, from each point's cached weather
+ * Points that round to the same coordinate are fetched once. Points whose weather
+ * can't be fetched are left out; the route only fails when every point does.
+ * @param {Array<{ lat: number, lng: number, where: string }>} points - In route order
+ * @param {string|null} at - Departure time, ISO 8601; null for now
+ * @returns {Promise<import("./cache.js").CacheResult>} data: combineRouteWeather() result;
+ *   status and fetchedAt describe the stalest sample
+ * @throws {UpstreamError} When no point's weather can be fetched
+ */
+export async function getRouteWeather(points, at = null) {
+  const unique = [];
+  for (const point of points) {
+    const key = `${roundCoord(point.lat)},${roundCoord(point.lng)}`;
+    if (!unique.some((p) => p.key === key)) unique.push({ ...point, key });
+  }
+
+  const settled = await Promise.allSettled(unique.map((p) => getWeather(p.lat, p.lng, at)));
+  const samples = [];
+  const results = [];
+  settled.forEach((outcome, i) => {
+    const { where, lat, lng } = unique[i];
+    if (outcome.status === "fulfilled") {
+      samples.push({ where, lat, lng, weather: outcome.value.data });
+      results.push(outcome.value);
+    } else {
+      logger.warn("Route weather: point failed — leaving it out", { where, lat, lng, error: outcome.reason });
+    }
+  });
+
+  if (samples.length === 0) throw settled[0].reason;
+
+  return {
+    data: combineRouteWeather(samples),
+    status: stalestStatus(results),
+    fetchedAt: Math.min(...results.map((r) => r.fetchedAt)),
+  };
+}
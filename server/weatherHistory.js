@@ -0,0 +1,196 @@
+// server/weatherHistory.js — Hourly temperature, rain and snow for the last 48 hours per area,
+// behind GET /api/ground and /api/assess (see src/api/ground.js for the estimate)
+// Backfilled from Open-Meteo's recent past and topped up with every fresh OpenWeather observation.
+// Kept in memory, and on disk too when WEATHER_HISTORY_FILE is set, so a restart the morning
+// after a storm still knows about the storm.
+
+import fs from "fs";
+import path from "path";
+import { createSwrCache } from "./cache.js";
+import { fetchOpenMeteoHistory } from "./upstreams.js";
+import { logger } from "./logger.js";
+import { currentTime } from "../src/api/clock.js";
+import {
+  HISTORY_HOURS,
+  estimateGroundConditions,
+  openMeteoHistoryRecords,
+  worstGround,
+} from "../src/api/ground.js";
+
+const MINUTE = 60 * 1000;
+const HOUR_SECONDS = 60 * 60;
+
+// One decimal place ≈ 10 km — snowfall history is regional, and coarse areas keep the store small
+export const AREA_PRECISION = 1;
+
+/**
+ * Open-Meteo's past hours only change as the model catches up, so one call per area every hour or
+ * so is plenty (see server/cache.js for the semantics)
+ */
+export const HISTORY_CACHE_POLICY = {
+  ttlMs: 60 * MINUTE,
+  staleWhileRevalidateMs: 60 * MINUTE,
+  staleIfErrorMs: 6 * 60 * MINUTE,
+};
+
+// Backfill responses per area, kept apart from the weather cache
+export const historyCache = createSwrCache({ maxEntries: 200 });
+
+/**
+ * File the history is saved to, if one is configured
+ * @returns {string|null}
+ */
+export function weatherHistoryFile() {
+  return process.env.WEATHER_HISTORY_FILE || null;
+}
+
+/**
+ * Area key a coordinate's history is kept under, e.g. "40.8,-74"
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {string}
+ */
+export function areaKey(lat, lng) {
+  return `${Number(lat.toFixed(AREA_PRECISION))},${Number(lng.toFixed(AREA_PRECISION))}`;
+}
+
+/**
+ * Create a history store
+ * @param {Object} options - { file: () => path or null, read on first use; now: () => epoch ms }
+ * @returns {Object} { record, records, clear, flush }
+ */
+export function createWeatherHistory({ file = () => null, now = currentTime } = {}) {
+  // area key → Map(hour start → record)
+  const areas = new Map();
+  let loading = null;
+  let saving = Promise.resolve();
+
+  // Add records to an area, hour by hour; an observation is never replaced by a backfilled hour
+  function merge(key, records) {
+    if (!areas.has(key)) areas.set(key, new Map());
+    const hours = areas.get(key);
+    let changed = false;
+
+    for (const record of records) {
+      const existing = hours.get(record.t);
+      if (existing?.source === "observed" && record.source !== "observed") continue;
+      if (existing && JSON.stringify(existing) === JSON.stringify(record)) continue;
+      hours.set(record.t, record);
+      changed = true;
+    }
+    return changed;
+  }
+
+  function prune() {
+    const since = Math.floor(now() / 1000) - HISTORY_HOURS * HOUR_SECONDS;
+    for (const [key, hours] of areas) {
+      for (const t of hours.keys()) {
+        if (t <= since) hours.delete(t);
+      }
+      if (hours.size === 0) areas.delete(key);
+    }
+  }
+
+  function load() {
+    loading ??= (async () => {
+      const target = file();
+      if (!target) return;
+      try {
+        const saved = JSON.parse(await fs.promises.readFile(target, "utf8"));
+        for (const [key, records] of Object.entries(saved)) merge(key, records);
+        prune();
+      } catch (err) {
+        if (err.code !== "ENOENT") logger.warn("Weather history file unreadable — starting empty", { file: target, error: err });
+      }
+    })();
+    return loading;
+  }
+
+  // Writes are chained so an older snapshot never lands after a newer one
+  function save() {
+    const target = file();
+    if (!target) return saving;
+    const snapshot = JSON.stringify(Object.fromEntries([...areas].map(([key, hours]) => [key, [...hours.values()]])));
+    saving = saving
+      .then(() => fs.promises.mkdir(path.dirname(target), { recursive: true }))
+      .then(() => fs.promises.writeFile(target, snapshot))
+      .catch((err) => logger.warn("Weather history could not be saved", { file: target, error: err }));
+    return saving;
+  }
+
+  return {
+    /**
+     * Add hourly records (see src/api/ground.js) to the area around a coordinate
+     */
+    async record(lat, lng, records) {
+      await load();
+      const changed = merge(areaKey(lat, lng), records);
+      prune();
+      if (changed) save();
+    },
+
+    /**
+     * The area's records from the last HISTORY_HOURS, in time order
+     * @returns {Promise<Array<Object>>}
+     */
+    async records(lat, lng) {
+      await load();
+      prune();
+      return [...(areas.get(areaKey(lat, lng))?.values() ?? [])].sort((a, b) => a.t - b.t);
+    },
+
+    clear() {
+      areas.clear();
+    },
+
+    /** Resolves once pending writes have landed */
+    flush() {
+      return saving;
+    },
+  };
+}
+
+export const weatherHistory = createWeatherHistory({ file: weatherHistoryFile });
+
+/**
+ * Backfill an area's history from Open-Meteo (through historyCache)
+ * Best effort — without it the estimate runs on whatever observations the area has.
+ */
+async function backfillArea(lat, lng) {
+  const [areaLat, areaLng] = areaKey(lat, lng).split(",").map(Number);
+  try {
+    const result = await historyCache.get(
+      `history:${areaLat},${areaLng}`,
+      () => fetchOpenMeteoHistory(areaLat, areaLng),
+      HISTORY_CACHE_POLICY
+    );
+    await weatherHistory.record(areaLat, areaLng, openMeteoHistoryRecords(result.data));
+  } catch (err) {
+    logger.warn("Open-Meteo history failed — estimating from observations alone", { area: `${areaLat},${areaLng}`, error: err });
+  }
+}
+
+/**
+ * Ground conditions along a route: the most hazardous estimate among the areas it crosses
+ * @param {Array<{ lat: number, lng: number, where?: string }>} points - In route order
+ * @returns {Promise<Object>} estimateGroundConditions() result with where; unknownGround() when no
+ *   area has any history
+ */
+export async function getGroundConditions(points) {
+  const areas = [];
+  for (const point of points) {
+    const key = areaKey(point.lat, point.lng);
+    if (!areas.some((a) => a.key === key)) areas.push({ ...point, key });
+  }
+
+  const nowSeconds = Math.floor(currentTime() / 1000);
+  const estimates = await Promise.all(
+    areas.map(async ({ lat, lng, where }) => {
+      await backfillArea(lat, lng);
+      const estimate = estimateGroundConditions(await weatherHistory.records(lat, lng), nowSeconds);
+      return where ? { ...estimate, where } : estimate;
+    })
+  );
+
+  return worstGround(estimates);
+}
@@ -0,0 +1,115 @@
+// server/weatherProviders.js — The weather providers behind /api/weather, in priority order
+// Every provider fetches its raw responses for a rounded coordinate (cached by server/weather.js)
+// and builds the normalized weather object for a departure time from them, leaving out the
+// fields it can't supply. getWeather asks them in WEATHER_PROVIDERS order and fails over.
+
+import {
+  fetchNwsGridpoint,
+  fetchOpenMeteo,
+  fetchOpenMeteoAirQuality,
+  fetchOpenWeather,
+  openWeatherKey,
+} from "./upstreams.js";
+import { logger } from "./logger.js";
+import { WEATHER_FIELDS, buildWeather } from "../src/api/weather.js";
+import { buildNwsGridpointWeather, buildOpenMeteoWeather } from "../src/api/weatherProviders.js";
+import { openWeatherObservation } from "../src/api/ground.js";
+
+/**
+ * @typedef {Object} WeatherProvider
+ * @property {string} name - Also the value of weather.sources for the fields it supplies
+ * @property {Array<string>} fields - WEATHER_FIELDS it can supply
+ * @property {() => boolean} configured - Whether it can be called at all
+ * @property {(lat: number, lng: number) => Promise<Object>} fetch - Raw responses for a coordinate
+ * @property {(raw: Object, at: string|null) => Object} build - Weather for a departure time
+ * @property {(raw: Object) => Object|null} [observe] - A measured hour for the weather history
+ *   (server/weatherHistory.js), when the provider reports observations rather than forecasts
+ */
+
+/** @type {Object<string, WeatherProvider>} */
+export const WEATHER_PROVIDERS = {
+  openweather: {
+    name: "openweather",
+    fields: WEATHER_FIELDS,
+    configured: () => Boolean(openWeatherKey()),
+    // Current conditions are required; the forecast and air quality are extras
+    fetch: async (lat, lng) => {
+      const [current, forecast, air] = await Promise.all([
+        fetchOpenWeather("weather", lat, lng),
+        fetchOpenWeather("forecast", lat, lng).catch((err) => {
+          logger.warn("OpenWeather forecast failed — continuing without trend", { error: err });
+          return null;
+        }),
+        fetchOpenWeather("air_pollution/forecast", lat, lng).catch((err) => {
+          logger.warn("OpenWeather air pollution failed — continuing without air quality", { error: err });
+          return null;
+        }),
+      ]);
+      return { current, forecast, air };
+    },
+    build: (raw, at) => {
+      const { forecast3hr, airQuality, ...weather } = buildWeather(raw.current, raw.forecast, at, null, raw.air);
+      return {
+        ...weather,
+        ...(raw.forecast ? { forecast3hr } : {}),
+        ...(raw.air ? { airQuality } : {}),
+      };
+    },
+    observe: (raw) => openWeatherObservation(raw.current),
+  },
+
+  nws: {
+    name: "nws",
+    fields: ["precipitation", "wind", "visibility", "feelsLike", "thunderstorm", "heatIndex", "forecast3hr"],
+    configured: () => true,
+    fetch: async (lat, lng) => ({ gridpoint: await fetchNwsGridpoint(lat, lng) }),
+    build: (raw, at) => buildNwsGridpointWeather(raw.gridpoint, at),
+  },
+
+  "open-meteo": {
+    name: "open-meteo",
+    fields: ["precipitation", "wind", "visibility", "feelsLike", "thunderstorm", "heatIndex", "airQuality", "forecast3hr"],
+    configured: () => true,
+    fetch: async (lat, lng) => {
+      const [forecast, air] = await Promise.all([
+        fetchOpenMeteo(lat, lng),
+        fetchOpenMeteoAirQuality(lat, lng).catch((err) => {
+          logger.warn("Open-Meteo air quality failed — continuing without it", { error: err });
+          return null;
+        }),
+      ]);
+      return { forecast, air };
+    },
+    build: (raw, at) => buildOpenMeteoWeather(raw.forecast, raw.air, at),
+  },
+};
+
+export const DEFAULT_WEATHER_PROVIDER_ORDER = ["openweather", "nws", "open-meteo"];
+
+/**
+ * Provider names in priority order, from WEATHER_PROVIDERS ("openweather,nws,open-meteo")
+ * Unknown names are ignored; unset or nothing usable means the default order.
+ * @returns {Array<string>}
+ */
+export function weatherProviderOrder() {
+  const names = (process.env.WEATHER_PROVIDERS || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = names.filter((name) => !WEATHER_PROVIDERS[name]);
+  if (unknown.length > 0) logger.warn("WEATHER_PROVIDERS: ignoring unknown providers", { unknown });
+
+  const known = [...new Set(names.filter((name) => WEATHER_PROVIDERS[name]))];
+  return known.length > 0 ? known : DEFAULT_WEATHER_PROVIDER_ORDER;
+}
+
+/**
+ * The providers that can be called right now, in priority order
+ * @returns {Array<WeatherProvider>}
+ */
+export function configuredWeatherProviders() {
+  return weatherProviderOrder()
+    .map((name) => WEATHER_PROVIDERS[name])
+    .filter((provider) => provider.configured());
+}
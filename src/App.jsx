@@ -2,15 +2,25 @@ import { useState } from 'react'
 import InputScreen from './components/InputScreen'
 import LoadingScreen from './components/LoadingScreen'
 import ResultScreen from './components/ResultScreen'
-import { fetchWeather } from './api/weather'
+import RateLimitedScreen from './components/RateLimitedScreen'
+import { fetchRouteWeather, routeWeatherPoints } from './api/weather'
+import { fetchGroundConditions } from './api/ground'
+import { emptyArrivals, fetchArrivals } from './api/arrivals'
+import { classifyWeatherSeverity } from './api/severity'
+import { weatherReadings } from './api/units'
 import { fetchTravelBan } from './api/travelBan'
-import { fetchTransitStatus } from './api/transitStatus'
-import { fetchTravelData } from './api/travelData'
+import { fetchTransitStatus, transitForPrompt, transitForTrip } from './api/transitStatus'
+import { applyStormMultiplier, fetchTravelData, isWalkableTrip } from './api/travelData'
+import { resolveDeparture } from './api/departure'
+import { fetchDeparturePlan } from './api/planner'
 import { getRecommendation } from './api/claudeEngine'
+import { RateLimitedError } from './api/errors'
+import { log } from './api/log'
 
 export default function App() {
   const [screen, setScreen] = useState('input')
   const [result, setResult] = useState(null)
+  const [retryAfter, setRetryAfter] = useState(null)
 
   async function handleSubmit({
     originCoords,
@@ -20,49 +30,83 @@ export default function App() {
     destinationLabel,
     destinationAddress,
     departureTime,
+    units,
   }) {
     setScreen('loading')
     try {
-      const [weatherData, travelBanData, transitData, travelData] = await Promise.all([
-        fetchWeather(originCoords.lat, originCoords.lng),
+      // Weather, alert windows and the storm multiplier are all read for this moment
+      const departure = resolveDeparture(departureTime)
+
+      // Runs server-side off the same caches, alongside everything else
+      const planRequest = fetchDeparturePlan({
+        origin: { ...originCoords, name: originLabel, address: originAddress },
+        destination: { ...destinationCoords, name: destinationLabel, address: destinationAddress },
+        units,
+      })
+
+      const [travelBanData, transitStatus, routeData] = await Promise.all([
         fetchTravelBan(),
         // Pass full addresses so isPathRelevant() can detect NJ keywords in state info
-        fetchTransitStatus([], originAddress, destinationAddress),
+        fetchTransitStatus([], originAddress, destinationAddress, departure.at, departure.returnAt),
         // Pass destinationCoords directly to skip re-geocoding the short label,
         // which can resolve to the wrong city and produce impossibly large times
-        fetchTravelData(originCoords, destinationLabel, 'moderate', destinationCoords),
+        fetchTravelData(originCoords, destinationLabel, 'none', destinationCoords),
+      ])
+      // Planned work after the trip only matters on the trip's own lines
+      const transitData = transitForTrip(transitStatus, routeData?.relevantLines)
+
+      // Sample weather along the whole walk, not just where it starts — and what the last two
+      // days left on the sidewalks there. Leaving now by train, the next trains at the nearest
+      // station decide whether to head out or wait indoors
+      const points = routeWeatherPoints(originCoords, destinationCoords, routeData)
+      const byTrainNow = departure.choice === 'now' && routeData && !isWalkableTrip(routeData)
+      const [weatherData, ground, nextTrains] = await Promise.all([
+        fetchRouteWeather(points, departure.at),
+        fetchGroundConditions(points),
+        byTrainNow ? fetchArrivals(originCoords, routeData.relevantLines) : emptyArrivals(),
       ])
+      // Overall weather severity (and why) and the ground underfoot set the storm travel-time multiplier
+      const severity = classifyWeatherSeverity(weatherData, units)
+      const travelData = applyStormMultiplier(routeData, severity.level, ground.condition)
+      // Every number the prompt and result screen show, in the user's units
+      const readings = weatherReadings(weatherData, units, travelData, ground)
 
       const payload = {
         origin: originCoords,
         origin_name: originLabel,
         destination: destinationCoords,
         destination_name: destinationLabel,
-        departure_time: departureTime,
+        departure_time: departure,
         weather: weatherData,
+        weather_severity: severity,
+        ground_conditions: ground,
+        readings,
         travel_ban: travelBanData,
-        transit_status: transitData,
+        transit_status: transitForPrompt(transitData),
+        next_trains: nextTrains,
         travel_data: travelData,
       }
 
       // Compute isWalkable here so we can pass it to Claude as a flag
-      const isWalkable =
-        travelData?.distance_category === 'walkable' ||
-        (travelData?.baseline_minutes != null && travelData.baseline_minutes < 20)
-
-      payload.is_walkable = isWalkable
+      payload.is_walkable = isWalkableTrip(travelData)
 
-      const recommendation = await getRecommendation(payload)
+      const [recommendation, plan] = await Promise.all([getRecommendation(payload), planRequest])
 
-      setResult({ recommendation, transit: transitData, travelData, weather: weatherData })
+      setResult({ recommendation, departure, plan, transit: transitData, nextTrains, travelData, weather: weatherData, ground, severity, readings })
       setScreen('result')
     } catch (err) {
-      console.error('StormSafe fetch error:', err)
+      if (err instanceof RateLimitedError) {
+        setRetryAfter(err.retryAfterSeconds)
+        setScreen('rate_limited')
+        return
+      }
+      log.error('StormSafe fetch error', { error: err })
       setScreen('input')
     }
   }
 
   if (screen === 'loading') return <LoadingScreen />
+  if (screen === 'rate_limited') return <RateLimitedScreen retryAfterSeconds={retryAfter} onReset={() => setScreen('input')} />
   if (screen === 'result') return <ResultScreen result={result} onReset={() => setScreen('input')} />
   return <InputScreen onSubmit={handleSubmit} />
 }
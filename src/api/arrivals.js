@@ -0,0 +1,200 @@
+// Next-train arrivals
+// Whether the next train is 3 or 25 minutes away decides whether to leave now, so for a trip
+// starting now StormSafe looks up the subway (or SIR) station nearest the origin and reads the
+// next trains on the trip's lines there from the MTA's GTFS-RT trip-update feeds.
+// The server does the fetching and decoding (server/arrivals.js, GET /api/arrivals); picking the
+// station and the arrivals is here so it runs the same on both sides.
+//
+// A station is { id, name, lat, lng, lines, north, south } — id is the GTFS parent stop ("A28"),
+// whose platforms are id + "N" and id + "S"; north and south are the MTA's labels for each
+// direction ("Uptown & The Bronx").
+
+import { RateLimitedError, rateLimitedErrorFrom } from './errors.js';
+import { distanceMeters } from './geo.js';
+import { httpFetch } from './http.js';
+import { log } from './log.js';
+import { getRoute, lineForToken, routeName } from './routeRegistry.js';
+
+// Farther than this and the origin isn't near a station — about a 15-minute walk
+export const MAX_STATION_DISTANCE_METERS = 1200;
+
+// How far ahead arrivals are listed
+export const ARRIVALS_WINDOW_MINUTES = 60;
+
+// Trains listed per line and direction
+export const ARRIVALS_PER_LINE = 3;
+
+// Only lines with trip-update feeds have live arrivals
+const LIVE_SYSTEMS = ['subway', 'sir'];
+
+const DIRECTIONS = { N: 'northbound', S: 'southbound' };
+
+// The stations dataset writes every shuttle as "S"; which one a stop is on goes by its stop id
+// (H: Rockaway Park, S: Franklin Av, anything else: 42 St)
+function shuttleFor(stopId) {
+  if (stopId.startsWith('H')) return 'H';
+  if (stopId.startsWith('S')) return 'FS';
+  return 'GS';
+}
+
+/**
+ * Stations from the MTA Subway Stations dataset (data.ny.gov)
+ * @param {Array<Object>} rows - { gtfs_stop_id, stop_name, gtfs_latitude, gtfs_longitude, daytime_routes,
+ *   north_direction_label, south_direction_label }
+ * @returns {Array<Object>} Stations with a stop id and a location
+ */
+export function stationsFromDataset(rows) {
+  return (rows ?? [])
+    .map((row) => {
+      const id = row.gtfs_stop_id ?? '';
+      const lines = String(row.daytime_routes ?? '')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((token) => (token === 'S' ? shuttleFor(id) : lineForToken(token)))
+        .filter(Boolean);
+      return {
+        id,
+        name: row.stop_name ?? id,
+        lat: Number(row.gtfs_latitude),
+        lng: Number(row.gtfs_longitude),
+        lines,
+        north: row.north_direction_label || null,
+        south: row.south_direction_label || null,
+      };
+    })
+    .filter((station) => station.id && Number.isFinite(station.lat) && Number.isFinite(station.lng));
+}
+
+/**
+ * Subway and SIR lines among a trip's lines — the ones with live arrivals
+ * @param {Array<string>} lines - Route registry keys
+ * @returns {Array<string>}
+ */
+export function liveLines(lines) {
+  return (lines ?? []).filter((line) => LIVE_SYSTEMS.includes(getRoute(line)?.system));
+}
+
+/**
+ * The station nearest a point that serves at least one of the lines
+ * @param {Array<Object>} stations - stationsFromDataset() result
+ * @param {{ lat: number, lng: number }} point
+ * @param {Array<string>} [lines] - Route registry keys; empty for any line
+ * @returns {Object|null} The station with distanceMeters, or null when none is within MAX_STATION_DISTANCE_METERS
+ */
+export function nearestStation(stations, point, lines = []) {
+  let nearest = null;
+  for (const station of stations) {
+    if (lines.length > 0 && !station.lines.some((line) => lines.includes(line))) continue;
+    const distance = distanceMeters(point, station);
+    if (distance <= MAX_STATION_DISTANCE_METERS && (!nearest || distance < nearest.distanceMeters)) {
+      nearest = { ...station, distanceMeters: Math.round(distance) };
+    }
+  }
+  return nearest;
+}
+
+/**
+ * The next trains on some lines at a station, from decoded trip-update feeds
+ * @param {Array<Object>} feeds - GTFS-RT JSON feeds ({ entity: [{ trip_update }] })
+ * @param {Object} station - From nearestStation()
+ * @param {Array<string>} lines - Route registry keys
+ * @param {number} nowSeconds - Epoch seconds
+ * @returns {Array<Object>} { line, direction: "northbound"|"southbound", toward, at (epoch seconds), minutes },
+ *   soonest first, at most ARRIVALS_PER_LINE per line and direction
+ */
+export function upcomingArrivals(feeds, station, lines, nowSeconds) {
+  const until = nowSeconds + ARRIVALS_WINDOW_MINUTES * 60;
+  const arrivals = [];
+
+  for (const entity of feeds.flatMap((feed) => feed?.entity ?? [])) {
+    const trip = entity.trip_update;
+    const line = trip?.trip?.route_id;
+    if (!line || !lines.includes(line)) continue;
+
+    for (const update of trip.stop_time_update ?? []) {
+      const platform = update.stop_id ?? '';
+      const direction = DIRECTIONS[platform.slice(-1)];
+      if (!direction || platform.slice(0, -1) !== station.id) continue;
+
+      const at = update.arrival?.time || update.departure?.time;
+      if (!at || at < nowSeconds || at > until) continue;
+
+      arrivals.push({
+        line,
+        direction,
+        toward: direction === 'northbound' ? station.north : station.south,
+        at,
+        minutes: Math.round((at - nowSeconds) / 60),
+      });
+    }
+  }
+
+  arrivals.sort((a, b) => a.at - b.at);
+  const listed = new Map();
+  return arrivals.filter(({ line, direction }) => {
+    const key = `${line}:${direction}`;
+    listed.set(key, (listed.get(key) ?? 0) + 1);
+    return listed.get(key) <= ARRIVALS_PER_LINE;
+  });
+}
+
+/**
+ * No station, no arrivals — what the result screen and the recommendation get without live data
+ * @returns {{ station: null, lines: Array, arrivals: Array, live: boolean }}
+ */
+export function emptyArrivals() {
+  return { station: null, lines: [], arrivals: [], live: false };
+}
+
+// "A", "A or C", "A, C or E"
+function labelList(lines) {
+  const labels = lines.map((line) => getRoute(line)?.label ?? line);
+  return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} or ${labels.at(-1)}` : labels[0];
+}
+
+/**
+ * The soonest train either way, e.g. "Next A train in 4 min at 34 St-Penn Station", or
+ * "No A, C or E trains due at 34 St-Penn Station in the next 60 min"
+ * @param {Object} nextTrains - fetchArrivals() result
+ * @returns {string|null} null without live arrivals
+ */
+export function nextTrainText(nextTrains) {
+  if (!nextTrains?.live || !nextTrains.station || nextTrains.lines.length === 0) return null;
+
+  const [soonest] = nextTrains.arrivals;
+  if (!soonest) {
+    return `No ${labelList(nextTrains.lines)} trains due at ${nextTrains.station.name} in the next ${ARRIVALS_WINDOW_MINUTES} min`;
+  }
+  const when = soonest.minutes === 0 ? 'arriving now' : `in ${soonest.minutes} min`;
+  return `Next ${routeName(soonest.line)} ${when} at ${nextTrains.station.name}`;
+}
+
+/**
+ * Ask the server for the next trains at the station nearest the origin
+ * @param {{ lat: number, lng: number }} origin
+ * @param {Array<string>} lines - The trip's route registry keys; empty for whatever the nearest station serves
+ * @returns {Promise<Object>} { station, lines, arrivals, live } — emptyArrivals() when the server can't answer
+ * @throws {RateLimitedError} When the server is rate limiting this client
+ */
+export async function fetchArrivals(origin, lines = []) {
+  const query = `lat=${origin.lat}&lng=${origin.lng}${lines.length > 0 ? `&lines=${lines.join(',')}` : ''}`;
+
+  try {
+    const response = await httpFetch(`/api/arrivals?${query}`);
+
+    if (response.status === 429) {
+      throw rateLimitedErrorFrom(response);
+    }
+
+    if (!response.ok) {
+      log.warn('Failed to fetch arrivals', { status: response.status });
+      return emptyArrivals();
+    }
+
+    return await response.json();
+  } catch (error) {
+    if (error instanceof RateLimitedError) throw error;
+    log.error('Arrivals fetch error', { error });
+    return emptyArrivals();
+  }
+}
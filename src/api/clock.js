@@ -0,0 +1,23 @@
+// Single clock for the api modules
+// Normally the wall clock. Fixture replay (server/fixtures.js) pins it to when the storm night was
+// recorded, so alert windows, forecast slots and departure times come out as they did then.
+
+const defaultNow = () => Date.now();
+
+let nowImpl = defaultNow;
+
+/**
+ * The current time through the installed clock
+ * @returns {number} Epoch ms
+ */
+export function currentTime() {
+  return nowImpl();
+}
+
+/**
+ * Replace the clock (pass null to restore the wall clock)
+ * @param {Function|null} impl - () => epoch ms
+ */
+export function setClock(impl) {
+  nowImpl = impl ?? defaultNow;
+}
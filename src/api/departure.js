@@ -0,0 +1,61 @@
+// Departure time
+// InputScreen offers Now / 1–2 hrs / Later; everything time-dependent (forecast slot,
+// MTA alert active periods, storm multiplier) is evaluated at the timestamp resolved here.
+// The trip home is assumed DEFAULT_RETURN_AFTER_HOURS later, so alerts that start while
+// you're out count against the trip too.
+
+import { currentTime } from './clock.js';
+
+export const DEPARTURE_OPTIONS = ['now', 'soon', 'later'];
+
+// Minutes from now each choice stands for — "1–2 hrs" is taken as the middle, "Later" as 4 hours out
+export const DEPARTURE_OFFSET_MINUTES = { now: 0, soon: 90, later: 240 };
+
+// Assumed time out before heading home
+export const DEFAULT_RETURN_AFTER_HOURS = 3;
+
+/**
+ * Resolve a departure choice to an actual time, and the assumed trip home
+ * @param {string} choice - One of DEPARTURE_OPTIONS (anything else is treated as 'now')
+ * @param {number} now - Epoch ms; defaults to the clock (src/api/clock.js), which fixture replay pins
+ * @param {number} returnAfterHours - Time out before heading home
+ * @returns {{ choice: string, at: string, returnAt: string }} ISO 8601 timestamps
+ */
+export function resolveDeparture(choice = 'now', now = currentTime(), returnAfterHours = DEFAULT_RETURN_AFTER_HOURS) {
+  const resolved = DEPARTURE_OPTIONS.includes(choice) ? choice : 'now';
+  const at = now + DEPARTURE_OFFSET_MINUTES[resolved] * 60 * 1000;
+  return {
+    choice: resolved,
+    at: new Date(at).toISOString(),
+    returnAt: new Date(at + returnAfterHours * 60 * 60 * 1000).toISOString(),
+  };
+}
+
+/**
+ * Clock time in New York, e.g. "9:30 PM"
+ * @param {string} iso - ISO 8601 timestamp
+ * @returns {string}
+ */
+export function formatNycTime(iso) {
+  return new Date(iso).toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: 'America/New_York',
+  });
+}
+
+/**
+ * Day and clock time in New York, e.g. "Mon, Jan 27, 9:46 PM"
+ * @param {string} iso - ISO 8601 timestamp
+ * @returns {string}
+ */
+export function formatNycDateTime(iso) {
+  return new Date(iso).toLocaleString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: 'America/New_York',
+  });
+}
@@ -0,0 +1,16 @@
+// Environment access shared by the browser bundle and the Express server
+// Vite inlines import.meta.env at build time; under Node (server.js) it is undefined,
+// so we fall back to process.env (populated by dotenv).
+
+/**
+ * Read a config value by name
+ * @param {string} name - Variable name, e.g. 'VITE_MAPBOX_TOKEN'
+ * @returns {string|undefined} The value, or undefined if not set
+ */
+export function readEnv(name) {
+  const viteEnv = import.meta.env;
+  if (viteEnv && viteEnv[name] !== undefined) {
+    return viteEnv[name];
+  }
+  return globalThis.process?.env?.[name];
+}
@@ -0,0 +1,25 @@
+// Errors the UI handles specially instead of falling back to a default verdict
+
+/**
+ * Thrown when the StormSafe server rejects a request with 429 Too Many Requests
+ */
+export class RateLimitedError extends Error {
+  /**
+   * @param {number|null} retryAfterSeconds - From the Retry-After header, if present
+   */
+  constructor(retryAfterSeconds = null) {
+    super('Too many requests — rate limited by the StormSafe server');
+    this.name = 'RateLimitedError';
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/**
+ * Build a RateLimitedError from a 429 fetch Response
+ * @param {Response} response
+ * @returns {RateLimitedError}
+ */
+export function rateLimitedErrorFrom(response) {
+  const retryAfter = Number.parseInt(response.headers.get('Retry-After'), 10);
+  return new RateLimitedError(Number.isFinite(retryAfter) ? retryAfter : null);
+}
@@ -0,0 +1,108 @@
+// Geographic helpers shared by the input form and the API server
+
+export const NYC_BOUNDS = { minLat: 40.4, maxLat: 41.2, minLng: -74.8, maxLng: -73.7 };
+
+/**
+ * Returns true if the coordinates fall inside the greater NYC / NJ bounding box
+ * @param {Object} coords - { lat, lng }
+ * @returns {boolean}
+ */
+export function isInNYCArea(coords) {
+  return (
+    coords.lat >= NYC_BOUNDS.minLat &&
+    coords.lat <= NYC_BOUNDS.maxLat &&
+    coords.lng >= NYC_BOUNDS.minLng &&
+    coords.lng <= NYC_BOUNDS.maxLng
+  );
+}
+
+/**
+ * Returns true if the value looks like a { lat, lng } pair of finite numbers
+ * @param {*} coords
+ * @returns {boolean}
+ */
+export function isValidCoords(coords) {
+  return (
+    coords != null &&
+    Number.isFinite(coords.lat) &&
+    Number.isFinite(coords.lng)
+  );
+}
+
+const EARTH_RADIUS_M = 6371000;
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} a - { lat, lng }
+ * @param {Object} b - { lat, lng }
+ * @returns {number} Meters
+ */
+export function distanceMeters(a, b) {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Points spaced evenly by distance along a line, endpoints excluded
+ * (count 3 gives the points a quarter, half and three quarters of the way along)
+ * @param {Array<[number, number]>} coordinates - GeoJSON LineString coordinates, [lng, lat]
+ * @param {number} count - How many points to return
+ * @returns {Array<{ lat: number, lng: number }>} Empty when the line has fewer than two points
+ */
+export function pointsAlongLine(coordinates, count) {
+  const line = (coordinates ?? []).map(([lng, lat]) => ({ lat, lng })).filter(isValidCoords);
+  if (line.length < 2 || count < 1) return [];
+
+  const legs = line.slice(1).map((point, i) => distanceMeters(line[i], point));
+  const total = legs.reduce((sum, d) => sum + d, 0);
+  if (total === 0) return [];
+
+  const points = [];
+  let leg = 0;
+  let travelled = 0;
+  for (let n = 1; n <= count; n++) {
+    const target = (total * n) / (count + 1);
+    while (leg < legs.length - 1 && travelled + legs[leg] < target) {
+      travelled += legs[leg];
+      leg++;
+    }
+    const t = legs[leg] > 0 ? (target - travelled) / legs[leg] : 0;
+    const from = line[leg];
+    const to = line[leg + 1];
+    points.push({
+      lat: Math.round((from.lat + (to.lat - from.lat) * t) * 1e5) / 1e5,
+      lng: Math.round((from.lng + (to.lng - from.lng) * t) * 1e5) / 1e5,
+    });
+  }
+  return points;
+}
+
+/**
+ * Returns true if a point falls inside a GeoJSON Polygon or MultiPolygon (holes respected)
+ * @param {Object} point - { lat, lng }
+ * @param {Object} geometry - GeoJSON geometry; anything else is never matched
+ * @returns {boolean}
+ */
+export function isPointInGeometry(point, geometry) {
+  const inRing = (ring) => {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if (yi > point.lat !== yj > point.lat && point.lng < ((xj - xi) * (point.lat - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  };
+  const inPolygon = ([outer, ...holes]) => Boolean(outer) && inRing(outer) && !holes.some(inRing);
+
+  if (geometry?.type === 'Polygon') return inPolygon(geometry.coordinates);
+  if (geometry?.type === 'MultiPolygon') return geometry.coordinates.some(inPolygon);
+  return false;
+}
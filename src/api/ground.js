@@ -0,0 +1,215 @@
+// Ground conditions
+// What the last 48 hours of weather left on the sidewalks — icy, snow-covered or slushy — so the
+// morning after a foot of snow doesn't read as "clear" just because nothing is falling now.
+// The server keeps an hourly history per area (server/weatherHistory.js) and serves the estimate
+// at GET /api/ground; the estimate itself is here so it runs the same on both sides.
+//
+// A history record is one hour: { t, tempC, rainMm, snowCm, freezing, source } — t is the start
+// of the hour in epoch seconds, snowCm fresh snow depth, freezing true for freezing rain or sleet.
+
+import { RateLimitedError, rateLimitedErrorFrom } from './errors.js';
+import { icePrecipitationType } from './hazards.js';
+import { httpFetch } from './http.js';
+import { log } from './log.js';
+import { formatIn } from './units.js';
+
+const HOUR_SECONDS = 60 * 60;
+
+// How far back snow and ice still matter
+export const HISTORY_HOURS = 48;
+
+// Ground conditions from least to most hazardous underfoot
+export const GROUND_CONDITIONS = ['unknown', 'clear', 'slushy', 'snow_covered', 'icy'];
+
+// Snow melts roughly this much per hour for every degree above freezing (a degree-hour melt factor)
+const MELT_CM_PER_DEGREE_HOUR = 0.15;
+
+// Meltwater or rain freezes into ice when it drops to freezing within this long
+const REFREEZE_WINDOW_HOURS = 12;
+
+// Ice is gone after this many hours in a row at or above ICE_CLEAR_TEMP_C
+const ICE_CLEAR_HOURS = 3;
+const ICE_CLEAR_TEMP_C = 3;
+
+// Depth that covers a sidewalk even while it melts, and depth that covers it below freezing
+const DEEP_SNOW_CM = 10;
+const SNOW_COVERED_CM = 2.5;
+
+// Anything thinner than this is gone underfoot
+const TRACE_SNOW_CM = 0.5;
+
+// Open-Meteo (WMO) weather codes for freezing drizzle and freezing rain
+const WMO_FREEZING = [56, 57, 66, 67];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const hourStart = (seconds) => Math.floor(seconds / HOUR_SECONDS) * HOUR_SECONDS;
+
+/**
+ * Ground conditions with nothing known — no history for the area yet
+ * @returns {Object}
+ */
+export function unknownGround() {
+  return { condition: 'unknown', snowDepthCm: null, snowfallCm: null, iceCause: null, hours: 0 };
+}
+
+/**
+ * History record from an OpenWeather current-conditions response
+ * OpenWeather reports snow as water equivalent (mm); at the usual 10:1 ratio a millimetre of
+ * water is a centimetre of snow.
+ * @param {Object|null} current - /data/2.5/weather response
+ * @returns {Object|null} null when it has no observation time or temperature
+ */
+export function openWeatherObservation(current) {
+  const tempC = current?.main?.temp;
+  if (!Number.isFinite(current?.dt) || !Number.isFinite(tempC)) return null;
+  return {
+    t: hourStart(current.dt),
+    tempC,
+    rainMm: current.rain?.['1h'] ?? 0,
+    snowCm: current.snow?.['1h'] ?? 0,
+    freezing: icePrecipitationType(current) != null,
+    source: 'observed',
+  };
+}
+
+/**
+ * History records from an Open-Meteo hourly response with past days
+ * Must be requested with hourly=temperature_2m,rain,snowfall,weather_code and timeformat=unixtime.
+ * @param {Object|null} data - api.open-meteo.com/v1/forecast response
+ * @returns {Array<Object>} Hours with a temperature, in time order
+ */
+export function openMeteoHistoryRecords(data) {
+  const hourly = data?.hourly;
+  if (!hourly?.time?.length) return [];
+
+  return hourly.time
+    .map((t, i) => ({
+      t: hourStart(t),
+      tempC: hourly.temperature_2m?.[i],
+      rainMm: hourly.rain?.[i] ?? 0,
+      snowCm: hourly.snowfall?.[i] ?? 0,
+      freezing: WMO_FREEZING.includes(hourly.weather_code?.[i]),
+      source: 'backfill',
+    }))
+    .filter((record) => Number.isFinite(record.tempC));
+}
+
+/**
+ * Estimate what's underfoot from the hourly history of an area
+ * Walks the last HISTORY_HOURS in order: snow piles up and melts with warmth; freezing rain,
+ * rain on frozen ground, and rain or meltwater that refreezes within REFREEZE_WINDOW_HOURS leave
+ * ice, which a few hours well above freezing clears.
+ * @param {Array<Object>} records - History records, any order
+ * @param {number} nowSeconds - Epoch seconds; later records (forecast hours) are ignored
+ * @returns {Object} { condition, snowDepthCm, snowfallCm, iceCause, hours } — condition one of
+ *   GROUND_CONDITIONS; iceCause "freezing_rain" or "refreeze" when icy
+ */
+export function estimateGroundConditions(records, nowSeconds) {
+  const since = nowSeconds - HISTORY_HOURS * HOUR_SECONDS;
+  const hours = (records ?? [])
+    .filter((r) => r.t > since && r.t <= nowSeconds && Number.isFinite(r.tempC))
+    .sort((a, b) => a.t - b.t);
+  if (hours.length === 0) return unknownGround();
+
+  let depth = 0;
+  let snowfall = 0;
+  let iceCause = null;
+  let lastWet = null;
+  let warmHours = 0;
+
+  for (const hour of hours) {
+    const { t, tempC, rainMm, snowCm, freezing } = hour;
+
+    snowfall += snowCm;
+    depth += snowCm;
+    const melting = depth > 0 && tempC > 0;
+    if (melting) depth = Math.max(0, depth - MELT_CM_PER_DEGREE_HOUR * tempC);
+
+    if (freezing || (rainMm > 0 && tempC <= 0)) {
+      iceCause = 'freezing_rain';
+    } else if (tempC <= 0 && lastWet != null && t - lastWet <= REFREEZE_WINDOW_HOURS * HOUR_SECONDS) {
+      iceCause ??= 'refreeze';
+    }
+    if (rainMm > 0 || melting) lastWet = t;
+
+    warmHours = tempC >= ICE_CLEAR_TEMP_C ? warmHours + 1 : 0;
+    if (warmHours >= ICE_CLEAR_HOURS) iceCause = null;
+  }
+
+  const latestTempC = hours[hours.length - 1].tempC;
+  let condition = 'clear';
+  if (iceCause) condition = 'icy';
+  else if (depth >= DEEP_SNOW_CM || (depth >= SNOW_COVERED_CM && latestTempC <= 0)) condition = 'snow_covered';
+  else if (depth >= TRACE_SNOW_CM) condition = 'slushy';
+
+  return { condition, snowDepthCm: round1(depth), snowfallCm: round1(snowfall), iceCause, hours: hours.length };
+}
+
+/**
+ * The most hazardous of several estimates (say, one per area a route crosses)
+ * @param {Array<Object>} estimates - estimateGroundConditions() results, optionally with where
+ * @returns {Object} unknownGround() when there are none
+ */
+export function worstGround(estimates) {
+  return (estimates ?? []).reduce(
+    (worst, estimate) =>
+      GROUND_CONDITIONS.indexOf(estimate.condition) > GROUND_CONDITIONS.indexOf(worst.condition) ? estimate : worst,
+    unknownGround()
+  );
+}
+
+const CONDITION_TEXT = {
+  icy: 'Icy sidewalks',
+  snow_covered: 'Snow-covered sidewalks',
+  slushy: 'Slushy sidewalks',
+};
+
+const ICE_CAUSE_TEXT = {
+  freezing_rain: 'from freezing rain',
+  refreeze: 'where rain and meltwater refroze',
+};
+
+/**
+ * Reason text for the ground, e.g. "Snow-covered sidewalks — 18 in fell in the last 48 hours"
+ * @param {Object|null} ground - estimateGroundConditions() result
+ * @param {string} units - Unit system for the depth (see src/api/units.js)
+ * @returns {string|null} null when the ground is clear or unknown
+ */
+export function groundConditionsText(ground, units) {
+  const text = CONDITION_TEXT[ground?.condition];
+  if (!text) return null;
+  if (ground.condition === 'icy') return `${text} ${ICE_CAUSE_TEXT[ground.iceCause] ?? ''}`.trim();
+  return ground.snowfallCm > 0
+    ? `${text} — ${formatIn(ground.snowfallCm, 'depth', units)} fell in the last ${HISTORY_HOURS} hours`
+    : text;
+}
+
+/**
+ * Fetch the ground estimate for a route from the StormSafe server (GET /api/ground)
+ * @param {Array<{ lat: number, lng: number }>} points - e.g. routeWeatherPoints()
+ * @returns {Promise<Object>} estimateGroundConditions() result, with where; unknownGround() on failure
+ * @throws {RateLimitedError} When the server rate-limits us
+ */
+export async function fetchGroundConditions(points) {
+  const query = points.map((p) => `${p.lat},${p.lng}`).join(';');
+
+  try {
+    const response = await httpFetch(`/api/ground?points=${query}`);
+
+    if (response.status === 429) {
+      throw rateLimitedErrorFrom(response);
+    }
+
+    if (!response.ok) {
+      log.warn('Failed to fetch ground conditions', { status: response.status });
+      return unknownGround();
+    }
+
+    return await response.json();
+  } catch (error) {
+    if (error instanceof RateLimitedError) throw error;
+    log.error('Ground conditions fetch error', { error });
+    return unknownGround();
+  }
+}
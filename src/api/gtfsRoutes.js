@@ -0,0 +1,65 @@
+// GTFS static routes.txt for the MTA rail systems, as published in each system's google_transit.zip
+//   subway (with the Staten Island Railway): http://web.mta.info/developers/data/nyct/subway/google_transit.zip
+//   LIRR:                                    http://web.mta.info/developers/data/lirr/google_transit.zip
+//   Metro-North:                             http://web.mta.info/developers/data/mnr/google_transit.zip
+//
+// Trimmed to the columns routeRegistry.js reads; the parser goes by the header row, so a fresh
+// routes.txt can be pasted in whole. Kept as text rather than read from disk so the browser, the
+// server and the tests all get the same registry without a build step.
+
+export const SUBWAY_ROUTES_TXT = `agency_id,route_id,route_short_name,route_long_name,route_type,route_color,route_text_color
+MTA NYCT,1,1,Broadway - 7 Avenue Local,1,EE352E,FFFFFF
+MTA NYCT,2,2,7 Avenue Express,1,EE352E,FFFFFF
+MTA NYCT,3,3,7 Avenue Express,1,EE352E,FFFFFF
+MTA NYCT,4,4,Lexington Avenue Express,1,00933C,FFFFFF
+MTA NYCT,5,5,Lexington Avenue Express,1,00933C,FFFFFF
+MTA NYCT,6,6,Lexington Avenue Local,1,00933C,FFFFFF
+MTA NYCT,6X,6X,Pelham Bay Park Express,1,00A65C,FFFFFF
+MTA NYCT,7,7,Flushing Local,1,B933AD,FFFFFF
+MTA NYCT,7X,7X,Flushing Express,1,B933AD,FFFFFF
+MTA NYCT,GS,S,42 St Shuttle,1,6D6E71,FFFFFF
+MTA NYCT,A,A,8 Avenue Express,1,0039A6,FFFFFF
+MTA NYCT,B,B,6 Avenue Express,1,FF6319,FFFFFF
+MTA NYCT,C,C,8 Avenue Local,1,0039A6,FFFFFF
+MTA NYCT,D,D,6 Avenue Express,1,FF6319,FFFFFF
+MTA NYCT,E,E,8 Avenue Local,1,0039A6,FFFFFF
+MTA NYCT,F,F,"Queens Blvd Express/ 6 Av Local",1,FF6319,FFFFFF
+MTA NYCT,FX,FX,Brooklyn F Express,1,FF6319,FFFFFF
+MTA NYCT,FS,S,Franklin Avenue Shuttle,1,6D6E71,FFFFFF
+MTA NYCT,G,G,Brooklyn-Queens Crosstown,1,6CBE45,FFFFFF
+MTA NYCT,H,S,Rockaway Park Shuttle,1,6D6E71,FFFFFF
+MTA NYCT,J,J,Nassau St Local,1,996633,FFFFFF
+MTA NYCT,L,L,14 St-Canarsie Local,1,A7A9AC,FFFFFF
+MTA NYCT,M,M,"Queens Blvd Local/6 Av Local/Myrtle Av Local",1,FF6319,FFFFFF
+MTA NYCT,N,N,Broadway Express,1,FCCC0A,000000
+MTA NYCT,Q,Q,2 Avenue/Broadway Express,1,FCCC0A,000000
+MTA NYCT,R,R,Queens Blvd/Broadway/4 Av Local,1,FCCC0A,000000
+MTA NYCT,W,W,Broadway Local,1,FCCC0A,000000
+MTA NYCT,Z,Z,Nassau St Express,1,996633,FFFFFF
+MTA NYCT,SI,SIR,Staten Island Railway,2,0039A6,FFFFFF
+`;
+
+export const LIRR_ROUTES_TXT = `route_id,agency_id,route_short_name,route_long_name,route_type,route_color,route_text_color
+1,LI,,Babylon Branch,2,00985F,FFFFFF
+2,LI,,Hempstead Branch,2,CE8E00,FFFFFF
+3,LI,,Oyster Bay Branch,2,00AF3F,FFFFFF
+4,LI,,Ronkonkoma Branch,2,A626AA,FFFFFF
+5,LI,,Montauk Branch,2,00B2A9,FFFFFF
+6,LI,,Long Beach Branch,2,FF6319,FFFFFF
+7,LI,,Far Rockaway Branch,2,6E3219,FFFFFF
+8,LI,,West Hempstead Branch,2,00A1DE,FFFFFF
+9,LI,,Port Washington Branch,2,C60C30,FFFFFF
+10,LI,,Port Jefferson Branch,2,006EC7,FFFFFF
+11,LI,,Belmont Park,2,60269E,FFFFFF
+12,LI,,City Terminal Zone,2,4D5357,FFFFFF
+13,LI,,Greenport Service,2,A626AA,FFFFFF
+`;
+
+export const MNR_ROUTES_TXT = `route_id,agency_id,route_short_name,route_long_name,route_type,route_color,route_text_color
+1,1,,Hudson,2,009B3A,FFFFFF
+2,1,,Harlem,2,0039A6,FFFFFF
+3,1,,New Haven,2,EE0034,FFFFFF
+4,1,,New Canaan,2,EE0034,FFFFFF
+5,1,,Danbury,2,EE0034,FFFFFF
+6,1,,Waterbury,2,EE0034,FFFFFF
+`;
@@ -0,0 +1,160 @@
+// Weather hazards beyond rain, snow, wind and cold
+// Ice (freezing rain, sleet) and thunderstorms come from OpenWeather condition codes,
+// heat from the NWS heat index, and smoke / bad air from OpenWeather's air pollution API.
+// https://openweathermap.org/weather-conditions
+// The normalizers here feed buildWeather (src/api/weather.js); all temperatures are °C.
+
+import { log } from './log.js';
+
+/**
+ * OpenWeather condition codes of a current-conditions response or forecast entry
+ * @param {Object|null} data
+ * @returns {Array<number>}
+ */
+export function conditionCodes(data) {
+  return (data?.weather ?? []).map((condition) => condition.id).filter(Number.isFinite);
+}
+
+/**
+ * Icy precipitation type from condition codes: 511 is freezing rain, 611–616 sleet
+ * and rain/snow mixes
+ * @param {Object|null} data
+ * @returns {"freezing_rain"|"sleet"|null}
+ */
+export function icePrecipitationType(data) {
+  const codes = conditionCodes(data);
+  if (codes.includes(511)) return 'freezing_rain';
+  if (codes.some((code) => code >= 611 && code <= 616)) return 'sleet';
+  return null;
+}
+
+// 2xx thunderstorm codes by strength — "light" storms still throw lightning
+const THUNDERSTORM_INTENSITY = {
+  200: 'moderate', 201: 'moderate', 202: 'heavy',
+  210: 'light', 211: 'moderate', 212: 'heavy', 221: 'heavy',
+  230: 'light', 231: 'moderate', 232: 'heavy',
+};
+
+/**
+ * Thunderstorm (and so lightning) from condition codes
+ * @param {Object|null} data
+ * @returns {{ intensity: "light"|"moderate"|"heavy" }|null}
+ */
+export function processThunderstorm(data) {
+  const storms = conditionCodes(data).filter((code) => code >= 200 && code < 300);
+  if (storms.length === 0) return null;
+
+  const rank = { light: 1, moderate: 2, heavy: 3 };
+  const intensity = storms
+    .map((code) => THUNDERSTORM_INTENSITY[code] ?? 'moderate')
+    .reduce((worst, i) => (rank[i] > rank[worst] ? i : worst));
+  return { intensity };
+}
+
+/**
+ * NWS heat index (Rothfusz regression with its low- and high-humidity adjustments)
+ * Only defined from 80°F (26.7°C) — below that the air temperature is what you feel.
+ * https://www.wpc.ncep.noaa.gov/html/heatindex_equation.shtml
+ * @param {number} tempC - Air temperature
+ * @param {number} humidity - Relative humidity, %
+ * @returns {number|null} Heat index in °C, rounded; null below 80°F
+ */
+export function heatIndexC(tempC, humidity) {
+  if (!Number.isFinite(tempC) || !Number.isFinite(humidity)) return null;
+  const t = (tempC * 9) / 5 + 32;
+  if (t < 80) return null;
+
+  const rh = humidity;
+  let hi = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+  if (hi >= 80) {
+    hi = -42.379 + 2.04901523 * t + 10.14333127 * rh - 0.22475541 * t * rh -
+      0.00683783 * t * t - 0.05481717 * rh * rh + 0.00122874 * t * t * rh +
+      0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+    if (rh < 13 && t <= 112) hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    if (rh > 85 && t <= 87) hi += ((rh - 85) / 10) * ((87 - t) / 5);
+  }
+  return Math.round(((hi - 32) * 5) / 9);
+}
+
+/**
+ * Heat index for a current-conditions response or forecast entry
+ * @param {Object|null} data
+ * @returns {number|null} °C
+ */
+export function processHeatIndex(data) {
+  return heatIndexC(data?.main?.temp, data?.main?.humidity);
+}
+
+// US EPA PM2.5 breakpoints (µg/m³, 24-hour, 2024 revision) → AQI
+const PM25_BREAKPOINTS = [
+  [0, 9.0, 0, 50],
+  [9.1, 35.4, 51, 100],
+  [35.5, 55.4, 101, 150],
+  [55.5, 125.4, 151, 200],
+  [125.5, 225.4, 201, 300],
+  [225.5, 325.4, 301, 500],
+];
+
+const AQI_CATEGORIES = [
+  [50, 'good'],
+  [100, 'moderate'],
+  [150, 'unhealthy_for_sensitive_groups'],
+  [200, 'unhealthy'],
+  [300, 'very_unhealthy'],
+  [Infinity, 'hazardous'],
+];
+
+/**
+ * US AQI from a PM2.5 concentration — smoke is almost all PM2.5, so this is the number
+ * AirNow and the news quote on wildfire-smoke days
+ * @param {number} pm25 - µg/m³
+ * @returns {number|null}
+ */
+export function usAqiFromPm25(pm25) {
+  if (!Number.isFinite(pm25) || pm25 < 0) return null;
+  const c = Math.floor(pm25 * 10) / 10;
+  const [cLow, cHigh, iLow, iHigh] =
+    PM25_BREAKPOINTS.find(([, high]) => c <= high) ?? PM25_BREAKPOINTS[PM25_BREAKPOINTS.length - 1];
+  return Math.min(500, Math.round(((iHigh - iLow) / (cHigh - cLow)) * (Math.min(c, cHigh) - cLow) + iLow));
+}
+
+/**
+ * AQI category name, e.g. "unhealthy"
+ * @param {number} aqi
+ * @returns {string}
+ */
+export function aqiCategory(aqi) {
+  return AQI_CATEGORIES.find(([limit]) => aqi <= limit)[1];
+}
+
+/**
+ * Air quality at a moment from OpenWeather's /air_pollution/forecast (hourly)
+ * Uses the latest entry at or before the moment, or the first when the moment comes before them all.
+ * @param {Object|null} airData - /data/2.5/air_pollution or /air_pollution/forecast response
+ * @param {Object|null} conditions - The weather used for the same moment (condition 711 is smoke)
+ * @param {number|null} atSeconds - Epoch seconds; null for the first entry
+ * @returns {{ aqi: number, category: string, pm25: number, smoke: boolean }|null}
+ */
+export function processAirQuality(airData, conditions, atSeconds = null) {
+  const list = airData?.list ?? [];
+  if (list.length === 0) return null;
+
+  try {
+    const entry = atSeconds == null
+      ? list[0]
+      : list.filter((e) => e.dt <= atSeconds).at(-1) ?? list[0];
+    const pm25 = entry?.components?.pm2_5;
+    const aqi = usAqiFromPm25(pm25);
+    if (aqi == null) return null;
+
+    return {
+      aqi,
+      category: aqiCategory(aqi),
+      pm25: Math.round(pm25 * 10) / 10,
+      smoke: conditionCodes(conditions).includes(711),
+    };
+  } catch (error) {
+    log.error('Error processing air quality', { error });
+    return null;
+  }
+}
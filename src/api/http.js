@@ -0,0 +1,25 @@
+// Single fetch entry point for the api modules
+// In the browser this is plain fetch. The server swaps in a recording / replaying
+// implementation (server/fixtures.js) so storm nights can be captured and re-run offline.
+
+const defaultFetch = (...args) => globalThis.fetch(...args);
+
+let fetchImpl = defaultFetch;
+
+/**
+ * fetch() through the currently installed implementation
+ * @param {string} url
+ * @param {Object} init - Standard fetch options
+ * @returns {Promise<Response>}
+ */
+export function httpFetch(url, init) {
+  return fetchImpl(url, init);
+}
+
+/**
+ * Replace the fetch implementation (pass null to restore the default)
+ * @param {Function|null} impl - (url, init) => Promise<Response>
+ */
+export function setFetchImplementation(impl) {
+  fetchImpl = impl ?? defaultFetch;
+}
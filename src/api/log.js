@@ -0,0 +1,47 @@
+// Logging for the api modules and components
+// In the browser, debug/info output only appears with the debug flag on:
+//   VITE_DEBUG=true at build time, or localStorage.setItem('stormsafe:debug', '1') at runtime.
+// warn/error always reach the console. The server swaps in its JSON logger
+// (server/logger.js) so these modules log with request IDs when run inside /api/assess.
+
+import { readEnv } from './env.js';
+
+export function isDebugEnabled() {
+  if (readEnv('VITE_DEBUG') === 'true') return true;
+  try {
+    return globalThis.localStorage?.getItem('stormsafe:debug') === '1';
+  } catch {
+    return false;
+  }
+}
+
+const consoleLogger = {
+  debug: (msg, fields) => {
+    if (isDebugEnabled()) console.debug(`[StormSafe] ${msg}`, fields ?? '');
+  },
+  info: (msg, fields) => {
+    if (isDebugEnabled()) console.info(`[StormSafe] ${msg}`, fields ?? '');
+  },
+  warn: (msg, fields) => console.warn(`[StormSafe] ${msg}`, fields ?? ''),
+  error: (msg, fields) => console.error(`[StormSafe] ${msg}`, fields ?? ''),
+};
+
+let impl = consoleLogger;
+
+/**
+ * Module-wide logger: log.debug / info / warn / error (message, fields?)
+ */
+export const log = {
+  debug: (msg, fields) => impl.debug(msg, fields),
+  info: (msg, fields) => impl.info(msg, fields),
+  warn: (msg, fields) => impl.warn(msg, fields),
+  error: (msg, fields) => impl.error(msg, fields),
+};
+
+/**
+ * Replace the logger implementation (pass null to restore the console logger)
+ * @param {Object|null} logger - { debug, info, warn, error }
+ */
+export function setLogger(logger) {
+  impl = logger ?? consoleLogger;
+}
@@ -0,0 +1,124 @@
+// "Best time to leave" planner
+// Scores each upcoming 3-hour forecast slot over the next PLANNER_HORIZON_HOURS for the trip
+// out and an assumed trip home, with the rules engine, and picks the best window to leave.
+// The server builds the per-slot payloads (server/planner.js); the browser fetches the result
+// from POST /api/plan.
+
+import { DEFAULT_RETURN_AFTER_HOURS } from './departure.js';
+import { RateLimitedError, rateLimitedErrorFrom } from './errors.js';
+import { httpFetch } from './http.js';
+import { log } from './log.js';
+import { getRuleBasedRecommendation, scoreTrip } from './rulesEngine.js';
+
+export const PLANNER_HORIZON_HOURS = 12;
+
+export { DEFAULT_RETURN_AFTER_HOURS };
+
+// OpenWeather forecast slots are three hours long and aligned to 00:00 UTC
+const SLOT_MS = 3 * 60 * 60 * 1000;
+
+// A slot boundary closer than this to now adds nothing over leaving now
+const MIN_LEAD_MS = 45 * 60 * 1000;
+
+/**
+ * Departure times worth comparing: now, then each forecast slot boundary within the horizon
+ * @param {number} now - Epoch ms
+ * @param {number} horizonHours
+ * @returns {Array<string>} ISO 8601 timestamps, earliest first
+ */
+export function departureCandidates(now, horizonHours = PLANNER_HORIZON_HOURS) {
+  const candidates = [new Date(now).toISOString()];
+  const end = now + horizonHours * 60 * 60 * 1000;
+  for (let t = Math.ceil((now + MIN_LEAD_MS) / SLOT_MS) * SLOT_MS; t <= end; t += SLOT_MS) {
+    candidates.push(new Date(t).toISOString());
+  }
+  return candidates;
+}
+
+/**
+ * Score one leg (outbound or return) of a trip payload
+ * @param {string} at - When the leg starts, ISO 8601
+ * @param {Object} payload - Trip payload as of that time
+ * @returns {{ at: string, score: number, verdict: string, headline: string, period: Object|null }}
+ */
+export function scoreLeg(at, payload) {
+  const { score, factors } = scoreTrip(payload);
+  return {
+    at,
+    score,
+    verdict: getRuleBasedRecommendation(payload).verdict,
+    headline: factors[0]?.reason ?? 'Nothing worth worrying about',
+    period: payload.weather?.period ?? null,
+  };
+}
+
+/**
+ * Pick the best departure from scored candidates
+ * Lowest combined outbound + return score wins; ties go to the earliest, so "now" wins
+ * whenever waiting doesn't help. The window runs through any immediately following
+ * slots that score the same.
+ * @param {Array<{ outbound: Object, return: Object }>} slots - Scored legs, earliest first
+ * @param {number} returnAfterHours
+ * @returns {{ returnAfterHours: number, best: Object|null, timeline: Array<Object> }}
+ */
+export function planDeparture(slots, returnAfterHours = DEFAULT_RETURN_AFTER_HOURS) {
+  const timeline = slots.map(({ outbound, return: back }) => ({
+    at: outbound.at,
+    outbound,
+    return: back,
+    total: outbound.score + back.score,
+    best: false,
+  }));
+  if (timeline.length === 0) return { returnAfterHours, best: null, timeline };
+
+  const bestIndex = timeline.reduce((best, slot, i) => (slot.total < timeline[best].total ? i : best), 0);
+  let last = bestIndex;
+  while (last + 1 < timeline.length && timeline[last + 1].total === timeline[bestIndex].total) last++;
+  for (let i = bestIndex; i <= last; i++) timeline[i].best = true;
+
+  // Open until the next slot that scores worse, or one slot past the horizon
+  const windowEnd = timeline[last + 1]?.at ?? new Date(Date.parse(timeline[last].at) + SLOT_MS).toISOString();
+
+  return {
+    returnAfterHours,
+    best: {
+      ...timeline[bestIndex],
+      window: { from: timeline[bestIndex].at, to: windowEnd },
+      leaveNow: bestIndex === 0,
+    },
+    timeline,
+  };
+}
+
+/**
+ * Fetch the departure plan for a trip from the StormSafe server
+ * @param {Object} trip - { origin, destination } as sent to /api/assess
+ * @returns {Promise<Object|null>} planDeparture() result, or null when it can't be planned
+ * @throws {RateLimitedError} When the server rejects the request with 429
+ */
+export async function fetchDeparturePlan(trip) {
+  try {
+    const response = await httpFetch('/api/plan', {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+      },
+      body: JSON.stringify(trip),
+    });
+
+    if (response.status === 429) {
+      throw rateLimitedErrorFrom(response);
+    }
+
+    if (!response.ok) {
+      log.warn('Failed to fetch departure plan', { status: response.status });
+      return null;
+    }
+
+    return await response.json();
+  } catch (error) {
+    if (error instanceof RateLimitedError) throw error;
+    log.error('Departure plan fetch error', { error });
+    return null;
+  }
+}
@@ -0,0 +1,196 @@
+// Route registry
+// Every MTA rail line StormSafe reports on — the subway with its shuttles and express variants,
+// the Staten Island Railway, the LIRR and Metro-North — read from GTFS static routes.txt
+// (gtfsRoutes.js), with display names and colors.
+//
+// Lines are keyed the way the alert feeds name them: subway and SIR lines by route_id ("A",
+// "6X", "GS", "SI"). LIRR and Metro-North route_ids are plain numbers that clash with the
+// subway's, so theirs are prefixed: "LIRR:1" is the Babylon Branch, "MNR:2" the Harlem Line.
+
+import { LIRR_ROUTES_TXT, MNR_ROUTES_TXT, SUBWAY_ROUTES_TXT } from './gtfsRoutes.js';
+
+export const ROUTE_SYSTEMS = ['subway', 'sir', 'lirr', 'mnr'];
+
+// agency_id the commuter railroads' alerts carry; anything else is the subway (MTASBWY in the
+// alerts feed, MTA NYCT in static GTFS)
+const RAIL_AGENCIES = { LI: 'lirr', LIRR: 'lirr', MNR: 'mnr', MNRR: 'mnr' };
+
+const KEY_PREFIX = { lirr: 'LIRR', mnr: 'MNR' };
+
+/**
+ * Parse a GTFS CSV file such as routes.txt into one object per row, keyed by the header
+ * Handles quoted fields (with "" for a quote) as GTFS allows.
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+export function parseRoutesTxt(text) {
+  const rows = (text ?? '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== '')
+    .map(csvFields);
+  if (rows.length === 0) return [];
+
+  const [header, ...body] = rows;
+  return body.map((fields) => Object.fromEntries(header.map((column, i) => [column.trim(), fields[i]?.trim() ?? ''])));
+}
+
+function csvFields(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+// How a line is named in reasons and summaries, e.g. "A train", "42 St Shuttle", "LIRR Babylon Branch"
+function displayName(system, shortName, longName) {
+  if (system === 'lirr') return `LIRR ${longName}`;
+  if (system === 'mnr') return `Metro-North ${longName} Line`;
+  if (system === 'sir' || shortName === 'S' || !shortName) return longName;
+  return `${shortName} train`;
+}
+
+// Words in running text that pick out one line: the shuttles, SIR and commuter rail by name.
+// Other subway lines share long names ("8 Avenue Local" is both C and E), so they go by letter.
+function namePhrase(system, shortName, longName) {
+  if (system === 'mnr') return `${longName} Line`;
+  if (system === 'subway' && shortName !== 'S') return null;
+  return longName;
+}
+
+function buildRoute(row, feed) {
+  const system = feed === 'subway' && row.route_id === 'SI' ? 'sir' : feed;
+  const shortName = row.route_short_name || null;
+  const longName = row.route_long_name || null;
+
+  return {
+    id: KEY_PREFIX[system] ? `${KEY_PREFIX[system]}:${row.route_id}` : row.route_id,
+    system,
+    routeId: row.route_id,
+    shortName,
+    longName,
+    label: shortName ?? longName ?? row.route_id,
+    name: displayName(system, shortName, longName ?? row.route_id),
+    phrase: namePhrase(system, shortName, longName),
+    color: row.route_color ? `#${row.route_color}` : null,
+    textColor: row.route_text_color ? `#${row.route_text_color}` : null,
+  };
+}
+
+/**
+ * Build a registry from routes.txt files
+ * @param {Array<{ system: string, text: string }>} feeds - system is the file's feed: subway, lirr or mnr
+ * @returns {Map<string, Object>} id → { id, system, routeId, shortName, longName, label, name, phrase,
+ *   color, textColor }, in file order
+ */
+export function createRouteRegistry(feeds) {
+  const routes = feeds.flatMap(({ system, text }) =>
+    parseRoutesTxt(text)
+      .filter((row) => row.route_id)
+      .map((row) => buildRoute(row, system))
+  );
+  return new Map(routes.map((route) => [route.id, route]));
+}
+
+const REGISTRY = createRouteRegistry([
+  { system: 'subway', text: SUBWAY_ROUTES_TXT },
+  { system: 'lirr', text: LIRR_ROUTES_TXT },
+  { system: 'mnr', text: MNR_ROUTES_TXT },
+]);
+
+/**
+ * Every line in the registry, optionally only some systems
+ * @param {Array<string>} [systems] - From ROUTE_SYSTEMS
+ * @returns {Array<Object>}
+ */
+export function allRoutes(systems = ROUTE_SYSTEMS) {
+  return [...REGISTRY.values()].filter((route) => systems.includes(route.system));
+}
+
+/**
+ * @param {string} id - Registry key, e.g. "A" or "LIRR:1"
+ * @returns {Object|null}
+ */
+export function getRoute(id) {
+  return REGISTRY.get(id) ?? null;
+}
+
+/**
+ * Display name for a line, e.g. "A train"; unknown ids read as "<id> train"
+ * @param {string} id
+ * @returns {string}
+ */
+export function routeName(id) {
+  return getRoute(id)?.name ?? `${id} train`;
+}
+
+/**
+ * Registry key for an alert's informed_entity
+ * @param {Object} entity - { agency_id, route_id }
+ * @returns {string|null} null without a route_id; keys outside the registry (buses) pass through
+ */
+export function routeKey(entity) {
+  if (!entity?.route_id) return null;
+  const system = RAIL_AGENCIES[entity.agency_id];
+  return system ? `${KEY_PREFIX[system]}:${entity.route_id}` : entity.route_id;
+}
+
+// What riders and directions call a subway or SIR line → its key. A bare "S" is the 42 St
+// Shuttle, the first S in routes.txt; the other shuttles go by name (see routesNamedIn).
+const LINE_TOKENS = new Map();
+for (const route of allRoutes(['subway', 'sir'])) {
+  for (const token of [route.routeId, route.shortName]) {
+    if (token && !LINE_TOKENS.has(token)) LINE_TOKENS.set(token, route.id);
+  }
+}
+
+/**
+ * Registry key for a line as written, e.g. "6x" → "6X", "S" → "GS", "SIR" → "SI"
+ * @param {string} token
+ * @returns {string|null}
+ */
+export function lineForToken(token) {
+  return LINE_TOKENS.get(String(token).toUpperCase()) ?? null;
+}
+
+/**
+ * Regular expression source matching any one line token, longest first ("6X" before "6")
+ * @returns {string}
+ */
+export function lineTokenPattern() {
+  return [...LINE_TOKENS.keys()].sort((a, b) => b.length - a.length).join('|');
+}
+
+/**
+ * Lines a piece of text names in full, e.g. "Rockaway Park Shuttle" or "Port Washington Branch"
+ * @param {string} text
+ * @returns {Array<string>} Registry keys
+ */
+export function routesNamedIn(text) {
+  const haystack = (text ?? '').toLowerCase();
+  return allRoutes()
+    .filter((route) => route.phrase && haystack.includes(route.phrase.toLowerCase()))
+    .map((route) => route.id);
+}
@@ -0,0 +1,277 @@
+// Rule-based verdict engine
+// Scores the same trip payload Claude sees into the same
+// { verdict, reasons, return_risk, best_route_advice, summary } schema, deterministically.
+// Used when Claude is unavailable or returns garbage, and as a cross-check on Claude's verdict.
+//
+// Thresholds are in the units the weather object carries: wind m/s, visibility km, feels-like °C;
+// reasons are written in the payload's unit system (readings.system).
+
+import { nextTrainText } from './arrivals.js';
+import { formatNycTime } from './departure.js';
+import { groundConditionsText } from './ground.js';
+import { routeName } from './routeRegistry.js';
+import { airQualityText } from './severity.js';
+import { DEFAULT_UNIT_SYSTEM, formatIn } from './units.js';
+import { precipitationLabel } from './weather.js';
+
+// Verdicts from least to most cautious — distance along this scale measures disagreement
+export const VERDICT_SCALE = ['Go for it', 'Go if you have to', 'Wait it out', 'Stay in tonight'];
+
+// Claude and the rules engine this many steps apart counts as a disagreement worth flagging
+export const DISAGREEMENT_STEPS = 2;
+
+const PRECIPITATION_POINTS = {
+  rain: { light: 1, moderate: 2, heavy: 3 },
+  snow: { light: 1, moderate: 3, heavy: 4 },
+  sleet: { light: 2, moderate: 3, heavy: 4 },
+  freezing_rain: { light: 3, moderate: 4, heavy: 5 },
+};
+
+const THUNDERSTORM_POINTS = { light: 2, moderate: 3, heavy: 4 };
+
+// Snow or ice underfoot alone is enough to stop a "Go for it"
+const GROUND_POINTS = { icy: 4, snow_covered: 3, slushy: 1 };
+
+const ALERT_POINTS = { extreme: 3, high: 2, moderate: 1, minor: 1 };
+
+const BAN_POINTS = { advisory: 4, vehicle_ban: 4 };
+
+const SUSPENSION_PATTERN = /suspend|no trains|not running|no service/i;
+
+// Points by line status (see LINE_STATUSES in transitStatus.js); a suspension in the text scores
+// as one whatever the status says
+const LINE_STATUS_POINTS = { suspended: 3, part_suspended: 3, significant_delays: 2, delays: 2, planned_work: 1 };
+
+// Leaving now to stand this long on a platform (see next_trains) is worth a point; no train due at all, two
+const LONG_WAIT_MINUTES = 15;
+
+// Points for the first [limit, points] pair the value reaches (thresholds ordered worst first)
+function atLeast(value, thresholds) {
+  return thresholds.find(([limit]) => value >= limit)?.[1] ?? 0;
+}
+
+function atMost(value, thresholds) {
+  return thresholds.find(([limit]) => value <= limit)?.[1] ?? 0;
+}
+
+// Route weather (see combineRouteWeather) says where the worst of each condition is
+const WHERE_TEXT = { 'en route': ' along the route', destination: ' at your destination' };
+
+function whereText(weather, field) {
+  return WHERE_TEXT[weather.route?.worst?.[field]?.where] ?? '';
+}
+
+function hasWeather(weather) {
+  return Boolean(weather) && Object.entries(weather).some(([field, v]) => field !== 'route' && field !== 'sources' && v != null);
+}
+
+/**
+ * Subway lines on the route that have a problem, with their status and top MTA message
+ */
+function affectedRouteLines(payload) {
+  const subway = payload.transit_status?.subway;
+  const lines = payload.travel_data?.relevantLines ?? [];
+  if (!subway || typeof subway !== 'object') return [];
+
+  return lines
+    .filter((line) => subway[line] && (subway[line].status !== 'normal' || subway[line].message))
+    .map((line) => ({ line, status: subway[line].status, message: subway[line].message }));
+}
+
+/**
+ * Alerts on the route's lines that start while the user is out — they hit the trip home
+ */
+function returnTripAlerts(payload) {
+  const lines = payload.travel_data?.relevantLines ?? [];
+  return (payload.transit_status?.onReturn ?? []).filter((alert) => alert.routes?.some((r) => lines.includes(r)));
+}
+
+/**
+ * Points for the wait at the origin's station: the soonest train on the trip's lines, either way
+ */
+function platformWaitPoints(nextTrains) {
+  if (!nextTrainText(nextTrains)) return 0;
+  const [soonest] = nextTrains.arrivals;
+  if (!soonest) return 2;
+  return soonest.minutes >= LONG_WAIT_MINUTES ? 1 : 0;
+}
+
+/**
+ * Score every factor of a trip payload
+ * @param {Object} payload - Trip payload (see TRIP_PAYLOAD_FIELDS in server/prompt.js)
+ * @returns {{ score: number, factors: Array<{ factor: string, points: number, reason: string }> }}
+ *   factors sorted by points, highest first
+ */
+export function scoreTrip(payload) {
+  const factors = [];
+  const add = (factor, points, reason) => {
+    if (points > 0) factors.push({ factor, points, reason });
+  };
+
+  const weather = payload.weather ?? {};
+  const { precipitation, wind, visibility, feelsLike, alerts, thunderstorm, heatIndex, airQuality, forecast3hr } = weather;
+  const units = payload.readings?.system ?? DEFAULT_UNIT_SYSTEM;
+
+  if (precipitation) {
+    const points = PRECIPITATION_POINTS[precipitation.type]?.[precipitation.intensity] ?? 1;
+    add('precipitation', points, `${precipitationLabel(precipitation)} falling now${whereText(weather, 'precipitation')}`);
+  }
+
+  if (thunderstorm) {
+    add('thunderstorm', THUNDERSTORM_POINTS[thunderstorm.intensity] ?? 3, `Thunderstorms with lightning${whereText(weather, 'thunderstorm')}`);
+  }
+
+  if (wind) {
+    const speedPoints = atLeast(wind.speed, [[17, 3], [11, 2], [8, 1]]);
+    const gustPoints = wind.gusts != null ? atLeast(wind.gusts, [[22, 2], [15, 1]]) : 0;
+    const gustText = wind.gusts != null ? `, gusts ${formatIn(wind.gusts, 'speed', units)}` : '';
+    add('wind', speedPoints + gustPoints, `Wind ${formatIn(wind.speed, 'speed', units)}${gustText}${whereText(weather, 'wind')}`);
+  }
+
+  if (visibility != null) {
+    add('visibility', atMost(visibility, [[0.5, 3], [1, 2], [2, 1]]), `Visibility down to ${formatIn(visibility, 'visibility', units)}${whereText(weather, 'visibility')}`);
+  }
+
+  if (feelsLike != null) {
+    const coldPoints = atMost(feelsLike, [[-15, 2], [-8, 1]]);
+    // The heat index, when there is one, scores heat on its own
+    const heatPoints = heatIndex == null ? atLeast(feelsLike, [[40, 2], [35, 1]]) : 0;
+    add('feels_like', coldPoints + heatPoints, `Feels like ${formatIn(feelsLike, 'temperature', units)}${whereText(weather, 'feelsLike')}`);
+  }
+
+  if (heatIndex != null) {
+    add('heat', atLeast(heatIndex, [[52, 4], [39, 3], [32, 1]]), `Heat index ${formatIn(heatIndex, 'temperature', units)}${whereText(weather, 'heatIndex')}`);
+  }
+
+  if (airQuality) {
+    add('air_quality', atLeast(airQuality.aqi, [[301, 4], [201, 3], [151, 2], [101, 1]]), `${airQualityText(airQuality)}${whereText(weather, 'airQuality')}`);
+  }
+
+  // What the last two days left on the sidewalks, even with nothing falling now
+  const ground = payload.ground_conditions;
+  if (ground && GROUND_POINTS[ground.condition]) {
+    add('ground', GROUND_POINTS[ground.condition], groundConditionsText(ground, units));
+  }
+
+  for (const alert of alerts ?? []) {
+    const until = alert.expires ? ` until ${formatNycTime(alert.expires)}` : '';
+    add('weather_alert', ALERT_POINTS[alert.severity] ?? 1, `${alert.title} in effect${until}`);
+  }
+
+  if (forecast3hr?.trend === 'worsening' && forecast3hr.precipExpected) {
+    add('forecast', 1, 'Conditions are getting worse over the next 3 hours — the trip home will be rougher');
+  }
+
+  if (!payload.is_walkable) {
+    const affected = affectedRouteLines(payload);
+    for (const { line, status, message } of affected) {
+      const suspended = message && SUSPENSION_PATTERN.test(message);
+      const points = Math.max(LINE_STATUS_POINTS[status] ?? 2, suspended ? 3 : 0);
+      add('transit', points, message ? `${routeName(line)}: "${message}"` : `${routeName(line)} has service changes`);
+    }
+
+    // Planned work after the trip never counts — it isn't in the payload (see transitForPrompt)
+    for (const { message, start } of returnTripAlerts(payload)) {
+      const suspended = SUSPENSION_PATTERN.test(message);
+      const from = start ? `From ${formatNycTime(start)}, before the trip home` : 'Before the trip home';
+      add('transit_return', suspended ? 2 : 1, `${from}: "${message}"`);
+    }
+
+    // Only filled in for a trip leaving now
+    add('platform_wait', platformWaitPoints(payload.next_trains), nextTrainText(payload.next_trains));
+
+    const path = payload.transit_status?.path;
+    if (path && path.status !== 'normal' && path.message) {
+      add('path', 2, `PATH: ${path.message}`);
+    }
+
+    if (payload.travel_data?.ferry_only_route) {
+      add('route', 2, 'No subway or PATH route reaches this destination — limited transit options');
+    }
+  }
+
+  const ban = payload.travel_ban;
+  if (ban && BAN_POINTS[ban.ban_level]) {
+    add('travel_ban', BAN_POINTS[ban.ban_level], ban.plain_english ?? `Travel ${ban.ban_level.replace('_', ' ')} in effect`);
+  }
+
+  // Long exposure multiplies everything above
+  const stormMinutes = payload.travel_data?.storm_minutes;
+  if (factors.length > 0 && stormMinutes != null && stormMinutes >= 60) {
+    add('trip_length', 1, `About ${stormMinutes} min door to door in these conditions`);
+  }
+
+  factors.sort((a, b) => b.points - a.points);
+  return { score: factors.reduce((sum, f) => sum + f.points, 0), factors };
+}
+
+function verdictFor(score, payload) {
+  if (payload.travel_ban?.ban_level === 'transit_suspended') return 'Stay in tonight';
+  if (score >= 11) {
+    return payload.weather?.forecast3hr?.trend === 'improving' ? 'Wait it out' : 'Stay in tonight';
+  }
+  if (score >= 7) return 'Wait it out';
+  if (score >= 3) return 'Go if you have to';
+  return 'Go for it';
+}
+
+function returnRiskFor(score, payload) {
+  if (score >= 7) return 'high';
+  if (payload.weather?.forecast3hr?.trend === 'worsening' && score >= 3) return 'high';
+  if (score >= 3) return 'medium';
+  return hasWeather(payload.weather) ? 'low' : 'unknown';
+}
+
+function routeAdviceFor(payload) {
+  const travel = payload.travel_data;
+  if (payload.is_walkable) return 'Short walk — dress for the weather and go.';
+  if (travel?.ferry_only_route) return 'Limited options right now — no subway or PATH route for this trip.';
+
+  const [worst] = affectedRouteLines(payload);
+  if (worst) return `Check the ${routeName(worst.line)} before you leave — it has service problems right now.`;
+  return travel?.best_route ?? null;
+}
+
+const SUMMARIES = {
+  'Go for it': 'Nothing out there worth cancelling over — go enjoy your night.',
+  'Go if you have to': 'Doable if it matters, but pack your patience for the trip home.',
+  'Wait it out': 'Give it a bit — this is a rough window to be out in.',
+  'Stay in tonight': 'Honestly a great night to order in — no shame.',
+};
+
+/**
+ * Deterministic verdict for a trip payload, in the recommendation schema
+ * @param {Object} payload - Trip payload (weather, transit_status, travel_ban, travel_data, is_walkable, ...)
+ * @returns {Object} { verdict, reasons, return_risk, best_route_advice, summary }
+ */
+export function getRuleBasedRecommendation(payload = {}) {
+  const { score, factors } = scoreTrip(payload);
+  const verdict = verdictFor(score, payload);
+
+  const weatherKnown = hasWeather(payload.weather);
+  const reasons = factors.slice(0, weatherKnown ? 3 : 2).map((f) => f.reason);
+  if (!weatherKnown) reasons.push('Live weather unavailable — check conditions before you head out');
+  if (reasons.length === 0) reasons.push('No significant weather on your route');
+  if (reasons.length < 2) {
+    reasons.push(payload.is_walkable ? 'Short walk, nothing slowing you down' : 'No service problems on your lines');
+  }
+
+  return {
+    verdict,
+    reasons,
+    return_risk: returnRiskFor(score, payload),
+    best_route_advice: routeAdviceFor(payload),
+    summary: SUMMARIES[verdict],
+  };
+}
+
+/**
+ * Compare two verdicts on VERDICT_SCALE
+ * @param {Object} a - Recommendation (e.g. Claude's)
+ * @param {Object} b - Recommendation (e.g. the rules engine's)
+ * @returns {{ steps: number, disagree: boolean }} steps apart, and whether that crosses DISAGREEMENT_STEPS
+ */
+export function compareVerdicts(a, b) {
+  const steps = Math.abs(VERDICT_SCALE.indexOf(a.verdict) - VERDICT_SCALE.indexOf(b.verdict));
+  return { steps, disagree: steps >= DISAGREEMENT_STEPS };
+}
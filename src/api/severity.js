@@ -0,0 +1,124 @@
+// Weather severity
+// Classifies the (route-worst) weather object and its NWS alerts on the none → extreme
+// scale getStormMultiplier takes, keeping the conditions that drove the result so the
+// prompt and the result screen can say why.
+//
+// Thresholds are in the units the weather object carries: wind m/s, visibility km, feels-like °C.
+// Driver reasons are written in the user's unit system.
+
+import { DEFAULT_UNIT_SYSTEM, formatIn } from './units.js';
+import { precipitationLabel } from './weather.js';
+
+export const SEVERITY_LEVELS = ['none', 'light', 'moderate', 'severe', 'extreme'];
+
+const rank = (level) => SEVERITY_LEVELS.indexOf(level);
+
+const PRECIPITATION_LEVEL = {
+  rain: { light: 'light', moderate: 'moderate', heavy: 'severe' },
+  snow: { light: 'light', moderate: 'moderate', heavy: 'severe' },
+  // Any ice on the sidewalk is a fall waiting to happen
+  sleet: { light: 'moderate', moderate: 'severe', heavy: 'severe' },
+  freezing_rain: { light: 'severe', moderate: 'severe', heavy: 'extreme' },
+};
+
+// Lightning makes any thunderstorm a reason to stay under cover
+const THUNDERSTORM_LEVEL = { light: 'moderate', moderate: 'severe', heavy: 'severe' };
+
+const AQI_TEXT = {
+  unhealthy_for_sensitive_groups: 'unhealthy for sensitive groups',
+  unhealthy: 'unhealthy',
+  very_unhealthy: 'very unhealthy',
+  hazardous: 'hazardous',
+};
+
+/**
+ * Display text for air quality, e.g. "Air quality AQI 182 (unhealthy) — smoke"
+ * @param {{ aqi: number, category: string, smoke: boolean }} airQuality
+ * @returns {string}
+ */
+export function airQualityText(airQuality) {
+  const category = AQI_TEXT[airQuality.category] ?? airQuality.category;
+  return `Air quality AQI ${airQuality.aqi} (${category})${airQuality.smoke ? ' — smoke' : ''}`;
+}
+
+const ALERT_LEVEL = { extreme: 'extreme', high: 'severe', moderate: 'moderate', minor: 'light' };
+
+// Level for the first [limit, level] pair the value reaches (thresholds ordered worst first)
+const atLeast = (value, thresholds) => thresholds.find(([limit]) => value >= limit)?.[1] ?? 'none';
+const atMost = (value, thresholds) => thresholds.find(([limit]) => value <= limit)?.[1] ?? 'none';
+
+const worse = (a, b) => (rank(b) > rank(a) ? b : a);
+
+/**
+ * Classify weather severity
+ * The level is the worst single driver, raised to extreme when two or more conditions
+ * are severe at once (heavy snow in a gale is a blizzard, not just heavy snow).
+ * @param {Object|null} weather - buildWeather() / combineRouteWeather() result
+ * @param {string} units - Unit system for the reasons (see src/api/units.js)
+ * @returns {{ level: string, drivers: Array<{ factor: string, level: string, reason: string }> }}
+ *   drivers: every condition above none, worst first
+ */
+export function classifyWeatherSeverity(weather, units = DEFAULT_UNIT_SYSTEM) {
+  const drivers = [];
+  const add = (factor, level, reason) => {
+    if (level !== 'none') drivers.push({ factor, level, reason });
+  };
+
+  const { precipitation, wind, visibility, feelsLike, alerts, thunderstorm, heatIndex, airQuality } = weather ?? {};
+
+  if (precipitation) {
+    const level = PRECIPITATION_LEVEL[precipitation.type]?.[precipitation.intensity] ?? 'light';
+    add('precipitation', level, precipitationLabel(precipitation));
+  }
+
+  if (thunderstorm) {
+    add('thunderstorm', THUNDERSTORM_LEVEL[thunderstorm.intensity] ?? 'severe', 'Thunderstorms with lightning');
+  }
+
+  if (wind) {
+    const level = worse(
+      atLeast(wind.speed, [[17, 'severe'], [11, 'moderate'], [8, 'light']]),
+      wind.gusts != null ? atLeast(wind.gusts, [[25, 'severe'], [18, 'moderate'], [13, 'light']]) : 'none'
+    );
+    const gustText = wind.gusts != null ? `, gusts ${formatIn(wind.gusts, 'speed', units)}` : '';
+    add('wind', level, `Wind ${formatIn(wind.speed, 'speed', units)}${gustText}`);
+  }
+
+  if (visibility != null) {
+    add('visibility', atMost(visibility, [[0.4, 'severe'], [1, 'moderate'], [2, 'light']]), `Visibility ${formatIn(visibility, 'visibility', units)}`);
+  }
+
+  // Cold makes the walk miserable more than it slows it down, so it stops at moderate.
+  // Heat is judged by the heat index when there is one.
+  if (feelsLike != null) {
+    const level = worse(
+      atMost(feelsLike, [[-15, 'moderate'], [-8, 'light']]),
+      heatIndex == null ? atLeast(feelsLike, [[38, 'moderate'], [33, 'light']]) : 'none'
+    );
+    add('feels_like', level, `Feels like ${formatIn(feelsLike, 'temperature', units)}`);
+  }
+
+  // NWS heat index bands: caution 27°C (80°F), extreme caution 32°C, danger 39°C, extreme danger 52°C
+  if (heatIndex != null) {
+    const level = atLeast(heatIndex, [[52, 'extreme'], [39, 'severe'], [32, 'moderate'], [27, 'light']]);
+    add('heat', level, `Heat index ${formatIn(heatIndex, 'temperature', units)}`);
+  }
+
+  // US AQI: above 100 is unhealthy for sensitive groups, above 150 for everyone
+  if (airQuality) {
+    const level = atLeast(airQuality.aqi, [[301, 'extreme'], [201, 'severe'], [151, 'moderate'], [101, 'light']]);
+    add('air_quality', level, airQualityText(airQuality));
+  }
+
+  for (const alert of alerts ?? []) {
+    add('alert', ALERT_LEVEL[alert.severity] ?? 'light', alert.title);
+  }
+
+  drivers.sort((a, b) => rank(b.level) - rank(a.level));
+
+  let level = drivers[0]?.level ?? 'none';
+  const severeConditions = drivers.filter((d) => d.factor !== 'alert' && rank(d.level) >= rank('severe'));
+  if (severeConditions.length >= 2) level = 'extreme';
+
+  return { level, drivers };
+}
@@ -1,61 +1,37 @@
 // transitStatus.js (REPLACE ENTIRE FILE WITH THIS)
-// Fetches transit system status (MTA subway alerts JSON + PATH)
+// Fetches transit system status (MTA subway, SIR, LIRR and Metro-North alerts JSON + PATH)
 
 //
 // NOTE:
 // - MTA alerts are fetched from YOUR server endpoint: GET /api/mta-alerts
-// - That endpoint returns JSON (not protobuf), so we do NOT use gtfs-realtime-bindings.
+// - The server decodes the MTA's GTFS-RT protobuf (server/gtfsrt.js) and returns it as
+//   GTFS-RT JSON, so nothing here needs gtfs-realtime-bindings.
 // - No MTA API key is needed in the browser.
 //
 
+import { currentTime } from "./clock.js";
+import { httpFetch } from "./http.js";
+import { log } from "./log.js";
+import { allRoutes, getRoute, routeKey } from "./routeRegistry.js";
+
 /**
  * Fetch PATH (Port Authority Trans-Hudson) transit status
+ * The server validates ridepath.json and reduces it to { summary, stations, lines }.
  * @returns {Promise<Object>} PATH status with { status, message }
  */
 async function fetchPATHStatus() {
   try {
-    const response = await fetch("/api/path/bin/portauthority/ridepath.json");
+    const response = await httpFetch("/api/path/status");
 
     if (!response.ok) {
-      console.warn("Failed to fetch PATH status:", response.status);
+      log.warn("Failed to fetch PATH status", { status: response.status });
       return { status: "normal", message: null };
     }
 
     const data = await response.json();
-
-    // Parse results array for delays
-    if (data.results && Array.isArray(data.results)) {
-      for (const result of data.results) {
-        if (result.destinations && Array.isArray(result.destinations)) {
-          for (const destination of result.destinations) {
-            if (destination.messages && Array.isArray(destination.messages)) {
-              for (const msg of destination.messages) {
-                if (
-                  msg.arrivalTimeMessage &&
-                  msg.arrivalTimeMessage.includes("Delayed")
-                ) {
-                  return {
-                    status: "delays",
-                    message: "Delays on PATH — next train delayed",
-                  };
-                }
-                if (msg.secondsToArrival && msg.secondsToArrival > 1200) {
-                  const minutes = Math.round(msg.secondsToArrival / 60);
-                  return {
-                    status: "delays",
-                    message: `Delays on PATH — next train ${minutes} min`,
-                  };
-                }
-              }
-            }
-          }
-        }
-      }
-    }
-
-    return { status: "normal", message: null };
+    return data?.summary ?? { status: "normal", message: null };
   } catch (error) {
-    console.error("PATH status fetch error:", error);
+    log.error("PATH status fetch error", { error });
     return { status: "normal", message: null };
   }
 }
@@ -66,16 +42,15 @@ async function fetchPATHStatus() {
  */
 async function fetchMtaAlertsJson() {
   try {
-    const res = await fetch("/api/mta-alerts");
+    const res = await httpFetch("/api/mta-alerts");
     if (!res.ok) {
-      console.warn("Failed to fetch MTA alerts:", res.status);
+      log.warn("Failed to fetch MTA alerts", { status: res.status });
       return null;
     }
     const data = await res.json();
-    console.log('[MTA] First 3 entities from feed:', JSON.stringify(data?.entity?.slice(0, 3), null, 2));
     return data;
   } catch (e) {
-    console.error("MTA alerts fetch error:", e);
+    log.error("MTA alerts fetch error", { error: e });
     return null;
   }
 }
@@ -84,7 +59,7 @@ async function fetchMtaAlertsJson() {
  * Extract a readable alert message from various possible MTA JSON shapes.
  * We keep this defensive because feed formats can vary.
  */
-function pickAlertText(alert) {
+export function pickAlertText(alert) {
   // Common shapes we might encounter
   if (typeof alert === "string") return alert;
 
@@ -104,15 +79,16 @@ function pickAlertText(alert) {
 }
 
 /**
- * Extract affected route ids from alert if present.
+ * Extract affected routes from alert if present, as route registry keys ("A", "LIRR:1").
  */
-function pickRoutes(alert) {
+export function pickRoutes(alert) {
   // GTFS-RT style: informed_entity array
   const routes = [];
   const entities = alert?.informed_entity;
   if (Array.isArray(entities)) {
     for (const ent of entities) {
-      if (ent?.route_id) routes.push(ent.route_id);
+      const key = routeKey(ent);
+      if (key && !routes.includes(key)) routes.push(key);
     }
   }
 
@@ -124,7 +100,7 @@ function pickRoutes(alert) {
  * Map alert effect to severity buckets.
  * Keep conservative defaults.
  */
-function mapSeverity(alert) {
+export function mapSeverity(alert) {
   const effect = alert?.effect;
   if (!effect) return "none";
 
@@ -141,67 +117,224 @@ function mapSeverity(alert) {
   return effectMap[effect] || "moderate";
 }
 
+// Alert severities from mapSeverity, least to most severe
+export const TRANSIT_SEVERITY_LEVELS = ["none", "low", "moderate", "high", "extreme"];
+
 /**
- * Initialize common subway lines with normal status.
+ * The more severe of two mapSeverity() levels
+ * @param {string} a
+ * @param {string} b
+ * @returns {string}
  */
-function initSubwayStatus() {
-  const subwayStatus = {};
-  const commonLines = [
-    "A",
-    "C",
-    "E",
-    "B",
-    "D",
-    "F",
-    "M",
-    "N",
-    "Q",
-    "R",
-    "W",
-    "1",
-    "2",
-    "3",
-    "4",
-    "5",
-    "6",
-    "7",
-    "G",
-    "J",
-    "L",
-    "S",
-  ];
-
-  commonLines.forEach((line) => {
-    subwayStatus[line] = { status: "normal", message: null };
-  });
+export function worseSeverity(a, b) {
+  return TRANSIT_SEVERITY_LEVELS.indexOf(b) > TRANSIT_SEVERITY_LEVELS.indexOf(a) ? b : a;
+}
+
+// Line statuses, least to most disruptive
+export const LINE_STATUSES = ["normal", "planned_work", "delays", "significant_delays", "part_suspended", "suspended"];
+
+const statusRank = (status) => LINE_STATUSES.indexOf(status);
+
+// Severity implied by a status, for alerts that come without an effect
+const STATUS_SEVERITY = {
+  suspended: "extreme",
+  part_suspended: "high",
+  significant_delays: "high",
+  delays: "moderate",
+  planned_work: "low",
+};
+
+const SUSPENSION_TEXT = /suspend|no trains|not running|no service/i;
+
+// Only part of the line is out — "between X and Y", or "no [2] trains south of 96 St"
+const PART_TEXT = /\bbetween\b|\b(?:north|south|east|west) of\b/i;
 
+const SEVERE_DELAY_TEXT = /severe delays|significant delays|extensive delays/i;
+
+const MERCURY_ALERT = "transit_realtime.mercury_alert";
+
+// Mercury alert type without the "Planned - " prefix the MTA puts on planned work, lowercase
+function mercuryType(alert) {
+  return (alert?.[MERCURY_ALERT]?.alert_type ?? "").replace(/^planned\s*-\s*/i, "").trim().toLowerCase();
+}
+
+function isPlannedWork(alert, entityId) {
+  return /planned_work/.test(entityId ?? "") || /^planned\b/i.test(alert?.[MERCURY_ALERT]?.alert_type ?? "");
+}
+
+/**
+ * Stops an alert is scoped to, from informed_entity stop_ids without the N/S direction suffix
+ * @param {Object} alert - GTFS-RT alert
+ * @returns {Array<string>} Empty when the alert covers whole lines
+ */
+export function pickStops(alert) {
+  const stops = (alert?.informed_entity ?? [])
+    .map((ent) => ent?.stop_id)
+    .filter(Boolean)
+    .map((stop) => stop.replace(/[NS]$/, ""));
+  return [...new Set(stops)];
+}
+
+const DIRECTION_ID = { 0: "northbound", 1: "southbound" };
+const STOP_DIRECTION = { N: "northbound", S: "southbound" };
+
+/**
+ * Direction an alert applies in — from informed_entity (direction_id, or N/S stop ids), else its text
+ * @param {Object} alert - GTFS-RT alert
+ * @returns {"northbound"|"southbound"|"both"|null} null when the alert doesn't say
+ */
+export function pickDirection(alert) {
+  const found = new Set();
+  for (const ent of alert?.informed_entity ?? []) {
+    const direction = DIRECTION_ID[ent?.direction_id ?? ent?.trip?.direction_id] ?? STOP_DIRECTION[ent?.stop_id?.slice(-1)];
+    if (direction) found.add(direction);
+  }
+  if (found.size === 2) return "both";
+  if (found.size === 1) return [...found][0];
+
+  const text = pickAlertText(alert) ?? "";
+  const north = /\b(?:northbound|uptown)\b/i.test(text);
+  const south = /\b(?:southbound|downtown)\b/i.test(text);
+  if (/both directions/i.test(text) || (north && south)) return "both";
+  if (north) return "northbound";
+  if (south) return "southbound";
+  return null;
+}
+
+/**
+ * Line status an alert puts its routes in (one of LINE_STATUSES)
+ * Suspensions win over everything, planned or not; then delays; other planned work ranks below
+ * delays. Any other alert with text still counts as delays — the MTA often leaves effect empty.
+ * @param {Object} alert - GTFS-RT alert
+ * @param {string} [entityId] - Feed entity id; the MTA's planned work ids contain "planned_work"
+ * @returns {string}
+ */
+export function classifyAlertStatus(alert, entityId = null) {
+  const type = mercuryType(alert);
+  const text = pickAlertText(alert) ?? "";
+
+  if (type === "part suspended") return "part_suspended";
+  if (type === "suspended" || alert?.effect === "NO_SERVICE" || SUSPENSION_TEXT.test(text)) {
+    return pickStops(alert).length > 0 || PART_TEXT.test(text) ? "part_suspended" : "suspended";
+  }
+  if (type === "severe delays" || alert?.effect === "SIGNIFICANT_DELAYS" || SEVERE_DELAY_TEXT.test(text)) {
+    return "significant_delays";
+  }
+  if (isPlannedWork(alert, entityId)) return "planned_work";
+  return text ? "delays" : "normal";
+}
+
+/**
+ * Whether an alert is in effect at a moment. Alerts without active_period are always on.
+ * @param {Object} alert - GTFS-RT alert
+ * @param {number} atSeconds - Epoch seconds
+ * @returns {boolean}
+ */
+export function isAlertActiveAt(alert, atSeconds) {
+  const periods = alert?.active_period;
+  if (!Array.isArray(periods) || periods.length === 0) return true;
+  return periods.some(
+    (p) => (p.start == null || p.start <= atSeconds) && (p.end == null || atSeconds < p.end)
+  );
+}
+
+// A line with nothing in effect on it
+const normalLine = () => ({ status: "normal", message: null, alerts: [] });
+
+/**
+ * Every subway and SIR line with normal status. LIRR and Metro-North branches are added only
+ * when an alert names them — there are dozens, and a trip rarely takes one.
+ */
+export function initSubwayStatus() {
+  const subwayStatus = {};
+  for (const route of allRoutes(["subway", "sir"])) {
+    subwayStatus[route.id] = normalLine();
+  }
   return subwayStatus;
 }
 
+// Planned work starting within this long after the trip home is worth a heads-up
+export const UPCOMING_WINDOW_SECONDS = 7 * 24 * 60 * 60;
+
+// Alerts kept per trip in onReturn and upcoming — a heads-up, not a list of every closure on the system
+export const MAX_UPCOMING_ALERTS = 5;
+
+// Alerts kept on each of the trip's lines, most disruptive first; the line's status comes from the first
+export const MAX_LINE_ALERTS = 3;
+
+/**
+ * When an alert matters to a trip, from its active_period
+ * @param {Object} alert - GTFS-RT alert
+ * @param {number} departSeconds - Departure, epoch seconds
+ * @param {number} returnSeconds - Trip home, epoch seconds (departSeconds for a one-way look)
+ * @returns {"departure"|"return"|"upcoming"|null} In effect at departure; starting before the trip
+ *   home; starting within UPCOMING_WINDOW_SECONDS after it; or not relevant (over, or further out)
+ */
+export function alertTiming(alert, departSeconds, returnSeconds) {
+  if (isAlertActiveAt(alert, departSeconds)) return "departure";
+
+  // Not in effect at departure, so every period either ended already or starts later
+  const starts = (alert?.active_period ?? [])
+    .map((p) => p.start)
+    .filter((start) => start != null && start > departSeconds);
+  if (starts.length === 0) return null;
+
+  const next = Math.min(...starts);
+  if (next <= returnSeconds) return "return";
+  if (next - returnSeconds <= UPCOMING_WINDOW_SECONDS) return "upcoming";
+  return null;
+}
+
+// First active period that starts after a moment, as ISO 8601 { start, end }
+function nextPeriod(alert, afterSeconds) {
+  const period = (alert?.active_period ?? [])
+    .filter((p) => p.start != null && p.start > afterSeconds)
+    .sort((a, b) => a.start - b.start)[0];
+  const iso = (seconds) => (seconds != null ? new Date(seconds * 1000).toISOString() : null);
+  return { start: iso(period?.start), end: iso(period?.end) };
+}
+
 /**
  * Process MTA alerts JSON into our internal status shape.
+ * Alerts in effect at departure set each line's status; alerts that start before the trip home
+ * go to onReturn, and planned work after it to upcoming — neither marks a line delayed.
+ * Each line is { status, message, alerts }: every alert in effect on it, most disruptive first
+ * ({ id, status, effect, severity, message, direction, stops }), with the line's status and
+ * message taken from the first; subway and SIR lines are always listed, commuter rail branches only
+ * with an alert in effect. maxSeverity is the most severe alert on any registry line.
  * @param {Object|null} mtaJson
  * @param {Array<string>} routeIds
+ * @param {string|null} at - Departure time (ISO 8601); null for now
+ * @param {string|null} returnAt - Trip home (ISO 8601); null to look at departure only
+ * @returns {Object} { subwayStatus, maxSeverity, onReturn, upcoming } — onReturn and upcoming are
+ *   [{ routes, message, severity, start, end, period }], soonest first
  */
-function processMtaJson(mtaJson, routeIds = []) {
+export function processMtaJson(mtaJson, routeIds = [], at = null, returnAt = null) {
+  const departSeconds = Math.floor((at ? Date.parse(at) : currentTime()) / 1000);
+  const returnSeconds = returnAt ? Math.floor(Date.parse(returnAt) / 1000) : departSeconds;
   const subwayStatus = initSubwayStatus();
+  const onReturn = [];
+  const upcoming = [];
   let maxSeverity = "none";
 
   if (!mtaJson) {
-    return { subwayStatus, maxSeverity };
+    return { subwayStatus, maxSeverity, onReturn, upcoming };
   }
 
   // Feed could contain: { entity: [ { alert: {...} } ] } (GTFS-RT-ish)
   const entities = mtaJson?.entity;
-  console.log('Processing MTA entities:', entities?.length);
+  log.debug("Processing MTA entities", { count: entities?.length ?? 0 });
   if (!Array.isArray(entities)) {
-    return { subwayStatus, maxSeverity };
+    return { subwayStatus, maxSeverity, onReturn, upcoming };
   }
 
   for (const entity of entities) {
     const alert = entity?.alert;
     if (!alert) continue;
 
+    const timing = alertTiming(alert, departSeconds, returnSeconds);
+    if (!timing) continue;
+
     const affectedRoutes = pickRoutes(alert);
 
     // Filter by requested routeIds if provided
@@ -210,60 +343,101 @@ function processMtaJson(mtaJson, routeIds = []) {
       if (!hasRequested) continue;
     }
 
-    const severity = mapSeverity(alert);
-    if (severity !== "none") maxSeverity = severity;
-
     const message = pickAlertText(alert);
+    const status = classifyAlertStatus(alert, entity.id);
+    const severity = alert.effect ? mapSeverity(alert) : (STATUS_SEVERITY[status] ?? "none");
+
+    if (timing !== "departure") {
+      const routes = affectedRoutes.filter((r) => getRoute(r));
+      if (routes.length === 0 || !message) continue;
+      (timing === "return" ? onReturn : upcoming).push({
+        routes,
+        message,
+        severity,
+        ...nextPeriod(alert, departSeconds),
+        // The MTA's own wording for planned work, e.g. "Jan 27 - 28, Mon to Tue, 9:45 PM to 5 AM"
+        period: alert[MERCURY_ALERT]?.human_readable_active_period?.translation?.[0]?.text ?? null,
+      });
+      continue;
+    }
 
-    // Apply message to affected routes we know.
-    // Mark as "delays" if there is ANY message — don't gate on effect type.
+    if (status === "normal") continue;
+    const entry = {
+      id: entity.id ?? null,
+      status,
+      effect: alert.effect ?? null,
+      severity,
+      message,
+      direction: pickDirection(alert),
+      stops: pickStops(alert),
+    };
+
+    // Every alert goes on every affected line we know — don't gate on effect type
     for (const routeId of affectedRoutes) {
-      console.log('Alert found:', routeId, alert?.effect, pickAlertText(alert));
-      if (subwayStatus[routeId]) {
-        subwayStatus[routeId] = {
-          status: message ? "delays" : "normal",
-          message: message,
-        };
-      }
+      if (!getRoute(routeId)) continue;
+      const line = (subwayStatus[routeId] ??= normalLine());
+      if (line.alerts.some((a) => a.id != null && a.id === entry.id)) continue;
+      line.alerts.push(entry);
+      maxSeverity = worseSeverity(maxSeverity, severity);
+    }
+  }
+
+  for (const line of Object.values(subwayStatus)) {
+    line.alerts.sort(
+      (a, b) =>
+        statusRank(b.status) - statusRank(a.status) ||
+        TRANSIT_SEVERITY_LEVELS.indexOf(b.severity) - TRANSIT_SEVERITY_LEVELS.indexOf(a.severity)
+    );
+    if (line.alerts.length > 0) {
+      line.status = line.alerts[0].status;
+      line.message = line.alerts[0].message;
     }
   }
 
-  return { subwayStatus, maxSeverity };
+  const soonestFirst = (a, b) => Date.parse(a.start) - Date.parse(b.start);
+  onReturn.sort(soonestFirst);
+  upcoming.sort(soonestFirst);
+
+  return { subwayStatus, maxSeverity, onReturn, upcoming };
 }
 
 /**
- * Generate a summary of transit status
+ * Generate a summary of transit status at departure, e.g. "Delays on A, C and PATH; planned work on L"
+ * Planned work in effect at departure is named apart from delays; lines are named by registry label.
  */
-function generateSummary(subwayStatus, pathStatus) {
-  const delayedLines = Object.entries(subwayStatus)
-    .filter(([_, status]) => Boolean(status.message))
-    .map(([line]) => line);
-
-  if (delayedLines.length === 0 && !pathStatus?.message) {
-    return "Good service on all lines";
-  }
-
-  if (delayedLines.length > 0 && !pathStatus?.message) {
-    return `Delays on ${delayedLines.join(", ")}`;
+export function generateSummary(subwayStatus, pathStatus) {
+  const linesWith = (matches) =>
+    Object.entries(subwayStatus)
+      .filter(([, line]) => line.message && matches(line.status))
+      .map(([line]) => getRoute(line)?.label ?? line);
+  const delayedLines = linesWith((status) => statusRank(status) > statusRank("planned_work"));
+  const plannedLines = linesWith((status) => status === "planned_work");
+
+  const parts = [];
+  if (delayedLines.length > 0) {
+    parts.push(`Delays on ${delayedLines.join(", ")}${pathStatus?.message ? " and PATH" : ""}`);
+  } else if (pathStatus?.message) {
+    parts.push("PATH service affected");
   }
-
-  if (delayedLines.length === 0 && pathStatus?.message) {
-    return "PATH service affected";
+  if (plannedLines.length > 0) {
+    parts.push(`${parts.length > 0 ? "planned" : "Planned"} work on ${plannedLines.join(", ")}`);
   }
 
-  return `Delays on ${delayedLines.join(", ")} and PATH`;
+  return parts.length > 0 ? parts.join("; ") : "Good service on all lines";
 }
 
 /**
  * Default transit status (safe fallback)
  */
-function getDefaultTransitStatus() {
+export function getDefaultTransitStatus() {
   const subwayStatus = initSubwayStatus();
   return {
     subway: subwayStatus,
     path: { status: "normal", message: null },
     summary: "Good service on all lines",
     severity: "none",
+    onReturn: [],
+    upcoming: [],
   };
 }
 
@@ -292,18 +466,94 @@ const NJ_KEYWORDS = [
  * @param {string|null} destination
  * @returns {boolean}
  */
-function isPathRelevant(origin, destination) {
+export function isPathRelevant(origin, destination) {
   const haystack = `${origin || ""} ${destination || ""}`.toLowerCase();
   return NJ_KEYWORDS.some((kw) => haystack.includes(kw));
 }
 
+/**
+ * Merge an MTA alerts payload and a PATH status into our transit status shape.
+ * Pure — used by fetchTransitStatus in the browser and by /api/assess on the server.
+ * @param {Object|null} mtaJson - MTA alerts JSON
+ * @param {Object|null} pathStatus - PATH { status, message }, or null when PATH is irrelevant
+ * @param {Array<string>} routeIds - optional filter (e.g., ['A','L'])
+ * @param {string|null} at - Departure time (ISO 8601) to evaluate alert active periods at
+ * @param {string|null} returnAt - Trip home (ISO 8601); alerts starting before it go to onReturn
+ */
+export function buildTransitStatus(mtaJson, pathStatus, routeIds = [], at = null, returnAt = null) {
+  const { subwayStatus, maxSeverity, onReturn, upcoming } = processMtaJson(mtaJson, routeIds, at, returnAt);
+
+  // If routeIds specified, return only those routes (if present)
+  let filteredSubway = subwayStatus;
+  if (routeIds.length > 0) {
+    filteredSubway = {};
+    for (const id of routeIds) {
+      if (getRoute(id)) filteredSubway[id] = subwayStatus[id] ?? normalLine();
+    }
+  }
+
+  return {
+    subway: filteredSubway,
+    path: pathStatus,
+    summary: generateSummary(subwayStatus, pathStatus),
+    severity: maxSeverity,
+    onReturn,
+    upcoming,
+  };
+}
+
+// Alerts (onReturn / upcoming entries) on any of the lines
+const alertsOnLines = (alerts, lines) => (alerts ?? []).filter((alert) => alert.routes?.some((r) => lines.includes(r)));
+
+/**
+ * Narrow a transit status to one trip once its lines are known — alerts are read before the route
+ * is, so subway, onReturn and upcoming still hold every line in the system. On a storm night that
+ * is tens of thousands of characters, past what the recommendation payload may carry.
+ * - subway: the trip's lines keep their first MAX_LINE_ALERTS alerts (LIRR or Metro-North branches
+ *   no alert named are listed as normal); any other line with a problem keeps only its status
+ * - onReturn and upcoming: the soonest MAX_UPCOMING_ALERTS on the trip's lines (none without lines)
+ * @param {Object} transitStatus - buildTransitStatus() result
+ * @param {Array<string>} lines - The trip's route registry keys
+ * @returns {Object} A narrowed copy
+ */
+export function transitForTrip(transitStatus, lines = []) {
+  const subway = {};
+  for (const [id, line] of Object.entries(transitStatus.subway ?? {})) {
+    if (lines.includes(id)) subway[id] = { ...line, alerts: (line.alerts ?? []).slice(0, MAX_LINE_ALERTS) };
+    else if (line.status !== "normal") subway[id] = { status: line.status };
+  }
+  for (const id of lines) {
+    if (getRoute(id) && !subway[id]) subway[id] = normalLine();
+  }
+  return {
+    ...transitStatus,
+    subway,
+    onReturn: alertsOnLines(transitStatus.onReturn, lines).slice(0, MAX_UPCOMING_ALERTS),
+    upcoming: alertsOnLines(transitStatus.upcoming, lines).slice(0, MAX_UPCOMING_ALERTS),
+  };
+}
+
+/**
+ * The transit status as the recommendation sees it — planned work after the trip stays on the
+ * result screen and out of the trip payload
+ * @param {Object} transitStatus - buildTransitStatus() result
+ * @returns {Object} A copy without upcoming
+ */
+export function transitForPrompt(transitStatus) {
+  const forPrompt = { ...transitStatus };
+  delete forPrompt.upcoming;
+  return forPrompt;
+}
+
 /**
  * Fetch transit status (MTA + PATH) and merge results.
  * @param {Array<string>} routeIds - optional filter (e.g., ['A','L'])
  * @param {string|null} origin - trip origin address/location
  * @param {string|null} destination - trip destination address/location
+ * @param {string|null} at - Departure time (ISO 8601) to evaluate alert active periods at
+ * @param {string|null} returnAt - Trip home (ISO 8601)
  */
-export async function fetchTransitStatus(routeIds = [], origin = null, destination = null) {
+export async function fetchTransitStatus(routeIds = [], origin = null, destination = null, at = null, returnAt = null) {
   try {
     const pathNeeded = isPathRelevant(origin, destination);
 
@@ -312,25 +562,9 @@ export async function fetchTransitStatus(routeIds = [], origin = null, destinati
       pathNeeded ? fetchPATHStatus() : Promise.resolve(null),
     ]);
 
-    const { subwayStatus, maxSeverity } = processMtaJson(mtaJson, routeIds);
-
-    // If routeIds specified, return only those routes (if present)
-    let filteredSubway = subwayStatus;
-    if (routeIds.length > 0) {
-      filteredSubway = {};
-      for (const id of routeIds) {
-        if (subwayStatus[id]) filteredSubway[id] = subwayStatus[id];
-      }
-    }
-
-    return {
-      subway: filteredSubway,
-      path: pathStatus,
-      summary: generateSummary(subwayStatus, pathStatus),
-      severity: maxSeverity,
-    };
+    return buildTransitStatus(mtaJson, pathStatus, routeIds, at, returnAt);
   } catch (error) {
-    console.error("Transit status fetch error:", error);
+    log.error("Transit status fetch error", { error });
     return getDefaultTransitStatus();
   }
-}
\ No newline at end of file
+}
@@ -1,6 +1,8 @@
 // Travel Ban API integration
 // Manages travel ban information
 
+import { log } from './log.js';
+
 // Cache storage
 let cachedTravelBan = null;
 let cacheTimestamp = null;
@@ -18,7 +20,7 @@ export async function fetchTravelBan() {
   if (cachedTravelBan && cacheTimestamp) {
     const now = Date.now();
     if (now - cacheTimestamp < CACHE_DURATION_MS) {
-      console.log('Returning cached travel ban data');
+      log.debug('Returning cached travel ban data');
       return cachedTravelBan;
     }
   }
@@ -118,7 +120,7 @@ export async function getTravelBans(location) {
       lastUpdated: new Date().toISOString(),
     };
   } catch (error) {
-    console.error('Travel ban error:', error);
+    log.error('Travel ban error', { error });
     return null;
   }
 }
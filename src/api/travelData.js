@@ -1,5 +1,14 @@
 // Travel Data API
 
+import { readEnv } from './env.js';
+import { pointsAlongLine } from './geo.js';
+import { httpFetch } from './http.js';
+import { log } from './log.js';
+import { lineForToken, lineTokenPattern, routesNamedIn } from './routeRegistry.js';
+
+// Points sampled along the route geometry for route weather (origin and destination come on top)
+export const ROUTE_SAMPLE_POINTS = 3;
+
 /**
  * Fetch travel data from origin to destination with weather adjustments.
  * @param {Object} originCoords     - { lat, lng } of starting point
@@ -8,10 +17,10 @@
  * @param {Object|null} destCoordsHint - { lat, lng } already known from SearchBox; skips geocoding when provided
  */
 export async function fetchTravelData(originCoords, destination, weatherSeverity = 'none', destCoordsHint = null) {
-  const mapboxKey = import.meta.env.VITE_MAPBOX_TOKEN;
+  const mapboxKey = readEnv('VITE_MAPBOX_TOKEN');
 
   if (!mapboxKey) {
-    console.warn('Mapbox API key not configured');
+    log.warn('Mapbox API key not configured');
     return null;
   }
 
@@ -20,14 +29,14 @@ export async function fetchTravelData(originCoords, destination, weatherSeverity
     // that could resolve to a wrong city (the most common cause of huge minute values)
     const destCoords = destCoordsHint ?? await geocodeDestination(destination, mapboxKey);
     if (!destCoords) {
-      console.warn('Failed to resolve destination coords:', destination);
+      log.warn('Failed to resolve destination coords', { destination });
       return null;
     }
 
     // Get walking directions with steps so we can build a real route description
     const directionsData = await getDirections(originCoords, destCoords, mapboxKey);
     if (!directionsData) {
-      console.warn('Failed to get directions');
+      log.warn('Failed to get directions');
       return null;
     }
 
@@ -42,15 +51,16 @@ export async function fetchTravelData(originCoords, destination, weatherSeverity
         ferry_only_route: true,
         relevantLines: [],
         route_steps: [],
+        route_points: [],
       };
     }
 
     // Mapbox returns duration in seconds — divide by 60 for minutes
     const baselineMinutes = Math.round(directionsData.duration / 60);
-    console.log(
-      'Directions raw duration (seconds):', directionsData.duration,
-      '→ baseline_minutes:', baselineMinutes
-    );
+    log.debug('Directions duration', {
+      durationSeconds: directionsData.duration,
+      baselineMinutes,
+    });
 
     const stormMultiplier = getStormMultiplier(weatherSeverity);
     const stormMinutes = Math.round(baselineMinutes * stormMultiplier);
@@ -64,7 +74,7 @@ export async function fetchTravelData(originCoords, destination, weatherSeverity
 
     // Extract any subway line identifiers mentioned in the steps
     const relevantLines = extractRelevantLines(directionsData.steps);
-    console.log('[StormSafe] relevantLines extracted:', relevantLines);
+    log.debug('relevantLines extracted', { relevantLines });
 
     return {
       baseline_minutes: baselineMinutes,
@@ -80,9 +90,11 @@ export async function fetchTravelData(originCoords, destination, weatherSeverity
         street: s.name ?? null,
         duration_sec: Math.round(s.duration ?? 0),
       })),
+      // Evenly spaced points along the walk, so weather can be checked beyond the origin
+      route_points: pointsAlongLine(directionsData.geometry, ROUTE_SAMPLE_POINTS),
     };
   } catch (error) {
-    console.error('Travel data fetch error:', error);
+    log.error('Travel data fetch error', { error });
     return null;
   }
 }
@@ -95,26 +107,26 @@ async function geocodeDestination(destination, mapboxKey) {
   try {
     const encodedDest = encodeURIComponent(destination);
     // Bias results strongly toward NYC to avoid resolving to wrong cities
-    const response = await fetch(
+    const response = await httpFetch(
       `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodedDest}.json?proximity=-74.006,40.7128&country=US&access_token=${mapboxKey}`
     );
 
     if (!response.ok) {
-      console.warn('Geocoding failed:', response.status);
+      log.warn('Geocoding failed', { status: response.status });
       return null;
     }
 
     const data = await response.json();
 
     if (!data.features || data.features.length === 0) {
-      console.warn('No geocoding results found');
+      log.warn('No geocoding results found');
       return null;
     }
 
     const [lng, lat] = data.features[0].geometry.coordinates;
     return { lat, lng };
   } catch (error) {
-    console.error('Geocoding error:', error);
+    log.error('Geocoding error', { error });
     return null;
   }
 }
@@ -122,7 +134,7 @@ async function geocodeDestination(destination, mapboxKey) {
 /**
  * Returns true if any step in the route involves ferry/boat/water transport.
  */
-function isFerryRoute(steps) {
+export function isFerryRoute(steps) {
   const FERRY_KEYWORDS = ['ferry', 'boat', 'water taxi', 'water shuttle'];
   return steps.some((s) => {
     const instruction = s.maneuver?.instruction?.toLowerCase() ?? '';
@@ -135,22 +147,29 @@ function isFerryRoute(steps) {
 }
 
 /**
- * Extract NYC subway line identifiers from step instructions.
- * Looks for patterns like "the A train", "A/C/E", or step.mode === 'transit'.
+ * Extract the lines a route uses from step instructions, as route registry keys.
+ * Looks for patterns like "the A train", "A/C/E", "Take the 6X", and lines named in full
+ * ("Rockaway Park Shuttle", "Port Washington Branch").
  */
-function extractRelevantLines(steps) {
-  const VALID_LINES = new Set(['A','C','E','B','D','F','M','N','Q','R','W','1','2','3','4','5','6','7','G','J','L','S']);
+export function extractRelevantLines(steps) {
+  const LINE = `(?:${lineTokenPattern()})`;
+  const pattern = new RegExp(`\\bthe\\s+(${LINE}(?:\\/${LINE})*)(?![\\w/])\\s*(?:train|line)?`, 'gi');
   const found = new Set();
 
   for (const step of steps) {
     // If Mapbox marks a step as transit, try to pull the line from the instruction
     if (step.mode === 'transit' || step.maneuver?.instruction) {
       const instr = step.maneuver?.instruction ?? '';
+      // Named in full first, so "the Rockaway Park Shuttle" isn't read as the 42 St "S"
+      const named = routesNamedIn(instr);
+      named.forEach((id) => found.add(id));
+      if (named.length > 0) continue;
+
       // Match "the A train", "the A/C/E train", "Take the 6", etc.
-      const matches = instr.matchAll(/\bthe\s+([ACEDGFJLMNQRSW1-7](?:\/[ACEDGFJLMNQRSW1-7])*)\s*(?:train|line)?\b/gi);
-      for (const m of matches) {
-        for (const part of m[1].toUpperCase().split('/')) {
-          if (VALID_LINES.has(part)) found.add(part);
+      for (const m of instr.matchAll(pattern)) {
+        for (const part of m[1].split('/')) {
+          const id = lineForToken(part);
+          if (id) found.add(id);
         }
       }
     }
@@ -169,22 +188,25 @@ async function getDirections(originCoords, destCoords, mapboxKey) {
     const { lng: originLng, lat: originLat } = originCoords;
     const { lng: destLng, lat: destLat } = destCoords;
 
-    const response = await fetch(
-      `https://api.mapbox.com/directions/v5/mapbox/walking/${originLng},${originLat};${destLng},${destLat}?steps=true&alternatives=true&access_token=${mapboxKey}`
+    const response = await httpFetch(
+      `https://api.mapbox.com/directions/v5/mapbox/walking/${originLng},${originLat};${destLng},${destLat}?steps=true&alternatives=true&geometries=geojson&overview=simplified&access_token=${mapboxKey}`
     );
 
     if (!response.ok) {
-      console.warn('Directions API failed:', response.status);
+      log.warn('Directions API failed', { status: response.status });
       return null;
     }
 
     const data = await response.json();
-    console.log('[Mapbox] raw routes count:', data.routes?.length);
-    console.log('[Mapbox] route[0] duration (s):', data.routes?.[0]?.duration, '| distance (m):', data.routes?.[0]?.distance);
-    console.log('[Mapbox] route[0] step count:', data.routes?.[0]?.legs?.[0]?.steps?.length);
+    log.debug('Mapbox directions received', {
+      routes: data.routes?.length ?? 0,
+      durationSeconds: data.routes?.[0]?.duration,
+      distanceMeters: data.routes?.[0]?.distance,
+      steps: data.routes?.[0]?.legs?.[0]?.steps?.length,
+    });
 
     if (!data.routes || data.routes.length === 0) {
-      console.warn('No route found');
+      log.warn('No route found');
       return null;
     }
 
@@ -196,7 +218,7 @@ async function getDirections(originCoords, destCoords, mapboxKey) {
 
     if (nonFerryRoutes.length === 0) {
       // Every alternative involves a ferry — flag it
-      console.warn('[StormSafe] All routes are ferry-based — flagging ferry_only_route');
+      log.warn('All routes are ferry-based — flagging ferry_only_route');
       return { ferryOnly: true };
     }
 
@@ -208,10 +230,11 @@ async function getDirections(originCoords, destCoords, mapboxKey) {
       duration: route.duration,   // seconds
       distance: route.distance,   // meters
       steps,
+      geometry: route.geometry?.coordinates ?? [],   // [lng, lat] pairs
       ferryOnly: false,
     };
   } catch (error) {
-    console.error('Directions API error:', error);
+    log.error('Directions API error', { error });
     return null;
   }
 }
@@ -220,7 +243,7 @@ async function getDirections(originCoords, destCoords, mapboxKey) {
  * Build a one-sentence route description from real Mapbox step instructions.
  * Returns null if steps are absent or uninformative (caller falls back to generic).
  */
-function generateStepBasedRoute(steps, totalMinutes) {
+export function generateStepBasedRoute(steps, totalMinutes) {
   if (!steps || steps.length === 0) return null;
 
   // Filter out arrive step and any steps involving non-subway transport modes
@@ -244,25 +267,36 @@ function generateStepBasedRoute(steps, totalMinutes) {
   return `${firstInstruction}, then ${lastInstruction} — about ${totalMinutes} min`;
 }
 
+// Generic route descriptions by distance category, for the worst weather each applies to
+// (default covers the rest)
+const FALLBACK_ROUTES = {
+  walkable: {
+    extreme: 'Within walking distance — take shelter or use transit given the weather.',
+    severe: 'Within walking distance — bundle up, conditions are rough.',
+    default: 'Walking distance — straightforward if weather allows.',
+  },
+  short_transit: {
+    extreme: 'Take the subway to avoid street exposure.',
+    default: 'A quick subway or bus ride — stay underground as much as possible.',
+  },
+  long_transit: {
+    extreme: 'Take the subway or rideshare — avoid prolonged outdoor exposure.',
+    severe: 'Subway preferred over street-level routes.',
+    default: 'Take the subway when available to limit weather exposure.',
+  },
+};
+
+const FALLBACK_ROUTE_TEXTS = new Set(Object.values(FALLBACK_ROUTES).flatMap(Object.values));
+
 /**
  * Generic fallback route description when no step data is available.
  */
 function generateFallbackRoute(distanceCategory, weatherSeverity) {
-  if (distanceCategory === 'walkable') {
-    if (weatherSeverity === 'extreme') return 'Within walking distance — take shelter or use transit given the weather.';
-    if (weatherSeverity === 'severe') return 'Within walking distance — bundle up, conditions are rough.';
-    return 'Walking distance — straightforward if weather allows.';
-  }
-  if (distanceCategory === 'short_transit') {
-    if (weatherSeverity === 'extreme') return 'Take the subway to avoid street exposure.';
-    return 'A quick subway or bus ride — stay underground as much as possible.';
-  }
-  if (weatherSeverity === 'extreme') return 'Take the subway or rideshare — avoid prolonged outdoor exposure.';
-  if (weatherSeverity === 'severe') return 'Subway preferred over street-level routes.';
-  return 'Take the subway when available to limit weather exposure.';
+  const routes = FALLBACK_ROUTES[distanceCategory] ?? FALLBACK_ROUTES.long_transit;
+  return routes[weatherSeverity] ?? routes.default;
 }
 
-function getStormMultiplier(weatherSeverity) {
+export function getStormMultiplier(weatherSeverity) {
   const multipliers = {
     none: 1.0,
     light: 1.3,
@@ -273,7 +307,59 @@ function getStormMultiplier(weatherSeverity) {
   return multipliers[weatherSeverity] || 1.0;
 }
 
-function getDistanceCategory(distanceMiles) {
+// What's underfoot slows a walk on its own — the morning after a storm there's nothing falling,
+// but the sidewalks are still snow or ice (see src/api/ground.js)
+export function getGroundMultiplier(groundCondition) {
+  const multipliers = {
+    clear: 1.0,
+    slushy: 1.2,
+    snow_covered: 1.35,
+    icy: 1.5,
+  };
+  return multipliers[groundCondition] || 1.0;
+}
+
+// No trip gets slower than the worst storm on its own
+const MAX_TRAVEL_MULTIPLIER = 3.0;
+
+/**
+ * Recompute storm_minutes for the weather at departure — travel data is fetched
+ * before the weather (route weather needs the route), so the multiplier is applied after.
+ * A generic best_route (no usable Mapbox steps) is rewritten for the weather too.
+ * @param {Object|null} travelData - fetchTravelData() result
+ * @param {string} weatherSeverity - none, light, moderate, severe, extreme
+ * @param {string|null} groundCondition - clear, slushy, snow_covered, icy (or unknown)
+ * @returns {Object|null} A copy with storm_minutes (and a generic best_route) updated
+ */
+export function applyStormMultiplier(travelData, weatherSeverity, groundCondition = null) {
+  if (travelData?.baseline_minutes == null) return travelData;
+  const multiplier = Math.min(
+    getStormMultiplier(weatherSeverity) * getGroundMultiplier(groundCondition),
+    MAX_TRAVEL_MULTIPLIER
+  );
+  return {
+    ...travelData,
+    storm_minutes: Math.round(travelData.baseline_minutes * multiplier),
+    best_route: FALLBACK_ROUTE_TEXTS.has(travelData.best_route)
+      ? generateFallbackRoute(travelData.distance_category, weatherSeverity)
+      : travelData.best_route,
+  };
+}
+
+/**
+ * Returns true for short trips where transit info is irrelevant.
+ * Shared by the result screen, the Claude payload and the /api/assess route.
+ * @param {Object|null} travelData - Output of fetchTravelData
+ * @returns {boolean}
+ */
+export function isWalkableTrip(travelData) {
+  return (
+    travelData?.distance_category === 'walkable' ||
+    (travelData?.baseline_minutes != null && travelData.baseline_minutes < 20)
+  );
+}
+
+export function getDistanceCategory(distanceMiles) {
   if (distanceMiles < 0.8) return 'walkable';
   if (distanceMiles < 3) return 'short_transit';
   return 'long_transit';
@@ -283,7 +369,7 @@ export async function getTravelData(_startLocation, _endLocation) {
   try {
     return { routes: [], recommendations: [] };
   } catch (error) {
-    console.error('Travel data error:', error);
+    log.error('Travel data error', { error });
     return null;
   }
 }
@@ -292,7 +378,7 @@ export async function getRouteAlternatives(_startLocation, _endLocation) {
   try {
     return [];
   } catch (error) {
-    console.error('Route alternatives error:', error);
+    log.error('Route alternatives error', { error });
     return [];
   }
 }
@@ -301,7 +387,7 @@ export async function estimateTravelTime(_startLocation, _endLocation, _weatherD
   try {
     return { normalTime: 0, estimatedTime: 0, delay: 0 };
   } catch (error) {
-    console.error('Travel time error:', error);
+    log.error('Travel time error', { error });
     return null;
   }
 }
@@ -0,0 +1,127 @@
+// Units
+// The weather object stays in the metric units OpenWeather sends and every threshold is
+// written in (WEATHER_UNITS). This layer converts it into the user's chosen system with each
+// value tagged with its unit, so the prompt and the result screen never guess or relabel.
+
+export const UNIT_SYSTEMS = ['imperial', 'metric'];
+
+// New Yorkers think in mph and °F
+export const DEFAULT_UNIT_SYSTEM = 'imperial';
+
+// Units of the weather object's numbers (see buildWeather), of travelData.distance_miles and of
+// snow depths (see src/api/ground.js)
+export const WEATHER_UNITS = { speed: 'm/s', visibility: 'km', temperature: '°C', distance: 'mi', depth: 'cm' };
+
+// [unit, convert from WEATHER_UNITS, decimal places] per kind of quantity and system
+const CONVERSIONS = {
+  speed: {
+    imperial: ['mph', (ms) => ms * 2.23694, 0],
+    metric: ['km/h', (ms) => ms * 3.6, 0],
+  },
+  visibility: {
+    imperial: ['mi', (km) => km * 0.621371, 1],
+    metric: ['km', (km) => km, 1],
+  },
+  temperature: {
+    imperial: ['°F', (c) => (c * 9) / 5 + 32, 0],
+    metric: ['°C', (c) => c, 0],
+  },
+  distance: {
+    imperial: ['mi', (mi) => mi, 1],
+    metric: ['km', (mi) => mi * 1.609344, 1],
+  },
+  depth: {
+    imperial: ['in', (cm) => cm / 2.54, 0],
+    metric: ['cm', (cm) => cm, 0],
+  },
+};
+
+/**
+ * The unit system to use, falling back to DEFAULT_UNIT_SYSTEM for anything unknown
+ * @param {string|null|undefined} system
+ * @returns {string}
+ */
+export function resolveUnitSystem(system) {
+  return UNIT_SYSTEMS.includes(system) ? system : DEFAULT_UNIT_SYSTEM;
+}
+
+/**
+ * Convert a value from WEATHER_UNITS into a unit system
+ * @param {number|null} value
+ * @param {"speed"|"visibility"|"temperature"|"distance"|"depth"} kind
+ * @param {string} system - One of UNIT_SYSTEMS
+ * @returns {{ value: number, unit: string }|null} null when value is null
+ */
+export function toUnits(value, kind, system) {
+  if (value == null) return null;
+  const [unit, convert, decimals] = CONVERSIONS[kind][resolveUnitSystem(system)];
+  const factor = 10 ** decimals;
+  // + 0 turns -0 into 0
+  return { value: Math.round(convert(value) * factor) / factor + 0, unit };
+}
+
+/**
+ * Display text for a unit-tagged value, e.g. "27 mph", "0.5 mi", "14°F"
+ * @param {{ value: number, unit: string }|null} quantity
+ * @returns {string}
+ */
+export function formatQuantity(quantity) {
+  if (!quantity) return '--';
+  return quantity.unit.startsWith('°') ? `${quantity.value}${quantity.unit}` : `${quantity.value} ${quantity.unit}`;
+}
+
+/**
+ * Convert and format in one go, e.g. formatIn(12, 'speed', 'imperial') → "27 mph"
+ */
+export function formatIn(value, kind, system) {
+  return formatQuantity(toUnits(value, kind, system));
+}
+
+/**
+ * Every number in a weather object, converted and unit-tagged — what the prompt quotes
+ * @param {Object|null} weather - buildWeather() / combineRouteWeather() result
+ * @param {string} system - One of UNIT_SYSTEMS
+ * @param {Object|null} travelData - fetchTravelData() result, for the trip distance
+ * @param {Object|null} ground - estimateGroundConditions() result, for the snow on the ground
+ * @returns {Object} { system, wind_speed, wind_gusts, visibility, feels_like, heat_index, trip_distance,
+ *   snow_depth }, each { value, unit } or null when unknown
+ */
+export function weatherReadings(weather, system, travelData = null, ground = null) {
+  const resolved = resolveUnitSystem(system);
+  return {
+    system: resolved,
+    wind_speed: toUnits(weather?.wind?.speed ?? null, 'speed', resolved),
+    wind_gusts: toUnits(weather?.wind?.gusts ?? null, 'speed', resolved),
+    visibility: toUnits(weather?.visibility ?? null, 'visibility', resolved),
+    feels_like: toUnits(weather?.feelsLike ?? null, 'temperature', resolved),
+    heat_index: toUnits(weather?.heatIndex ?? null, 'temperature', resolved),
+    trip_distance: toUnits(travelData?.distance_miles ?? null, 'distance', resolved),
+    snow_depth: toUnits(ground?.snowDepthCm ?? null, 'depth', resolved),
+  };
+}
+
+const PREFERENCE_KEY = 'stormsafe:units';
+
+/**
+ * The unit system the user picked last time, remembered in localStorage
+ * @returns {string} One of UNIT_SYSTEMS
+ */
+export function loadUnitPreference() {
+  try {
+    return resolveUnitSystem(globalThis.localStorage?.getItem(PREFERENCE_KEY));
+  } catch {
+    return DEFAULT_UNIT_SYSTEM;
+  }
+}
+
+/**
+ * Remember the user's unit system for next time
+ * @param {string} system - One of UNIT_SYSTEMS
+ */
+export function saveUnitPreference(system) {
+  try {
+    globalThis.localStorage?.setItem(PREFERENCE_KEY, resolveUnitSystem(system));
+  } catch {
+    // Private browsing can refuse storage — the choice still applies to this trip
+  }
+}
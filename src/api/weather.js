@@ -1,72 +1,339 @@
 // Weather API integration
-// Fetches weather data from OpenWeather API
+// Current conditions and 3-hour trend, served by the StormSafe server (GET /api/weather),
+// and the worst of those along a whole route (GET /api/weather/route).
+// The server owns the OpenWeather key and runs the normalizers below on its side;
+// the browser never talks to OpenWeather directly. Weather alerts come from the
+// National Weather Service (api.weather.gov), which OpenWeather's 2.5 API doesn't carry.
+// The NWS gridpoint and Open-Meteo normalizers that stand in for OpenWeather are in
+// src/api/weatherProviders.js.
+
+import { currentTime } from './clock.js';
+import { RateLimitedError, rateLimitedErrorFrom } from './errors.js';
+import { icePrecipitationType, processAirQuality, processHeatIndex, processThunderstorm } from './hazards.js';
+import { httpFetch } from './http.js';
+import { log } from './log.js';
 
-console.log('VITE_OPENWEATHER_KEY:', import.meta.env.VITE_OPENWEATHER_KEY)
+/**
+ * Weather object with every field unknown — used whenever no weather provider can be reached
+ * @returns {Object}
+ */
+export function emptyWeather() {
+  return {
+    precipitation: null,
+    wind: null,
+    visibility: null,
+    feelsLike: null,
+    alerts: null,
+    thunderstorm: null,
+    heatIndex: null,
+    airQuality: null,
+    forecast3hr: null,
+    period: null,
+  };
+}
+
+// Conditions a weather provider can supply — the keys of weather.sources (see mergeProviderWeather)
+export const WEATHER_FIELDS = [
+  'precipitation',
+  'wind',
+  'visibility',
+  'feelsLike',
+  'alerts',
+  'thunderstorm',
+  'heatIndex',
+  'airQuality',
+  'forecast3hr',
+];
 
 /**
- * Fetch weather data from OpenWeatherMap API
- * @param {number} lat - Latitude
- * @param {number} lng - Longitude
- * @returns {Promise<Object|null>} Processed weather object or null if both calls fail
+ * Merge the weather several providers gave for one place and time, field by field
+ * Each field comes from the highest-priority provider that supplies it: a provider leaves out
+ * (undefined) what it can't tell, while null means it knows there is none. NWS alerts, when
+ * fetched, replace whatever alerts the providers carry. The period is the first provider's.
+ * @param {Array<{ source: string, weather: Object }>} results - Provider weather, highest priority first
+ * @param {string|null} at - Departure time, ISO 8601; null for now
+ * @param {Object|null} nwsAlerts - api.weather.gov/alerts/active GeoJSON for the location
+ * @returns {Object} Weather object plus sources: { [field]: provider name, null when none supplied it }
  */
-export async function fetchWeather(lat, lng) {
-  const apiKey = import.meta.env.VITE_OPENWEATHER_KEY;
+export function mergeProviderWeather(results, at = null, nwsAlerts = null) {
+  const weather = emptyWeather();
+  const sources = {};
+  for (const field of WEATHER_FIELDS) {
+    const from = results.find((r) => r.weather[field] !== undefined);
+    weather[field] = from?.weather[field] ?? null;
+    sources[field] = from?.source ?? null;
+  }
 
-  if (!apiKey) {
-    console.warn('OpenWeather API key not configured');
+  if (nwsAlerts) {
+    const atSeconds = Math.floor((at ? Date.parse(at) : currentTime()) / 1000);
+    weather.alerts = processNwsAlerts(nwsAlerts, atSeconds);
+    sources.alerts = 'nws';
+  }
+
+  weather.period = results.find((r) => r.weather.period)?.weather.period ?? null;
+  return { ...weather, sources };
+}
+
+// Departures within this long of the observation use current conditions, not a forecast slot
+const CURRENT_WINDOW_SECONDS = 45 * 60;
+
+// Each /forecast entry covers the three hours ending at its dt
+const SLOT_SECONDS = 3 * 60 * 60;
+
+const isoFromSeconds = (seconds) => new Date(seconds * 1000).toISOString();
+
+/**
+ * Index of the forecast entry covering a moment: the first whose dt is after it
+ * (an entry covers [dt - 3h, dt)), or the last entry when the moment is past the end of the forecast
+ * @param {Array<Object>} list - /data/2.5/forecast list
+ * @param {number} atSeconds - Epoch seconds
+ * @returns {number} -1 when the list is empty
+ */
+export function forecastSlotIndex(list, atSeconds) {
+  if (!list?.length) return -1;
+  const index = list.findIndex((entry) => entry.dt > atSeconds);
+  return index === -1 ? list.length - 1 : index;
+}
+
+/**
+ * A forecast entry shaped like a current-conditions response, so the same normalizers apply
+ * (3-hour precipitation volumes become hourly rates; alerts come from current conditions)
+ */
+function slotAsCurrent(slot, currentData) {
+  const hourly = (volume) => (volume?.['3h'] != null ? { '1h': volume['3h'] / 3 } : undefined);
+  return { ...slot, rain: hourly(slot.rain), snow: hourly(slot.snow), alerts: currentData?.alerts };
+}
+
+/**
+ * Normalize raw OpenWeather responses into the weather object the prompt and UI use
+ * With a departure time more than CURRENT_WINDOW_SECONDS after the observation, conditions
+ * come from the forecast slot covering departure instead of current conditions.
+ * @param {Object|null} currentData - /data/2.5/weather response
+ * @param {Object|null} forecastData - /data/2.5/forecast response
+ * @param {string|null} at - Departure time, ISO 8601; null for "now"
+ * @param {Object|null} nwsAlerts - api.weather.gov/alerts/active GeoJSON for the location; when
+ *   present, alerts are the ones in effect at departure, otherwise whatever OpenWeather sent
+ * @param {Object|null} airData - /data/2.5/air_pollution/forecast response
+ * @returns {Object} { precipitation, wind, visibility, feelsLike, alerts, thunderstorm, heatIndex,
+ *   airQuality, forecast3hr, period } — see src/api/hazards.js for the last three
+ *   period: { source: "current"|"forecast", from, to } — the time the conditions describe
+ */
+export function buildWeather(currentData, forecastData, at = null, nwsAlerts = null, airData = null) {
+  const atSeconds = at ? Math.floor(Date.parse(at) / 1000) : null;
+  const observedAt = currentData?.dt ?? null;
+  const list = forecastData?.list ?? [];
+  const alertsAt = (conditions) =>
+    nwsAlerts ? processNwsAlerts(nwsAlerts, atSeconds ?? Math.floor(currentTime() / 1000)) : processAlerts(conditions);
+
+  const wantsForecast =
+    atSeconds != null && (observedAt == null || atSeconds - observedAt > CURRENT_WINDOW_SECONDS);
+  const slotIndex = wantsForecast ? forecastSlotIndex(list, atSeconds) : -1;
+
+  if (slotIndex !== -1) {
+    const slot = list[slotIndex];
+    const conditions = slotAsCurrent(slot, currentData);
     return {
-      precipitation: null,
-      wind: null,
-      visibility: null,
-      feelsLike: null,
-      alerts: null,
-      forecast3hr: null,
+      precipitation: processPrecipitation(conditions),
+      wind: processWind(conditions),
+      visibility: processVisibility(conditions),
+      feelsLike: processFeelsLike(conditions),
+      alerts: alertsAt(conditions),
+      thunderstorm: processThunderstorm(conditions),
+      heatIndex: processHeatIndex(conditions),
+      airQuality: processAirQuality(airData, conditions, atSeconds),
+      forecast3hr: processForecast(conditions, { list: list.slice(slotIndex + 1) }),
+      period: { source: 'forecast', from: isoFromSeconds(slot.dt - SLOT_SECONDS), to: isoFromSeconds(slot.dt) },
     };
   }
 
+  return {
+    precipitation: processPrecipitation(currentData),
+    wind: processWind(currentData),
+    visibility: processVisibility(currentData),
+    feelsLike: processFeelsLike(currentData),
+    alerts: alertsAt(currentData),
+    thunderstorm: processThunderstorm(currentData),
+    heatIndex: processHeatIndex(currentData),
+    airQuality: processAirQuality(airData, currentData, atSeconds ?? observedAt),
+    forecast3hr: processForecast(currentData, forecastData),
+    period: observedAt != null
+      ? { source: 'current', from: isoFromSeconds(observedAt), to: isoFromSeconds(observedAt) }
+      : null,
+  };
+}
+
+const atParam = (at) => (at ? `&at=${encodeURIComponent(at)}` : '');
+
+/**
+ * Fetch normalized weather for a location from the StormSafe server
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {string|null} at - Departure time, ISO 8601 (see resolveDeparture); null for now
+ * @returns {Promise<Object>} Weather object (all fields null if the server can't provide it)
+ * @throws {RateLimitedError} When the server rejects the request with 429
+ */
+export async function fetchWeather(lat, lng, at = null) {
   try {
-    // Make both API calls in parallel
-    const [currentResponse, forecastResponse] = await Promise.all([
-      fetch(
-        `https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lng}&appid=${apiKey}&units=metric`
-      ),
-      fetch(
-        `https://api.openweathermap.org/data/2.5/forecast?lat=${lat}&lon=${lng}&appid=${apiKey}&units=metric`
-      ),
-    ]);
-
-    let currentData = null;
-    let forecastData = null;
-
-    // Parse current weather
-    if (currentResponse.ok) {
-      currentData = await currentResponse.json();
+    const response = await httpFetch(`/api/weather?lat=${lat}&lng=${lng}${atParam(at)}`);
+
+    if (response.status === 429) {
+      throw rateLimitedErrorFrom(response);
     }
 
-    // Parse forecast data
-    if (forecastResponse.ok) {
-      forecastData = await forecastResponse.json();
+    if (!response.ok) {
+      log.warn('Failed to fetch weather', { status: response.status });
+      return emptyWeather();
     }
 
-    // Process and return clean object
-    return {
-      precipitation: processPrecipitation(currentData),
-      wind: processWind(currentData),
-      visibility: processVisibility(currentData),
-      feelsLike: processFeelsLike(currentData),
-      alerts: processAlerts(currentData),
-      forecast3hr: processForecast(currentData, forecastData),
-    };
+    return await response.json();
   } catch (error) {
-    console.error('Weather fetch error:', error);
-    return {
-      precipitation: null,
-      wind: null,
-      visibility: null,
-      feelsLike: null,
-      alerts: null,
-      forecast3hr: null,
-    };
+    if (error instanceof RateLimitedError) throw error;
+    log.error('Weather fetch error', { error });
+    return emptyWeather();
+  }
+}
+
+/**
+ * Points to sample for a trip: origin, the points along the route, destination — in order
+ * @param {Object} origin - { lat, lng }
+ * @param {Object} destination - { lat, lng }
+ * @param {Object|null} travelData - fetchTravelData() result; its route_points are optional
+ * @returns {Array<{ lat: number, lng: number, where: string }>} where: origin | en route | destination
+ */
+export function routeWeatherPoints(origin, destination, travelData) {
+  const along = (travelData?.route_points ?? []).map(({ lat, lng }) => ({ lat, lng, where: 'en route' }));
+  return [
+    { lat: origin.lat, lng: origin.lng, where: 'origin' },
+    ...along,
+    ...(destination ? [{ lat: destination.lat, lng: destination.lng, where: 'destination' }] : []),
+  ];
+}
+
+const INTENSITY_RANK = { light: 1, moderate: 2, heavy: 3 };
+// At equal intensity, ice beats snow beats rain
+const PRECIPITATION_TYPE_RANK = { rain: 0, snow: 1, sleet: 2, freezing_rain: 3 };
+const ALERT_RANK = { minor: 0, moderate: 1, high: 2, extreme: 3 };
+const TREND_RANK = { improving: 0, steady: 1, worsening: 2 };
+
+// Feels-like temperatures are judged by distance from a comfortable 18°C, so both cold and heat count
+const COMFORT_C = 18;
+
+/**
+ * The sample that maximizes score(weather), ignoring samples where it returns null
+ */
+function worstSample(samples, score) {
+  let worst = null;
+  let worstScore = -Infinity;
+  for (const sample of samples) {
+    const value = score(sample.weather);
+    if (value != null && value > worstScore) {
+      worst = sample;
+      worstScore = value;
+    }
+  }
+  return worst;
+}
+
+function locationOf(sample) {
+  return sample ? { where: sample.where, lat: sample.lat, lng: sample.lng } : null;
+}
+
+/**
+ * Combine weather sampled at several points into one weather object holding the worst
+ * of each condition, plus route.worst saying where each one occurs
+ * @param {Array<Object>} samples - [{ where, lat, lng, weather }] in route order
+ * @returns {Object} { precipitation, wind, visibility, feelsLike, alerts, thunderstorm, heatIndex, airQuality,
+ *   forecast3hr, period, sources, route: { sampled, worst: { precipitation, ..., airQuality } } }
+ *   sources: where each condition came from at the point where it is worst; null when the samples carry none
+ */
+export function combineRouteWeather(samples) {
+  const worst = {
+    precipitation: worstSample(samples, (w) =>
+      w.precipitation
+        ? INTENSITY_RANK[w.precipitation.intensity] * 4 + (PRECIPITATION_TYPE_RANK[w.precipitation.type] ?? 0)
+        : null
+    ),
+    wind: worstSample(samples, (w) => (w.wind ? w.wind.speed * 100 + (w.wind.gusts ?? 0) : null)),
+    visibility: worstSample(samples, (w) => (w.visibility != null ? -w.visibility : null)),
+    feelsLike: worstSample(samples, (w) => (w.feelsLike != null ? Math.abs(w.feelsLike - COMFORT_C) : null)),
+    alerts: worstSample(samples, (w) =>
+      w.alerts?.length ? Math.max(...w.alerts.map((a) => ALERT_RANK[a.severity] ?? 0)) : null
+    ),
+    thunderstorm: worstSample(samples, (w) => (w.thunderstorm ? INTENSITY_RANK[w.thunderstorm.intensity] : null)),
+    heatIndex: worstSample(samples, (w) => w.heatIndex),
+    airQuality: worstSample(samples, (w) => w.airQuality?.aqi ?? null),
+  };
+
+  const alerts = [];
+  for (const { weather } of samples) {
+    for (const alert of weather.alerts ?? []) {
+      if (!alerts.some((a) => a.title === alert.title)) alerts.push(alert);
+    }
+  }
+  alerts.sort((a, b) => (ALERT_RANK[b.severity] ?? 0) - (ALERT_RANK[a.severity] ?? 0));
+
+  // A condition's source is the source at the point where it is worst
+  const sourceOf = (field) =>
+    (worst[field] ?? samples.find((s) => s.weather.sources?.[field]))?.weather.sources?.[field] ?? null;
+
+  const forecasts = samples.map((s) => s.weather.forecast3hr).filter(Boolean);
+  const forecast3hr = forecasts.length > 0
+    ? {
+        trend: forecasts.reduce((a, f) => (TREND_RANK[f.trend] > TREND_RANK[a] ? f.trend : a), forecasts[0].trend),
+        precipExpected: forecasts.some((f) => f.precipExpected),
+      }
+    : null;
+
+  return {
+    precipitation: worst.precipitation?.weather.precipitation ?? null,
+    wind: worst.wind?.weather.wind ?? null,
+    visibility: worst.visibility?.weather.visibility ?? null,
+    feelsLike: worst.feelsLike?.weather.feelsLike ?? null,
+    alerts: alerts.length > 0 ? alerts : null,
+    thunderstorm: worst.thunderstorm?.weather.thunderstorm ?? null,
+    heatIndex: worst.heatIndex?.weather.heatIndex ?? null,
+    airQuality: worst.airQuality?.weather.airQuality ?? null,
+    forecast3hr,
+    // Every point is read for the same departure, so any sample's period describes them all
+    period: samples.find((s) => s.weather.period)?.weather.period ?? null,
+    sources: samples.some((s) => s.weather.sources)
+      ? Object.fromEntries(WEATHER_FIELDS.map((field) => [field, sourceOf(field)]))
+      : null,
+    route: {
+      sampled: samples.length,
+      worst: Object.fromEntries(Object.entries(worst).map(([field, sample]) => [field, locationOf(sample)])),
+    },
+  };
+}
+
+/**
+ * Fetch the worst weather along a route from the StormSafe server
+ * @param {Array<Object>} points - routeWeatherPoints() result, origin first and destination last
+ * @param {string|null} at - Departure time, ISO 8601 (see resolveDeparture); null for now
+ * @returns {Promise<Object>} combineRouteWeather() result (all fields null if the server can't provide it)
+ * @throws {RateLimitedError} When the server rejects the request with 429
+ */
+export async function fetchRouteWeather(points, at = null) {
+  // The server labels points by position: first is the origin, last the destination
+  const query = points.map((p) => `${p.lat},${p.lng}`).join(';');
+
+  try {
+    const response = await httpFetch(`/api/weather/route?points=${query}${atParam(at)}`);
+
+    if (response.status === 429) {
+      throw rateLimitedErrorFrom(response);
+    }
+
+    if (!response.ok) {
+      log.warn('Failed to fetch route weather', { status: response.status });
+      return emptyWeather();
+    }
+
+    return await response.json();
+  } catch (error) {
+    if (error instanceof RateLimitedError) throw error;
+    log.error('Route weather fetch error', { error });
+    return emptyWeather();
   }
 }
 
@@ -75,7 +342,7 @@ export async function fetchWeather(lat, lng) {
  * @param {number} mm - Precipitation in mm/hr
  * @returns {string} 'light', 'moderate', or 'heavy'
  */
-function mapIntensity(mm) {
+export function mapIntensity(mm) {
   if (mm < 2.5) return 'light';
   if (mm <= 10) return 'moderate';
   return 'heavy';
@@ -84,33 +351,47 @@ function mapIntensity(mm) {
 /**
  * Process precipitation data from current weather
  */
-function processPrecipitation(currentData) {
+export function processPrecipitation(currentData) {
   if (!currentData) return null;
 
   try {
-    // Determine type: rain or snow (prefer snow if both present)
+    // Determine type: rain or snow (prefer snow if both present), unless the condition code says ice
     const snowAmount = currentData.snow?.['1h'] || 0;
     const rainAmount = currentData.rain?.['1h'] || 0;
+    const ice = icePrecipitationType(currentData);
 
     if (snowAmount === 0 && rainAmount === 0) {
-      return null;
+      // Freezing drizzle can report no measurable amount — it's still ice on the ground
+      return ice ? { type: ice, intensity: 'light' } : null;
     }
 
-    const type = snowAmount > rainAmount ? 'snow' : 'rain';
+    const type = ice ?? (snowAmount > rainAmount ? 'snow' : 'rain');
     const amount = Math.max(snowAmount, rainAmount);
     const intensity = mapIntensity(amount);
 
     return { type, intensity };
   } catch (error) {
-    console.error('Error processing precipitation:', error);
+    log.error('Error processing precipitation', { error });
     return null;
   }
 }
 
+const PRECIPITATION_LABEL = { rain: 'rain', snow: 'snow', sleet: 'sleet', freezing_rain: 'freezing rain' };
+
+/**
+ * Display text for precipitation, e.g. "Light freezing rain"
+ * @param {{ type: string, intensity: string }} precipitation
+ * @returns {string}
+ */
+export function precipitationLabel(precipitation) {
+  const intensity = `${precipitation.intensity[0].toUpperCase()}${precipitation.intensity.slice(1)}`;
+  return `${intensity} ${PRECIPITATION_LABEL[precipitation.type] ?? precipitation.type}`;
+}
+
 /**
  * Process wind data from current weather
  */
-function processWind(currentData) {
+export function processWind(currentData) {
   if (!currentData?.wind) return null;
 
   try {
@@ -125,7 +406,7 @@ function processWind(currentData) {
 
     return { speed, gusts };
   } catch (error) {
-    console.error('Error processing wind:', error);
+    log.error('Error processing wind', { error });
     return null;
   }
 }
@@ -133,7 +414,7 @@ function processWind(currentData) {
 /**
  * Process visibility data from current weather (convert to km)
  */
-function processVisibility(currentData) {
+export function processVisibility(currentData) {
   if (!currentData?.visibility) return null;
 
   try {
@@ -141,21 +422,23 @@ function processVisibility(currentData) {
     const visibilityKm = currentData.visibility / 1000;
     return Math.round(visibilityKm * 10) / 10;
   } catch (error) {
-    console.error('Error processing visibility:', error);
+    log.error('Error processing visibility', { error });
     return null;
   }
 }
 
 /**
  * Process feels like temperature from current weather
+ * OpenWeather nests it under main; accept a flat value too
  */
-function processFeelsLike(currentData) {
-  if (currentData?.feels_like === undefined) return null;
+export function processFeelsLike(currentData) {
+  const feelsLike = currentData?.main?.feels_like ?? currentData?.feels_like;
+  if (feelsLike === undefined) return null;
 
   try {
-    return Math.round(currentData.feels_like);
+    return Math.round(feelsLike);
   } catch (error) {
-    console.error('Error processing feels like:', error);
+    log.error('Error processing feels like', { error });
     return null;
   }
 }
@@ -163,7 +446,7 @@ function processFeelsLike(currentData) {
 /**
  * Process weather alerts from current weather
  */
-function processAlerts(currentData) {
+export function processAlerts(currentData) {
   if (!currentData?.alerts || currentData.alerts.length === 0) {
     return null;
   }
@@ -174,7 +457,7 @@ function processAlerts(currentData) {
       severity: mapAlertSeverity(alert),
     }));
   } catch (error) {
-    console.error('Error processing alerts:', error);
+    log.error('Error processing alerts', { error });
     return null;
   }
 }
@@ -182,7 +465,7 @@ function processAlerts(currentData) {
 /**
  * Map alert severity from OpenWeatherMap data
  */
-function mapAlertSeverity(alert) {
+export function mapAlertSeverity(alert) {
   const event = alert.event?.toLowerCase() || '';
   if (
     event.includes('warn') ||
@@ -197,80 +480,86 @@ function mapAlertSeverity(alert) {
   return 'moderate';
 }
 
+// CAP severity (as used by the NWS) onto the alert scale the rules engine and prompt use
+const CAP_SEVERITY = { Extreme: 'extreme', Severe: 'high', Moderate: 'moderate', Minor: 'minor' };
+
 /**
- * Process 3-hour forecast trend from forecast data
+ * Warning, watch, advisory or (anything else) statement, from the NWS event name
  */
-function processForecast(currentData, forecastData) {
-  if (!forecastData?.list || forecastData.list.length === 0) {
-    return null;
-  }
+export function alertKind(event) {
+  const match = /(warning|watch|advisory)$/i.exec(event?.trim() ?? '');
+  return match ? match[1].toLowerCase() : 'statement';
+}
 
+/**
+ * Normalize National Weather Service alerts (CAP in GeoJSON, api.weather.gov/alerts/active)
+ * Keeps actual, non-cancelled alerts in effect at a moment, most severe first.
+ * An alert runs from onset (or effective) to ends (or expires, when the end isn't known).
+ * @param {Object} geojson - FeatureCollection of CAP alerts
+ * @param {number} atSeconds - Epoch seconds
+ * @returns {Array<Object>|null} [{ title, severity, kind, headline, onset, expires, source }], null when none apply
+ */
+export function processNwsAlerts(geojson, atSeconds) {
   try {
-    const current = currentData?.rain?.['1h'] || currentData?.snow?.['1h'] || 0;
-    const next3hr =
-      forecastData.list[0]?.rain?.['3h'] || forecastData.list[0]?.snow?.['3h'] || 0;
-
-    // Determine trend
-    let trend = 'steady';
-    if (next3hr > current * 1.5) {
-      trend = 'worsening';
-    } else if (next3hr < current * 0.75) {
-      trend = 'improving';
-    }
-
-    const precipExpected = next3hr > 0;
-
-    return { trend, precipExpected };
+    const alerts = (geojson?.features ?? [])
+      .map((feature) => feature?.properties ?? {})
+      .filter((p) => p.status === 'Actual' && p.messageType !== 'Cancel' && p.event)
+      .filter((p) => {
+        const start = Date.parse(p.onset ?? p.effective) / 1000;
+        const end = Date.parse(p.ends ?? p.expires) / 1000;
+        return !(start > atSeconds) && !(end <= atSeconds);
+      })
+      .map((p) => ({
+        title: p.event,
+        severity: CAP_SEVERITY[p.severity] ?? mapAlertSeverity(p),
+        kind: alertKind(p.event),
+        headline: p.headline ?? null,
+        onset: p.onset ?? p.effective ?? null,
+        expires: p.ends ?? p.expires ?? null,
+        source: 'nws',
+      }))
+      .sort((a, b) => ALERT_RANK[b.severity] - ALERT_RANK[a.severity]);
+
+    return alerts.length > 0 ? alerts : null;
   } catch (error) {
-    console.error('Error processing forecast:', error);
+    log.error('Error processing NWS alerts', { error });
     return null;
   }
 }
 
-export async function getWeatherData(latitude, longitude) {
-  const apiKey = import.meta.env.VITE_REACT_APP_OPENWEATHER_KEY;
-  
-  if (!apiKey) {
-    console.warn('OpenWeather API key not configured');
-    return null;
+/**
+ * Trend from the precipitation falling now to what the next three hours bring
+ * @param {number} current - mm in the last hour
+ * @param {number} next3hr - mm over the next three hours
+ * @returns {{ trend: "worsening"|"steady"|"improving", precipExpected: boolean }}
+ */
+export function precipitationTrend(current, next3hr) {
+  let trend = 'steady';
+  if (next3hr > current * 1.5) {
+    trend = 'worsening';
+  } else if (next3hr < current * 0.75) {
+    trend = 'improving';
   }
 
-  try {
-    const response = await fetch(
-      `https://api.openweathermap.org/data/2.5/weather?lat=${latitude}&lon=${longitude}&appid=${apiKey}&units=metric`
-    );
-    
-    if (!response.ok) {
-      throw new Error('Failed to fetch weather data');
-    }
-    
-    return await response.json();
-  } catch (error) {
-    console.error('Weather API error:', error);
-    return null;
-  }
+  return { trend, precipExpected: next3hr > 0 };
 }
 
-export async function getWeatherForecast(latitude, longitude) {
-  const apiKey = import.meta.env.VITE_REACT_APP_OPENWEATHER_KEY;
-  
-  if (!apiKey) {
-    console.warn('OpenWeather API key not configured');
+/**
+ * Process 3-hour forecast trend from forecast data
+ */
+export function processForecast(currentData, forecastData) {
+  if (!forecastData?.list || forecastData.list.length === 0) {
     return null;
   }
 
   try {
-    const response = await fetch(
-      `https://api.openweathermap.org/data/2.5/forecast?lat=${latitude}&lon=${longitude}&appid=${apiKey}&units=metric`
-    );
-    
-    if (!response.ok) {
-      throw new Error('Failed to fetch weather forecast');
-    }
-    
-    return await response.json();
+    const current = currentData?.rain?.['1h'] || currentData?.snow?.['1h'] || 0;
+    const next3hr =
+      forecastData.list[0]?.rain?.['3h'] || forecastData.list[0]?.snow?.['3h'] || 0;
+
+    return precipitationTrend(current, next3hr);
   } catch (error) {
-    console.error('Forecast API error:', error);
+    log.error('Error processing forecast', { error });
     return null;
   }
 }
@@ -0,0 +1,239 @@
+// Weather from providers other than OpenWeather
+// The NWS gridpoint forecast (api.weather.gov/gridpoints) and Open-Meteo (open-meteo.com) normalized
+// into the same weather object buildWeather makes from OpenWeather, so the server can fail over
+// between them (server/weatherProviders.js). Both are hourly forecasts, so the period is always
+// the forecast hour covering the moment.
+//
+// Each builder leaves out the fields its provider can't supply — see mergeProviderWeather.
+// Units match the rest of the weather object: wind m/s, visibility km, temperatures °C.
+
+import { currentTime } from './clock.js';
+import { aqiCategory, heatIndexC, usAqiFromPm25 } from './hazards.js';
+import { log } from './log.js';
+import { mapIntensity, precipitationTrend } from './weather.js';
+
+const HOUR_SECONDS = 60 * 60;
+
+const isoFromSeconds = (seconds) => new Date(seconds * 1000).toISOString();
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// The forecast hour covering a moment
+function hourPeriod(atSeconds) {
+  const from = Math.floor(atSeconds / HOUR_SECONDS) * HOUR_SECONDS;
+  return { source: 'forecast', from: isoFromSeconds(from), to: isoFromSeconds(from + HOUR_SECONDS) };
+}
+
+// Wind rounded like processWind: null when calm
+function windFrom(speed, gusts) {
+  if (!Number.isFinite(speed)) return null;
+  const rounded = Math.round(speed);
+  const roundedGusts = Number.isFinite(gusts) && gusts > 0 ? Math.round(gusts) : null;
+  return rounded === 0 && !roundedGusts ? null : { speed: rounded, gusts: roundedGusts };
+}
+
+// --- NWS gridpoint forecast ----------------------------------------------------------------
+
+/**
+ * Length of an ISO 8601 duration such as "PT3H" or "P1DT6H"
+ * @param {string} duration
+ * @returns {number} Seconds; 0 when it can't be read
+ */
+export function durationSeconds(duration) {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/.exec(duration ?? '');
+  if (!match) return 0;
+  const [, days = 0, hours = 0, minutes = 0] = match;
+  return Number(days) * 86400 + Number(hours) * HOUR_SECONDS + Number(minutes) * 60;
+}
+
+// A gridpoint layer's values as [{ from, to, value }], epoch seconds
+function layerIntervals(layer) {
+  return (layer?.values ?? []).map(({ validTime, value }) => {
+    const [start, duration] = (validTime ?? '').split('/');
+    const from = Date.parse(start) / 1000;
+    return { from, to: from + durationSeconds(duration), value };
+  });
+}
+
+/**
+ * Value of a gridpoint layer at a moment (the interval that covers it)
+ * @param {Object} layer - e.g. properties.windSpeed: { uom, values: [{ validTime: "start/duration", value }] }
+ * @param {number} atSeconds
+ * @returns {*} undefined when no interval covers the moment
+ */
+export function gridpointValueAt(layer, atSeconds) {
+  return layerIntervals(layer).find((i) => i.from <= atSeconds && atSeconds < i.to)?.value;
+}
+
+// Total of an amount layer (e.g. quantitativePrecipitation, mm) over [from, to), spreading each interval evenly
+function gridpointAmount(layer, from, to) {
+  return layerIntervals(layer).reduce((sum, i) => {
+    const overlap = Math.min(to, i.to) - Math.max(from, i.from);
+    return overlap > 0 && i.to > i.from ? sum + ((i.value ?? 0) * overlap) / (i.to - i.from) : sum;
+  }, 0);
+}
+
+const SPEED_TO_MS = { 'wmoUnit:km_h-1': 1 / 3.6, 'wmoUnit:m_s-1': 1, 'wmoUnit:kn': 0.514444 };
+const DISTANCE_TO_KM = { 'wmoUnit:m': 0.001, 'wmoUnit:km': 1 };
+
+function speedAt(layer, atSeconds) {
+  const value = gridpointValueAt(layer, atSeconds);
+  return Number.isFinite(value) ? value * (SPEED_TO_MS[layer.uom] ?? 1) : null;
+}
+
+// NWS weather types → our precipitation types
+const NWS_PRECIPITATION_TYPE = {
+  rain: 'rain',
+  rain_showers: 'rain',
+  drizzle: 'rain',
+  snow: 'snow',
+  snow_showers: 'snow',
+  freezing_rain: 'freezing_rain',
+  freezing_drizzle: 'freezing_rain',
+  sleet: 'sleet',
+  ice_pellets: 'sleet',
+};
+
+const NWS_INTENSITY = { very_light: 'light', light: 'light', moderate: 'moderate', heavy: 'heavy' };
+
+// Coverage words too unlikely to count as happening
+const UNLIKELY_COVERAGE = ['slight_chance', 'chance'];
+
+const TYPE_RANK = { rain: 0, snow: 1, sleet: 2, freezing_rain: 3 };
+
+/**
+ * Normalize an NWS gridpoint forecast (the forecastGridData of api.weather.gov/points) for a moment
+ * @param {Object|null} gridpoint - /gridpoints/{office}/{x},{y} response
+ * @param {string|null} at - Departure time, ISO 8601; null for now
+ * @returns {Object} { precipitation, wind, visibility, feelsLike, thunderstorm, heatIndex, forecast3hr, period }
+ *   — no alerts or air quality
+ */
+export function buildNwsGridpointWeather(gridpoint, at = null) {
+  const p = gridpoint?.properties ?? {};
+  const atSeconds = Math.floor((at ? Date.parse(at) : currentTime()) / 1000);
+
+  try {
+    const happening = (gridpointValueAt(p.weather, atSeconds) ?? []).filter(
+      (w) => w?.weather && !UNLIKELY_COVERAGE.includes(w.coverage)
+    );
+
+    const hourStart = Math.floor(atSeconds / HOUR_SECONDS) * HOUR_SECONDS;
+    const rate = gridpointAmount(p.quantitativePrecipitation, hourStart, hourStart + HOUR_SECONDS);
+    const next3hr = gridpointAmount(p.quantitativePrecipitation, hourStart + HOUR_SECONDS, hourStart + 4 * HOUR_SECONDS);
+
+    const falling = happening
+      .filter((w) => NWS_PRECIPITATION_TYPE[w.weather])
+      .map((w) => ({ type: NWS_PRECIPITATION_TYPE[w.weather], intensity: NWS_INTENSITY[w.intensity] }))
+      .sort((a, b) => TYPE_RANK[b.type] - TYPE_RANK[a.type]);
+    const precipitation = falling[0]
+      ? { type: falling[0].type, intensity: falling[0].intensity ?? mapIntensity(rate) }
+      : null;
+
+    const storm = happening.find((w) => w.weather === 'thunderstorms');
+    const thunderstorm = storm ? { intensity: NWS_INTENSITY[storm.intensity] ?? 'moderate' } : null;
+
+    const visibility = gridpointValueAt(p.visibility, atSeconds);
+    const feelsLike = gridpointValueAt(p.apparentTemperature, atSeconds);
+
+    return {
+      precipitation,
+      wind: windFrom(speedAt(p.windSpeed, atSeconds), speedAt(p.windGust, atSeconds)),
+      visibility: Number.isFinite(visibility) ? round1(visibility * (DISTANCE_TO_KM[p.visibility.uom] ?? 0.001)) : null,
+      feelsLike: Number.isFinite(feelsLike) ? Math.round(feelsLike) : null,
+      thunderstorm,
+      heatIndex: heatIndexC(gridpointValueAt(p.temperature, atSeconds), gridpointValueAt(p.relativeHumidity, atSeconds)),
+      // The current hour's rate kept up for three hours, against what the next three bring
+      forecast3hr: p.quantitativePrecipitation ? precipitationTrend(rate * 3, next3hr) : null,
+      period: hourPeriod(atSeconds),
+    };
+  } catch (error) {
+    log.error('Error processing NWS gridpoint forecast', { error });
+    return {};
+  }
+}
+
+// --- Open-Meteo -----------------------------------------------------------------------------
+
+// WMO weather codes → precipitation, https://open-meteo.com/en/docs (weather_code)
+const WMO_PRECIPITATION = {
+  51: { type: 'rain', intensity: 'light' },
+  53: { type: 'rain', intensity: 'light' },
+  55: { type: 'rain', intensity: 'moderate' },
+  56: { type: 'freezing_rain', intensity: 'light' },
+  57: { type: 'freezing_rain', intensity: 'moderate' },
+  61: { type: 'rain', intensity: 'light' },
+  63: { type: 'rain', intensity: 'moderate' },
+  65: { type: 'rain', intensity: 'heavy' },
+  66: { type: 'freezing_rain', intensity: 'light' },
+  67: { type: 'freezing_rain', intensity: 'heavy' },
+  71: { type: 'snow', intensity: 'light' },
+  73: { type: 'snow', intensity: 'moderate' },
+  75: { type: 'snow', intensity: 'heavy' },
+  77: { type: 'snow', intensity: 'light' },
+  80: { type: 'rain', intensity: 'light' },
+  81: { type: 'rain', intensity: 'moderate' },
+  82: { type: 'rain', intensity: 'heavy' },
+  85: { type: 'snow', intensity: 'light' },
+  86: { type: 'snow', intensity: 'heavy' },
+};
+
+const WMO_THUNDERSTORM = { 95: 'moderate', 96: 'heavy', 99: 'heavy' };
+
+// Index of the hour covering a moment in an hourly time array (epoch seconds), or the first hour
+function hourIndex(times, atSeconds) {
+  const index = (times ?? []).findLastIndex((t) => t <= atSeconds);
+  return index === -1 ? 0 : index;
+}
+
+/**
+ * Normalize Open-Meteo's hourly forecast (and air quality, when fetched) for a moment
+ * Both responses must be requested with timeformat=unixtime, wind_speed_unit=ms.
+ * @param {Object|null} forecast - api.open-meteo.com/v1/forecast response
+ * @param {Object|null} air - air-quality-api.open-meteo.com/v1/air-quality response (hourly pm2_5)
+ * @param {string|null} at - Departure time, ISO 8601; null for now
+ * @returns {Object} { precipitation, wind, visibility, feelsLike, thunderstorm, heatIndex, airQuality,
+ *   forecast3hr, period } — no alerts; airQuality only with air data
+ */
+export function buildOpenMeteoWeather(forecast, air = null, at = null) {
+  const hourly = forecast?.hourly;
+  if (!hourly?.time?.length) return {};
+  const atSeconds = Math.floor((at ? Date.parse(at) : currentTime()) / 1000);
+
+  try {
+    const i = hourIndex(hourly.time, atSeconds);
+    const value = (series, index = i) => (Number.isFinite(hourly[series]?.[index]) ? hourly[series][index] : null);
+
+    const code = value('weather_code');
+    const amount = value('precipitation') ?? 0;
+    const coded = WMO_PRECIPITATION[code];
+    const precipitation = coded
+      ? { type: coded.type, intensity: amount > 0 ? mapIntensity(amount) : coded.intensity }
+      : null;
+
+    const next3hr = [1, 2, 3].reduce((sum, ahead) => sum + (value('precipitation', i + ahead) ?? 0), 0);
+    const visibility = value('visibility');
+    const feelsLike = value('apparent_temperature');
+
+    const weather = {
+      precipitation,
+      wind: windFrom(value('wind_speed_10m'), value('wind_gusts_10m')),
+      visibility: visibility != null ? round1(visibility / 1000) : null,
+      feelsLike: feelsLike != null ? Math.round(feelsLike) : null,
+      thunderstorm: WMO_THUNDERSTORM[code] ? { intensity: WMO_THUNDERSTORM[code] } : null,
+      heatIndex: heatIndexC(value('temperature_2m'), value('relative_humidity_2m')),
+      forecast3hr: i + 1 < hourly.time.length ? precipitationTrend(amount * 3, next3hr) : null,
+      period: hourPeriod(atSeconds),
+    };
+
+    if (air?.hourly?.time?.length) {
+      const pm25 = air.hourly.pm2_5?.[hourIndex(air.hourly.time, atSeconds)];
+      const aqi = usAqiFromPm25(pm25);
+      weather.airQuality = aqi != null ? { aqi, category: aqiCategory(aqi), pm25: round1(pm25), smoke: false } : null;
+    }
+
+    return weather;
+  } catch (error) {
+    log.error('Error processing Open-Meteo forecast', { error });
+    return {};
+  }
+}
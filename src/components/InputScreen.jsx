@@ -1,5 +1,7 @@
 import { useState } from 'react'
 import { SearchBox } from '@mapbox/search-js-react'
+import { isInNYCArea } from '../api/geo'
+import { loadUnitPreference, saveUnitPreference } from '../api/units'
 
 const MAPBOX_TOKEN = import.meta.env.VITE_MAPBOX_TOKEN
 
@@ -9,16 +11,10 @@ const TIME_OPTIONS = [
   { value: 'later', label: 'Later' },
 ]
 
-const NYC_BOUNDS = { minLat: 40.4, maxLat: 41.2, minLng: -74.8, maxLng: -73.7 }
-
-function isInNYCArea(coords) {
-  return (
-    coords.lat >= NYC_BOUNDS.minLat &&
-    coords.lat <= NYC_BOUNDS.maxLat &&
-    coords.lng >= NYC_BOUNDS.minLng &&
-    coords.lng <= NYC_BOUNDS.maxLng
-  )
-}
+const UNIT_OPTIONS = [
+  { value: 'imperial', label: '°F · mph' },
+  { value: 'metric',   label: '°C · km/h' },
+]
 
 // Strip SearchBox's own border/shadow — our wrapper div controls the look
 const SEARCHBOX_THEME = {
@@ -43,6 +39,12 @@ export default function InputScreen({ onSubmit }) {
   const [destinationError,   setDestinationError]   = useState(null)
 
   const [departureTime, setDepartureTime] = useState('now')
+  const [units,         setUnits]         = useState(loadUnitPreference)
+
+  function chooseUnits(value) {
+    setUnits(value)
+    saveUnitPreference(value)
+  }
 
   function handleGo() {
     let hasError = false
@@ -77,6 +79,7 @@ export default function InputScreen({ onSubmit }) {
       destinationLabel,
       destinationAddress,
       departureTime,
+      units,
     })
   }
 
@@ -219,6 +222,22 @@ export default function InputScreen({ onSubmit }) {
             </div>
           </div>
 
+          {/* Units — remembered for next time */}
+          <div className="flex justify-center gap-1">
+            {UNIT_OPTIONS.map((opt) => (
+              <button
+                key={opt.value}
+                type="button"
+                onClick={() => chooseUnits(opt.value)}
+                className={`px-3 h-7 rounded-full text-xs font-semibold transition-colors ${
+                  units === opt.value ? 'bg-[#E0E7F1] text-[#1A1A2E]' : 'text-[#6B7280] active:bg-blue-50'
+                }`}
+              >
+                {opt.label}
+              </button>
+            ))}
+          </div>
+
           {/* CTA — warmer blue, breathing room above */}
           <button
             type="button"
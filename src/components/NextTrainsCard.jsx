@@ -0,0 +1,63 @@
+import { routeBadge } from './TransitStatusStrip'
+
+const DIRECTION_LABEL = {
+  northbound: 'Northbound',
+  southbound: 'Southbound',
+}
+
+// Arrivals grouped by direction, in the order the soonest train each way comes
+function byDirection(arrivals) {
+  const groups = new Map()
+  for (const arrival of arrivals) {
+    if (!groups.has(arrival.direction)) groups.set(arrival.direction, { toward: arrival.toward, arrivals: [] })
+    groups.get(arrival.direction).arrivals.push(arrival)
+  }
+  return [...groups.entries()].map(([direction, group]) => ({ direction, ...group }))
+}
+
+// nextTrains: fetchArrivals() result — only shown with live data for a station near the origin
+export default function NextTrainsCard({ nextTrains }) {
+  if (!nextTrains?.live || !nextTrains.station || nextTrains.lines.length === 0) return null
+
+  const directions = byDirection(nextTrains.arrivals)
+
+  return (
+    <div className="bg-white border border-[#E2E8F0] rounded-2xl px-4 py-3 shadow-sm">
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <p className="text-[10px] font-bold text-[#5B7FA6] uppercase tracking-widest">Next trains</p>
+        <p className="text-[10px] font-bold text-[#94A3B8] truncate">{nextTrains.station.name}</p>
+      </div>
+
+      {directions.length === 0 && (
+        <p className="text-sm text-[#991B1B] leading-snug">No trains due in the next hour</p>
+      )}
+
+      <ul className="flex flex-col gap-2">
+        {directions.map(({ direction, toward, arrivals }) => (
+          <li key={direction}>
+            <p className="text-xs text-[#64748B] leading-snug mb-1">{toward ?? DIRECTION_LABEL[direction]}</p>
+            <div className="flex flex-wrap gap-1.5">
+              {arrivals.map((arrival) => {
+                const badge = routeBadge(arrival.line)
+                return (
+                  <span
+                    key={`${arrival.line}-${arrival.at}`}
+                    title={badge.name}
+                    className={`inline-flex items-center gap-1.5 px-2 py-1 rounded-md border text-xs font-bold ${
+                      arrival.minutes >= 15 ? 'border-[#FDE68A] bg-[#FFFBEB] text-[#92400E]' : 'border-[#E2E8F0] text-[#1A1A2E]'
+                    }`}
+                  >
+                    <span className="min-w-[1.25rem] px-1 h-5 rounded-full inline-flex items-center justify-center text-[10px]" style={badge.style}>
+                      {badge.label}
+                    </span>
+                    {arrival.minutes === 0 ? 'Now' : `${arrival.minutes} min`}
+                  </span>
+                )
+              })}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
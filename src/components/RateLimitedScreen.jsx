@@ -0,0 +1,30 @@
+// Shown when the server says we've run too many checks (HTTP 429)
+// — better than inventing a "Wait it out" verdict we never actually computed
+
+function formatWait(seconds) {
+  if (!seconds) return 'a minute'
+  if (seconds < 60) return `${seconds} seconds`
+  const mins = Math.ceil(seconds / 60)
+  return mins === 1 ? '1 minute' : `${mins} minutes`
+}
+
+export default function RateLimitedScreen({ retryAfterSeconds, onReset }) {
+  return (
+    <div className="min-h-screen bg-[#F7F5F2] flex flex-col items-center justify-center gap-6 px-6 font-sans text-center">
+      <p className="text-5xl">🌀</p>
+      <p className="text-[#1A1A2E] text-2xl font-black font-display leading-tight">
+        Too many checks
+      </p>
+      <p className="text-[#64748B] text-[15px] leading-snug max-w-[320px]">
+        Everyone&apos;s asking about the storm right now. Give it {formatWait(retryAfterSeconds)} and try again — the weather isn&apos;t going anywhere.
+      </p>
+      <button
+        type="button"
+        onClick={onReset}
+        className="w-full max-w-[320px] mt-2 py-4 rounded-2xl bg-[#5B7FA6] text-white font-bold text-base tracking-wide active:opacity-75 transition-opacity shadow-md"
+      >
+        Back to my trip
+      </button>
+    </div>
+  )
+}
@@ -1,4 +1,12 @@
 import TransitStatusStrip from './TransitStatusStrip'
+import NextTrainsCard from './NextTrainsCard'
+import { isWalkableTrip } from '../api/travelData'
+import { formatNycTime } from '../api/departure'
+import { formatQuantity } from '../api/units'
+import { precipitationLabel } from '../api/weather'
+import { airQualityText } from '../api/severity'
+import { groundConditionsText } from '../api/ground'
+import { log } from '../api/log'
 
 // All class strings are literals so Tailwind's scanner includes them at build time
 const VERDICT_CONFIG = {
@@ -23,6 +31,95 @@ const RISK_LABEL = {
   unknown: 'Unknown',
 }
 
+const SEVERITY_PILL = {
+  none:     'bg-[#ECFDF5] text-[#065F46] border border-[#A7F3D0]',
+  light:    'bg-[#ECFDF5] text-[#065F46] border border-[#A7F3D0]',
+  moderate: 'bg-[#FFFBEB] text-[#92400E] border border-[#FDE68A]',
+  severe:   'bg-[#FEF2F2] text-[#991B1B] border border-[#FECACA]',
+  extreme:  'bg-[#FEF2F2] text-[#991B1B] border border-[#FECACA]',
+}
+
+const WHERE_LABEL = {
+  'en route':  'along the way',
+  destination: 'at your destination',
+}
+
+// Conditions that are worst somewhere other than the origin, e.g. "Heavy snow at your destination"
+function routeWeatherNotes(weather, readings) {
+  const worst = weather?.route?.worst
+  if (!worst) return []
+
+  const notes = []
+  const add = (field, text) => {
+    const label = WHERE_LABEL[worst[field]?.where]
+    if (label && text) notes.push(`${text} ${label}`)
+  }
+  add('precipitation', weather.precipitation && precipitationLabel(weather.precipitation))
+  add('thunderstorm', weather.thunderstorm && 'Thunderstorms')
+  add('wind', readings?.wind_speed && `Wind ${formatQuantity(readings.wind_speed)}`)
+  add('visibility', readings?.visibility && `Visibility ${formatQuantity(readings.visibility)}`)
+  add('feelsLike', readings?.feels_like && `Feels like ${formatQuantity(readings.feels_like)}`)
+  add('heatIndex', readings?.heat_index && `Heat index ${formatQuantity(readings.heat_index)}`)
+  add('airQuality', weather.airQuality?.aqi > 100 && airQualityText(weather.airQuality))
+  add('alerts', weather.alerts?.length > 0 && weather.alerts[0].title)
+  return notes
+}
+
+// What the last two days left on the sidewalks, e.g. "Icy sidewalks from freezing rain at your destination"
+function groundNote(ground, readings) {
+  const text = groundConditionsText(ground, readings?.system)
+  if (!text) return null
+  const label = WHERE_LABEL[ground.where]
+  return label ? `${text} ${label}` : text
+}
+
+// Which slice of time the weather describes, e.g. "Forecast for 9:00 PM–12:00 AM"
+function weatherPeriodLabel(period) {
+  if (!period) return null
+  if (period.source === 'forecast') return `Forecast for ${formatNycTime(period.from)}–${formatNycTime(period.to)}`
+  return `Current conditions as of ${formatNycTime(period.to)}`
+}
+
+const SOURCE_LABEL = {
+  openweather: 'OpenWeather',
+  nws: 'National Weather Service',
+  'open-meteo': 'Open-Meteo',
+}
+
+const SOURCE_FIELD_LABEL = {
+  precipitation: 'precipitation',
+  wind: 'wind',
+  visibility: 'visibility',
+  feelsLike: 'feels-like',
+  alerts: 'alerts',
+  thunderstorm: 'thunderstorms',
+  heatIndex: 'heat index',
+  airQuality: 'air quality',
+  forecast3hr: 'trend',
+}
+
+// Where the numbers came from, e.g. "Weather from OpenWeather; alerts from National Weather Service"
+// — the main source first, then any that filled in the rest
+function weatherSourcesLabel(sources) {
+  if (!sources) return null
+  const bySource = new Map()
+  for (const [field, source] of Object.entries(sources)) {
+    if (source) bySource.set(source, [...(bySource.get(source) ?? []), field])
+  }
+  if (bySource.size === 0) return null
+
+  const [[main], ...others] = [...bySource].sort((a, b) => b[1].length - a[1].length)
+  const extras = others.map(([source, fields]) =>
+    `${fields.map((f) => SOURCE_FIELD_LABEL[f] ?? f).join(', ')} from ${SOURCE_LABEL[source] ?? source}`)
+  return [`Weather from ${SOURCE_LABEL[main] ?? main}`, ...extras].join('; ')
+}
+
+// Headline for the "Best time to leave" card
+function bestWindowLabel(best) {
+  if (best.leaveNow) return 'Now is as good as it gets'
+  return `Leave between ${formatNycTime(best.window.from)} and ${formatNycTime(best.window.to)}`
+}
+
 function formatTime(minutes) {
   if (!minutes) return '--'
   if (minutes < 60) return `${minutes}min`
@@ -33,7 +130,7 @@ function formatTime(minutes) {
 }
 
 export default function ResultScreen({ result, onReset }) {
-  const { recommendation, transit, travelData } = result
+  const { recommendation, departure, plan, transit, nextTrains, travelData, weather, ground, severity, readings } = result
   const cfg = VERDICT_CONFIG[recommendation.verdict] ?? VERDICT_CONFIG['Wait it out']
   const risk = recommendation.return_risk ?? 'unknown'
 
@@ -41,12 +138,19 @@ export default function ResultScreen({ result, onReset }) {
   const storm    = travelData?.storm_minutes ?? null
   const delta    = baseline != null && storm != null ? storm - baseline : null
 
+  const routeNotes = routeWeatherNotes(weather, readings)
+  const underfoot = groundNote(ground, readings)
+  const periodLabel = weatherPeriodLabel(weather?.period)
+  const sourcesLabel = weatherSourcesLabel(weather?.sources)
+
   // Suppress transit UI for short/walkable trips
-  const isWalkable =
-    travelData?.distance_category === 'walkable' ||
-    (travelData?.baseline_minutes != null && travelData.baseline_minutes < 20)
+  const isWalkable = isWalkableTrip(travelData)
 
-  console.log('isWalkable:', isWalkable, '| distance_category:', travelData?.distance_category, '| baseline_minutes:', travelData?.baseline_minutes)
+  log.debug('isWalkable', {
+    isWalkable,
+    distance_category: travelData?.distance_category,
+    baseline_minutes: travelData?.baseline_minutes,
+  })
 
   return (
     <div className="relative min-h-screen bg-[#F7F5F2] flex flex-col font-sans">
@@ -100,6 +204,76 @@ export default function ResultScreen({ result, onReset }) {
           </div>
         )}
 
+        {/* When the verdict is for, and which weather it was read from */}
+        {(departure || periodLabel) && (
+          <p className="px-1 text-xs text-[#64748B]">
+            {departure && departure.choice !== 'now' && `Leaving around ${formatNycTime(departure.at)}`}
+            {departure && departure.choice !== 'now' && periodLabel && ' · '}
+            {periodLabel}
+          </p>
+        )}
+        {sourcesLabel && <p className="px-1 -mt-2 text-[11px] text-[#94A3B8]">{sourcesLabel}</p>}
+
+        {/* Worst weather along the route, when it isn't where you start */}
+        {routeNotes.length > 0 && (
+          <div className="bg-white border border-[#E2E8F0] rounded-2xl px-4 py-3 shadow-sm">
+            <p className="text-[10px] font-bold text-[#5B7FA6] uppercase tracking-widest mb-1.5">Along your route</p>
+            <ul className="flex flex-col gap-1">
+              {routeNotes.map((note) => (
+                <li key={note} className="text-sm text-[#1A1A2E] leading-snug">{note}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Snow and ice left on the ground, even when nothing is falling now */}
+        {underfoot && (
+          <div className="bg-white border border-[#E2E8F0] rounded-2xl px-4 py-3 shadow-sm">
+            <p className="text-[10px] font-bold text-[#5B7FA6] uppercase tracking-widest mb-1.5">Underfoot</p>
+            <p className="text-sm text-[#1A1A2E] leading-snug">{underfoot}</p>
+          </div>
+        )}
+
+        {/* Best time to leave over the next 12 hours, out and back */}
+        {plan?.best && (
+          <div className="bg-white border border-[#E2E8F0] rounded-2xl px-4 py-3 shadow-sm">
+            <p className="text-[10px] font-bold text-[#5B7FA6] uppercase tracking-widest mb-1.5">Best time to leave</p>
+            <p className="text-sm font-bold text-[#1A1A2E] leading-snug">{bestWindowLabel(plan.best)}</p>
+            <p className="text-xs text-[#64748B] leading-snug mt-0.5">
+              Heading home {plan.returnAfterHours}hr later: {plan.best.return.headline}
+            </p>
+            <ul className="flex gap-1.5 mt-2.5 overflow-x-auto">
+              {plan.timeline.map((slot) => (
+                <li
+                  key={slot.at}
+                  title={`${slot.outbound.verdict} — ${slot.outbound.headline}`}
+                  className={`shrink-0 flex flex-col items-center px-2 py-1 rounded-lg text-[11px] ${
+                    slot.best ? 'bg-[#EFF6FF] border border-[#3B82F6] text-[#1E40AF] font-bold' : 'border border-[#E2E8F0] text-[#64748B]'
+                  }`}
+                >
+                  <span>{VERDICT_CONFIG[slot.outbound.verdict]?.emoji ?? '·'}</span>
+                  <span>{formatNycTime(slot.at)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Weather severity and what drove it — the same level sets "Today" above */}
+        {severity && (
+          <div className="flex items-center gap-3 px-1">
+            <span className="text-xs font-semibold text-[#94A3B8] uppercase tracking-wider shrink-0">Weather</span>
+            <span className={`px-3 py-1 rounded-full text-xs font-bold shrink-0 ${SEVERITY_PILL[severity.level] ?? SEVERITY_PILL.none}`}>
+              {severity.level[0].toUpperCase()}{severity.level.slice(1)}
+            </span>
+            {severity.drivers.length > 0 && (
+              <span className="text-xs text-[#64748B] leading-snug">
+                {severity.drivers.slice(0, 2).map((d) => d.reason).join(' · ')}
+              </span>
+            )}
+          </div>
+        )}
+
         {/* 4. Return risk badge */}
         <div className="flex items-center gap-3 px-1">
           <span className="text-xs font-semibold text-[#94A3B8] uppercase tracking-wider">Return risk</span>
@@ -116,10 +290,11 @@ export default function ResultScreen({ result, onReset }) {
           </div>
         )}
 
-        {/* 6. Transit status strip — hidden for walkable/short trips */}
+        {/* 6. Transit status strip and the next trains near you — hidden for walkable/short trips */}
         {!isWalkable && (
           <TransitStatusStrip transit={transit} relevantLines={travelData?.relevantLines} />
         )}
+        {!isWalkable && <NextTrainsCard nextTrains={nextTrains} />}
 
         {/* Summary — the app's final word */}
         {recommendation.summary && (
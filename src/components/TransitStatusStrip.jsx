@@ -1,44 +1,112 @@
+import { formatNycDateTime, formatNycTime } from '../api/departure'
+import { getRoute } from '../api/routeRegistry'
+
 // Light theme: clean colored tags with subtle backgrounds
 const PILL_NORMAL    = 'bg-[#ECFDF5] rounded-md text-[#065F46] border border-[#A7F3D0]'
 const PILL_DELAYS    = 'bg-[#FFFBEB] rounded-md text-[#92400E] border border-[#FDE68A]'
 const PILL_SUSPENDED = 'bg-[#FEF2F2] rounded-md text-[#991B1B] border border-[#FECACA]'
+const PILL_PLANNED   = 'bg-[#F1F5F9] rounded-md text-[#475569] border border-[#CBD5E1]'
 const PILL_UNKNOWN   = 'bg-gray-50 rounded-md text-gray-400 border border-gray-200'
 
+// Subway line statuses (LINE_STATUSES in transitStatus.js) → pill; PATH only reports delays or normal
+const STATUS_PILL = {
+  suspended: PILL_SUSPENDED,
+  part_suspended: PILL_SUSPENDED,
+  significant_delays: PILL_DELAYS,
+  delays: PILL_DELAYS,
+  planned_work: PILL_PLANNED,
+  normal: PILL_NORMAL,
+}
+
+const STATUS_LABEL = {
+  suspended: 'Suspended',
+  part_suspended: 'Part suspended',
+  significant_delays: 'Significant delays',
+  delays: 'Delays',
+  planned_work: 'Planned work',
+}
+
+// transit.severity — the worst alert anywhere on the subway
+const SYSTEM_SEVERITY_LABEL = {
+  extreme: 'Suspensions systemwide',
+  high: 'Major disruptions systemwide',
+  moderate: 'Service changes systemwide',
+}
+
 function getPillClass(status, message) {
   if (!status) return PILL_UNKNOWN
   const isSuspended = typeof message === 'string' && message.toLowerCase().includes('suspend')
   if (isSuspended) return PILL_SUSPENDED
-  if (status === 'delays' || message) return PILL_DELAYS
-  if (status === 'normal') return PILL_NORMAL
-  return PILL_UNKNOWN
+  if (STATUS_PILL[status] && status !== 'normal') return STATUS_PILL[status]
+  if (message) return PILL_DELAYS
+  return STATUS_PILL[status] ?? PILL_UNKNOWN
+}
+
+// Registry label and color for a line key; unknown keys show as they are
+export function routeBadge(id) {
+  const route = getRoute(id)
+  return {
+    label: route?.label ?? id,
+    name: route?.name ?? id,
+    style: route?.color ? { backgroundColor: route.color, color: route.textColor ?? '#FFFFFF' } : undefined,
+  }
 }
 
-// relevantLines: string[] of line IDs for this specific trip (e.g. ['A','C','E'])
+// Alerts (transit.onReturn / transit.upcoming) on any of this trip's lines
+function alertsOnLines(alerts, relevantLines) {
+  return (alerts ?? []).filter((alert) => alert.routes?.some((r) => relevantLines.includes(r)))
+}
+
+// Alerts in effect on this trip's lines, once each with every line they hit, e.g. [A][C] delays
+function alertsByMessage(lines) {
+  const grouped = new Map()
+  for (const { id, status: s } of lines) {
+    for (const alert of s.alerts ?? []) {
+      const key = alert.id ?? alert.message
+      if (!grouped.has(key)) grouped.set(key, { labels: [], alert })
+      grouped.get(key).labels.push(routeBadge(id).label)
+    }
+  }
+  return [...grouped.values()]
+}
+
+// relevantLines: string[] of route registry keys for this specific trip (e.g. ['A','C','E'], 'LIRR:9')
 // If empty or undefined, render nothing — never show all 20+ subway lines
 export default function TransitStatusStrip({ transit, relevantLines }) {
   if (!transit) return null
   if (!relevantLines || relevantLines.length === 0) return null
 
   const { subway = {}, path } = transit
+  // Starts while you're out — part of this trip; planned work after it is only a heads-up
+  const onReturn = alertsOnLines(transit.onReturn, relevantLines)
+  const upcoming = alertsOnLines(transit.upcoming, relevantLines)
 
   // Only render the lines explicitly passed for this trip, with live status colors
   const lines = relevantLines.map((id) => ({
     id,
+    badge: routeBadge(id),
     status: subway[id] ?? { status: null, message: null },
   }))
+  const lineAlerts = alertsByMessage(lines)
+  const systemLabel = SYSTEM_SEVERITY_LABEL[transit.severity]
 
   return (
     <div className="bg-white border border-[#E2E8F0] rounded-2xl px-4 py-4 shadow-sm">
-      <p className="text-[10px] font-bold text-[#5B7FA6] uppercase tracking-widest mb-3">Transit</p>
+      <div className="flex items-center justify-between gap-2 mb-3">
+        <p className="text-[10px] font-bold text-[#5B7FA6] uppercase tracking-widest">Transit</p>
+        {systemLabel && <p className="text-[10px] font-bold text-[#94A3B8]">{systemLabel}</p>}
+      </div>
 
       <div className="flex flex-wrap gap-2">
-        {lines.map(({ id, status: s }) => (
+        {lines.map(({ id, badge, status: s }) => (
           <span
             key={id}
-            title={s.message ?? undefined}
-            className={`px-3 py-1.5 text-xs font-bold ${getPillClass(s.status, s.message)}`}
+            title={[badge.name, ...(s.alerts?.length ? s.alerts.map((a) => a.message) : [s.message])].filter(Boolean).join('\n')}
+            className={`inline-flex items-center gap-1.5 px-2 py-1.5 text-xs font-bold ${getPillClass(s.status, s.message)}`}
           >
-            {id}
+            <span className="min-w-[1.25rem] px-1 h-5 rounded-full inline-flex items-center justify-center text-[10px]" style={badge.style}>
+              {badge.label}
+            </span>
           </span>
         ))}
 
@@ -52,6 +120,42 @@ export default function TransitStatusStrip({ transit, relevantLines }) {
           </span>
         )}
       </div>
+
+      {lineAlerts.length > 0 && (
+        <ul className="mt-3 flex flex-col gap-1">
+          {lineAlerts.map(({ labels, alert }) => (
+            <li key={alert.id ?? alert.message} className="text-xs text-[#334155] leading-snug">
+              <span className="font-bold">
+                {labels.join(' ')} · {STATUS_LABEL[alert.status] ?? 'Service change'}{alert.direction && alert.direction !== 'both' && `, ${alert.direction}`}:
+              </span>{' '}
+              {alert.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {onReturn.length > 0 && (
+        <ul className="mt-3 flex flex-col gap-1">
+          {onReturn.map((alert) => (
+            <li key={alert.message} className="text-xs text-[#92400E] leading-snug">
+              <span className="font-bold">Before you head home{alert.start && ` (from ${formatNycTime(alert.start)})`}:</span> {alert.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {upcoming.length > 0 && (
+        <div className="mt-3 pt-3 border-t border-[#E2E8F0]">
+          <p className="text-[10px] font-bold text-[#94A3B8] uppercase tracking-widest mb-1.5">Planned work ahead</p>
+          <ul className="flex flex-col gap-1">
+            {upcoming.map((alert) => (
+              <li key={alert.message} className="text-xs text-[#64748B] leading-snug">
+                {alert.message} — {alert.period ?? (alert.start && formatNycDateTime(alert.start))}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
     </div>
   )
 }
@@ -0,0 +1,105 @@
+import { afterEach, describe, expect, it } from "vitest";
+import {
+  emptyArrivals,
+  fetchArrivals,
+  liveLines,
+  nearestStation,
+  nextTrainText,
+  stationsFromDataset,
+  upcomingArrivals,
+} from "../../src/api/arrivals.js";
+import { setFetchImplementation } from "../../src/api/http.js";
+import { createFakeFetch, jsonResponse, loadFixture } from "../helpers/upstreams.js";
+
+// 2025-01-21 22:53:20Z, like the rest of the fixtures
+const NOW = 1737500000;
+const PENN_STATION = { lat: 40.7506, lng: -73.9935 };
+
+const stations = stationsFromDataset(loadFixture("mta-stations.json"));
+const trips = loadFixture("mta-trip-updates.json");
+
+afterEach(() => {
+  setFetchImplementation(null);
+});
+
+describe("stations", () => {
+  it("reads the stations dataset into registry lines", () => {
+    expect(stations[0]).toEqual({
+      id: "A28",
+      name: "34 St-Penn Station",
+      lat: 40.752287,
+      lng: -73.993391,
+      lines: ["A", "C", "E"],
+      north: "Uptown - Queens",
+      south: "Downtown & Brooklyn",
+    });
+    // Every shuttle is "S" in the dataset, SIR is "SIR"
+    expect(stations.find((s) => s.id === "902").lines).toEqual(["GS"]);
+    expect(stations.find((s) => s.id === "S01").lines).toEqual(["FS"]);
+    expect(stations.find((s) => s.id === "S31")).toMatchObject({ lines: ["SI"], north: null });
+  });
+
+  it("finds the nearest station serving the trip's lines", () => {
+    expect(nearestStation(stations, PENN_STATION, ["A", "C", "E"])).toMatchObject({ id: "A28", distanceMeters: 188 });
+    expect(nearestStation(stations, PENN_STATION, ["2"])).toMatchObject({ id: "128" });
+    expect(nearestStation(stations, PENN_STATION)).toMatchObject({ id: "A28" });
+    // The G doesn't stop anywhere near Penn Station
+    expect(nearestStation(stations, PENN_STATION, ["G"])).toBeNull();
+  });
+
+  it("keeps only lines with live arrivals", () => {
+    expect(liveLines(["A", "SI", "LIRR:9", "MNR:2"])).toEqual(["A", "SI"]);
+  });
+});
+
+describe("upcomingArrivals", () => {
+  const station = nearestStation(stations, PENN_STATION, ["A", "C", "E"]);
+
+  it("lists the next trains at the station each way, soonest first", () => {
+    const arrivals = upcomingArrivals([trips], station, ["A", "C", "E"], NOW);
+    expect(arrivals.map((a) => [a.line, a.direction, a.minutes])).toEqual([
+      ["E", "southbound", 2],
+      ["A", "northbound", 4],
+      ["C", "northbound", 9],
+      ["A", "southbound", 12],
+      ["A", "northbound", 16],
+      ["E", "southbound", 17],
+    ]);
+    expect(arrivals[0]).toEqual({ line: "E", direction: "southbound", toward: "Downtown & Brooklyn", at: NOW + 120, minutes: 2 });
+  });
+
+  it("leaves out other lines, trains already gone and trains over an hour out", () => {
+    const arrivals = upcomingArrivals([trips], station, ["A"], NOW);
+    expect(arrivals.map((a) => a.at - NOW)).toEqual([240, 720, 960]);
+    expect(upcomingArrivals([trips, null], station, ["G"], NOW)).toEqual([]);
+  });
+});
+
+describe("nextTrainText", () => {
+  const station = nearestStation(stations, PENN_STATION, ["A", "C", "E"]);
+
+  it("names the soonest train, or says none is coming", () => {
+    const live = { station, lines: ["A", "C", "E"], live: true };
+    expect(nextTrainText({ ...live, arrivals: upcomingArrivals([trips], station, ["A"], NOW) })).toBe(
+      "Next A train in 4 min at 34 St-Penn Station"
+    );
+    expect(nextTrainText({ ...live, arrivals: [] })).toBe("No A, C or E trains due at 34 St-Penn Station in the next 60 min");
+    expect(nextTrainText(emptyArrivals())).toBeNull();
+  });
+});
+
+describe("fetchArrivals", () => {
+  it("asks the server for the trip's lines near the origin", async () => {
+    const body = { station: { id: "A28", name: "34 St-Penn Station" }, lines: ["A"], arrivals: [], live: true };
+    const fakeFetch = createFakeFetch({ "/api/arrivals": body });
+    setFetchImplementation(fakeFetch);
+
+    expect(await fetchArrivals(PENN_STATION, ["A", "C"])).toEqual(body);
+    expect(fakeFetch.calls.map((c) => c.url)).toEqual(["/api/arrivals?lat=40.7506&lng=-73.9935&lines=A,C"]);
+  });
+
+  it("falls back to no arrivals when the server can't answer", async () => {
+    setFetchImplementation(createFakeFetch({ "/api/arrivals": () => jsonResponse({ error: "boom" }, 502) }));
+    expect(await fetchArrivals(PENN_STATION)).toEqual(emptyArrivals());
+  });
+});
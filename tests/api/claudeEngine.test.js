@@ -0,0 +1,124 @@
+import { afterEach, describe, expect, it } from "vitest";
+import {
+  extractJson,
+  getDefaultRecommendation,
+  getRecommendation,
+  normalizeRecommendation,
+  parseRecommendationResponse,
+} from "../../src/api/claudeEngine.js";
+import { setFetchImplementation } from "../../src/api/http.js";
+import { createFakeFetch, jsonResponse } from "../helpers/upstreams.js";
+
+describe("extractJson", () => {
+  it("parses bare JSON", () => {
+    expect(extractJson('{"verdict":"Go for it"}')).toEqual({ verdict: "Go for it" });
+  });
+
+  it("strips markdown code fences", () => {
+    expect(extractJson('```json\n{"verdict":"Wait it out"}\n```')).toEqual({ verdict: "Wait it out" });
+  });
+
+  it("ignores prose around the JSON object", () => {
+    const text = 'Here is my call:\n{"verdict":"Stay in tonight","reasons":["a","b"]}\nStay safe!';
+    expect(extractJson(text)).toEqual({ verdict: "Stay in tonight", reasons: ["a", "b"] });
+  });
+
+  it("throws a SyntaxError on text with no JSON", () => {
+    expect(() => extractJson("I cannot help with that")).toThrow(SyntaxError);
+  });
+});
+
+describe("normalizeRecommendation", () => {
+  it("passes a well-formed recommendation through", () => {
+    const rec = {
+      verdict: "Go if you have to",
+      reasons: ["Wind 25 mph", "A train delays"],
+      return_risk: "medium",
+      best_route_advice: "Take the A.",
+      summary: "Doable, not fun.",
+    };
+    expect(normalizeRecommendation(rec)).toEqual(rec);
+  });
+
+  it("maps alternative field names", () => {
+    const result = normalizeRecommendation({
+      recommendation: "Go for it",
+      key_factors: ["Clear skies", "Trains running"],
+      risk_level: "low",
+      transit_advice: "Take the L.",
+      reasoning: "Nice night.",
+    });
+    expect(result).toEqual({
+      verdict: "Go for it",
+      reasons: ["Clear skies", "Trains running"],
+      return_risk: "low",
+      best_route_advice: "Take the L.",
+      summary: "Nice night.",
+    });
+  });
+
+  it("turns boolean verdict shortcuts into verdict strings", () => {
+    expect(normalizeRecommendation({ recommendation: true }).verdict).toBe("Go for it");
+    expect(normalizeRecommendation({ recommendation: false }).verdict).toBe("Wait it out");
+  });
+
+  it("falls back to safe values for unknown verdicts and risks", () => {
+    const result = normalizeRecommendation({ verdict: "YOLO", return_risk: "extreme" });
+    expect(result.verdict).toBe("Wait it out");
+    expect(result.return_risk).toBe("unknown");
+  });
+
+  it("keeps between two and three reasons", () => {
+    expect(normalizeRecommendation({ reasons: ["a", "b", "c", "d"] }).reasons).toEqual(["a", "b", "c"]);
+    expect(normalizeRecommendation({ reasons: ["only one"] }).reasons).toEqual([
+      "only one",
+      "Unable to fully assess conditions",
+    ]);
+  });
+
+  it("drops non-string route advice and summary", () => {
+    const result = normalizeRecommendation({ best_route_advice: { line: "A" }, summary: 42 });
+    expect(result.best_route_advice).toBeNull();
+    expect(result.summary).toBe("Unable to provide summary");
+  });
+});
+
+describe("parseRecommendationResponse", () => {
+  it("reads the first text block of a Messages API response", () => {
+    const data = {
+      content: [{ type: "text", text: '{"verdict":"Go for it","reasons":["a","b"],"return_risk":"low","summary":"Go."}' }],
+    };
+    expect(parseRecommendationResponse(data).verdict).toBe("Go for it");
+  });
+
+  it("throws a SyntaxError when there is no text block", () => {
+    expect(() => parseRecommendationResponse({ content: [] })).toThrow(SyntaxError);
+  });
+});
+
+describe("getDefaultRecommendation", () => {
+  it("is the cautious verdict", () => {
+    expect(getDefaultRecommendation()).toMatchObject({ verdict: "Wait it out", return_risk: "high" });
+  });
+});
+
+describe("getRecommendation", () => {
+  const clearNight = {
+    weather: { precipitation: null, wind: { speed: 2, gusts: null }, visibility: 10, feelsLike: 15, alerts: null, forecast3hr: null },
+    travel_ban: { ban_level: "none" },
+    travel_data: { relevantLines: [], best_route: "Walk to the 1 — about 20 min" },
+    is_walkable: false,
+  };
+
+  afterEach(() => {
+    setFetchImplementation(null);
+  });
+
+  it("falls back to the rules engine instead of a canned verdict", async () => {
+    setFetchImplementation(createFakeFetch({ "/api/claude": () => jsonResponse({ error: "overloaded" }, 502) }));
+
+    const rec = await getRecommendation(clearNight);
+    expect(rec.verdict).toBe("Go for it");
+    expect(rec.return_risk).toBe("low");
+  });
+});
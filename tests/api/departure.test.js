@@ -0,0 +1,43 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { setClock } from "../../src/api/clock.js";
+import { formatNycDateTime, formatNycTime, resolveDeparture } from "../../src/api/departure.js";
+
+const NOW = Date.parse("2025-01-21T23:00:00Z");
+
+describe("resolveDeparture", () => {
+  afterEach(() => {
+    setClock(null);
+  });
+
+  it("turns each choice into a timestamp", () => {
+    expect(resolveDeparture("now", NOW)).toEqual({
+      choice: "now",
+      at: "2025-01-21T23:00:00.000Z",
+      returnAt: "2025-01-22T02:00:00.000Z",
+    });
+    expect(resolveDeparture("soon", NOW).at).toBe("2025-01-22T00:30:00.000Z");
+    expect(resolveDeparture("later", NOW).at).toBe("2025-01-22T03:00:00.000Z");
+  });
+
+  it("assumes the trip home a few hours later", () => {
+    expect(resolveDeparture("later", NOW).returnAt).toBe("2025-01-22T06:00:00.000Z");
+    expect(resolveDeparture("now", NOW, 1).returnAt).toBe("2025-01-22T00:00:00.000Z");
+  });
+
+  it("reads the installed clock, so fixture replay departs when the night was recorded", () => {
+    setClock(() => NOW);
+    expect(resolveDeparture("now")).toEqual(resolveDeparture("now", NOW));
+  });
+
+  it("treats anything else as now", () => {
+    expect(resolveDeparture("tomorrow", NOW).choice).toBe("now");
+    expect(resolveDeparture(undefined, NOW).at).toBe("2025-01-21T23:00:00.000Z");
+  });
+});
+
+describe("formatNycTime", () => {
+  it("shows New York clock time", () => {
+    expect(formatNycTime("2025-01-22T02:30:00Z")).toBe("9:30 PM");
+    expect(formatNycDateTime("2025-01-28T02:46:40Z")).toBe("Mon, Jan 27, 9:46 PM");
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { distanceMeters, isPointInGeometry, pointsAlongLine } from "../../src/api/geo.js";
+
+describe("distanceMeters", () => {
+  it("measures great-circle distance", () => {
+    const pennStation = { lat: 40.7506, lng: -73.9935 };
+    const westVillage = { lat: 40.7286, lng: -74.002 };
+    expect(distanceMeters(pennStation, westVillage)).toBeCloseTo(2549, 0);
+    expect(distanceMeters(pennStation, pennStation)).toBe(0);
+  });
+});
+
+describe("pointsAlongLine", () => {
+  it("spaces points evenly by distance, endpoints excluded", () => {
+    // One short leg then one three times as long — the halfway point falls on the second leg
+    const line = [[-74.0, 40.7], [-74.0, 40.71], [-74.0, 40.74]];
+    const points = pointsAlongLine(line, 3);
+
+    expect(points.map((p) => p.lat)).toEqual([40.71, 40.72, 40.73]);
+    expect(points.every((p) => p.lng === -74.0)).toBe(true);
+  });
+
+  it("returns nothing without a usable line", () => {
+    expect(pointsAlongLine([], 3)).toEqual([]);
+    expect(pointsAlongLine([[-74.0, 40.7]], 3)).toEqual([]);
+    expect(pointsAlongLine(undefined, 3)).toEqual([]);
+  });
+});
+
+describe("isPointInGeometry", () => {
+  const square = [[-74.03, 40.68], [-73.9, 40.68], [-73.9, 40.8], [-74.03, 40.8], [-74.03, 40.68]];
+  const hole = [[-74.0, 40.7], [-73.95, 40.7], [-73.95, 40.76], [-74.0, 40.76], [-74.0, 40.7]];
+
+  it("finds points inside polygons and multipolygons, outside their holes", () => {
+    const penn = { lat: 40.7506, lng: -73.9935 };
+    expect(isPointInGeometry(penn, { type: "Polygon", coordinates: [square] })).toBe(true);
+    expect(isPointInGeometry(penn, { type: "Polygon", coordinates: [square, hole] })).toBe(false);
+    expect(isPointInGeometry(penn, { type: "MultiPolygon", coordinates: [[hole], [square]] })).toBe(true);
+    expect(isPointInGeometry({ lat: 40.58, lng: -74.15 }, { type: "Polygon", coordinates: [square] })).toBe(false);
+  });
+
+  it("never matches without a polygon", () => {
+    expect(isPointInGeometry({ lat: 40.75, lng: -73.99 }, null)).toBe(false);
+    expect(isPointInGeometry({ lat: 40.75, lng: -73.99 }, { type: "Point", coordinates: [-73.99, 40.75] })).toBe(false);
+  });
+});
@@ -0,0 +1,115 @@
+import { afterEach, describe, expect, it } from "vitest";
+import {
+  estimateGroundConditions,
+  fetchGroundConditions,
+  groundConditionsText,
+  openMeteoHistoryRecords,
+  openWeatherObservation,
+  unknownGround,
+  worstGround,
+} from "../../src/api/ground.js";
+import { setFetchImplementation } from "../../src/api/http.js";
+import { createFakeFetch, jsonResponse, loadFixture } from "../helpers/upstreams.js";
+
+// 2025-01-21 22:53:20Z, like the rest of the fixtures
+const NOW = 1737500000;
+const THIS_HOUR = 1737496800;
+
+// An hour of history `ago` hours before this one
+function hour(ago, { tempC = -2, rainMm = 0, snowCm = 0, freezing = false } = {}) {
+  return { t: THIS_HOUR - ago * 3600, tempC, rainMm, snowCm, freezing, source: "backfill" };
+}
+
+afterEach(() => {
+  setFetchImplementation(null);
+});
+
+describe("history records", () => {
+  it("reads Open-Meteo's past hours", () => {
+    const records = openMeteoHistoryRecords(loadFixture("open-meteo-history.json"));
+    expect(records).toHaveLength(72);
+    expect(records[0]).toEqual({ t: 1737244800, tempC: 2.1, rainMm: 0, snowCm: 0, freezing: false, source: "backfill" });
+    expect(openMeteoHistoryRecords(null)).toEqual([]);
+  });
+
+  it("turns an OpenWeather observation into the hour it was made in", () => {
+    expect(openWeatherObservation(loadFixture("openweather-current.json"))).toEqual({
+      t: THIS_HOUR,
+      tempC: -3.2,
+      rainMm: 0,
+      snowCm: 3.1,
+      freezing: false,
+      source: "observed",
+    });
+    expect(openWeatherObservation({ weather: [] })).toBeNull();
+  });
+});
+
+describe("estimateGroundConditions", () => {
+  it("counts only the last 48 hours up to now", () => {
+    // Snow on the 19th is out of the window; the hour after now is a forecast
+    const ground = estimateGroundConditions(openMeteoHistoryRecords(loadFixture("open-meteo-history.json")), NOW);
+    expect(ground).toEqual({ condition: "snow_covered", snowDepthCm: 7.3, snowfallCm: 7.3, iceCause: null, hours: 48 });
+  });
+
+  it("remembers a foot of snow the morning after, under a clear sky", () => {
+    const records = [hour(30, { snowCm: 12 }), hour(29, { snowCm: 10 }), hour(28, { snowCm: 8 }), hour(2), hour(1), hour(0)];
+    expect(estimateGroundConditions(records, NOW)).toMatchObject({ condition: "snow_covered", snowfallCm: 30 });
+  });
+
+  it("melts snow to slush above freezing, and ices it when it refreezes", () => {
+    const melting = [hour(3, { snowCm: 3, tempC: -1 }), hour(2, { tempC: 2 }), hour(1, { tempC: 2 })];
+    expect(estimateGroundConditions(melting, NOW)).toMatchObject({ condition: "slushy", snowDepthCm: 2.4 });
+
+    const refrozen = [...melting, hour(0, { tempC: -2 })];
+    expect(estimateGroundConditions(refrozen, NOW)).toMatchObject({ condition: "icy", iceCause: "refreeze" });
+  });
+
+  it("ices over in freezing rain until a few hours well above freezing", () => {
+    const glazed = [hour(5, { rainMm: 2, freezing: true, tempC: -1 })];
+    expect(estimateGroundConditions(glazed, NOW)).toMatchObject({ condition: "icy", iceCause: "freezing_rain" });
+
+    const thawed = [...glazed, hour(2, { tempC: 4 }), hour(1, { tempC: 5 }), hour(0, { tempC: 5 })];
+    expect(estimateGroundConditions(thawed, NOW)).toMatchObject({ condition: "clear", iceCause: null });
+  });
+
+  it("is unknown without history", () => {
+    expect(estimateGroundConditions([], NOW)).toEqual(unknownGround());
+    expect(estimateGroundConditions([hour(60, { snowCm: 20 })], NOW)).toEqual(unknownGround());
+  });
+});
+
+describe("reporting the ground", () => {
+  it("keeps the most hazardous estimate along a route", () => {
+    const snowy = { condition: "snow_covered", snowDepthCm: 8, snowfallCm: 8, iceCause: null, hours: 48, where: "origin" };
+    const icy = { condition: "icy", snowDepthCm: 0, snowfallCm: 0, iceCause: "refreeze", hours: 48, where: "destination" };
+    expect(worstGround([snowy, icy])).toBe(icy);
+    expect(worstGround([])).toEqual(unknownGround());
+  });
+
+  it("explains the ground in the user's units", () => {
+    const snowy = { condition: "snow_covered", snowDepthCm: 28, snowfallCm: 30.5 };
+    expect(groundConditionsText(snowy, "imperial")).toBe("Snow-covered sidewalks — 12 in fell in the last 48 hours");
+    expect(groundConditionsText(snowy, "metric")).toBe("Snow-covered sidewalks — 31 cm fell in the last 48 hours");
+    expect(groundConditionsText({ condition: "icy", iceCause: "freezing_rain" }, "imperial")).toBe(
+      "Icy sidewalks from freezing rain"
+    );
+    expect(groundConditionsText({ condition: "clear" }, "imperial")).toBeNull();
+    expect(groundConditionsText(unknownGround(), "imperial")).toBeNull();
+  });
+
+  it("asks the server for the whole route in one request", async () => {
+    const snowy = { condition: "snow_covered", snowDepthCm: 7.3, snowfallCm: 7.3, iceCause: null, hours: 48 };
+    const fakeFetch = createFakeFetch({ "/api/ground": snowy });
+    setFetchImplementation(fakeFetch);
+
+    const points = [{ lat: 40.75, lng: -73.99 }, { lat: 40.58, lng: -73.82 }];
+    expect(await fetchGroundConditions(points)).toEqual(snowy);
+    expect(fakeFetch.calls.map((c) => c.url)).toEqual(["/api/ground?points=40.75,-73.99;40.58,-73.82"]);
+  });
+
+  it("falls back to unknown ground when the server can't answer", async () => {
+    setFetchImplementation(createFakeFetch({ "/api/ground": () => jsonResponse({ error: "boom" }, 500) }));
+    expect(await fetchGroundConditions([{ lat: 40.75, lng: -73.99 }])).toEqual(unknownGround());
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import {
+  aqiCategory,
+  heatIndexC,
+  icePrecipitationType,
+  processAirQuality,
+  processHeatIndex,
+  processThunderstorm,
+  usAqiFromPm25,
+} from "../../src/api/hazards.js";
+import { loadFixture } from "../helpers/upstreams.js";
+
+const air = loadFixture("openweather-air-pollution.json");
+
+describe("condition codes", () => {
+  it("tells freezing rain from sleet", () => {
+    expect(icePrecipitationType({ weather: [{ id: 511 }] })).toBe("freezing_rain");
+    expect(icePrecipitationType({ weather: [{ id: 600 }, { id: 613 }] })).toBe("sleet");
+    expect(icePrecipitationType({ weather: [{ id: 601 }] })).toBeNull();
+    expect(icePrecipitationType(null)).toBeNull();
+  });
+
+  it("keeps the strongest thunderstorm", () => {
+    expect(processThunderstorm({ weather: [{ id: 210 }] })).toEqual({ intensity: "light" });
+    expect(processThunderstorm({ weather: [{ id: 230 }, { id: 202 }] })).toEqual({ intensity: "heavy" });
+    expect(processThunderstorm({ weather: [{ id: 500 }] })).toBeNull();
+  });
+});
+
+describe("heat index", () => {
+  it("follows the NWS regression", () => {
+    expect(heatIndexC(35, 60)).toBe(45);
+    expect(heatIndexC(32, 40)).toBe(32);
+    expect(processHeatIndex({ main: { temp: 33, humidity: 70 } })).toBe(43);
+  });
+
+  it("is undefined below 80°F", () => {
+    expect(heatIndexC(25, 90)).toBeNull();
+    expect(processHeatIndex({ main: { temp: 30 } })).toBeNull();
+  });
+});
+
+describe("air quality", () => {
+  it("converts PM2.5 to US AQI at the EPA breakpoints", () => {
+    expect([9.0, 9.1, 35.4, 55.5, 125.5, 225.5, 400].map(usAqiFromPm25)).toEqual([50, 51, 100, 151, 201, 301, 500]);
+    expect(usAqiFromPm25(undefined)).toBeNull();
+    expect([42, 120, 182, 250, 350].map(aqiCategory)).toEqual([
+      "good",
+      "unhealthy_for_sensitive_groups",
+      "unhealthy",
+      "very_unhealthy",
+      "hazardous",
+    ]);
+  });
+
+  it("reads the hour covering the moment and flags smoke", () => {
+    expect(processAirQuality(air, { weather: [{ id: 711 }] }, 1737500000)).toEqual({ aqi: 41, category: "good", pm25: 7.4, smoke: true });
+    // Before the first entry, the first one stands in
+    expect(processAirQuality(air, null, 1737400000).pm25).toBe(7.4);
+    expect(processAirQuality(null, null, 1737500000)).toBeNull();
+  });
+});
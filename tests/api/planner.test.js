@@ -0,0 +1,90 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { departureCandidates, fetchDeparturePlan, planDeparture } from "../../src/api/planner.js";
+import { RateLimitedError } from "../../src/api/errors.js";
+import { setFetchImplementation } from "../../src/api/http.js";
+import { createFakeFetch, jsonResponse } from "../helpers/upstreams.js";
+
+const NOW = Date.parse("2025-01-21T22:53:20Z");
+
+function leg(at, score, verdict = "Go for it") {
+  return { at, score, verdict, headline: "Nothing worth worrying about", period: null };
+}
+
+function slot(at, outbound, back) {
+  return { outbound: leg(at, outbound), return: leg(at, back) };
+}
+
+afterEach(() => {
+  setFetchImplementation(globalThis.fetch);
+});
+
+describe("departureCandidates", () => {
+  it("starts with now, then each forecast slot boundary in the next 12 hours", () => {
+    expect(departureCandidates(NOW)).toEqual([
+      "2025-01-21T22:53:20.000Z",
+      "2025-01-22T00:00:00.000Z",
+      "2025-01-22T03:00:00.000Z",
+      "2025-01-22T06:00:00.000Z",
+      "2025-01-22T09:00:00.000Z",
+    ]);
+  });
+
+  it("skips a boundary too close to now to be worth waiting for", () => {
+    expect(departureCandidates(Date.parse("2025-01-21T23:30:00Z"), 3)).toEqual(["2025-01-21T23:30:00.000Z"]);
+  });
+});
+
+describe("planDeparture", () => {
+  it("picks the lowest combined score and runs the window through equal slots", () => {
+    const plan = planDeparture([
+      slot("2025-01-21T22:53:20.000Z", 7, 5),
+      slot("2025-01-22T00:00:00.000Z", 5, 0),
+      slot("2025-01-22T03:00:00.000Z", 2, 0),
+      slot("2025-01-22T06:00:00.000Z", 1, 1),
+      slot("2025-01-22T09:00:00.000Z", 0, 0),
+    ]);
+
+    expect(plan.timeline.map((s) => s.best)).toEqual([false, false, false, false, true]);
+    expect(plan.best).toMatchObject({ at: "2025-01-22T09:00:00.000Z", total: 0, leaveNow: false });
+
+    const tied = planDeparture([
+      slot("2025-01-22T00:00:00.000Z", 3, 0),
+      slot("2025-01-22T03:00:00.000Z", 1, 0),
+      slot("2025-01-22T06:00:00.000Z", 0, 1),
+      slot("2025-01-22T09:00:00.000Z", 2, 0),
+    ]);
+    expect(tied.best.window).toEqual({ from: "2025-01-22T03:00:00.000Z", to: "2025-01-22T09:00:00.000Z" });
+    expect(plan.best.window.to).toBe("2025-01-22T12:00:00.000Z");
+  });
+
+  it("prefers leaving now when waiting doesn't help", () => {
+    const plan = planDeparture([slot("2025-01-21T22:53:20.000Z", 1, 1), slot("2025-01-22T00:00:00.000Z", 2, 1)]);
+    expect(plan.best.leaveNow).toBe(true);
+    expect(plan.best.window).toEqual({ from: "2025-01-21T22:53:20.000Z", to: "2025-01-22T00:00:00.000Z" });
+  });
+
+  it("has no best slot when there is nothing to compare", () => {
+    expect(planDeparture([], 2)).toEqual({ returnAfterHours: 2, best: null, timeline: [] });
+  });
+});
+
+describe("fetchDeparturePlan", () => {
+  it("returns the server's plan", async () => {
+    const plan = planDeparture([slot("2025-01-21T22:53:20.000Z", 0, 0)]);
+    const fakeFetch = createFakeFetch({ "/api/plan": plan });
+    setFetchImplementation(fakeFetch);
+
+    expect(await fetchDeparturePlan({ origin: { lat: 40.75, lng: -73.99 } })).toEqual(plan);
+    expect(fakeFetch.calls[0].init.method).toBe("POST");
+  });
+
+  it("returns null when the server can't plan", async () => {
+    setFetchImplementation(createFakeFetch({ "/api/plan": () => jsonResponse({ error: "nope" }, 502) }));
+    expect(await fetchDeparturePlan({})).toBeNull();
+  });
+
+  it("surfaces rate limiting", async () => {
+    setFetchImplementation(createFakeFetch({ "/api/plan": () => jsonResponse({ error: "slow down" }, 429) }));
+    await expect(fetchDeparturePlan({})).rejects.toBeInstanceOf(RateLimitedError);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import {
+  allRoutes,
+  createRouteRegistry,
+  getRoute,
+  lineForToken,
+  parseRoutesTxt,
+  routeKey,
+  routeName,
+  routesNamedIn,
+} from "../../src/api/routeRegistry.js";
+
+describe("parseRoutesTxt", () => {
+  it("reads rows by header, quoted fields included", () => {
+    const text = '\uFEFFroute_id,route_long_name,route_color\r\nM,"Queens Blvd Local/6 Av Local, ""Myrtle""",FF6319\r\n\r\n';
+    expect(parseRoutesTxt(text)).toEqual([
+      { route_id: "M", route_long_name: 'Queens Blvd Local/6 Av Local, "Myrtle"', route_color: "FF6319" },
+    ]);
+    expect(parseRoutesTxt("")).toEqual([]);
+  });
+});
+
+describe("route registry", () => {
+  it("covers every subway line, SIR, the LIRR and Metro-North", () => {
+    const ids = allRoutes().map((route) => route.id);
+    expect(ids).toEqual(expect.arrayContaining(["A", "6X", "7X", "FX", "GS", "FS", "H", "SI", "Z", "LIRR:9", "MNR:2"]));
+    expect(allRoutes(["sir"]).map((route) => route.id)).toEqual(["SI"]);
+    expect(allRoutes(["lirr"])).toHaveLength(13);
+    expect(allRoutes(["mnr"])).toHaveLength(6);
+  });
+
+  it("carries display names and colors", () => {
+    expect(getRoute("N")).toMatchObject({ system: "subway", label: "N", name: "N train", color: "#FCCC0A", textColor: "#000000" });
+    expect(getRoute("H")).toMatchObject({ label: "S", name: "Rockaway Park Shuttle" });
+    expect(getRoute("SI")).toMatchObject({ system: "sir", label: "SIR", name: "Staten Island Railway" });
+    expect(getRoute("LIRR:9")).toMatchObject({ label: "Port Washington Branch", name: "LIRR Port Washington Branch", color: "#C60C30" });
+    expect(getRoute("MNR:2")).toMatchObject({ label: "Harlem", name: "Metro-North Harlem Line" });
+    expect(routeName("M15")).toBe("M15 train");
+    expect(getRoute("M15")).toBeNull();
+  });
+
+  it("keys alert entities by railroad", () => {
+    expect(routeKey({ agency_id: "MTASBWY", route_id: "A" })).toBe("A");
+    expect(routeKey({ route_id: "SI" })).toBe("SI");
+    expect(routeKey({ agency_id: "LI", route_id: "9" })).toBe("LIRR:9");
+    expect(routeKey({ agency_id: "MNR", route_id: "2" })).toBe("MNR:2");
+    expect(routeKey({ stop_id: "A27N" })).toBeNull();
+  });
+
+  it("reads lines the way riders write them", () => {
+    expect(lineForToken("6x")).toBe("6X");
+    expect(lineForToken("S")).toBe("GS");
+    expect(lineForToken("SIR")).toBe("SI");
+    expect(lineForToken("X")).toBeNull();
+    expect(routesNamedIn("Transfer to the Rockaway Park Shuttle, then the Harlem Line")).toEqual(["H", "MNR:2"]);
+  });
+
+  it("builds from any routes.txt", () => {
+    const registry = createRouteRegistry([{ system: "lirr", text: "route_id,route_long_name\n1,Babylon Branch" }]);
+    expect([...registry.keys()]).toEqual(["LIRR:1"]);
+  });
+});
@@ -0,0 +1,203 @@
+import { describe, expect, it } from "vitest";
+import {
+  compareVerdicts,
+  getRuleBasedRecommendation,
+  scoreTrip,
+} from "../../src/api/rulesEngine.js";
+import { normalizeRecommendation } from "../../src/api/claudeEngine.js";
+
+const CLEAR = {
+  precipitation: null,
+  wind: { speed: 3, gusts: null },
+  visibility: 10,
+  feelsLike: 18,
+  alerts: null,
+  forecast3hr: { trend: "steady", precipExpected: false },
+};
+
+const SNOWSTORM = {
+  precipitation: { type: "snow", intensity: "moderate" },
+  wind: { speed: 12, gusts: 19 },
+  visibility: 0.8,
+  feelsLike: -10,
+  alerts: null,
+  forecast3hr: { trend: "worsening", precipExpected: true },
+};
+
+const NORMAL_TRANSIT = {
+  subway: { A: { status: "normal", message: null }, C: { status: "normal", message: null } },
+  path: null,
+  summary: "Good service on all lines",
+  severity: "none",
+};
+
+function trip(overrides = {}) {
+  return {
+    weather: CLEAR,
+    travel_ban: { ban_level: "none", plain_english: null },
+    transit_status: NORMAL_TRANSIT,
+    travel_data: { relevantLines: ["A", "C"], storm_minutes: 30, best_route: "Take the A downtown — about 25 min" },
+    is_walkable: false,
+    ...overrides,
+  };
+}
+
+describe("getRuleBasedRecommendation", () => {
+  it("says go on a clear night", () => {
+    const rec = getRuleBasedRecommendation(trip());
+    expect(rec.verdict).toBe("Go for it");
+    expect(rec.return_risk).toBe("low");
+    expect(rec.best_route_advice).toBe("Take the A downtown — about 25 min");
+  });
+
+  it("stays in during a worsening snowstorm with delays on the route", () => {
+    const rec = getRuleBasedRecommendation(
+      trip({
+        weather: SNOWSTORM,
+        transit_status: {
+          ...NORMAL_TRANSIT,
+          subway: { ...NORMAL_TRANSIT.subway, A: { status: "delays", message: "[A] trains are delayed" } },
+        },
+      })
+    );
+
+    expect(rec.verdict).toBe("Stay in tonight");
+    expect(rec.return_risk).toBe("high");
+    expect(rec.reasons).toHaveLength(3);
+    expect(rec.reasons).toContain("Moderate snow falling now");
+    expect(rec.best_route_advice).toMatch(/Check the A/);
+  });
+
+  it("waits out a storm that is clearing", () => {
+    const weather = { ...SNOWSTORM, forecast3hr: { trend: "improving", precipExpected: true } };
+    const { score } = scoreTrip(trip({ weather }));
+    expect(score).toBeGreaterThanOrEqual(7);
+    expect(getRuleBasedRecommendation(trip({ weather })).verdict).toBe("Wait it out");
+  });
+
+  it("quotes the MTA message for affected lines on the route only", () => {
+    const transit = {
+      ...NORMAL_TRANSIT,
+      subway: {
+        ...NORMAL_TRANSIT.subway,
+        C: { status: "delays", message: "[C] service is suspended" },
+        L: { status: "delays", message: "[L] delays" },
+      },
+    };
+    const { factors } = scoreTrip(trip({ transit_status: transit }));
+    expect(factors).toEqual([{ factor: "transit", points: 3, reason: 'C train: "[C] service is suspended"' }]);
+  });
+
+  it("scores a line by its ranked status", () => {
+    const line = (status, message) => ({ ...NORMAL_TRANSIT, subway: { A: { status, message, alerts: [] } } });
+    const points = (status, message) => scoreTrip(trip({ transit_status: line(status, message) })).factors[0].points;
+    expect(points("part_suspended", "Northbound [A] trains are not stopping at 42 St")).toBe(3);
+    expect(points("significant_delays", "[A] trains are running with delays")).toBe(2);
+    expect(points("planned_work", "[A] trains skip Spring St")).toBe(1);
+  });
+
+  it("ignores transit for walkable trips", () => {
+    const transit = { ...NORMAL_TRANSIT, subway: { A: { status: "delays", message: "[A] delays" } } };
+    const rec = getRuleBasedRecommendation(trip({ transit_status: transit, is_walkable: true }));
+    expect(rec.verdict).toBe("Go for it");
+    expect(rec.best_route_advice).toMatch(/Short walk/);
+  });
+
+  it("never sends anyone out when transit is suspended citywide", () => {
+    const rec = getRuleBasedRecommendation(
+      trip({ travel_ban: { ban_level: "transit_suspended", plain_english: "NYC Transit (MTA) services are suspended" } })
+    );
+    expect(rec.verdict).toBe("Stay in tonight");
+  });
+
+  it("admits when weather is unknown", () => {
+    const rec = getRuleBasedRecommendation(trip({ weather: { precipitation: null, wind: null } }));
+    expect(rec.return_risk).toBe("unknown");
+    expect(rec.reasons).toContain("Live weather unavailable — check conditions before you head out");
+  });
+
+  it("writes weather reasons in the payload's unit system", () => {
+    const reasons = (units) =>
+      scoreTrip(trip({ weather: SNOWSTORM, readings: { system: units } })).factors.map((f) => f.reason);
+    expect(reasons("imperial")).toEqual(expect.arrayContaining(["Wind 27 mph, gusts 43 mph", "Visibility down to 0.5 mi"]));
+    expect(reasons("metric")).toEqual(expect.arrayContaining(["Wind 43 km/h, gusts 68 km/h", "Feels like -10°C"]));
+  });
+
+  it("scores ice and lightning above plain rain", () => {
+    const weather = { ...CLEAR, precipitation: { type: "freezing_rain", intensity: "moderate" }, thunderstorm: { intensity: "moderate" } };
+    const { score, factors } = scoreTrip(trip({ weather }));
+    expect(factors.map((f) => [f.factor, f.points, f.reason])).toEqual([
+      ["precipitation", 4, "Moderate freezing rain falling now"],
+      ["thunderstorm", 3, "Thunderstorms with lightning"],
+    ]);
+    expect(getRuleBasedRecommendation(trip({ weather })).verdict).toBe("Wait it out");
+    expect(score).toBe(7);
+  });
+
+  it("scores heat by the heat index and smoke by AQI", () => {
+    const weather = {
+      ...CLEAR,
+      feelsLike: 38,
+      heatIndex: 41,
+      airQuality: { aqi: 220, category: "very_unhealthy", pm25: 140, smoke: true },
+    };
+    expect(scoreTrip(trip({ weather })).factors).toEqual([
+      { factor: "heat", points: 3, reason: "Heat index 106°F" },
+      { factor: "air_quality", points: 3, reason: "Air quality AQI 220 (very unhealthy) — smoke" },
+    ]);
+  });
+
+  it("counts work that starts before the trip home, but not planned work after it", () => {
+    const alert = (routes, start) => ({ routes, message: `[${routes[0]}] trains are suspended`, severity: "extreme", start, end: null, period: null });
+    const transit = {
+      ...NORMAL_TRANSIT,
+      onReturn: [alert(["A"], "2025-01-22T04:00:00Z"), alert(["L"], "2025-01-22T04:00:00Z")],
+      upcoming: [alert(["C"], "2025-01-27T17:46:40Z")],
+    };
+    expect(scoreTrip(trip({ transit_status: transit })).factors).toEqual([
+      { factor: "transit_return", points: 2, reason: 'From 11:00 PM, before the trip home: "[A] trains are suspended"' },
+    ]);
+  });
+
+  it("counts a long wait for the next train when leaving now", () => {
+    const station = { id: "A28", name: "34 St-Penn Station" };
+    const nextTrains = (arrivals) => ({ station, lines: ["A", "C"], arrivals, live: true });
+    const train = (line, minutes) => ({ line, direction: "southbound", toward: "Downtown & Brooklyn", at: 1737500000 + minutes * 60, minutes });
+
+    expect(scoreTrip(trip({ next_trains: nextTrains([train("C", 22), train("A", 31)]) })).factors).toEqual([
+      { factor: "platform_wait", points: 1, reason: "Next C train in 22 min at 34 St-Penn Station" },
+    ]);
+    expect(scoreTrip(trip({ next_trains: nextTrains([]) })).factors).toEqual([
+      { factor: "platform_wait", points: 2, reason: "No A or C trains due at 34 St-Penn Station in the next 60 min" },
+    ]);
+    expect(scoreTrip(trip({ next_trains: nextTrains([train("A", 4)]) })).factors).toEqual([]);
+    expect(scoreTrip(trip({ next_trains: { ...nextTrains([]), live: false } })).factors).toEqual([]);
+  });
+
+  it("won't say go the morning after a big snow, even under a clear sky", () => {
+    const ground = { condition: "snow_covered", snowDepthCm: 25, snowfallCm: 30.5, iceCause: null, hours: 48 };
+    const rec = getRuleBasedRecommendation(trip({ ground_conditions: ground }));
+    expect(rec.verdict).toBe("Go if you have to");
+    expect(rec.reasons[0]).toBe("Snow-covered sidewalks — 12 in fell in the last 48 hours");
+
+    const icy = { condition: "icy", snowDepthCm: 0, snowfallCm: 0, iceCause: "refreeze", hours: 48 };
+    expect(scoreTrip(trip({ ground_conditions: icy })).factors).toEqual([
+      { factor: "ground", points: 4, reason: "Icy sidewalks where rain and meltwater refroze" },
+    ]);
+    expect(scoreTrip(trip({ ground_conditions: { condition: "unknown" } })).factors).toEqual([]);
+  });
+
+  it("always fits the recommendation schema", () => {
+    for (const payload of [{}, trip(), trip({ weather: SNOWSTORM }), trip({ travel_data: { ferry_only_route: true } })]) {
+      const rec = getRuleBasedRecommendation(payload);
+      expect(normalizeRecommendation(rec)).toEqual(rec);
+    }
+  });
+});
+
+describe("compareVerdicts", () => {
+  it("flags verdicts two or more steps apart", () => {
+    expect(compareVerdicts({ verdict: "Go for it" }, { verdict: "Go if you have to" })).toEqual({ steps: 1, disagree: false });
+    expect(compareVerdicts({ verdict: "Go if you have to" }, { verdict: "Stay in tonight" })).toEqual({ steps: 2, disagree: true });
+  });
+});
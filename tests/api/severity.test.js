@@ -0,0 +1,77 @@
+import { describe, expect, it } from "vitest";
+import { classifyWeatherSeverity } from "../../src/api/severity.js";
+import { buildWeather, emptyWeather } from "../../src/api/weather.js";
+import { loadFixture } from "../helpers/upstreams.js";
+
+const current = loadFixture("openweather-current.json");
+const forecast = loadFixture("openweather-forecast.json");
+
+const calm = { ...emptyWeather(), wind: { speed: 3, gusts: null }, visibility: 10, feelsLike: 12 };
+
+describe("classifyWeatherSeverity", () => {
+  it("calls a calm night none", () => {
+    expect(classifyWeatherSeverity(calm)).toEqual({ level: "none", drivers: [] });
+    expect(classifyWeatherSeverity(emptyWeather()).level).toBe("none");
+    expect(classifyWeatherSeverity(null).level).toBe("none");
+  });
+
+  it("takes the worst condition and lists every driver, worst first", () => {
+    const severity = classifyWeatherSeverity(buildWeather(current, forecast));
+    expect(severity.level).toBe("moderate");
+    expect(severity.drivers).toEqual([
+      { factor: "precipitation", level: "moderate", reason: "Moderate snow" },
+      { factor: "wind", level: "moderate", reason: "Wind 27 mph, gusts 43 mph" },
+      { factor: "visibility", level: "moderate", reason: "Visibility 0.5 mi" },
+      { factor: "feels_like", level: "light", reason: "Feels like 14°F" },
+    ]);
+  });
+
+  it("writes reasons in the chosen unit system", () => {
+    const severity = classifyWeatherSeverity(buildWeather(current, forecast), "metric");
+    expect(severity.drivers.map((d) => d.reason).slice(1)).toEqual([
+      "Wind 43 km/h, gusts 68 km/h",
+      "Visibility 0.8 km",
+      "Feels like -10°C",
+    ]);
+  });
+
+  it("counts alerts by their severity", () => {
+    const warned = { ...calm, alerts: [{ title: "Winter Storm Warning", severity: "high" }] };
+    expect(classifyWeatherSeverity(warned).level).toBe("severe");
+    expect(classifyWeatherSeverity({ ...calm, alerts: [{ title: "Wind Advisory", severity: "minor" }] }).level).toBe("light");
+    expect(classifyWeatherSeverity({ ...calm, alerts: [{ title: "Blizzard Warning", severity: "extreme" }] }).level).toBe("extreme");
+  });
+
+  it("raises two severe conditions at once to extreme", () => {
+    const blizzard = { ...calm, precipitation: { type: "snow", intensity: "heavy" }, wind: { speed: 18, gusts: 27 } };
+    expect(classifyWeatherSeverity(blizzard).level).toBe("extreme");
+    expect(classifyWeatherSeverity({ ...blizzard, wind: calm.wind }).level).toBe("severe");
+  });
+
+  it("stops cold and heat at moderate", () => {
+    expect(classifyWeatherSeverity({ ...calm, feelsLike: -25 }).level).toBe("moderate");
+    expect(classifyWeatherSeverity({ ...calm, feelsLike: 34 }).level).toBe("light");
+  });
+
+  it("treats ice and lightning as worse than rain", () => {
+    expect(classifyWeatherSeverity({ ...calm, precipitation: { type: "freezing_rain", intensity: "light" } }).drivers[0]).toEqual({
+      factor: "precipitation",
+      level: "severe",
+      reason: "Light freezing rain",
+    });
+    expect(classifyWeatherSeverity({ ...calm, precipitation: { type: "sleet", intensity: "light" } }).level).toBe("moderate");
+    expect(classifyWeatherSeverity({ ...calm, thunderstorm: { intensity: "moderate" } }).level).toBe("severe");
+  });
+
+  it("grades heat by the heat index instead of feels-like", () => {
+    const heatwave = classifyWeatherSeverity({ ...calm, feelsLike: 38, heatIndex: 41 });
+    expect(heatwave.level).toBe("severe");
+    expect(heatwave.drivers).toEqual([{ factor: "heat", level: "severe", reason: "Heat index 106°F" }]);
+  });
+
+  it("grades air quality by AQI and flags smoke", () => {
+    const smoky = classifyWeatherSeverity({ ...calm, airQuality: { aqi: 182, category: "unhealthy", pm25: 110, smoke: true } });
+    expect(smoky.drivers).toEqual([{ factor: "air_quality", level: "moderate", reason: "Air quality AQI 182 (unhealthy) — smoke" }]);
+    expect(classifyWeatherSeverity({ ...calm, airQuality: { aqi: 42, category: "good", pm25: 7.4, smoke: false } }).level).toBe("none");
+  });
+});
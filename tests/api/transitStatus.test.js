@@ -0,0 +1,352 @@
+import { describe, expect, it } from "vitest";
+import {
+  alertTiming,
+  buildTransitStatus,
+  classifyAlertStatus,
+  generateSummary,
+  getDefaultTransitStatus,
+  initSubwayStatus,
+  isAlertActiveAt,
+  isPathRelevant,
+  mapSeverity,
+  pickAlertText,
+  pickDirection,
+  pickRoutes,
+  processMtaJson,
+  transitForPrompt,
+  transitForTrip,
+  MAX_UPCOMING_ALERTS,
+} from "../../src/api/transitStatus.js";
+import { loadFixture } from "../helpers/upstreams.js";
+
+const mtaJson = loadFixture("mta-alerts.json");
+
+describe("pickAlertText", () => {
+  it("prefers the English header text", () => {
+    expect(pickAlertText(mtaJson.entity[0].alert)).toBe(
+      "[A][C] trains are running with delays after signal problems at Jay St-MetroTech"
+    );
+  });
+
+  it("falls back to description text", () => {
+    const alert = { description_text: { translation: [{ text: "Allow extra time" }] } };
+    expect(pickAlertText(alert)).toBe("Allow extra time");
+  });
+
+  it("accepts plain strings and flattened shapes", () => {
+    expect(pickAlertText("Delays")).toBe("Delays");
+    expect(pickAlertText({ header_text: { text: "Flat header" } })).toBe("Flat header");
+    expect(pickAlertText({ header_text: [{ text: "Array header" }] })).toBe("Array header");
+  });
+
+  it("returns null when there is no text", () => {
+    expect(pickAlertText({})).toBeNull();
+  });
+});
+
+describe("pickRoutes", () => {
+  it("collects route ids from informed_entity", () => {
+    expect(pickRoutes(mtaJson.entity[0].alert)).toEqual(["A", "C"]);
+  });
+
+  it("returns an empty list when informed_entity is missing", () => {
+    expect(pickRoutes({})).toEqual([]);
+  });
+});
+
+describe("mapSeverity", () => {
+  it("maps GTFS-RT effects to severity buckets", () => {
+    expect(mapSeverity({ effect: "NO_SERVICE" })).toBe("extreme");
+    expect(mapSeverity({ effect: "SIGNIFICANT_DELAYS" })).toBe("high");
+    expect(mapSeverity({ effect: "DETOUR" })).toBe("moderate");
+    expect(mapSeverity({ effect: "STOP_MOVED" })).toBe("low");
+  });
+
+  it("treats a missing effect as no severity and unknown effects as moderate", () => {
+    expect(mapSeverity({})).toBe("none");
+    expect(mapSeverity({ effect: "SOMETHING_NEW" })).toBe("moderate");
+  });
+});
+
+describe("processMtaJson", () => {
+  it("ranks every line with an alert in effect", () => {
+    const { subwayStatus } = processMtaJson(mtaJson, [], "2025-01-21T23:00:00Z");
+    expect(subwayStatus.A.status).toBe("significant_delays");
+    expect(subwayStatus.C.message).toMatch(/signal problems/);
+    expect(subwayStatus["4"]).toMatchObject({ status: "part_suspended", message: expect.stringMatching(/suspended/) });
+    expect(subwayStatus.G).toEqual({ status: "normal", message: null, alerts: [] });
+  });
+
+  it("keeps every alert on a line, most disruptive first", () => {
+    const delay = mtaJson.entity[0];
+    const northboundSuspension = {
+      id: "lmm:alert:404",
+      alert: {
+        effect: "NO_SERVICE",
+        informed_entity: [{ route_id: "A" }, { route_id: "A", stop_id: "A27N" }, { route_id: "A", stop_id: "A28N" }],
+        header_text: { translation: [{ text: "Northbound [A] trains are not stopping at 42 St and 34 St" }] },
+      },
+    };
+    const { subwayStatus, maxSeverity } = processMtaJson({ entity: [northboundSuspension, delay] }, [], "2025-01-21T23:00:00Z");
+
+    expect(subwayStatus.A.status).toBe("part_suspended");
+    expect(subwayStatus.A.alerts).toEqual([
+      {
+        id: "lmm:alert:404",
+        status: "part_suspended",
+        effect: "NO_SERVICE",
+        severity: "extreme",
+        message: "Northbound [A] trains are not stopping at 42 St and 34 St",
+        direction: "northbound",
+        stops: ["A27", "A28"],
+      },
+      {
+        id: "lmm:alert:401",
+        status: "significant_delays",
+        effect: "SIGNIFICANT_DELAYS",
+        severity: "high",
+        message: "[A][C] trains are running with delays after signal problems at Jay St-MetroTech",
+        direction: null,
+        stops: [],
+      },
+    ]);
+    // The worst alert decides, not the last one read
+    expect(subwayStatus.C.alerts.map((a) => a.id)).toEqual(["lmm:alert:401"]);
+    expect(maxSeverity).toBe("extreme");
+  });
+
+  it("takes the highest severity on the subway, whatever the feed order", () => {
+    const [delay, suspension] = mtaJson.entity;
+    const at = "2025-01-21T23:00:00Z";
+    expect(processMtaJson({ entity: [suspension, delay] }, [], at).maxSeverity).toBe("extreme");
+    expect(processMtaJson({ entity: [delay, suspension] }, [], at).maxSeverity).toBe("extreme");
+    // The M15 detour isn't a subway line
+    expect(processMtaJson({ entity: [mtaJson.entity[3]] }, [], at).maxSeverity).toBe("none");
+  });
+
+  it("tracks the whole registry, commuter rail under its own keys", () => {
+    const rail = loadFixture("mta-rail-alerts.json");
+    const feed = { entity: [...mtaJson.entity, ...rail.lirr.entity, ...rail.mnr.entity] };
+    const { subwayStatus } = processMtaJson(feed, [], "2025-01-21T23:00:00Z");
+    expect(Object.keys(subwayStatus)).toEqual(expect.arrayContaining(["FS", "H", "SI", "6X", "7X", "FX"]));
+    expect(subwayStatus["LIRR:9"].status).toBe("significant_delays");
+    expect(subwayStatus["MNR:2"].status).toBe("part_suspended");
+    // The subway's 2 train isn't Metro-North's Harlem Line
+    expect(subwayStatus["2"].status).toBe("normal");
+  });
+
+  it("lists commuter rail branches only when an alert names them", () => {
+    expect(Object.keys(initSubwayStatus()).some((id) => id.includes(":"))).toBe(false);
+    const rail = loadFixture("mta-rail-alerts.json");
+    const { subwayStatus } = processMtaJson({ entity: rail.lirr.entity }, [], "2025-01-21T23:00:00Z");
+    expect(Object.keys(subwayStatus).filter((id) => id.startsWith("LIRR:"))).toEqual(["LIRR:9"]);
+    expect(Object.keys(subwayStatus).some((id) => id.startsWith("MNR:"))).toBe(false);
+  });
+
+  it("ignores routes outside the registry", () => {
+    const { subwayStatus } = processMtaJson(mtaJson);
+    expect(subwayStatus.M15).toBeUndefined();
+  });
+
+  it("filters alerts by requested route ids", () => {
+    const { subwayStatus } = processMtaJson(mtaJson, ["4"]);
+    expect(subwayStatus.A.status).toBe("normal");
+    expect(subwayStatus["4"].status).toBe("part_suspended");
+  });
+
+  it("only counts alerts in effect at the departure time", () => {
+    const tonight = processMtaJson(mtaJson, [], "2025-01-21T23:00:00Z").subwayStatus;
+    expect(tonight.A.status).toBe("significant_delays");
+    expect(tonight.L.status).toBe("normal");
+
+    // Planned L work starts 2025-01-27; the A/C delay has cleared by then, the open-ended 4 suspension hasn't
+    const nextWeek = processMtaJson(mtaJson, [], "2025-01-27T20:00:00Z").subwayStatus;
+    expect(nextWeek.A.status).toBe("normal");
+    expect(nextWeek.L.status).toBe("part_suspended");
+    expect(nextWeek["4"].status).toBe("part_suspended");
+  });
+
+  it("lists planned work after the trip separately instead of marking the line delayed", () => {
+    const tonight = processMtaJson(mtaJson, [], "2025-01-21T23:00:00Z", "2025-01-22T02:00:00Z");
+    expect(tonight.subwayStatus.L).toEqual({ status: "normal", message: null, alerts: [] });
+    expect(tonight.onReturn).toEqual([]);
+    expect(tonight.upcoming).toEqual([
+      {
+        routes: ["L"],
+        message: "[L] No trains between Broadway Junction and Rockaway Pkwy",
+        severity: "high",
+        start: "2025-01-27T17:46:40.000Z",
+        end: "2025-01-28T21:33:20.000Z",
+        period: "Jan 27 - 28, Mon to Tue, 9:45 PM to 5 AM",
+      },
+    ]);
+  });
+
+  it("flags work that starts before the trip home", () => {
+    // Out at 10 AM, home at 1 PM — the L work starts at 12:46 PM
+    const { subwayStatus, onReturn, upcoming } = processMtaJson(mtaJson, [], "2025-01-27T15:00:00Z", "2025-01-27T18:00:00Z");
+    expect(subwayStatus.L.status).toBe("normal");
+    expect(onReturn.map((alert) => alert.routes)).toEqual([["L"]]);
+    expect(upcoming).toEqual([]);
+  });
+
+  it("returns all-normal status for a missing or malformed feed", () => {
+    expect(processMtaJson(null)).toEqual({ subwayStatus: initSubwayStatus(), maxSeverity: "none", onReturn: [], upcoming: [] });
+    expect(processMtaJson({ entity: "nope" }).maxSeverity).toBe("none");
+  });
+});
+
+describe("classifyAlertStatus", () => {
+  const alert = (text, fields = {}) => ({ header_text: { translation: [{ text }] }, ...fields });
+  const typed = (alertType) => ({ "transit_realtime.mercury_alert": { alert_type: alertType } });
+
+  it("reads the MTA's alert type first", () => {
+    expect(classifyAlertStatus(alert("[F] trains", typed("Suspended")))).toBe("suspended");
+    expect(classifyAlertStatus(alert("[F] trains", typed("Planned - Part Suspended")))).toBe("part_suspended");
+    expect(classifyAlertStatus(alert("[F] trains", typed("Severe Delays")))).toBe("significant_delays");
+    expect(classifyAlertStatus(alert("[F] trains run local", typed("Planned - Express to Local")))).toBe("planned_work");
+  });
+
+  it("falls back to the effect and the text", () => {
+    expect(classifyAlertStatus(alert("[G] service is suspended"))).toBe("suspended");
+    expect(classifyAlertStatus(alert("[G] trains", { effect: "NO_SERVICE", informed_entity: [{ stop_id: "G22N" }] }))).toBe("part_suspended");
+    expect(classifyAlertStatus(alert("[G] trains are delayed", { effect: "SIGNIFICANT_DELAYS" }))).toBe("significant_delays");
+    expect(classifyAlertStatus(alert("[G] trains are running with some delays"))).toBe("delays");
+    expect(classifyAlertStatus(alert("[G] trains skip Nassau Av"), "lmm:planned_work:1")).toBe("planned_work");
+    expect(classifyAlertStatus({ effect: "DETOUR" })).toBe("normal");
+  });
+});
+
+describe("pickDirection", () => {
+  it("reads direction from stop ids, direction ids or the text", () => {
+    expect(pickDirection({ informed_entity: [{ stop_id: "A27S" }] })).toBe("southbound");
+    expect(pickDirection({ informed_entity: [{ stop_id: "A27S" }, { direction_id: 0 }] })).toBe("both");
+    expect(pickDirection({ header_text: { text: "Uptown [1] trains are delayed" } })).toBe("northbound");
+    expect(pickDirection({ header_text: { text: "[4] trains are delayed in both directions" } })).toBe("both");
+    expect(pickDirection(mtaJson.entity[0].alert)).toBeNull();
+  });
+});
+
+describe("isAlertActiveAt", () => {
+  it("treats missing bounds as open-ended", () => {
+    expect(isAlertActiveAt({}, 100)).toBe(true);
+    expect(isAlertActiveAt({ active_period: [{ start: 50 }] }, 100)).toBe(true);
+    expect(isAlertActiveAt({ active_period: [{ end: 100 }] }, 100)).toBe(false);
+    expect(isAlertActiveAt({ active_period: [{ start: 10, end: 20 }, { start: 90, end: 110 }] }, 100)).toBe(true);
+  });
+});
+
+describe("alertTiming", () => {
+  const work = { active_period: [{ start: 1000, end: 2000 }] };
+
+  it("sorts alerts by when they meet the trip", () => {
+    expect(alertTiming(work, 1500, 1600)).toBe("departure");
+    expect(alertTiming(work, 500, 1200)).toBe("return");
+    expect(alertTiming(work, 500, 600)).toBe("upcoming");
+    expect(alertTiming(work, 2500, 2600)).toBeNull();
+    expect(alertTiming(work, 1000 - 8 * 24 * 3600, 1000 - 8 * 24 * 3600)).toBeNull();
+    expect(alertTiming({}, 500, 600)).toBe("departure");
+  });
+});
+
+describe("generateSummary", () => {
+  it("describes good service", () => {
+    expect(generateSummary(initSubwayStatus(), null)).toBe("Good service on all lines");
+  });
+
+  it("names lines by their registry label", () => {
+    const subway = { ...initSubwayStatus(), GS: { status: "delays", message: "x" }, "LIRR:9": { status: "delays", message: "y" } };
+    expect(generateSummary(subway, null)).toBe("Delays on S, Port Washington Branch");
+  });
+
+  it("lists delayed lines and PATH", () => {
+    const subway = { ...initSubwayStatus(), A: { status: "delays", message: "Signal problems" } };
+    expect(generateSummary(subway, null)).toBe("Delays on A");
+    expect(generateSummary(subway, { status: "delays", message: "x" })).toBe("Delays on A and PATH");
+    expect(generateSummary(initSubwayStatus(), { status: "delays", message: "x" })).toBe("PATH service affected");
+  });
+
+  it("words planned work apart from delays", () => {
+    const work = { status: "planned_work", message: "No trains between Broadway Junction and Rockaway Pkwy" };
+    expect(generateSummary({ ...initSubwayStatus(), L: work }, null)).toBe("Planned work on L");
+    const subway = { ...initSubwayStatus(), A: { status: "significant_delays", message: "x" }, L: work };
+    expect(generateSummary(subway, { status: "delays", message: "x" })).toBe("Delays on A and PATH; planned work on L");
+  });
+
+  it("leaves out planned work that starts after departure", () => {
+    const { subwayStatus } = processMtaJson(mtaJson, [], "2025-01-27T15:00:00Z");
+    expect(generateSummary(subwayStatus, null)).not.toMatch(/\bL\b/);
+  });
+});
+
+describe("buildTransitStatus", () => {
+  it("restricts the subway map to the requested routes", () => {
+    const status = buildTransitStatus(mtaJson, null, ["A", "G"]);
+    expect(Object.keys(status.subway)).toEqual(["A", "G"]);
+    expect(status.path).toBeNull();
+  });
+
+  it("matches the default shape when there is no data", () => {
+    const status = buildTransitStatus(null, null);
+    const fallback = getDefaultTransitStatus();
+    expect(status.subway).toEqual(fallback.subway);
+    expect(status.summary).toBe(fallback.summary);
+  });
+});
+
+describe("transitForTrip", () => {
+  // A hundred planned closures over the next few days, alternating between the L and the A
+  const closures = {
+    entity: Array.from({ length: 100 }, (_, i) => ({
+      id: `lmm:planned_work:${i}`,
+      alert: {
+        active_period: [{ start: 1737550000 + i * 3600, end: 1737550000 + i * 3600 + 1800 }],
+        informed_entity: [{ route_id: i % 2 ? "A" : "L" }],
+        header_text: { translation: [{ text: `[${i % 2 ? "A" : "L"}] No trains between two stops, closure ${i}` }] },
+      },
+    })),
+  };
+
+  it("keeps the soonest planned work on the trip's lines", () => {
+    const status = buildTransitStatus(closures, null, [], "2025-01-21T23:00:00Z");
+    expect(status.upcoming).toHaveLength(100);
+
+    const trip = transitForTrip(status, ["A", "C"]);
+    expect(trip.upcoming).toHaveLength(MAX_UPCOMING_ALERTS);
+    expect(trip.upcoming.every((alert) => alert.routes.includes("A"))).toBe(true);
+    expect(trip.upcoming[0].message).toContain("closure 1");
+    expect(transitForTrip(status, []).upcoming).toEqual([]);
+  });
+
+  it("keeps only alerts before the trip home on the trip's lines", () => {
+    // Out at 10 AM, home at 1 PM — the L work starts at 12:46 PM
+    const status = buildTransitStatus(mtaJson, null, [], "2025-01-27T15:00:00Z", "2025-01-27T18:00:00Z");
+    expect(status.onReturn.map((alert) => alert.routes)).toEqual([["L"]]);
+    expect(transitForTrip(status, ["L"]).onReturn).toEqual(status.onReturn);
+    expect(transitForTrip(status, ["A", "C"]).onReturn).toEqual([]);
+  });
+
+  it("lists the trip's commuter rail branches as normal when nothing is wrong on them", () => {
+    const status = buildTransitStatus(null, null, [], "2025-01-21T23:00:00Z");
+    expect(status.subway["LIRR:9"]).toBeUndefined();
+    expect(transitForTrip(status, ["E", "LIRR:9"]).subway["LIRR:9"]).toEqual({ status: "normal", message: null, alerts: [] });
+  });
+
+  it("leaves planned work after the trip out of the recommendation payload", () => {
+    const status = buildTransitStatus(closures, null, [], "2025-01-21T23:00:00Z");
+    expect(transitForPrompt(status)).not.toHaveProperty("upcoming");
+    expect(transitForPrompt(status).summary).toBe(status.summary);
+  });
+});
+
+describe("isPathRelevant", () => {
+  it("is true when either end is in New Jersey", () => {
+    expect(isPathRelevant("Grove Street, Jersey City, NJ", "Union Square, New York, NY")).toBe(true);
+    expect(isPathRelevant("Times Square", "Hoboken Terminal")).toBe(true);
+  });
+
+  it("is false for trips within New York", () => {
+    expect(isPathRelevant("Astoria, Queens", "Park Slope, Brooklyn")).toBe(false);
+    expect(isPathRelevant(null, null)).toBe(false);
+  });
+});
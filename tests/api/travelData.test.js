@@ -0,0 +1,195 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import {
+  applyStormMultiplier,
+  extractRelevantLines,
+  fetchTravelData,
+  generateStepBasedRoute,
+  getDistanceCategory,
+  getStormMultiplier,
+  isFerryRoute,
+  isWalkableTrip,
+} from "../../src/api/travelData.js";
+import { setFetchImplementation } from "../../src/api/http.js";
+import { createFakeFetch, loadFixture } from "../helpers/upstreams.js";
+
+const directions = loadFixture("mapbox-directions.json");
+const [ferryRoute, walkingRoute] = directions.routes;
+
+describe("isFerryRoute", () => {
+  it("detects ferry steps by mode or instruction", () => {
+    expect(isFerryRoute(ferryRoute.legs[0].steps)).toBe(true);
+    expect(isFerryRoute([{ maneuver: { instruction: "Board the NYC Ferry at Pier 11" } }])).toBe(true);
+  });
+
+  it("is false for walking routes", () => {
+    expect(isFerryRoute(walkingRoute.legs[0].steps)).toBe(false);
+  });
+});
+
+describe("extractRelevantLines", () => {
+  it("pulls slash-separated line groups from instructions", () => {
+    expect(extractRelevantLines(walkingRoute.legs[0].steps)).toEqual(["A", "C", "E"]);
+  });
+
+  it("handles single lines and ignores non-subway letters", () => {
+    const steps = [
+      { maneuver: { instruction: "Take the 6 train uptown" } },
+      { maneuver: { instruction: "Transfer to the L line" } },
+      { maneuver: { instruction: "Walk past the X marks" } },
+    ];
+    expect(extractRelevantLines(steps)).toEqual(["6", "L"]);
+  });
+
+  it("knows the express variants, shuttles, SIR and commuter rail", () => {
+    const steps = [
+      { maneuver: { instruction: "Take the 6X to Pelham Bay Park" } },
+      { maneuver: { instruction: "Take the S to Grand Central" } },
+      { maneuver: { instruction: "Transfer to the Rockaway Park Shuttle" } },
+      { maneuver: { instruction: "Ride the SIR to St George" } },
+      { maneuver: { instruction: "Board the Port Washington Branch at Penn Station" } },
+    ];
+    expect(extractRelevantLines(steps)).toEqual(["6X", "GS", "H", "SI", "LIRR:9"]);
+  });
+
+  it("returns nothing when steps have no instructions", () => {
+    expect(extractRelevantLines([{ mode: "walking" }])).toEqual([]);
+  });
+});
+
+describe("generateStepBasedRoute", () => {
+  it("joins the first and last movement with the total time", () => {
+    expect(generateStepBasedRoute(walkingRoute.legs[0].steps, 42)).toBe(
+      "Walk east on West 33rd Street, then turn left onto bleecker street — about 42 min"
+    );
+  });
+
+  it("returns null without usable steps", () => {
+    expect(generateStepBasedRoute([], 10)).toBeNull();
+    expect(generateStepBasedRoute([{ maneuver: { type: "arrive", instruction: "Arrived" } }], 10)).toBeNull();
+  });
+});
+
+describe("trip sizing", () => {
+  it("maps weather severity to a travel-time multiplier", () => {
+    expect(getStormMultiplier("none")).toBe(1.0);
+    expect(getStormMultiplier("moderate")).toBe(1.7);
+    expect(getStormMultiplier("extreme")).toBe(3.0);
+    expect(getStormMultiplier("unheard-of")).toBe(1.0);
+  });
+
+  it("reapplies the multiplier once the departure weather is known", () => {
+    const trip = { baseline_minutes: 30, storm_minutes: 30 };
+    expect(applyStormMultiplier(trip, "severe")).toEqual({ baseline_minutes: 30, storm_minutes: 66 });
+    expect(applyStormMultiplier(null, "severe")).toBeNull();
+  });
+
+  it("rewords a generic route for the weather but keeps one built from Mapbox steps", () => {
+    const generic = { baseline_minutes: 12, storm_minutes: 12, distance_category: "walkable",
+      best_route: "Walking distance — straightforward if weather allows." };
+    expect(applyStormMultiplier(generic, "extreme").best_route).toBe(
+      "Within walking distance — take shelter or use transit given the weather."
+    );
+    expect(applyStormMultiplier(generic, "moderate").best_route).toBe(generic.best_route);
+
+    const stepped = { ...generic, best_route: "Walk to 34 St → A train (12 min total)" };
+    expect(applyStormMultiplier(stepped, "extreme").best_route).toBe(stepped.best_route);
+  });
+
+  it("slows the walk for snow and ice on the ground, up to the extreme-storm multiplier", () => {
+    const trip = { baseline_minutes: 30, storm_minutes: 30 };
+    expect(applyStormMultiplier(trip, "none", "icy").storm_minutes).toBe(45);
+    expect(applyStormMultiplier(trip, "light", "snow_covered").storm_minutes).toBe(53);
+    expect(applyStormMultiplier(trip, "none", "unknown").storm_minutes).toBe(30);
+    expect(applyStormMultiplier(trip, "extreme", "icy").storm_minutes).toBe(90);
+  });
+
+  it("buckets distance", () => {
+    expect(getDistanceCategory(0.5)).toBe("walkable");
+    expect(getDistanceCategory(2)).toBe("short_transit");
+    expect(getDistanceCategory(8)).toBe("long_transit");
+  });
+
+  it("treats short or walkable trips as walkable", () => {
+    expect(isWalkableTrip({ distance_category: "walkable", baseline_minutes: 30 })).toBe(true);
+    expect(isWalkableTrip({ distance_category: "long_transit", baseline_minutes: 12 })).toBe(true);
+    expect(isWalkableTrip({ distance_category: "long_transit", baseline_minutes: 45 })).toBe(false);
+    expect(isWalkableTrip(null)).toBe(false);
+  });
+});
+
+describe("fetchTravelData", () => {
+  const origin = { lat: 40.7506, lng: -73.9935 };
+  const destination = { lat: 40.7286, lng: -74.0020 };
+
+  beforeEach(() => {
+    process.env.VITE_MAPBOX_TOKEN = "test-token";
+  });
+
+  afterEach(() => {
+    setFetchImplementation(null);
+    delete process.env.VITE_MAPBOX_TOKEN;
+  });
+
+  it("skips ferry routes and applies the storm multiplier", async () => {
+    const fakeFetch = createFakeFetch({ "api.mapbox.com/directions": directions });
+    setFetchImplementation(fakeFetch);
+
+    const data = await fetchTravelData(origin, "West Village", "moderate", destination);
+
+    expect(fakeFetch.calls).toHaveLength(1);
+    expect(data).toMatchObject({
+      baseline_minutes: 42,
+      storm_minutes: 71,
+      distance_miles: 2.1,
+      distance_category: "short_transit",
+      ferry_only_route: false,
+      relevantLines: ["A", "C", "E"],
+    });
+    expect(data.route_steps[0]).toEqual({
+      instruction: "Walk east on West 33rd Street",
+      street: "West 33rd Street",
+      duration_sec: 240,
+    });
+  });
+
+  it("samples points along the route geometry for route weather", async () => {
+    const fakeFetch = createFakeFetch({ "api.mapbox.com/directions": directions });
+    setFetchImplementation(fakeFetch);
+
+    const data = await fetchTravelData(origin, "West Village", "moderate", destination);
+
+    expect(fakeFetch.calls[0].url).toContain("geometries=geojson");
+    expect(data.route_points).toHaveLength(3);
+    for (const point of data.route_points) {
+      expect(point.lat).toBeLessThan(origin.lat);
+      expect(point.lat).toBeGreaterThan(destination.lat);
+    }
+  });
+
+  it("flags trips where every route needs a ferry", async () => {
+    setFetchImplementation(createFakeFetch({ "api.mapbox.com/directions": { routes: [ferryRoute] } }));
+
+    const data = await fetchTravelData(origin, "Greenpoint", "none", destination);
+
+    expect(data.ferry_only_route).toBe(true);
+    expect(data.baseline_minutes).toBeNull();
+  });
+
+  it("geocodes the destination when no coordinates are given", async () => {
+    const fakeFetch = createFakeFetch({
+      "geocoding/v5": { features: [{ geometry: { coordinates: [destination.lng, destination.lat] } }] },
+      "api.mapbox.com/directions": directions,
+    });
+    setFetchImplementation(fakeFetch);
+
+    await fetchTravelData(origin, "West Village", "none");
+
+    expect(fakeFetch.calls[0].url).toContain("geocoding/v5/mapbox.places/West%20Village.json");
+    expect(fakeFetch.calls[1].url).toContain(`${destination.lng},${destination.lat}`);
+  });
+
+  it("returns null without a Mapbox token", async () => {
+    delete process.env.VITE_MAPBOX_TOKEN;
+    expect(await fetchTravelData(origin, "Anywhere", "none", destination)).toBeNull();
+  });
+});
@@ -0,0 +1,80 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  formatIn,
+  formatQuantity,
+  loadUnitPreference,
+  resolveUnitSystem,
+  saveUnitPreference,
+  toUnits,
+  weatherReadings,
+} from "../../src/api/units.js";
+import { buildWeather, emptyWeather } from "../../src/api/weather.js";
+import { loadFixture } from "../helpers/upstreams.js";
+
+const weather = buildWeather(loadFixture("openweather-current.json"), loadFixture("openweather-forecast.json"));
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe("toUnits", () => {
+  it("converts from the weather object's metric units", () => {
+    expect(toUnits(12, "speed", "imperial")).toEqual({ value: 27, unit: "mph" });
+    expect(toUnits(12, "speed", "metric")).toEqual({ value: 43, unit: "km/h" });
+    expect(toUnits(0.8, "visibility", "imperial")).toEqual({ value: 0.5, unit: "mi" });
+    expect(toUnits(-10, "temperature", "imperial")).toEqual({ value: 14, unit: "°F" });
+    expect(toUnits(-0.2, "temperature", "metric")).toEqual({ value: 0, unit: "°C" });
+    expect(toUnits(2.5, "distance", "metric")).toEqual({ value: 4, unit: "km" });
+    expect(toUnits(30.5, "depth", "imperial")).toEqual({ value: 12, unit: "in" });
+  });
+
+  it("keeps unknown values unknown and unknown systems imperial", () => {
+    expect(toUnits(null, "speed", "metric")).toBeNull();
+    expect(resolveUnitSystem("kelvin")).toBe("imperial");
+    expect(formatIn(12, "speed", undefined)).toBe("27 mph");
+  });
+});
+
+describe("formatQuantity", () => {
+  it("spaces units but not degrees", () => {
+    expect(formatQuantity({ value: 27, unit: "mph" })).toBe("27 mph");
+    expect(formatQuantity({ value: 14, unit: "°F" })).toBe("14°F");
+    expect(formatQuantity(null)).toBe("--");
+  });
+});
+
+describe("weatherReadings", () => {
+  it("tags every weather number with its unit", () => {
+    expect(weatherReadings(weather, "imperial", { distance_miles: 1.8 }, { snowDepthCm: 7.6 })).toEqual({
+      system: "imperial",
+      wind_speed: { value: 27, unit: "mph" },
+      wind_gusts: { value: 43, unit: "mph" },
+      visibility: { value: 0.5, unit: "mi" },
+      feels_like: { value: 14, unit: "°F" },
+      heat_index: null,
+      trip_distance: { value: 1.8, unit: "mi" },
+      snow_depth: { value: 3, unit: "in" },
+    });
+    expect(weatherReadings(emptyWeather(), "metric")).toEqual({
+      system: "metric",
+      wind_speed: null,
+      wind_gusts: null,
+      visibility: null,
+      feels_like: null,
+      heat_index: null,
+      trip_distance: null,
+      snow_depth: null,
+    });
+  });
+});
+
+describe("unit preference", () => {
+  it("remembers the choice in localStorage", () => {
+    const store = new Map();
+    vi.stubGlobal("localStorage", { getItem: (k) => store.get(k) ?? null, setItem: (k, v) => store.set(k, v) });
+
+    expect(loadUnitPreference()).toBe("imperial");
+    saveUnitPreference("metric");
+    expect(loadUnitPreference()).toBe("metric");
+  });
+});
@@ -0,0 +1,365 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { Response } from "node-fetch";
+import {
+  buildWeather,
+  combineRouteWeather,
+  emptyWeather,
+  fetchRouteWeather,
+  fetchWeather,
+  forecastSlotIndex,
+  mergeProviderWeather,
+  alertKind,
+  mapAlertSeverity,
+  mapIntensity,
+  processAlerts,
+  processNwsAlerts,
+  processFeelsLike,
+  processForecast,
+  precipitationLabel,
+  processPrecipitation,
+  processVisibility,
+  processWind,
+  routeWeatherPoints,
+} from "../../src/api/weather.js";
+import { setFetchImplementation } from "../../src/api/http.js";
+import { createFakeFetch, jsonResponse, loadFixture } from "../helpers/upstreams.js";
+
+const current = loadFixture("openweather-current.json");
+const forecast = loadFixture("openweather-forecast.json");
+const nwsAlerts = loadFixture("nws-alerts.json");
+const air = loadFixture("openweather-air-pollution.json");
+
+describe("processPrecipitation", () => {
+  it("classifies type and intensity from the 1h totals", () => {
+    expect(processPrecipitation(current)).toEqual({ type: "snow", intensity: "moderate" });
+    expect(processPrecipitation({ rain: { "1h": 12 } })).toEqual({ type: "rain", intensity: "heavy" });
+  });
+
+  it("takes ice from the condition code, even without a measurable amount", () => {
+    expect(processPrecipitation({ weather: [{ id: 511 }], rain: { "1h": 3 } })).toEqual({ type: "freezing_rain", intensity: "moderate" });
+    expect(processPrecipitation({ weather: [{ id: 611 }] })).toEqual({ type: "sleet", intensity: "light" });
+    expect(precipitationLabel({ type: "freezing_rain", intensity: "light" })).toBe("Light freezing rain");
+  });
+
+  it("returns null when nothing is falling", () => {
+    expect(processPrecipitation({ weather: [] })).toBeNull();
+    expect(processPrecipitation(null)).toBeNull();
+  });
+
+  it("buckets intensity at 2.5 and 10 mm/hr", () => {
+    expect(mapIntensity(1)).toBe("light");
+    expect(mapIntensity(2.5)).toBe("moderate");
+    expect(mapIntensity(10)).toBe("moderate");
+    expect(mapIntensity(10.1)).toBe("heavy");
+  });
+});
+
+describe("current condition normalizers", () => {
+  it("rounds wind speed and gusts", () => {
+    expect(processWind(current)).toEqual({ speed: 12, gusts: 19 });
+    expect(processWind({ wind: { speed: 0 } })).toBeNull();
+  });
+
+  it("converts visibility to km", () => {
+    expect(processVisibility(current)).toBe(0.8);
+    expect(processVisibility({})).toBeNull();
+  });
+
+  it("reads feels-like temperature from main", () => {
+    expect(processFeelsLike(current)).toBe(-10);
+    expect(processFeelsLike({ feels_like: -9.6 })).toBe(-10);
+    expect(processFeelsLike({})).toBeNull();
+  });
+});
+
+describe("processAlerts", () => {
+  it("maps alert events to severity", () => {
+    const alerts = processAlerts({
+      alerts: [{ event: "Winter Storm Warning" }, { event: "Wind Advisory" }, { event: "Special Statement" }],
+    });
+    expect(alerts).toEqual([
+      { title: "Winter Storm Warning", severity: "extreme" },
+      { title: "Wind Advisory", severity: "high" },
+      { title: "Special Statement", severity: "moderate" },
+    ]);
+  });
+
+  it("returns null without alerts", () => {
+    expect(processAlerts(current)).toBeNull();
+    expect(mapAlertSeverity({})).toBe("moderate");
+  });
+});
+
+describe("processNwsAlerts", () => {
+  const at = (iso) => Date.parse(iso) / 1000;
+
+  it("keeps alerts in effect at the moment, most severe first", () => {
+    const alerts = processNwsAlerts(nwsAlerts, at("2025-01-21T22:53:20Z"));
+    expect(alerts.map((a) => [a.title, a.severity, a.kind])).toEqual([
+      ["Winter Storm Warning", "high", "warning"],
+      ["Special Weather Statement", "moderate", "statement"],
+    ]);
+    // No ends: the statement runs until it expires
+    expect(alerts[1].expires).toBe("2025-01-21T18:30:00-05:00");
+  });
+
+  it("skips cancelled alerts and ones that haven't started or have ended", () => {
+    expect(processNwsAlerts(nwsAlerts, at("2025-01-22T07:00:00Z")).map((a) => a.title)).toEqual(["Wind Advisory"]);
+    expect(processNwsAlerts(nwsAlerts, at("2025-01-22T12:00:00Z"))).toBeNull();
+    expect(processNwsAlerts({ features: [] }, 0)).toBeNull();
+  });
+
+  it("replaces OpenWeather's alerts in buildWeather", () => {
+    const weather = buildWeather(current, forecast, "2025-01-22T02:00:00Z", nwsAlerts);
+    expect(weather.alerts.map((a) => a.title)).toEqual(["Winter Storm Warning", "Wind Advisory"]);
+    expect(buildWeather({ ...current, alerts: [{ event: "Flood Watch" }] }, forecast).alerts).toEqual([
+      { title: "Flood Watch", severity: "extreme" },
+    ]);
+  });
+
+  it("tells warnings, watches and advisories apart", () => {
+    expect(["Blizzard Warning", "Winter Storm Watch", "Wind Advisory", "Special Weather Statement"].map(alertKind)).toEqual([
+      "warning",
+      "watch",
+      "advisory",
+      "statement",
+    ]);
+  });
+});
+
+describe("processForecast", () => {
+  it("detects a worsening trend from the next 3h slot", () => {
+    expect(processForecast(current, forecast)).toEqual({ trend: "worsening", precipExpected: true });
+  });
+
+  it("detects an improving trend", () => {
+    const drying = { list: [{ rain: { "3h": 0 } }] };
+    expect(processForecast({ rain: { "1h": 4 } }, drying)).toEqual({ trend: "improving", precipExpected: false });
+  });
+
+  it("returns null without forecast data", () => {
+    expect(processForecast(current, null)).toBeNull();
+    expect(processForecast(current, { list: [] })).toBeNull();
+  });
+});
+
+describe("buildWeather", () => {
+  it("combines current conditions and forecast", () => {
+    expect(buildWeather(current, forecast)).toEqual({
+      precipitation: { type: "snow", intensity: "moderate" },
+      wind: { speed: 12, gusts: 19 },
+      visibility: 0.8,
+      feelsLike: -10,
+      alerts: null,
+      thunderstorm: null,
+      heatIndex: null,
+      airQuality: null,
+      forecast3hr: { trend: "worsening", precipExpected: true },
+      period: { source: "current", from: "2025-01-21T22:53:20.000Z", to: "2025-01-21T22:53:20.000Z" },
+    });
+  });
+
+  it("reads air quality for the same hour", () => {
+    expect(buildWeather(current, forecast, null, null, air).airQuality).toEqual({ aqi: 41, category: "good", pm25: 7.4, smoke: false });
+    expect(buildWeather(current, forecast, "2025-01-22T02:30:00Z", null, air).airQuality.pm25).toBe(4.9);
+  });
+
+  it("keeps current conditions without a forecast", () => {
+    const weather = buildWeather(current, null);
+    expect(weather.wind).toEqual({ speed: 12, gusts: 19 });
+    expect(weather.forecast3hr).toBeNull();
+  });
+});
+
+describe("departure-time weather", () => {
+  // current conditions were observed at 1737500000 (22:53 UTC); forecast slots end at 00:00, 03:00, 06:00
+  it("reads the forecast slot covering a later departure", () => {
+    const weather = buildWeather(current, forecast, "2025-01-22T01:00:00Z");
+
+    expect(weather).toMatchObject({
+      precipitation: { type: "snow", intensity: "light" },
+      wind: { speed: 10, gusts: 17 },
+      visibility: 2,
+      feelsLike: -11,
+      forecast3hr: { trend: "improving", precipExpected: false },
+      period: { source: "forecast", from: "2025-01-22T00:00:00.000Z", to: "2025-01-22T03:00:00.000Z" },
+    });
+  });
+
+  it("sticks with current conditions for departures within the hour", () => {
+    expect(buildWeather(current, forecast, "2025-01-21T23:30:00Z").period.source).toBe("current");
+    expect(buildWeather(current, null, "2025-01-22T01:00:00Z").period.source).toBe("current");
+  });
+
+  it("uses the last slot past the end of the forecast", () => {
+    expect(forecastSlotIndex(forecast.list, 1737600000)).toBe(2);
+    expect(forecastSlotIndex([], 1737600000)).toBe(-1);
+  });
+});
+
+describe("mergeProviderWeather", () => {
+  const openWeather = { source: "openweather", weather: buildWeather(current, forecast) };
+
+  it("takes each field from the first provider that supplies it", () => {
+    // An OpenWeather answer without the air-pollution call, so the field is missing rather than null
+    const { airQuality, ...withoutAir } = openWeather.weather;
+    expect(airQuality).toBeNull();
+    const merged = mergeProviderWeather([
+      { source: "openweather", weather: withoutAir },
+      { source: "open-meteo", weather: { wind: { speed: 3, gusts: null }, airQuality: { aqi: 34 } } },
+    ]);
+    expect(merged.wind).toEqual({ speed: 12, gusts: 19 });
+    expect(merged.airQuality).toEqual({ aqi: 34 });
+    expect(merged.sources).toMatchObject({ wind: "openweather", airQuality: "open-meteo", alerts: "openweather" });
+    expect(merged.period).toEqual(openWeather.weather.period);
+  });
+
+  it("uses NWS alerts when they were fetched", () => {
+    const merged = mergeProviderWeather([openWeather], "2025-01-22T07:00:00Z", nwsAlerts);
+    expect(merged.alerts.map((a) => a.title)).toEqual(["Wind Advisory"]);
+    expect(merged.sources.alerts).toBe("nws");
+  });
+
+  it("marks fields no provider supplied", () => {
+    const merged = mergeProviderWeather([{ source: "nws", weather: { wind: null } }]);
+    expect(merged.wind).toBeNull();
+    expect(merged.sources.wind).toBe("nws");
+    expect(merged.airQuality).toBeNull();
+    expect(merged.sources.airQuality).toBeNull();
+  });
+});
+
+describe("fetchWeather", () => {
+  afterEach(() => {
+    setFetchImplementation(null);
+  });
+
+  it("asks the StormSafe server, never OpenWeather", async () => {
+    const weather = buildWeather(current, forecast);
+    const fakeFetch = createFakeFetch({ "/api/weather": weather });
+    setFetchImplementation(fakeFetch);
+
+    expect(await fetchWeather(40.75, -73.99)).toEqual(weather);
+    expect(fakeFetch.calls.map((c) => c.url)).toEqual(["/api/weather?lat=40.75&lng=-73.99"]);
+  });
+
+  it("returns an all-null object when the server fails", async () => {
+    setFetchImplementation(createFakeFetch({ "/api/weather": () => jsonResponse({ error: "boom" }, 502) }));
+    expect(await fetchWeather(40.75, -73.99)).toEqual(emptyWeather());
+  });
+
+  it("surfaces rate limiting", async () => {
+    setFetchImplementation(
+      createFakeFetch({
+        "/api/weather": () =>
+          new Response("{}", { status: 429, headers: { "Retry-After": "30" } }),
+      })
+    );
+    await expect(fetchWeather(40.75, -73.99)).rejects.toMatchObject({
+      name: "RateLimitedError",
+      retryAfterSeconds: 30,
+    });
+  });
+});
+
+describe("route weather", () => {
+  const origin = { lat: 40.75, lng: -73.99 };
+  const destination = { lat: 40.58, lng: -73.82 };
+
+  const clear = { ...emptyWeather(), wind: { speed: 4, gusts: null }, visibility: 10, feelsLike: 2, forecast3hr: { trend: "steady", precipExpected: false } };
+  const stormy = {
+    precipitation: { type: "snow", intensity: "heavy" },
+    wind: { speed: 14, gusts: 22 },
+    visibility: 0.4,
+    feelsLike: -9,
+    alerts: [{ title: "Winter Storm Warning", severity: "extreme" }],
+    forecast3hr: { trend: "worsening", precipExpected: true },
+  };
+
+  afterEach(() => {
+    setFetchImplementation(null);
+  });
+
+  it("samples origin, the route and destination in order", () => {
+    const points = routeWeatherPoints(origin, destination, { route_points: [{ lat: 40.7, lng: -73.9 }] });
+    expect(points.map((p) => p.where)).toEqual(["origin", "en route", "destination"]);
+    expect(routeWeatherPoints(origin, destination, null)).toHaveLength(2);
+  });
+
+  it("keeps the worst of each condition and where it occurs", () => {
+    const combined = combineRouteWeather([
+      { where: "origin", ...origin, weather: clear },
+      { where: "destination", ...destination, weather: stormy },
+    ]);
+
+    expect(combined).toMatchObject({
+      precipitation: { type: "snow", intensity: "heavy" },
+      wind: { speed: 14, gusts: 22 },
+      visibility: 0.4,
+      feelsLike: -9,
+      alerts: [{ title: "Winter Storm Warning", severity: "extreme" }],
+      forecast3hr: { trend: "worsening", precipExpected: true },
+    });
+    expect(combined.route).toEqual({
+      sampled: 2,
+      worst: {
+        precipitation: { where: "destination", ...destination },
+        wind: { where: "destination", ...destination },
+        visibility: { where: "destination", ...destination },
+        feelsLike: { where: "destination", ...destination },
+        alerts: { where: "destination", ...destination },
+        thunderstorm: null,
+        heatIndex: null,
+        airQuality: null,
+      },
+    });
+  });
+
+  it("says where each condition came from at its worst point", () => {
+    const combined = combineRouteWeather([
+      { where: "origin", ...origin, weather: { ...clear, sources: { wind: "openweather", visibility: "openweather" } } },
+      { where: "destination", ...destination, weather: { ...stormy, sources: { wind: "nws", visibility: "nws" } } },
+    ]);
+    expect(combined.sources).toMatchObject({ wind: "nws", visibility: "nws", heatIndex: null });
+    expect(combineRouteWeather([{ where: "origin", ...origin, weather: clear }]).sources).toBeNull();
+  });
+
+  it("counts heat as well as cold", () => {
+    const combined = combineRouteWeather([
+      { where: "origin", ...origin, weather: { ...clear, feelsLike: 12 } },
+      { where: "destination", ...destination, weather: { ...clear, feelsLike: 38 } },
+    ]);
+    expect(combined.feelsLike).toBe(38);
+    expect(combined.precipitation).toBeNull();
+    expect(combined.route.worst.precipitation).toBeNull();
+  });
+
+  it("keeps the worst of the newer hazards too", () => {
+    const combined = combineRouteWeather([
+      { where: "origin", ...origin, weather: { ...clear, precipitation: { type: "snow", intensity: "light" } } },
+      {
+        where: "en route",
+        lat: 40.7,
+        lng: -73.9,
+        weather: { ...clear, precipitation: { type: "sleet", intensity: "light" }, thunderstorm: { intensity: "light" }, airQuality: { aqi: 160 } },
+      },
+      { where: "destination", ...destination, weather: { ...clear, heatIndex: 33, airQuality: { aqi: 40 } } },
+    ]);
+    expect(combined).toMatchObject({
+      precipitation: { type: "sleet", intensity: "light" },
+      thunderstorm: { intensity: "light" },
+      heatIndex: 33,
+      airQuality: { aqi: 160 },
+    });
+    expect(combined.route.worst.airQuality.where).toBe("en route");
+    expect(combined.route.worst.heatIndex.where).toBe("destination");
+  });
+
+  it("asks the server for every point in one request", async () => {
+    const fakeFetch = createFakeFetch({ "/api/weather/route": stormy });
+    setFetchImplementation(fakeFetch);
+
+    expect(await fetchRouteWeather(routeWeatherPoints(origin, destination, null))).toEqual(stormy);
+    expect(fakeFetch.calls.map((c) => c.url)).toEqual(["/api/weather/route?points=40.75,-73.99;40.58,-73.82"]);
+  });
+});
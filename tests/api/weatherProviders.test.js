@@ -0,0 +1,77 @@
+import { describe, expect, it } from "vitest";
+import {
+  buildNwsGridpointWeather,
+  buildOpenMeteoWeather,
+  durationSeconds,
+  gridpointValueAt,
+} from "../../src/api/weatherProviders.js";
+import { loadFixture } from "../helpers/upstreams.js";
+
+const gridpoint = loadFixture("nws-gridpoint.json");
+const openMeteo = loadFixture("open-meteo-forecast.json");
+const openMeteoAir = loadFixture("open-meteo-air-quality.json");
+
+describe("NWS gridpoint forecast", () => {
+  it("reads ISO 8601 durations and the interval covering a moment", () => {
+    expect(["PT3H", "P1DT6H", "PT45M", "bogus"].map(durationSeconds)).toEqual([10800, 108000, 2700, 0]);
+    expect(gridpointValueAt(gridpoint.properties.windSpeed, Date.parse("2025-01-22T05:59:00Z") / 1000)).toBe(35.2);
+    expect(gridpointValueAt(gridpoint.properties.windSpeed, Date.parse("2025-01-23T00:00:00Z") / 1000)).toBeUndefined();
+  });
+
+  it("normalizes the hour covering departure into the weather object", () => {
+    expect(buildNwsGridpointWeather(gridpoint, "2025-01-21T22:53:20Z")).toEqual({
+      precipitation: { type: "snow", intensity: "moderate" },
+      wind: { speed: 12, gusts: 19 },
+      visibility: 0.8,
+      feelsLike: -11,
+      thunderstorm: null,
+      heatIndex: null,
+      forecast3hr: { trend: "improving", precipExpected: true },
+      period: { source: "forecast", from: "2025-01-21T22:00:00.000Z", to: "2025-01-21T23:00:00.000Z" },
+    });
+  });
+
+  it("ignores precipitation only given a chance", () => {
+    // 02:00 has likely snow and a chance of freezing rain
+    expect(buildNwsGridpointWeather(gridpoint, "2025-01-22T02:00:00Z").precipitation).toEqual({ type: "snow", intensity: "light" });
+    expect(buildNwsGridpointWeather(gridpoint, "2025-01-22T08:00:00Z").precipitation).toBeNull();
+  });
+
+  it("picks up thunderstorms", () => {
+    const stormy = {
+      properties: {
+        weather: {
+          values: [{ validTime: "2025-07-01T20:00:00+00:00/PT2H", value: [{ coverage: "likely", weather: "thunderstorms", intensity: null }] }],
+        },
+      },
+    };
+    expect(buildNwsGridpointWeather(stormy, "2025-07-01T21:00:00Z").thunderstorm).toEqual({ intensity: "moderate" });
+  });
+});
+
+describe("Open-Meteo", () => {
+  it("normalizes the hour covering departure, with air quality", () => {
+    expect(buildOpenMeteoWeather(openMeteo, openMeteoAir, "2025-01-21T22:53:20Z")).toEqual({
+      precipitation: { type: "snow", intensity: "moderate" },
+      wind: { speed: 12, gusts: 19 },
+      visibility: 0.9,
+      feelsLike: -10,
+      thunderstorm: null,
+      heatIndex: null,
+      airQuality: { aqi: 34, category: "good", pm25: 6.1, smoke: false },
+      forecast3hr: { trend: "steady", precipExpected: true },
+      period: { source: "forecast", from: "2025-01-21T22:00:00.000Z", to: "2025-01-21T23:00:00.000Z" },
+    });
+  });
+
+  it("maps WMO codes to ice and thunderstorms", () => {
+    const hour = (code, precipitation) => ({ hourly: { time: [1737496800], weather_code: [code], precipitation: [precipitation] } });
+    expect(buildOpenMeteoWeather(hour(66, 0), null, "2025-01-21T22:10:00Z").precipitation).toEqual({ type: "freezing_rain", intensity: "light" });
+    expect(buildOpenMeteoWeather(hour(99, 12), null, "2025-01-21T22:10:00Z").thunderstorm).toEqual({ intensity: "heavy" });
+  });
+
+  it("leaves out air quality without air data, and everything without a forecast", () => {
+    expect(buildOpenMeteoWeather(openMeteo, null, "2025-01-21T22:53:20Z")).not.toHaveProperty("airQuality");
+    expect(buildOpenMeteoWeather(null)).toEqual({});
+  });
+});
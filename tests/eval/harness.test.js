@@ -0,0 +1,116 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { afterEach, describe, expect, it } from "vitest";
+import {
+  createStubModel,
+  loadScenarios,
+  mentionedLines,
+  runEvaluation,
+  runScenario,
+  scoreRecommendation,
+} from "../../eval/harness.js";
+import { setFetchImplementation } from "../../src/api/http.js";
+import { createFakeFetch, jsonResponse } from "../helpers/upstreams.js";
+
+const SCENARIOS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "..", "eval", "scenarios");
+
+const scenarios = loadScenarios(SCENARIOS_DIR);
+const byFile = (file) => scenarios.find((s) => s.file === file);
+
+function claudeSays(recommendation) {
+  return createFakeFetch({
+    "api.anthropic.com": () => jsonResponse({ content: [{ type: "text", text: JSON.stringify(recommendation) }] }),
+  });
+}
+
+const failed = (checks) => checks.filter((c) => !c.passed).map((c) => c.check);
+
+afterEach(() => {
+  setFetchImplementation(globalThis.fetch);
+});
+
+describe("mentionedLines", () => {
+  it("finds lines however the response names them", () => {
+    expect(mentionedLines('A train: "[A][C] trains are delayed" — check the 4, or the N/Q line')).toEqual(
+      expect.arrayContaining(["A", "C", "4", "N", "Q"])
+    );
+  });
+
+  it("does not mistake numbers and articles for lines", () => {
+    expect(mentionedLines("Give it the 2 hours. A quick walk, the 5 mph wind is fine")).toEqual([]);
+  });
+});
+
+describe("scoreRecommendation", () => {
+  const signal = byFile("signal-delays-in-snow.json");
+
+  it("passes a response that quotes the alert and stays on the route", () => {
+    const checks = scoreRecommendation(signal, {
+      verdict: "Wait it out",
+      reasons: ["A train: 'signal problems at Jay St-MetroTech' — your main line", "Moderate snow"],
+      return_risk: "high",
+      best_route_advice: "Take the A/C if it's moving by 10pm.",
+      summary: "Give it an hour.",
+    });
+    expect(failed(checks)).toEqual([]);
+  });
+
+  it("fails verdicts out of range, missing quotes, banned modes and stray lines", () => {
+    const checks = scoreRecommendation(signal, {
+      verdict: "Go for it",
+      reasons: ["Some delays on your line", "Grab the ferry instead"],
+      return_risk: "low",
+      best_route_advice: "Take the F train instead.",
+      summary: "Go!",
+    });
+    expect(failed(checks)).toEqual(["verdict", "quote", "forbidden_modes", "relevant_lines"]);
+  });
+
+  it("holds walkable trips to no transit at all", () => {
+    const checks = scoreRecommendation(byFile("walkable-light-rain.json"), {
+      verdict: "Go for it",
+      reasons: ["Light rain", "The A train is delayed but you won't need the subway"],
+      return_risk: "low",
+      best_route_advice: "Short walk — dress for the weather.",
+      summary: "Go.",
+    });
+    expect(failed(checks)).toEqual(["relevant_lines", "walkable_no_transit"]);
+  });
+});
+
+describe("runScenario", () => {
+  it("runs the payload through the server prompt", async () => {
+    const fakeFetch = claudeSays({
+      verdict: "Stay in tonight",
+      reasons: ["MTA services are suspended", "Heavy snow"],
+      return_risk: "high",
+      best_route_advice: null,
+      summary: "Order in.",
+    });
+    setFetchImplementation(fakeFetch);
+
+    const result = await runScenario(byFile("transit-suspended-ban.json"));
+
+    const body = JSON.parse(fakeFetch.calls[0].init.body);
+    expect(body.messages[0].content).toContain("FULL TRAVEL CONTEXT:");
+    expect(result).toMatchObject({ passed: true, rulesVerdict: "Stay in tonight", steps: 0 });
+  });
+
+  it("fails the scenario when the output cannot be parsed", async () => {
+    setFetchImplementation(
+      createFakeFetch({ "api.anthropic.com": () => jsonResponse({ content: [{ type: "text", text: "Sure! Here's" }] }) })
+    );
+    const result = await runScenario(byFile("clear-night.json"));
+    expect(result.passed).toBe(false);
+    expect(result.error).toBeTruthy();
+  });
+});
+
+describe("the scenario library", () => {
+  it("passes every scenario with the rules-engine stub", async () => {
+    setFetchImplementation(createStubModel());
+    const evaluation = await runEvaluation(scenarios);
+    expect(evaluation.results.filter((r) => !r.passed).map((r) => r.file)).toEqual([]);
+    expect(evaluation.passed).toBe(scenarios.length);
+  });
+});
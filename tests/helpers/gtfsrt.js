@@ -0,0 +1,90 @@
+// Test helper — encode GTFS-RT JSON (as in tests/fixtures/mta-alerts.json) back to protobuf,
+// Mercury extensions included, so the decoder can be tested against the JSON fixtures
+
+import GtfsRealtimeBindings from "gtfs-realtime-bindings";
+import protobuf from "protobufjs/minimal.js";
+import { MERCURY_KEYS } from "../../server/gtfsrt.js";
+
+const { transit_realtime: rt } = GtfsRealtimeBindings;
+
+const camelCase = (key) => key.replace(/_([a-z])/g, (_m, c) => c.toUpperCase());
+
+function camelKeys(value) {
+  if (Array.isArray(value)) return value.map(camelKeys);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([k]) => !k.startsWith("transit_realtime."))
+        .map(([k, v]) => [camelCase(k), camelKeys(v)])
+    );
+  }
+  return value;
+}
+
+function encodeStandard(type, json) {
+  return type.encode(type.fromObject(camelKeys(json))).finish();
+}
+
+function concat(...parts) {
+  return Buffer.concat(parts.map((p) => Buffer.from(p)));
+}
+
+// One length-delimited field
+function field(number, bytes) {
+  return protobuf.Writer.create().uint32((number << 3) | 2).bytes(bytes).finish();
+}
+
+function mercuryExtension(bytes) {
+  return field(1001, bytes);
+}
+
+function encodeMercuryAlert(ext) {
+  const w = protobuf.Writer.create();
+  if (ext.created_at != null) w.uint32(8).uint64(ext.created_at);
+  if (ext.updated_at != null) w.uint32(16).uint64(ext.updated_at);
+  if (ext.alert_type != null) w.uint32(26).string(ext.alert_type);
+  if (ext.display_before_active != null) w.uint32(56).uint64(ext.display_before_active);
+  if (ext.human_readable_active_period) {
+    w.uint32(66).bytes(encodeStandard(rt.TranslatedString, ext.human_readable_active_period));
+  }
+  return w.finish();
+}
+
+function encodeSelector(selector) {
+  const ext = selector[MERCURY_KEYS.entitySelector];
+  return concat(
+    encodeStandard(rt.EntitySelector, selector),
+    ext ? mercuryExtension(protobuf.Writer.create().uint32(10).string(ext.sort_order).finish()) : []
+  );
+}
+
+function encodeAlert(alert) {
+  const { informed_entity: informed = [], ...rest } = alert;
+  const ext = alert[MERCURY_KEYS.alert];
+  return concat(
+    encodeStandard(rt.Alert, rest),
+    ...informed.map((selector) => field(5, encodeSelector(selector))),
+    ext ? mercuryExtension(encodeMercuryAlert(ext)) : []
+  );
+}
+
+function encodeEntity(entity) {
+  const { alert, ...rest } = entity;
+  return concat(encodeStandard(rt.FeedEntity, rest), alert ? field(5, encodeAlert(alert)) : []);
+}
+
+/**
+ * Encode a GTFS-RT JSON feed as a protobuf FeedMessage
+ * @param {Object} json - { header, entity }
+ * @returns {Buffer}
+ */
+export function encodeAlertFeed(json) {
+  const headerExt = json.header[MERCURY_KEYS.feedHeader];
+  const header = concat(
+    encodeStandard(rt.FeedHeader, json.header),
+    headerExt
+      ? mercuryExtension(protobuf.Writer.create().uint32(10).string(headerExt.mercury_version).finish())
+      : []
+  );
+  return concat(field(1, header), ...(json.entity ?? []).map((entity) => field(2, encodeEntity(entity))));
+}
@@ -0,0 +1,48 @@
+// Test helpers — fixture feeds and a fake fetch that stands in for every upstream
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { Response } from "node-fetch";
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures");
+
+/**
+ * Load a JSON fixture from tests/fixtures
+ * @param {string} name - File name, e.g. "mta-alerts.json"
+ */
+export function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), "utf8"));
+}
+
+/**
+ * Build a JSON fetch Response
+ */
+export function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "content-type": "application/json" },
+  });
+}
+
+/**
+ * Create a fetch stand-in that answers by URL substring
+ * Unmatched URLs reject, so a test never silently reaches the network.
+ * @param {Object} routes - { "substring of url": body | (url, init) => Response }
+ * @returns {Function} fetch with a `calls` array of { url, init }
+ */
+export function createFakeFetch(routes) {
+  const calls = [];
+
+  async function fakeFetch(url, init = {}) {
+    calls.push({ url, init });
+    const match = Object.keys(routes).find((fragment) => url.includes(fragment));
+    if (!match) throw new Error(`Unexpected fetch in test: ${url}`);
+
+    const handler = routes[match];
+    return typeof handler === "function" ? handler(url, init) : jsonResponse(handler);
+  }
+
+  fakeFetch.calls = calls;
+  return fakeFetch;
+}
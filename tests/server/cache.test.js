@@ -0,0 +1,80 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { createSwrCache } from "../../server/cache.js";
+import { setClock } from "../../src/api/clock.js";
+
+const POLICY = { ttlMs: 10, staleWhileRevalidateMs: 20, staleIfErrorMs: 100 };
+
+function setup() {
+  const clock = { t: 0 };
+  const cache = createSwrCache({ now: () => clock.t });
+  let calls = 0;
+  const fetcher = async () => ++calls;
+  const failing = async () => {
+    throw new Error("upstream down");
+  };
+  return { clock, cache, fetcher, failing, calls: () => calls };
+}
+
+describe("createSwrCache", () => {
+  it("fetches on a miss and serves fresh hits from memory", async () => {
+    const { clock, cache, fetcher, calls } = setup();
+
+    expect(await cache.get("k", fetcher, POLICY)).toMatchObject({ data: 1, status: "miss" });
+    clock.t = 5;
+    expect(await cache.get("k", fetcher, POLICY)).toMatchObject({ data: 1, status: "fresh" });
+    expect(calls()).toBe(1);
+  });
+
+  it("serves stale data while revalidating in the background", async () => {
+    const { clock, cache, fetcher } = setup();
+    await cache.get("k", fetcher, POLICY);
+
+    clock.t = 15;
+    expect(await cache.get("k", fetcher, POLICY)).toMatchObject({ data: 1, status: "stale" });
+
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(await cache.get("k", fetcher, POLICY)).toMatchObject({ data: 2, status: "fresh" });
+  });
+
+  it("serves the last good copy when the upstream fails", async () => {
+    const { clock, cache, fetcher, failing } = setup();
+    await cache.get("k", fetcher, POLICY);
+
+    clock.t = 60;
+    expect(await cache.get("k", failing, POLICY)).toMatchObject({ data: 1, status: "stale-if-error", fetchedAt: 0 });
+  });
+
+  it("gives up once the stale-if-error window has passed", async () => {
+    const { clock, cache, fetcher, failing } = setup();
+    await cache.get("k", fetcher, POLICY);
+
+    clock.t = 500;
+    await expect(cache.get("k", failing, POLICY)).rejects.toThrow("upstream down");
+  });
+
+  it("dedupes concurrent misses", async () => {
+    const { cache, fetcher, calls } = setup();
+    await Promise.all([cache.get("k", fetcher, POLICY), cache.get("k", fetcher, POLICY)]);
+    expect(calls()).toBe(1);
+  });
+
+  it("evicts the oldest entry over capacity", async () => {
+    const cache = createSwrCache({ maxEntries: 2 });
+    for (const key of ["a", "b", "c"]) await cache.get(key, async () => key, POLICY);
+    expect(cache.size()).toBe(2);
+  });
+
+  describe("on the replayable clock", () => {
+    afterEach(() => setClock(null));
+
+    it("ages entries by the pinned time, not the wall clock", async () => {
+      const clock = { t: 1737500000 * 1000 };
+      setClock(() => clock.t);
+      const cache = createSwrCache();
+
+      expect(await cache.get("k", async () => 1, POLICY)).toMatchObject({ status: "miss", fetchedAt: clock.t });
+      clock.t += 5;
+      expect(await cache.get("k", async () => 2, POLICY)).toMatchObject({ data: 1, status: "fresh" });
+    });
+  });
+});
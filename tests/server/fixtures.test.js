@@ -0,0 +1,89 @@
+import { afterEach, describe, expect, it } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Response } from "node-fetch";
+import {
+  MissingFixtureError,
+  createFixtureFetch,
+  fixturePath,
+  redactUrl,
+  replayTime,
+  sourceForUrl,
+} from "../../server/fixtures.js";
+
+const WEATHER_URL = "https://api.openweathermap.org/data/2.5/weather?lat=40.75&lon=-73.99&appid=SECRET&units=metric";
+
+describe("fixture naming", () => {
+  it("strips credentials from URLs", () => {
+    expect(redactUrl(WEATHER_URL)).toBe("https://api.openweathermap.org/data/2.5/weather?lat=40.75&lon=-73.99&units=metric");
+    expect(redactUrl("https://api.mapbox.com/directions/v5/x?steps=true&access_token=pk.abc")).not.toMatch(/pk\.abc/);
+  });
+
+  it("groups fixtures by upstream", () => {
+    expect(sourceForUrl(WEATHER_URL)).toBe("openweather");
+    expect(sourceForUrl("https://api.anthropic.com/v1/messages")).toBe("anthropic");
+    expect(sourceForUrl("https://data.ny.gov/resource/39hk-dx4f.json?$limit=2000")).toBe("mta");
+  });
+
+  it("leaves timestamps in the body out of the hash", () => {
+    const url = "https://api.anthropic.com/v1/messages";
+    const body = (at) => JSON.stringify({ messages: [{ content: `"departure_time": { "at": "${at}" }` }] });
+    expect(fixturePath("f", "POST", url, body("2025-01-21T22:53:20.000Z"))).toBe(
+      fixturePath("f", "POST", url, body("2026-10-19T08:01:02.345Z"))
+    );
+    expect(fixturePath("f", "POST", url, body("2025-01-21T22:53:20.000Z"))).not.toBe(fixturePath("f", "POST", url, "{}"));
+  });
+});
+
+describe("createFixtureFetch", () => {
+  let dir;
+
+  afterEach(() => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    delete process.env.STORMSAFE_FIXTURES_NOW;
+  });
+
+  it("records a response and replays it without the network or the key", async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "stormsafe-fixtures-"));
+    const upstream = async () =>
+      new Response(JSON.stringify({ wind: { speed: 12 } }), {
+        status: 200,
+        headers: { "content-type": "application/json" },
+      });
+
+    const record = createFixtureFetch(upstream, { mode: "record", dir });
+    await record(WEATHER_URL);
+
+    const [file] = fs.readdirSync(path.join(dir, "openweather"));
+    const saved = fs.readFileSync(path.join(dir, "openweather", file), "utf8");
+    expect(saved).not.toMatch(/SECRET/);
+
+    const replay = createFixtureFetch(null, { mode: "replay", dir });
+    const res = await replay(WEATHER_URL.replace("SECRET", "some-other-key"));
+    expect(res.status).toBe(200);
+    expect(await res.json()).toEqual({ wind: { speed: 12 } });
+  });
+
+  it("replays at the time the recording started, unless told otherwise", async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "stormsafe-fixtures-"));
+    expect(replayTime(dir)).toBeNull();
+
+    const upstream = async () => new Response("{}", { status: 200, headers: { "content-type": "application/json" } });
+    const before = Date.now();
+    await createFixtureFetch(upstream, { mode: "record", dir })(WEATHER_URL);
+    expect(replayTime(dir)).toBeGreaterThanOrEqual(before - 1000);
+
+    process.env.STORMSAFE_FIXTURES_NOW = "2025-01-21T22:53:20Z";
+    expect(replayTime(dir)).toBe(1737500000 * 1000);
+
+    process.env.STORMSAFE_FIXTURES_NOW = "last tuesday";
+    expect(() => replayTime(dir)).toThrow(/STORMSAFE_FIXTURES_NOW/);
+  });
+
+  it("fails loudly when replaying an unrecorded request", async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "stormsafe-fixtures-"));
+    const replay = createFixtureFetch(null, { mode: "replay", dir });
+    await expect(replay("https://api.mapbox.com/directions/v5/nowhere")).rejects.toThrow(MissingFixtureError);
+  });
+});
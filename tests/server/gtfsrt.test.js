@@ -0,0 +1,56 @@
+import { describe, expect, it } from "vitest";
+import { decodeAlertFeed, decodeTripUpdateFeed } from "../../server/gtfsrt.js";
+import { processMtaJson } from "../../src/api/transitStatus.js";
+import { loadFixture } from "../helpers/upstreams.js";
+import { encodeAlertFeed } from "../helpers/gtfsrt.js";
+
+const fixture = loadFixture("mta-alerts.json");
+
+describe("decodeAlertFeed", () => {
+  it("decodes protobuf into the same JSON the mirror serves", () => {
+    expect(decodeAlertFeed(encodeAlertFeed(fixture))).toEqual(fixture);
+  });
+
+  it("keeps the Mercury alert and entity-selector extensions", () => {
+    const feed = decodeAlertFeed(encodeAlertFeed(fixture));
+    const planned = feed.entity.find((e) => e.id === "lmm:planned_work:900").alert;
+
+    expect(feed.header["transit_realtime.mercury_feed_header"]).toEqual({ mercury_version: "1.0" });
+    expect(planned["transit_realtime.mercury_alert"]).toMatchObject({
+      alert_type: "Part Suspended",
+      display_before_active: 604800,
+    });
+    expect(feed.entity[0].alert.informed_entity[1]["transit_realtime.mercury_entity_selector"]).toEqual({
+      sort_order: "MTASBWY:C:20",
+    });
+  });
+
+  it("feeds processMtaJson exactly like the JSON feed", () => {
+    const decoded = decodeAlertFeed(encodeAlertFeed(fixture));
+    expect(processMtaJson(decoded)).toEqual(processMtaJson(fixture));
+  });
+
+  it("decodes a feed without extensions or entities", () => {
+    const bare = { header: { gtfs_realtime_version: "2.0", timestamp: 1737500000 } };
+    expect(decodeAlertFeed(encodeAlertFeed(bare))).toEqual({ ...bare, entity: [] });
+  });
+
+  it("rejects bytes that are not a FeedMessage", () => {
+    expect(() => decodeAlertFeed(Buffer.from("<html>maintenance</html>"))).toThrow(
+      expect.objectContaining({ name: "UpstreamError", status: 502 })
+    );
+  });
+});
+
+describe("decodeTripUpdateFeed", () => {
+  it("decodes trip updates into GTFS-RT JSON", () => {
+    const trips = loadFixture("mta-trip-updates.json");
+    expect(decodeTripUpdateFeed(encodeAlertFeed(trips))).toEqual(trips);
+  });
+
+  it("rejects bytes that are not a FeedMessage", () => {
+    expect(() => decodeTripUpdateFeed(Buffer.from("<html>maintenance</html>"))).toThrow(
+      expect.objectContaining({ name: "UpstreamError", status: 502 })
+    );
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, expect, it } from "vitest";
+import express from "express";
+import request from "supertest";
+import { Response } from "node-fetch";
+import {
+  createLogger,
+  redact,
+  redactString,
+  requestLogging,
+  withUpstreamLogging,
+} from "../../server/logger.js";
+import { sourceForUrl } from "../../server/fixtures.js";
+
+function captureLogger(level = "debug") {
+  const lines = [];
+  const log = createLogger({ level, write: (_level, line) => lines.push(JSON.parse(line)) });
+  return { log, lines };
+}
+
+describe("redaction", () => {
+  it("strips credential query params and key-shaped strings", () => {
+    expect(redactString("https://api.openweathermap.org/x?lat=1&appid=abc123&units=metric"))
+      .toBe("https://api.openweathermap.org/x?lat=1&appid=[REDACTED]&units=metric");
+    expect(redactString("token pk.eyJ1Ijoi.abc and sk-ant-api03-xyz")).toBe("token [REDACTED] and [REDACTED]");
+  });
+
+  it("redacts secret-looking fields and serializes errors", () => {
+    const out = redact({
+      apiKey: "k",
+      headers: { authorization: "Bearer x", accept: "application/json" },
+      error: new Error("failed ?access_token=pk.abc"),
+    });
+    expect(out.apiKey).toBe("[REDACTED]");
+    expect(out.headers).toEqual({ authorization: "[REDACTED]", accept: "application/json" });
+    expect(out.error.message).not.toMatch(/pk\.abc/);
+    expect(out.error.name).toBe("Error");
+  });
+
+  it("matches whole credential field names, not words inside them", () => {
+    const out = redact({ access_token: "a", auth_token: "b", "x-api-key": "c", max_tokens: 1024, tokens_used: 812 });
+    expect(out).toEqual({
+      access_token: "[REDACTED]",
+      auth_token: "[REDACTED]",
+      "x-api-key": "[REDACTED]",
+      max_tokens: 1024,
+      tokens_used: 812,
+    });
+  });
+});
+
+describe("createLogger", () => {
+  it("writes JSON lines at or above the configured level", () => {
+    const { log, lines } = captureLogger("warn");
+    log.info("ignored");
+    log.warn("kept", { key: "mta" });
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({ level: "warn", msg: "kept", key: "mta" });
+    expect(lines[0].time).toEqual(expect.any(String));
+  });
+
+  it("adds child fields to every line", () => {
+    const { log, lines } = captureLogger();
+    log.child({ component: "cache" }).debug("hit");
+    expect(lines[0]).toMatchObject({ component: "cache", msg: "hit" });
+  });
+});
+
+describe("request IDs", () => {
+  function appWithUpstream(log, upstream) {
+    const app = express();
+    app.use(requestLogging(log));
+    const loggedFetch = withUpstreamLogging(upstream, sourceForUrl, log);
+    app.get("/trip", async (_req, res) => {
+      const response = await loggedFetch("https://api.openweathermap.org/data/2.5/weather?appid=SECRET");
+      res.json({ status: response.status });
+    });
+    return app;
+  }
+
+  it("propagates the request ID to upstream calls and every log line", async () => {
+    const { log, lines } = captureLogger();
+    const seen = [];
+    const upstream = async (url, init) => {
+      seen.push(init.headers["X-Request-ID"]);
+      return new Response("{}", { status: 200 });
+    };
+
+    const res = await request(appWithUpstream(log, upstream)).get("/trip").set("X-Request-ID", "storm-42");
+
+    expect(res.headers["x-request-id"]).toBe("storm-42");
+    expect(seen).toEqual(["storm-42"]);
+
+    const upstreamLine = lines.find((l) => l.msg === "upstream response");
+    expect(upstreamLine).toMatchObject({ requestId: "storm-42", source: "openweather", status: 200 });
+    expect(upstreamLine.url).not.toMatch(/SECRET/);
+    expect(lines.find((l) => l.msg === "request completed")).toMatchObject({ requestId: "storm-42", status: 200 });
+  });
+
+  it("generates an ID when the caller sends none or an invalid one", async () => {
+    const { log } = captureLogger();
+    const upstream = async () => new Response("{}", { status: 200 });
+    const app = appWithUpstream(log, upstream);
+
+    const res = await request(app).get("/trip").set("X-Request-ID", "not valid!");
+    expect(res.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it("logs failed upstream calls at error level", async () => {
+    const { log, lines } = captureLogger();
+    const loggedFetch = withUpstreamLogging(
+      async () => {
+        throw new Error("ECONNRESET");
+      },
+      sourceForUrl,
+      log
+    );
+
+    await expect(loggedFetch("https://api.mapbox.com/x?access_token=pk.abc")).rejects.toThrow("ECONNRESET");
+    expect(lines[0]).toMatchObject({ level: "error", msg: "upstream request failed", source: "mapbox" });
+    expect(JSON.stringify(lines[0])).not.toMatch(/pk\.abc/);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { normalizeRidePath } from "../../server/path.js";
+import { UpstreamError } from "../../server/upstreams.js";
+import { loadFixture } from "../helpers/upstreams.js";
+
+describe("normalizeRidePath", () => {
+  const normalized = normalizeRidePath(loadFixture("ridepath.json"));
+
+  it("groups arrivals per station and direction", () => {
+    expect(normalized.stations.JSQ.name).toBe("Journal Square");
+    expect(normalized.stations.JSQ.to_ny.map((a) => a.line)).toEqual(["JSQ-33", "NWK-WTC"]);
+    expect(normalized.stations.JSQ.to_nj[0]).toMatchObject({
+      line: "NWK-WTC",
+      headsign: "Newark",
+      minutes: 7,
+      delayed: false,
+    });
+  });
+
+  it("marks lines with long waits or 'Delayed' messages", () => {
+    expect(normalized.lines["JSQ-33"]).toMatchObject({ status: "delays", message: "Next train 25 min" });
+    expect(normalized.lines["HOB-33"]).toMatchObject({ status: "delays", message: "Next train delayed" });
+    expect(normalized.lines["NWK-WTC"]).toMatchObject({ status: "normal", message: null, color: "#D93A30" });
+  });
+
+  it("summarizes the first delay found", () => {
+    expect(normalized.summary).toEqual({ status: "delays", message: "Delays on PATH — next train 25 min" });
+  });
+
+  it("reports normal service when every train is close", () => {
+    const calm = normalizeRidePath({
+      results: [
+        {
+          consideredStation: "HOB",
+          destinations: [{ label: "ToNY", messages: [{ secondsToArrival: "300", lineColor: "65C100" }] }],
+        },
+      ],
+    });
+    expect(calm.summary).toEqual({ status: "normal", message: null });
+  });
+
+  it("rejects documents that are not ridepath-shaped", () => {
+    expect(() => normalizeRidePath({})).toThrow(UpstreamError);
+    expect(() => normalizeRidePath({ results: [{ destinations: [] }] })).toThrow(/unexpected shape/);
+  });
+});
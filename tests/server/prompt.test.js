@@ -0,0 +1,82 @@
+import { describe, expect, it } from "vitest";
+import { MAX_PAYLOAD_CHARS, validateClaudeRequest } from "../../server/prompt.js";
+import {
+  MAX_LINE_ALERTS,
+  MAX_UPCOMING_ALERTS,
+  buildTransitStatus,
+  transitForPrompt,
+  transitForTrip,
+} from "../../src/api/transitStatus.js";
+
+const LINES = ["1", "2", "3", "4", "5", "6", "7", "A", "C", "E", "B", "D", "F", "M", "G", "J", "Z", "L", "N", "Q", "R", "W", "SI"];
+const DEPART = 1737500000;
+
+// A storm night: 80 alerts across all 23 lines in effect at departure, 40 more starting before the
+// trip home, each naming three lines and a run of stops the way the MTA's do
+function stormFeed() {
+  const alert = (i, start) => {
+    const routes = [0, 1, 2].map((k) => LINES[(i + k * 7) % LINES.length]);
+    return {
+      id: `lmm:alert:${i}`,
+      alert: {
+        active_period: [{ start, end: start + 6 * 3600 }],
+        informed_entity: routes.flatMap((route_id, k) => [
+          { agency_id: "MTASBWY", route_id },
+          { agency_id: "MTASBWY", stop_id: `${route_id}${10 + k}${i % 2 ? "N" : "S"}` },
+        ]),
+        effect: i % 3 ? "SIGNIFICANT_DELAYS" : "NO_SERVICE",
+        header_text: {
+          translation: [{
+            text: `${routes.map((r) => `[${r}]`).join("")} trains are ${i % 3 ? "running with delays" : "suspended"} ` +
+              `between stations ${i} and ${i + 12} while crews clear snow and ice from the tracks and signals`,
+          }],
+        },
+      },
+    };
+  };
+  return {
+    entity: [
+      ...Array.from({ length: 80 }, (_, i) => alert(i, DEPART - 3600)),
+      ...Array.from({ length: 40 }, (_, i) => alert(100 + i, DEPART + 3600)),
+    ],
+  };
+}
+
+function tripPayload(transitStatus) {
+  return {
+    origin: { lat: 40.7506, lng: -73.9935 },
+    origin_name: "Penn Station",
+    destination: { lat: 40.6782, lng: -73.9442 },
+    destination_name: "Crown Heights",
+    departure_time: { choice: "now", at: "2025-01-21T22:53:20.000Z", returnAt: "2025-01-22T01:53:20.000Z" },
+    weather_severity: { level: "severe", drivers: [] },
+    transit_status: transitStatus,
+    travel_data: { baseline_minutes: 35, storm_minutes: 77, relevantLines: ["A", "C"] },
+    is_walkable: false,
+  };
+}
+
+describe("validateClaudeRequest", () => {
+  const status = buildTransitStatus(
+    stormFeed(),
+    null,
+    [],
+    "2025-01-21T22:53:20.000Z",
+    "2025-01-22T01:53:20.000Z"
+  );
+
+  it("rejects a storm night's whole transit status", () => {
+    expect(validateClaudeRequest({ payload: tripPayload(transitForPrompt(status)) })).toEqual([
+      `payload exceeds ${MAX_PAYLOAD_CHARS} characters`,
+    ]);
+  });
+
+  it("accepts it once narrowed to the trip", () => {
+    const trip = transitForTrip(status, ["A", "C"]);
+    expect(trip.subway.A.alerts).toHaveLength(MAX_LINE_ALERTS);
+    expect(trip.subway["7"]).toEqual({ status: expect.any(String) });
+    expect(trip.onReturn).toHaveLength(MAX_UPCOMING_ALERTS);
+
+    expect(validateClaudeRequest({ payload: tripPayload(transitForPrompt(trip)) })).toEqual([]);
+  });
+});
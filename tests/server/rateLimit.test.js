@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import express from "express";
+import request from "supertest";
+import { createRateLimiter, parseApiKeys, rateLimit } from "../../server/rateLimit.js";
+
+function buildApp({ maxPerIp = 2, maxPerKey = 5, clock = { t: 0 } } = {}) {
+  const limiter = createRateLimiter({
+    name: "test",
+    windowMs: 60000,
+    maxPerIp,
+    maxPerKey,
+    now: () => clock.t,
+  });
+  const app = express();
+  app.get("/limited", rateLimit(limiter, parseApiKeys("good-key")), (_req, res) => res.json({ ok: true }));
+  return { app, limiter, clock };
+}
+
+describe("parseApiKeys", () => {
+  it("splits and trims a comma-separated list", () => {
+    expect([...parseApiKeys(" a, b ,,c")]).toEqual(["a", "b", "c"]);
+    expect(parseApiKeys(undefined).size).toBe(0);
+  });
+});
+
+describe("rateLimit middleware", () => {
+  it("answers 429 with Retry-After once the per-IP quota is spent", async () => {
+    const { app, clock } = buildApp();
+    clock.t = 15000;
+
+    await request(app).get("/limited").expect(200);
+    const second = await request(app).get("/limited").expect(200);
+    expect(second.headers["ratelimit-remaining"]).toBe("0");
+
+    const third = await request(app).get("/limited");
+    expect(third.status).toBe(429);
+    expect(third.headers["retry-after"]).toBe("60");
+    expect(third.body).toMatchObject({ code: "rate_limited", limiter: "test", retryAfter: 60 });
+  });
+
+  it("resets the quota when the window rolls over", async () => {
+    const { app, clock } = buildApp({ maxPerIp: 1 });
+
+    await request(app).get("/limited").expect(200);
+    await request(app).get("/limited").expect(429);
+    clock.t = 60000;
+    await request(app).get("/limited").expect(200);
+  });
+
+  it("gives API-key clients their own, larger quota", async () => {
+    const { app } = buildApp({ maxPerIp: 1, maxPerKey: 3 });
+
+    await request(app).get("/limited").expect(200);
+    await request(app).get("/limited").expect(429);
+    for (let i = 0; i < 3; i += 1) {
+      await request(app).get("/limited").set("x-stormsafe-key", "good-key").expect(200);
+    }
+    await request(app).get("/limited").set("x-stormsafe-key", "good-key").expect(429);
+  });
+
+  it("rejects unknown API keys", async () => {
+    const { app } = buildApp();
+    await request(app).get("/limited").set("x-stormsafe-key", "bad-key").expect(401);
+  });
+
+  it("keeps allowed and rejected totals", async () => {
+    const { app, limiter } = buildApp({ maxPerKey: 1 });
+
+    for (let i = 0; i < 3; i += 1) {
+      await request(app).get("/limited").set("x-stormsafe-key", "good-key");
+    }
+
+    const usage = limiter.peek({ id: "key:good-key", type: "key" });
+    expect(usage.totals).toEqual({ allowed: 1, rejected: 2 });
+  });
+});
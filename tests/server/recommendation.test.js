@@ -0,0 +1,28 @@
+import { describe, expect, it } from "vitest";
+import { crossCheckRecommendation } from "../../server/recommendation.js";
+
+const STORM_PAYLOAD = {
+  weather: {
+    precipitation: { type: "snow", intensity: "heavy" },
+    wind: { speed: 18, gusts: 25 },
+    visibility: 0.3,
+    feelsLike: -16,
+    alerts: [{ title: "Blizzard Warning", severity: "extreme" }],
+    forecast3hr: { trend: "worsening", precipExpected: true },
+  },
+  travel_ban: { ban_level: "none" },
+  is_walkable: true,
+};
+
+describe("crossCheckRecommendation", () => {
+  it("flags Claude sending someone out into a blizzard", () => {
+    const check = crossCheckRecommendation(STORM_PAYLOAD, { verdict: "Go for it", return_risk: "low" });
+    expect(check.rules.verdict).toBe("Stay in tonight");
+    expect(check).toMatchObject({ steps: 3, disagree: true });
+  });
+
+  it("accepts a neighbouring verdict", () => {
+    const check = crossCheckRecommendation(STORM_PAYLOAD, { verdict: "Wait it out", return_risk: "high" });
+    expect(check.disagree).toBe(false);
+  });
+});
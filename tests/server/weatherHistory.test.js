@@ -0,0 +1,57 @@
+import { afterEach, describe, expect, it } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { areaKey, createWeatherHistory } from "../../server/weatherHistory.js";
+
+// 2025-01-21 22:53:20Z, like the rest of the fixtures
+const NOW_MS = 1737500000 * 1000;
+const THIS_HOUR = 1737496800;
+
+function hour(ago, fields = {}) {
+  return { t: THIS_HOUR - ago * 3600, tempC: -4, rainMm: 0, snowCm: 0, freezing: false, source: "backfill", ...fields };
+}
+
+describe("weather history", () => {
+  let dir;
+
+  afterEach(() => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("keeps nearby coordinates in one area", () => {
+    expect(areaKey(40.7506, -73.9935)).toBe("40.8,-74");
+    expect(areaKey(40.7711, -73.9822)).toBe("40.8,-74");
+    expect(areaKey(40.7286, -74.002)).toBe("40.7,-74");
+  });
+
+  it("keeps the last 48 hours, preferring observations over backfilled hours", async () => {
+    const history = createWeatherHistory({ now: () => NOW_MS });
+
+    await history.record(40.75, -73.99, [hour(0, { snowCm: 3.1, source: "observed" })]);
+    await history.record(40.75, -73.99, [hour(60), hour(1, { snowCm: 1.5 }), hour(0, { snowCm: 1.6 })]);
+
+    expect(await history.records(40.76, -73.98)).toEqual([
+      hour(1, { snowCm: 1.5 }),
+      hour(0, { snowCm: 3.1, source: "observed" }),
+    ]);
+    expect(await history.records(40.58, -73.82)).toEqual([]);
+  });
+
+  it("survives a restart when saved to a file", async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "stormsafe-history-"));
+    const file = path.join(dir, "data", "history.json");
+
+    const before = createWeatherHistory({ file: () => file, now: () => NOW_MS });
+    await before.record(40.75, -73.99, [hour(2, { snowCm: 12 }), hour(1, { snowCm: 10 })]);
+    await before.flush();
+
+    const after = createWeatherHistory({ file: () => file, now: () => NOW_MS });
+    expect((await after.records(40.75, -73.99)).map((r) => r.snowCm)).toEqual([12, 10]);
+  });
+
+  it("starts empty when the file is missing", async () => {
+    const history = createWeatherHistory({ file: () => path.join(os.tmpdir(), "stormsafe-no-such-history.json") });
+    expect(await history.records(40.75, -73.99)).toEqual([]);
+  });
+});
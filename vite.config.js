@@ -11,15 +11,44 @@ export default defineConfig({
         target: 'http://localhost:3001',
         changeOrigin: true
       },
+      '/api/assess': {
+        target: 'http://localhost:3001',
+        changeOrigin: true
+      },
+      '/api/plan': {
+        target: 'http://localhost:3001',
+        changeOrigin: true
+      },
+      '/api/usage': {
+        target: 'http://localhost:3001',
+        changeOrigin: true
+      },
       '/api/mta-alerts': {
         target: 'http://localhost:3001',
         changeOrigin: true
       },
       '/api/path': {
-        target: 'https://www.panynj.gov',
-        changeOrigin: true,
-        rewrite: (path) => path.replace(/^\/api\/path/, '')
+        target: 'http://localhost:3001',
+        changeOrigin: true
+      },
+      '/api/weather': {
+        target: 'http://localhost:3001',
+        changeOrigin: true
+      },
+      '/api/ground': {
+        target: 'http://localhost:3001',
+        changeOrigin: true
+      },
+      '/api/arrivals': {
+        target: 'http://localhost:3001',
+        changeOrigin: true
       }
     }
+  },
+  test: {
+    environment: 'node',
+    include: ['tests/**/*.test.js'],
+    // Keep the server's JSON logs out of test output
+    env: { LOG_LEVEL: 'silent' },
   }
 })